@@ -0,0 +1,75 @@
+const express = require("express");
+const bodyParser = require("body-parser");
+const path = require("path");
+const { swaggerUi, swaggerDocs } = require("./config/swagger");
+
+// The Express app without a listener or database startup, so tests can
+// drive it directly. server.js connects the database and starts listening.
+const app = express();
+
+// Middleware
+app.use(bodyParser.json());
+
+// Use CORS with custom headers
+app.use((req, res, next) => {
+    res.header("Access-Control-Allow-Origin", "*");
+    res.header("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE");
+    res.header("Access-Control-Allow-Headers", "Content-Type, Authorization, X-API-Key");
+    next();
+});
+
+// Route files
+const adminRoutes = require("./routes/adminRoutes");
+const apiKeyRoutes = require("./routes/apiKeyRoutes");
+const authRoutes = require("./routes/authRoutes");
+const beneficiaryRoutes = require("./routes/beneficiaryRoutes");
+const donorRoutes = require("./routes/donorRoutes");
+const employeeRoutes = require("./routes/employeeRoutes");
+const eventRoutes = require("./routes/eventRoutes");
+const meRoutes = require("./routes/meRoutes");
+const ngoRoutes = require("./routes/ngoRoutes");
+const projectRoutes = require("./routes/projectRoutes");
+const publicRoutes = require("./routes/publicRoutes");
+const receiptRoutes = require("./routes/receiptRoutes");
+const reportRoutes = require("./routes/reportRoutes");
+const roleRoutes = require("./routes/roleRoutes");
+const skillRoutes = require("./routes/skillRoutes");
+const userRoutes = require("./routes/userRoutes");
+const volunteerAttendanceRoutes = require("./routes/VolunteerattendanceRoutes");
+const volunteerHoursRoutes = require("./routes/volunteerHoursRoutes");
+const volunteerRoutes = require("./routes/volunteerRoutes");
+
+// Use routes with specific paths
+app.use("/api/admins", adminRoutes);
+app.use("/api/api-keys", apiKeyRoutes);
+app.use("/auth", authRoutes);
+app.use("/api/beneficiaries", beneficiaryRoutes);
+app.use("/api/donors", donorRoutes);
+app.use("/api/employees", employeeRoutes);
+app.use("/api/events", eventRoutes);
+app.use("/api/me", meRoutes);
+app.use("/api/ngos", ngoRoutes);
+app.use("/api/projects", projectRoutes);
+app.use("/api/public", publicRoutes);
+app.use("/api/receipts", receiptRoutes);
+app.use("/api/reports", reportRoutes);
+app.use("/api/roles", roleRoutes);
+app.use("/api/skills", skillRoutes);
+app.use("/api/users", userRoutes);
+app.use("/api/volunteer-attendance", volunteerAttendanceRoutes);
+app.use("/api/volunteer-hours", volunteerHoursRoutes);
+app.use("/api/volunteers", volunteerRoutes);
+
+// Swagger API documentation
+app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerDocs));
+
+// Serve static assets if in production
+if (process.env.NODE_ENV === "production") {
+    app.use(express.static("client/build"));
+
+    app.get("*", (req, res) => {
+        res.sendFile(path.resolve(__dirname, "client", "build", "index.html"));
+    });
+}
+
+module.exports = app;
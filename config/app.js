@@ -0,0 +1,9 @@
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+// Public base URL of the app, used for links in emails, passes, calendar
+// feeds and certificates.
+const APP_URL = process.env.APP_URL || "http://localhost:3000";
+
+module.exports = { APP_URL };
@@ -26,6 +26,12 @@ const swaggerOptions = {
           scheme: "bearer",
           bearerFormat: "JWT",
         },
+        apiKeyAuth: {
+          type: "apiKey",
+          in: "header",
+          name: "X-API-Key",
+          description: "Key issued through /api/api-keys. Accepted wherever bearerAuth is, limited to the key's scopes.",
+        },
       },
     },
   },
@@ -1,7 +1,67 @@
 const { Op } = require("sequelize");
-const VolunteerAttendance = require("../models/VolunteerAttendance");
-const User = require("../models/User");
-const Batch = require("../models/Beneficiary");
+const sequelize = require("../config/db");
+const VolunteerAttendance = require("../models/Volunteerattendance");
+const Volunteer = require("../models/Volunteer");
+const Event = require("../models/Event");
+const EventException = require("../models/EventException");
+const EventShift = require("../models/EventShift");
+const logger = require("../utils/logger");
+const { scopeWhere, resolveNgoId } = require("../utils/ngoScope");
+const { rosteredVolunteers, attendanceOccurrence } = require("../utils/eventRoster");
+const { occurrenceOn } = require("../utils/recurrence");
+const { body, param, query, validationResult } = require("express-validator");
+
+const MAX_BULK_RECORDS = 1000;
+
+const INCLUDE = [
+  { model: Volunteer, as: "volunteer", attributes: ["id", "name", "email"] },
+  { model: Event, as: "event", attributes: ["id", "name", "date"] },
+];
+
+// Problem with the volunteer, event or shift a record points at, if any.
+// They must all belong to the record's NGO, and a shift to the event.
+const checkLinks = async (ngoId, { volunteer_id, event_id, shift_id }) => {
+  if (volunteer_id && !(await Volunteer.findOne({ where: { id: volunteer_id, ngo_id: ngoId } }))) {
+    return "Volunteer not found.";
+  }
+  if (event_id && !(await Event.findOne({ where: { id: event_id, ngo_id: ngoId } }))) {
+    return "Event not found.";
+  }
+  if (shift_id && !(await EventShift.findOne({ where: { id: shift_id, event_id: event_id || null } }))) {
+    return "Shift not found.";
+  }
+  return null;
+};
+
+// Original date of the occurrence a record is for: the one its shift falls
+// in, otherwise the one on its date. Null outside an event.
+const recordOccurrence = async ({ event_id, shift_id, date }) => {
+  if (!event_id) {
+    return null;
+  }
+  const [event, exceptions, shift] = await Promise.all([
+    Event.findByPk(event_id),
+    EventException.findAll({ where: { event_id } }),
+    shift_id ? EventShift.findByPk(shift_id) : null,
+  ]);
+  if (!event) {
+    return null;
+  }
+  return attendanceOccurrence(event, exceptions, shift ? shift.startTime : date || new Date());
+};
+
+const recordValidators = (optional) => [
+  (optional ? body("volunteer_id").optional() : body("volunteer_id")).isInt().withMessage("volunteer_id must be an integer").toInt(),
+  body("event_id").optional({ values: "null" }).isInt().withMessage("event_id must be an integer").toInt(),
+  body("shift_id").optional({ values: "null" }).isInt().withMessage("shift_id must be an integer").toInt(),
+  (optional ? body("status").optional() : body("status")).isBoolean().withMessage("status must be a boolean").toBoolean(),
+  body("date").optional().isISO8601().withMessage("date must be a date-time"),
+  body("hours")
+    .optional({ values: "null" })
+    .isFloat({ min: 0, max: 24 })
+    .withMessage("hours must be between 0 and 24")
+    .toFloat(),
+];
 
 /**
  * @swagger
@@ -12,15 +72,35 @@ const Batch = require("../models/Beneficiary");
  *       properties:
  *         id:
  *           type: integer
- *         batch_id:
+ *         ngo_id:
  *           type: integer
+ *           description: ID of the NGO that owns this record
  *         volunteer_id:
  *           type: integer
+ *         event_id:
+ *           type: integer
+ *         shift_id:
+ *           type: integer
+ *           description: Shift the volunteer checked in to
+ *         occurrence:
+ *           type: string
+ *           format: date
+ *           description: Original date of the event occurrence attended
  *         status:
  *           type: boolean
+ *           description: Whether the volunteer attended
  *         date:
  *           type: string
  *           format: date-time
+ *         checkInAt:
+ *           type: string
+ *           format: date-time
+ *         checkOutAt:
+ *           type: string
+ *           format: date-time
+ *         hours:
+ *           type: number
+ *           description: Hours served; worked out from check-in and check-out when both are recorded
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -38,11 +118,11 @@ const Batch = require("../models/Beneficiary");
 
 /**
  * @swagger
- * /api/volunteerAttendance:
+ * /api/volunteer-attendance:
  *   get:
  *     summary: Get all volunteer attendance records
  *     tags: [VolunteerAttendance]
- *     description: Retrieve a list of all volunteer attendance records. Admins can view all records, school admins can view records from their school, and employees can view records from their batch.
+ *     description: Retrieve the attendance records of the user's NGO, optionally filtered.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -67,10 +147,27 @@ const Batch = require("../models/Beneficiary");
  *           type: string
  *         description: Sort order (asc or desc)
  *       - in: query
- *         name: search
+ *         name: volunteer_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: event_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
  *         schema:
  *           type: string
- *         description: Search string to filter results
+ *           format: date
  *     responses:
  *       200:
  *         description: A paginated list of volunteer attendance records.
@@ -92,110 +189,94 @@ const Batch = require("../models/Beneficiary");
  *                       type: integer
  *                     currentPage:
  *                       type: integer
+ *       400:
+ *         description: Invalid filters.
  *       401:
  *         description: Unauthorized. User lacks necessary privileges.
  *       500:
  *         description: Internal server error.
  */
-exports.getAllVolunteerAttendance = async (req, res) => {
-  const currentUser = req.user;
+exports.getAllVolunteerAttendance = [
+  query("volunteer_id").optional().isInt().withMessage("volunteer_id must be an integer"),
+  query("event_id").optional().isInt().withMessage("event_id must be an integer"),
+  query("status").optional().isBoolean().withMessage("status must be true or false").toBoolean(),
+  query("from").optional().isDate().withMessage("from must be a date (YYYY-MM-DD)"),
+  query("to").optional().isDate().withMessage("to must be a date (YYYY-MM-DD)"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-  // Extract query parameters with sensible defaults
-  let {
-    page = 1,
-    limit = 10,
-    sortBy = "createdAt",
-    order = "asc",
-    search = "",
-  } = req.query;
-
-  // Convert page and limit to numbers and validate them
-  page = parseInt(page, 10);
-  limit = parseInt(limit, 10);
-  page = isNaN(page) || page < 1 ? 1 : page;
-  limit = isNaN(limit) || limit < 1 ? 10 : limit;
-
-  // Construct sorting condition
-  const validColumns = ["batch_id", "volunteer_id", "status", "date", "createdAt", "updatedAt"];
-  sortBy = validColumns.includes(sortBy) ? sortBy : "createdAt";
-  order = order.toLowerCase() === "desc" ? "desc" : "asc";
-  const orderCondition = [[sortBy, order]];
-
-  // Create search condition for relevant columns (only if search is not empty)
-  let searchCondition = {};
-  if (search) {
-    searchCondition = {
-      [Op.or]: validColumns.map((field) => ({
-        [field]: { [Op.iLike]: `%${search}%` },
-      })),
-    };
-  }
+    const currentUser = req.user;
 
-  try {
-    // Define conditions based on user type
-    let userCondition = {};
-    if (currentUser.type === "school_admin") {
-      // Assuming User has a school_id field
-      userCondition = {
-        '$Batch.school_id$': currentUser.school_id,
-      };
-    } else if (currentUser.type === "employee") {
-      // Assuming User has a batch_id field
-      userCondition = {
-        batch_id: currentUser.batch_id,
-      };
-    }
+    // Extract query parameters with sensible defaults
+    let { page = 1, limit = 10, sortBy = "createdAt", order = "asc" } = req.query;
 
-    // Fetch volunteer attendance records with filters, sorting, and pagination
-    const { rows: volunteerAttendance, count } = await VolunteerAttendance.findAndCountAll({
-      where: {
-        ...searchCondition,
-        ...userCondition,
-      },
-      include: [
-        {
-          model: Batch,
-          as: 'Batch',
-          required: false
-        },
-        {
-          model: User,
-          as: 'User',
-          required: false
-        }
-      ],
-      order: orderCondition,
-      limit,
-      offset: (page - 1) * limit,
-    });
+    // Convert page and limit to numbers and validate them
+    page = parseInt(page, 10);
+    limit = parseInt(limit, 10);
+    page = isNaN(page) || page < 1 ? 1 : page;
+    limit = isNaN(limit) || limit < 1 ? 10 : limit;
 
-    // Calculate total pages
-    const totalPages = Math.ceil(count / limit);
+    // Construct sorting condition
+    const validColumns = ["volunteer_id", "event_id", "status", "date", "hours", "createdAt", "updatedAt"];
+    sortBy = validColumns.includes(sortBy) ? sortBy : "createdAt";
+    order = order.toLowerCase() === "desc" ? "desc" : "asc";
 
-    res.status(200).json({
-      data: volunteerAttendance,
-      meta: {
-        totalItems: count,
-        totalPages,
-        currentPage: page,
-      },
-    });
-  } catch (error) {
-    console.error(`Error fetching volunteer attendance records: ${error.message}`);
-    res.status(500).json({
-      error: "Internal server error",
-      details: [error.message],
+    const where = {};
+    ["volunteer_id", "event_id", "status"].forEach((field) => {
+      if (req.query[field] !== undefined) {
+        where[field] = req.query[field];
+      }
     });
-  }
-};
+    if (req.query.from || req.query.to) {
+      where.date = {};
+      if (req.query.from) {
+        where.date[Op.gte] = new Date(`${req.query.from}T00:00:00`);
+      }
+      if (req.query.to) {
+        where.date[Op.lte] = new Date(`${req.query.to}T23:59:59.999`);
+      }
+    }
+
+    try {
+      const { rows: volunteerAttendance, count } = await VolunteerAttendance.findAndCountAll({
+        where: scopeWhere(currentUser, where),
+        include: INCLUDE,
+        order: [[sortBy, order]],
+        limit,
+        offset: (page - 1) * limit,
+      });
+
+      // Calculate total pages
+      const totalPages = Math.ceil(count / limit);
+
+      res.status(200).json({
+        data: volunteerAttendance,
+        meta: {
+          totalItems: count,
+          totalPages,
+          currentPage: page,
+        },
+      });
+    } catch (error) {
+      logger.error(`Error fetching volunteer attendance records: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
 
 /**
  * @swagger
- * /api/volunteerAttendance/{id}:
+ * /api/volunteer-attendance/{id}:
  *   get:
  *     summary: Get a volunteer attendance record by ID
  *     tags: [VolunteerAttendance]
- *     description: Retrieve a volunteer attendance record by its ID. Admins can view any record, school admins can view records from their school, and employees can view records from their batch.
+ *     description: Retrieve a volunteer attendance record of the user's NGO by its ID.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -220,62 +301,36 @@ exports.getAllVolunteerAttendance = async (req, res) => {
  *         description: Internal server error.
  */
 exports.getVolunteerAttendanceById = async (req, res) => {
-    const currentUser = req.user;
-    const { id } = req.params;
-  
-    try {
-      // Fetch the volunteer attendance record
-      const volunteerAttendance = await VolunteerAttendance.findByPk(id, {
-        include: [
-          {
-            model: Batch,
-            as: 'Batch',
-            required: true
-          },
-          {
-            model: User,
-            as: 'User',
-            required: true
-          }
-        ]
-      });
-  
-      if (!volunteerAttendance) {
-        return res.status(404).send("Volunteer attendance record not found.");
-      }
-  
-      // Check user permissions
-      if (currentUser.type === "school_admin") {
-        // Assuming User has a school_id field and Batch has a school_id field
-        if (volunteerAttendance.Batch.school_id !== currentUser.school_id) {
-          return res.status(401).send("Unauthorized. You can only view volunteer attendance for your school's batches.");
-        }
-      } else if (currentUser.type === "employee") {
-        // Assuming User has a batch_id field
-        if (volunteerAttendance.batch_id !== currentUser.batch_id) {
-          return res.status(401).send("Unauthorized. You can only view volunteer attendance for your batch.");
-        }
-      } else if (currentUser.type !== "admin") {
-        return res.status(401).send("Unauthorized. Only admins, school admins, and employees can view volunteer attendance.");
-      }
-  
-      res.status(200).json(volunteerAttendance);
-    } catch (error) {
-      console.error(`Error fetching volunteer attendance record: ${error.message}`);
-      res.status(500).json({
-        error: "Internal server error",
-        details: [error.message],
-      });
+  const currentUser = req.user;
+  const { id } = req.params;
+
+  try {
+    const volunteerAttendance = await VolunteerAttendance.findOne({
+      where: scopeWhere(currentUser, { id }),
+      include: INCLUDE,
+    });
+
+    if (!volunteerAttendance) {
+      return res.status(404).send("Volunteer attendance record not found.");
     }
-  };
+
+    res.status(200).json(volunteerAttendance);
+  } catch (error) {
+    logger.error(`Error fetching volunteer attendance record: ${error.message}`);
+    res.status(500).json({
+      error: "Internal server error",
+      details: [error.message],
+    });
+  }
+};
 
 /**
  * @swagger
- * /api/volunteerAttendance:
+ * /api/volunteer-attendance:
  *   post:
  *     summary: Create a new volunteer attendance record
  *     tags: [VolunteerAttendance]
- *     description: Create a new volunteer attendance record. Admins can create records for any batch, school admins can create records for batches in their school, and employees can create records for their batch.
+ *     description: Record whether a volunteer attended. To mark a whole event at once use POST /api/volunteer-attendance/bulk.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -284,16 +339,23 @@ exports.getVolunteerAttendanceById = async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - volunteer_id
+ *               - status
  *             properties:
- *               batch_id:
- *                 type: integer
  *               volunteer_id:
  *                 type: integer
+ *               event_id:
+ *                 type: integer
+ *               shift_id:
+ *                 type: integer
  *               status:
  *                 type: boolean
  *               date:
  *                 type: string
  *                 format: date-time
+ *               hours:
+ *                 type: number
  *     responses:
  *       201:
  *         description: Volunteer attendance record created successfully.
@@ -301,57 +363,280 @@ exports.getVolunteerAttendanceById = async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/VolunteerAttendance'
+ *       400:
+ *         description: Invalid input, or the volunteer, event or shift was not found.
  *       401:
  *         description: Unauthorized. User lacks necessary privileges.
  *       500:
  *         description: Internal server error.
  */
-exports.createVolunteerAttendance = async (req, res) => {
-  const currentUser = req.user;
-  const { batch_id, volunteer_id, status, date } = req.body;
+exports.createVolunteerAttendance = [
+  ...recordValidators(false),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-  try {
-    // Check user permissions
-    if (currentUser.type === "school_admin") {
-      // Assuming User has a school_id field and Batch has a school_id field
-      const batch = await Batch.findByPk(batch_id);
-      if (!batch || batch.school_id !== currentUser.school_id) {
-        return res.status(401).send("Unauthorized. You can only create volunteer attendance for your school's batches.");
-      }
-    } else if (currentUser.type === "employee") {
-      // Assuming User has a batch_id field
-      if (batch_id !== currentUser.batch_id) {
-        return res.status(401).send("Unauthorized. You can only create volunteer attendance for your batch.");
+    const currentUser = req.user;
+    const { volunteer_id, event_id, shift_id, status, date, hours } = req.body;
+
+    const ngoId = resolveNgoId(currentUser, req.body.ngo_id);
+    if (!ngoId) {
+      return res.status(400).send("ngo_id is required.");
+    }
+
+    try {
+      const linkError = await checkLinks(ngoId, { volunteer_id, event_id, shift_id });
+      if (linkError) {
+        return res.status(400).send(linkError);
       }
-    } else if (currentUser.type !== "admin") {
-      return res.status(401).send("Unauthorized. Only admins, school admins, and employees can create volunteer attendance.");
+
+      const volunteerAttendance = await VolunteerAttendance.create({
+        ngo_id: ngoId,
+        volunteer_id,
+        event_id,
+        shift_id,
+        occurrence: await recordOccurrence({ event_id, shift_id, date }),
+        status,
+        date: date || new Date(),
+        hours,
+      });
+
+      logger.info(`Volunteer attendance ${volunteerAttendance.id} recorded by user: ${currentUser.id}`);
+
+      res.status(201).json(volunteerAttendance);
+    } catch (error) {
+      logger.error(`Error creating volunteer attendance record: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
     }
+  },
+];
 
-    // Create the volunteer attendance record
-    const volunteerAttendance = await VolunteerAttendance.create({
-      batch_id,
-      volunteer_id,
-      status,
-      date,
-    });
+/**
+ * @swagger
+ * /api/volunteer-attendance/bulk:
+ *   post:
+ *     summary: Mark attendance for a whole event
+ *     tags: [VolunteerAttendance]
+ *     description: Records attendance for many volunteers at one occurrence of an event in a single transaction; if any record is rejected nothing is saved. Each volunteer gets one record for the occurrence as a whole, and marking them again updates it. The occurrence of a recurring event is given directly or found from the date. With markRestAbsent, volunteers rostered on the occurrence's shifts or signed up for it who are not listed are marked as no-shows.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - event_id
+ *               - records
+ *             properties:
+ *               event_id:
+ *                 type: integer
+ *               occurrence:
+ *                 type: string
+ *                 format: date
+ *                 description: Original date of the occurrence; for a recurring event, this or date is required
+ *               date:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to the occurrence's start
+ *               markRestAbsent:
+ *                 type: boolean
+ *               records:
+ *                 type: array
+ *                 maxItems: 1000
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - volunteer_id
+ *                     - status
+ *                   properties:
+ *                     volunteer_id:
+ *                       type: integer
+ *                     status:
+ *                       type: boolean
+ *                     hours:
+ *                       type: number
+ *     responses:
+ *       200:
+ *         description: The saved records, with how many were created and updated.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 created:
+ *                   type: integer
+ *                 updated:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/VolunteerAttendance'
+ *       400:
+ *         description: Invalid input, no occurrence given or found for a recurring event, or volunteers not found in the event's NGO.
+ *       401:
+ *         description: Unauthorized. User lacks necessary privileges.
+ *       404:
+ *         description: Event not found, or it has no such occurrence.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.bulkMarkAttendance = [
+  body("event_id").isInt().withMessage("event_id must be an integer").toInt(),
+  body("occurrence").optional().isDate().withMessage("occurrence must be a date (YYYY-MM-DD)"),
+  body("date").optional().isISO8601().withMessage("date must be a date-time").toDate(),
+  body("markRestAbsent").optional().isBoolean().withMessage("markRestAbsent must be a boolean").toBoolean(),
+  body("records")
+    .isArray({ max: MAX_BULK_RECORDS })
+    .withMessage(`records must be a list of at most ${MAX_BULK_RECORDS} records`)
+    .bail()
+    .custom((records) => new Set(records.map((record) => Number(record && record.volunteer_id))).size === records.length)
+    .withMessage("Each volunteer can only be listed once"),
+  body("records.*.volunteer_id").isInt().withMessage("volunteer_id must be an integer").toInt(),
+  body("records.*.status").isBoolean().withMessage("status must be a boolean").toBoolean(),
+  body("records.*.hours")
+    .optional({ values: "null" })
+    .isFloat({ min: 0, max: 24 })
+    .withMessage("hours must be between 0 and 24")
+    .toFloat(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    res.status(201).json(volunteerAttendance);
-  } catch (error) {
-    console.error(`Error creating volunteer attendance record: ${error.message}`);
-    res.status(500).json({
-      error: "Internal server error",
-      details: [error.message],
-    });
-  }
-};
+    const currentUser = req.user;
+
+    try {
+      const result = await sequelize.transaction(async (transaction) => {
+        // Event-wide records (no shift) escape the unique index, since it
+        // allows repeated NULLs, so the event row lock keeps two bulk marks
+        // from both creating one
+        const event = await Event.findOne({
+          where: scopeWhere(currentUser, { id: req.body.event_id }),
+          lock: transaction.LOCK.UPDATE,
+          transaction,
+        });
+        if (!event) {
+          return { status: 404, message: "Event not found." };
+        }
+
+        // Records are kept per occurrence, so marking one week of a series
+        // leaves the others alone. Events without a date have none.
+        const exceptions = await EventException.findAll({ where: { event_id: event.id }, transaction });
+        let occurrence = null;
+        if (req.body.occurrence) {
+          occurrence = occurrenceOn(event, exceptions, req.body.occurrence);
+          if (!occurrence || occurrence.cancelled) {
+            return { status: 404, message: "Occurrence not found." };
+          }
+        } else if (event.recurrence && !req.body.date) {
+          return { status: 400, message: "Give the occurrence (or date) of the recurring event to mark." };
+        } else if (event.date) {
+          const key = attendanceOccurrence(event, exceptions, req.body.date || event.date);
+          if (!key) {
+            return { status: 400, message: "No occurrence of the event starts on that date." };
+          }
+          occurrence = occurrenceOn(event, exceptions, key);
+        }
+        const occurrenceDate = occurrence ? occurrence.occurrence : null;
+
+        const records = [...req.body.records];
+        if (req.body.markRestAbsent) {
+          const listed = new Set(records.map((record) => record.volunteer_id));
+          (await rosteredVolunteers(event.id, { occurrence, transaction }))
+            .filter((volunteer) => !listed.has(volunteer.id))
+            .forEach((volunteer) => records.push({ volunteer_id: volunteer.id, status: false }));
+        }
+        if (records.length === 0) {
+          return { status: 400, message: "No attendance to record." };
+        }
+
+        const volunteerIds = records.map((record) => record.volunteer_id);
+        const found = await Volunteer.findAll({
+          where: { id: volunteerIds, ngo_id: event.ngo_id },
+          attributes: ["id"],
+          transaction,
+        });
+        const foundIds = new Set(found.map((volunteer) => volunteer.id));
+        const missing = volunteerIds.filter((id) => !foundIds.has(id));
+        if (missing.length > 0) {
+          return { status: 400, message: `Volunteer(s) not found: ${missing.join(", ")}.` };
+        }
+
+        const existing = await VolunteerAttendance.findAll({
+          where: { event_id: event.id, occurrence: occurrenceDate, volunteer_id: volunteerIds, shift_id: null },
+          lock: transaction.LOCK.UPDATE,
+          transaction,
+        });
+        const byVolunteer = new Map(existing.map((row) => [row.volunteer_id, row]));
+        const date = req.body.date || (occurrence ? occurrence.start : new Date());
+
+        let created = 0;
+        const saved = [];
+        for (const record of records) {
+          const fields = {
+            status: record.status,
+            date,
+            hours: record.status && record.hours !== undefined ? record.hours : null,
+          };
+          const row = byVolunteer.get(record.volunteer_id);
+          if (row) {
+            await row.update(fields, { transaction });
+            saved.push(row);
+          } else {
+            saved.push(
+              await VolunteerAttendance.create(
+                {
+                  ngo_id: event.ngo_id,
+                  event_id: event.id,
+                  occurrence: occurrenceDate,
+                  volunteer_id: record.volunteer_id,
+                  shift_id: null,
+                  ...fields,
+                },
+                { transaction }
+              )
+            );
+            created += 1;
+          }
+        }
+        return { event, occurrence: occurrenceDate, created, updated: saved.length - created, data: saved };
+      });
+
+      if (result.status) {
+        return res.status(result.status).send(result.message);
+      }
+
+      logger.info(
+        `Attendance marked for ${result.data.length} volunteer(s) at event ${result.event.id}` +
+          `${result.occurrence ? ` on ${result.occurrence}` : ""} by user: ${currentUser.id}`
+      );
+
+      res.status(200).json({ created: result.created, updated: result.updated, data: result.data });
+    } catch (error) {
+      logger.error(`Error marking bulk attendance: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
 
 /**
  * @swagger
- * /api/volunteerAttendance/{id}:
+ * /api/volunteer-attendance/{id}:
  *   put:
  *     summary: Update a volunteer attendance record by ID
  *     tags: [VolunteerAttendance]
- *     description: Update a volunteer attendance record by its ID. Admins can update any record, school admins can update records from their school, and employees can update records from their batch.
+ *     description: Update a volunteer attendance record of the user's NGO. Fields left out are unchanged.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -368,15 +653,19 @@ exports.createVolunteerAttendance = async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
- *               batch_id:
- *                 type: integer
  *               volunteer_id:
  *                 type: integer
+ *               event_id:
+ *                 type: integer
+ *               shift_id:
+ *                 type: integer
  *               status:
  *                 type: boolean
  *               date:
  *                 type: string
  *                 format: date-time
+ *               hours:
+ *                 type: number
  *     responses:
  *       200:
  *         description: Volunteer attendance record updated successfully.
@@ -384,6 +673,8 @@ exports.createVolunteerAttendance = async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/VolunteerAttendance'
+ *       400:
+ *         description: Invalid input, or the volunteer, event or shift was not found.
  *       401:
  *         description: Unauthorized. User lacks necessary privileges.
  *       404:
@@ -391,72 +682,70 @@ exports.createVolunteerAttendance = async (req, res) => {
  *       500:
  *         description: Internal server error.
  */
-exports.updateVolunteerAttendance = async (req, res) => {
-  const currentUser = req.user;
-  const { id } = req.params;
-  const { batch_id, volunteer_id, status, date } = req.body;
+exports.updateVolunteerAttendance = [
+  ...recordValidators(true),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-  try {
-    // Fetch the volunteer attendance record
-    const volunteerAttendance = await VolunteerAttendance.findByPk(id, {
-      include: [
-        {
-          model: Batch,
-          as: 'Batch',
-          required: true
-        },
-        {
-          model: User,
-          as: 'User',
-          required: true
-        }
-      ]
-    });
+    const currentUser = req.user;
+    const { id } = req.params;
 
-    if (!volunteerAttendance) {
-      return res.status(404).send("Volunteer attendance record not found.");
-    }
+    try {
+      const volunteerAttendance = await VolunteerAttendance.findOne({ where: scopeWhere(currentUser, { id }) });
 
-    // Check user permissions
-    if (currentUser.type === "school_admin") {
-      // Assuming User has a school_id field and Batch has a school_id field
-      if (volunteerAttendance.Batch.school_id !== currentUser.school_id) {
-        return res.status(401).send("Unauthorized. You can only update volunteer attendance for your school's batches.");
+      if (!volunteerAttendance) {
+        return res.status(404).send("Volunteer attendance record not found.");
       }
-    } else if (currentUser.type === "employee") {
-      // Assuming User has a batch_id field
-      if (volunteerAttendance.batch_id !== currentUser.batch_id) {
-        return res.status(401).send("Unauthorized. You can only update volunteer attendance for your batch.");
+
+      const changes = {};
+      ["volunteer_id", "event_id", "shift_id", "status", "date", "hours"].forEach((field) => {
+        if (req.body[field] !== undefined) {
+          changes[field] = req.body[field];
+        }
+      });
+
+      const linkError = await checkLinks(volunteerAttendance.ngo_id, {
+        volunteer_id: changes.volunteer_id,
+        event_id: changes.event_id === undefined ? volunteerAttendance.event_id : changes.event_id,
+        shift_id: changes.shift_id === undefined ? volunteerAttendance.shift_id : changes.shift_id,
+      });
+      if (linkError) {
+        return res.status(400).send(linkError);
       }
-    } else if (currentUser.type !== "admin") {
-      return res.status(401).send("Unauthorized. Only admins, school admins, and employees can update volunteer attendance.");
-    }
 
-    // Update the volunteer attendance record
-    volunteerAttendance.batch_id = batch_id;
-    volunteerAttendance.volunteer_id = volunteer_id;
-    volunteerAttendance.status = status;
-    volunteerAttendance.date = date;
+      if (["event_id", "shift_id", "date"].some((field) => changes[field] !== undefined)) {
+        changes.occurrence = await recordOccurrence({
+          event_id: changes.event_id === undefined ? volunteerAttendance.event_id : changes.event_id,
+          shift_id: changes.shift_id === undefined ? volunteerAttendance.shift_id : changes.shift_id,
+          date: changes.date === undefined ? volunteerAttendance.date : changes.date,
+        });
+      }
 
-    await volunteerAttendance.save();
+      await volunteerAttendance.update(changes);
 
-    res.status(200).json(volunteerAttendance);
-  } catch (error) {
-    console.error(`Error updating volunteer attendance record: ${error.message}`);
-    res.status(500).json({
-      error: "Internal server error",
-      details: [error.message],
-    });
-  }
-};
+      logger.info(`Volunteer attendance ${volunteerAttendance.id} updated by user: ${currentUser.id}`);
+
+      res.status(200).json(volunteerAttendance);
+    } catch (error) {
+      logger.error(`Error updating volunteer attendance record: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
 
 /**
  * @swagger
- * /api/volunteerAttendance/{id}:
+ * /api/volunteer-attendance/{id}:
  *   delete:
  *     summary: Delete a volunteer attendance record by ID
  *     tags: [VolunteerAttendance]
- *     description: Delete a volunteer attendance record by its ID. Admins can delete any record, school admins can delete records from their school, and employees can delete records from their batch.
+ *     description: Delete a volunteer attendance record of the user's NGO.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -481,47 +770,19 @@ exports.deleteVolunteerAttendance = async (req, res) => {
   const { id } = req.params;
 
   try {
-    // Fetch the volunteer attendance record
-    const volunteerAttendance = await VolunteerAttendance.findByPk(id, {
-      include: [
-        {
-          model: Batch,
-          as: 'Batch',
-          required: true
-        },
-        {
-          model: User,
-          as: 'User',
-          required: true
-        }
-      ]
-    });
+    const volunteerAttendance = await VolunteerAttendance.findOne({ where: scopeWhere(currentUser, { id }) });
 
     if (!volunteerAttendance) {
       return res.status(404).send("Volunteer attendance record not found.");
     }
 
-    // Check user permissions
-    if (currentUser.type === "school_admin") {
-      // Assuming User has a school_id field and Batch has a school_id field
-      if (volunteerAttendance.Batch.school_id !== currentUser.school_id) {
-        return res.status(401).send("Unauthorized. You can only delete volunteer attendance for your school's batches.");
-      }
-    } else if (currentUser.type === "employee") {
-      // Assuming User has a batch_id field
-      if (volunteerAttendance.batch_id !== currentUser.batch_id) {
-        return res.status(401).send("Unauthorized. You can only delete volunteer attendance for your batch.");
-      }
-    } else if (currentUser.type !== "admin") {
-      return res.status(401).send("Unauthorized. Only admins, school admins, and employees can delete volunteer attendance.");
-    }
-
-    // Delete the volunteer attendance record
     await volunteerAttendance.destroy();
 
+    logger.info(`Volunteer attendance ${id} deleted by user: ${currentUser.id}`);
+
     res.status(204).send();
   } catch (error) {
-    console.error(`Error deleting volunteer attendance record: ${error.message}`);
+    logger.error(`Error deleting volunteer attendance record: ${error.message}`);
     res.status(500).json({
       error: "Internal server error",
       details: [error.message],
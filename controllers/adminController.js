@@ -15,7 +15,7 @@ const logger = require('../utils/logger');
  *           type: string
  *         password:
  *           type: string
- *         type:
+ *         role:
  *           type: string
  *           enum:
  *             - admin
@@ -57,7 +57,7 @@ const logger = require('../utils/logger');
  *       required:
  *         - username
  *         - password
- *         - type
+ *         - role
  */
 
 /**
@@ -117,7 +117,7 @@ exports.getAllAdmins = async (req, res) => {
 
   try {
     const admins = await User.findAll({
-      where: { type: 'admin' },
+      where: { role: 'admin' },
       order: [[sort, order]],
       limit,
       offset: (page - 1) * limit,
@@ -204,7 +204,7 @@ exports.getAdminById = async (req, res) => {
  *                 type: string
  *               password:
  *                 type: string
- *               type:
+ *               role:
  *                 type: string
  *                 enum:
  *                   - admin
@@ -246,7 +246,7 @@ exports.getAdminById = async (req, res) => {
  *             required:
  *               - username
  *               - password
- *               - type
+ *               - role
  *     responses:
  *       201:
  *         description: The created admin object.
@@ -262,7 +262,7 @@ exports.getAdminById = async (req, res) => {
 exports.createAdmin = [
   body('username').notEmpty().withMessage('Username is required'),
   body('password').notEmpty().withMessage('Password is required'),
-  body('type').equals('admin').withMessage('Invalid admin type'),
+  body('role').equals('admin').withMessage('Invalid admin role'),
   body('email').isEmail().withMessage('Invalid email'),
   body('phone').optional().isString(),
   body('firstName').optional().isString(),
@@ -286,11 +286,6 @@ exports.createAdmin = [
 
     const currentUser = req.user;
 
-    if (currentUser.type !== 'admin') {
-      logger.warn('Unauthorized access attempt by user: ' + currentUser.id);
-      return res.status(401).send('Unauthorized. Only admin users can create other admins.');
-    }
-
     try {
       const newAdmin = await User.create(req.body);
       logger.info('Admin created successfully by admin: ' + currentUser.id);
@@ -411,11 +406,6 @@ exports.updateAdmin = [
 
     const currentUser = req.user;
 
-    if (currentUser.type !== 'admin') {
-      logger.warn('Unauthorized access attempt by user: ' + currentUser.id);
-      return res.status(401).send('Unauthorized. Only admin users can update admin details.');
-    }
-
     const { id } = req.params;
 
     try {
@@ -472,11 +462,6 @@ exports.deleteAdmin = async (req, res) => {
 
   const currentUser = req.user;
 
-  if (currentUser.type !== 'admin') {
-    logger.warn('Unauthorized access attempt by user: ' + currentUser.id);
-    return res.status(401).send('Unauthorized. Only admin users can delete admin accounts.');
-  }
-
   try {
     const admin = await User.findByPk(id);
 
@@ -0,0 +1,413 @@
+const { Op } = require("sequelize");
+const AidAllocation = require("../models/AidAllocation");
+const Beneficiary = require("../models/Beneficiary");
+const Project = require("../models/Project");
+const ProjectEnrollment = require("../models/ProjectEnrollment");
+const Report = require("../models/Report");
+const sequelize = require("../config/db");
+const logger = require("../utils/logger");
+const { scopeWhere } = require("../utils/ngoScope");
+const { toCents } = require("../utils/money");
+const { attachBalances, disbursedInCents, lockAllocation } = require("../utils/aidAllocations");
+const { body, param, validationResult } = require("express-validator");
+
+// Load a beneficiary visible to the current user, or null.
+const findBeneficiary = (currentUser, id) =>
+  Beneficiary.findOne({ where: scopeWhere(currentUser, { id }) });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AidAllocation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         ngo_id:
+ *           type: integer
+ *           description: ID of the NGO that owns this record
+ *         beneficiary_id:
+ *           type: integer
+ *         project_id:
+ *           type: integer
+ *           nullable: true
+ *         approvedAmount:
+ *           type: string
+ *           description: Most that may be disbursed under this allocation
+ *         currency:
+ *           type: string
+ *           example: INR
+ *         periodStart:
+ *           type: string
+ *           format: date
+ *         periodEnd:
+ *           type: string
+ *           format: date
+ *         purpose:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [approved, revoked]
+ *         approvedBy:
+ *           type: integer
+ *           description: ID of the user who approved the allocation
+ *         disbursedAmount:
+ *           type: string
+ *         remainingAmount:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Aid Allocations
+ *   description: Endpoints for approving the aid a beneficiary may receive
+ */
+
+/**
+ * @swagger
+ * /api/beneficiaries/{id}/aid-allocations:
+ *   get:
+ *     summary: List a beneficiary's aid allocations
+ *     tags: [Aid Allocations]
+ *     description: Retrieve the aid approved for a beneficiary with the amount disbursed and remaining under each allocation.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the beneficiary
+ *     responses:
+ *       200:
+ *         description: The beneficiary's aid allocations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AidAllocation'
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: Beneficiary not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getAidAllocations = [
+  param("id").isInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id } = req.params;
+
+    try {
+      const beneficiary = await findBeneficiary(currentUser, id);
+
+      if (!beneficiary) {
+        logger.warn("Beneficiary not found with ID: " + id);
+        return res.status(404).send("Beneficiary not found.");
+      }
+
+      const allocations = await AidAllocation.findAll({
+        where: { beneficiary_id: beneficiary.id },
+        include: [{ model: Project, attributes: ["id", "name"] }],
+        order: [["periodStart", "desc"]],
+      });
+
+      logger.info(`Aid allocations for beneficiary ${id} retrieved by user: ${currentUser.id}`);
+
+      res.status(200).json({ data: await attachBalances(allocations) });
+    } catch (error) {
+      logger.error(`Error fetching aid allocations: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/beneficiaries/{id}/aid-allocations:
+ *   post:
+ *     summary: Approve aid for a beneficiary
+ *     tags: [Aid Allocations]
+ *     description: Approve an amount of aid a beneficiary may receive within a period. Aid funded by a project requires the beneficiary to be enrolled in it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the beneficiary
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - approvedAmount
+ *               - periodStart
+ *               - periodEnd
+ *             properties:
+ *               approvedAmount:
+ *                 type: number
+ *               currency:
+ *                 type: string
+ *                 example: INR
+ *               periodStart:
+ *                 type: string
+ *                 format: date
+ *               periodEnd:
+ *                 type: string
+ *                 format: date
+ *               purpose:
+ *                 type: string
+ *               project_id:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Aid allocation approved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AidAllocation'
+ *       400:
+ *         description: Bad request. Validation errors.
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: Beneficiary not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.createAidAllocation = [
+  param("id").isInt(),
+  body("approvedAmount").isDecimal({ decimal_digits: "0,2" }).custom((value) => parseFloat(value) > 0)
+    .withMessage("approvedAmount must be a positive amount with at most two decimal places"),
+  body("currency").optional().isISO4217().withMessage("currency must be an ISO 4217 code"),
+  body("periodStart").isISO8601().withMessage("periodStart must be a valid date"),
+  body("periodEnd").isISO8601().withMessage("periodEnd must be a valid date")
+    .custom((value, { req }) => value >= req.body.periodStart).withMessage("periodEnd must not be before periodStart"),
+  body("purpose").optional().isString(),
+  body("project_id").optional({ nullable: true }).isInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id } = req.params;
+    const { approvedAmount, currency, periodStart, periodEnd, purpose, project_id } = req.body;
+
+    try {
+      const beneficiary = await findBeneficiary(currentUser, id);
+
+      if (!beneficiary) {
+        logger.warn("Beneficiary not found with ID: " + id);
+        return res.status(404).send("Beneficiary not found.");
+      }
+
+      if (project_id) {
+        const enrollment = await ProjectEnrollment.findOne({
+          where: { beneficiary_id: beneficiary.id, project_id },
+        });
+        if (!enrollment) {
+          return res.status(400).send("Beneficiary is not enrolled in this project.");
+        }
+      }
+
+      const allocation = await AidAllocation.create({
+        ngo_id: beneficiary.ngo_id,
+        beneficiary_id: beneficiary.id,
+        project_id: project_id || null,
+        approvedAmount,
+        currency: currency ? currency.toUpperCase() : undefined,
+        periodStart: periodStart.slice(0, 10),
+        periodEnd: periodEnd.slice(0, 10),
+        purpose,
+        approvedBy: currentUser.id,
+      });
+
+      logger.info(`Aid allocation ${allocation.id} approved for beneficiary ${id} by user: ${currentUser.id}`);
+
+      res.status(201).json(allocation);
+    } catch (error) {
+      logger.error(`Error approving aid allocation: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/beneficiaries/{id}/aid-allocations/{allocationId}:
+ *   put:
+ *     summary: Update an aid allocation
+ *     tags: [Aid Allocations]
+ *     description: Change the approved amount, period or purpose of an allocation, or revoke it. The approved amount cannot drop below what has already been disbursed, and the period must still cover every disbursement.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the beneficiary
+ *       - in: path
+ *         name: allocationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the allocation to update
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               approvedAmount:
+ *                 type: number
+ *               periodStart:
+ *                 type: string
+ *                 format: date
+ *               periodEnd:
+ *                 type: string
+ *                 format: date
+ *               purpose:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [approved, revoked]
+ *     responses:
+ *       200:
+ *         description: Aid allocation updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AidAllocation'
+ *       400:
+ *         description: Bad request. Validation errors.
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: Beneficiary or allocation not found.
+ *       409:
+ *         description: The change would leave existing disbursements outside the allocation.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.updateAidAllocation = [
+  param("id").isInt(),
+  param("allocationId").isInt(),
+  body("approvedAmount").optional().isDecimal({ decimal_digits: "0,2" }).custom((value) => parseFloat(value) > 0)
+    .withMessage("approvedAmount must be a positive amount with at most two decimal places"),
+  body("periodStart").optional().isISO8601().withMessage("periodStart must be a valid date"),
+  body("periodEnd").optional().isISO8601().withMessage("periodEnd must be a valid date"),
+  body("purpose").optional().isString(),
+  body("status").optional().isIn(["approved", "revoked"]),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id, allocationId } = req.params;
+    const { approvedAmount, periodStart, periodEnd, purpose, status } = req.body;
+
+    try {
+      const beneficiary = await findBeneficiary(currentUser, id);
+
+      if (!beneficiary) {
+        logger.warn("Beneficiary not found with ID: " + id);
+        return res.status(404).send("Beneficiary not found.");
+      }
+
+      const exists = await AidAllocation.count({ where: { id: allocationId, beneficiary_id: beneficiary.id } });
+
+      if (!exists) {
+        logger.warn("Aid allocation not found with ID: " + allocationId);
+        return res.status(404).send("Aid allocation not found.");
+      }
+
+      // Checked against existing disbursements with the allocation locked, so
+      // none can be recorded between the check and the save.
+      const conflict = await sequelize.transaction(async (transaction) => {
+        const allocation = await lockAllocation(allocationId, transaction);
+
+        if (approvedAmount !== undefined) allocation.approvedAmount = approvedAmount;
+        if (periodStart !== undefined) allocation.periodStart = periodStart.slice(0, 10);
+        if (periodEnd !== undefined) allocation.periodEnd = periodEnd.slice(0, 10);
+        if (purpose !== undefined) allocation.purpose = purpose;
+        if (status !== undefined) allocation.status = status;
+
+        if (allocation.periodEnd < allocation.periodStart) {
+          return { status: 400, message: "periodEnd must not be before periodStart." };
+        }
+
+        const disbursed = await disbursedInCents(allocation.id, { transaction });
+        if (toCents(allocation.approvedAmount) < disbursed) {
+          return { status: 409, message: "approvedAmount cannot be less than the amount already disbursed." };
+        }
+
+        const outsidePeriod = await Report.count({
+          where: {
+            aid_allocation_id: allocation.id,
+            [Op.or]: [
+              { aid_date: { [Op.lt]: allocation.periodStart } },
+              { aid_date: { [Op.gt]: allocation.periodEnd } },
+            ],
+          },
+          transaction,
+        });
+        if (outsidePeriod > 0) {
+          return { status: 409, message: "The allocation period must cover every existing disbursement." };
+        }
+
+        await allocation.save({ transaction });
+        return null;
+      });
+
+      if (conflict) {
+        return res.status(conflict.status).send(conflict.message);
+      }
+
+      const allocation = await AidAllocation.findByPk(allocationId);
+
+      logger.info(`Aid allocation ${allocationId} updated by user: ${currentUser.id}`);
+
+      res.status(200).json((await attachBalances([allocation]))[0]);
+    } catch (error) {
+      logger.error(`Error updating aid allocation: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
@@ -0,0 +1,487 @@
+const ApiKey = require("../models/ApiKey");
+const logger = require("../utils/logger");
+const { scopeWhere, resolveNgoId } = require("../utils/ngoScope");
+const { PERMISSIONS, PLATFORM_PERMISSIONS, hasPermission } = require("../utils/permissions");
+const { generateApiKey, isValidIpRule } = require("../utils/apiKeys");
+const { body, param, validationResult } = require("express-validator");
+
+// Keys act within one NGO and cannot issue other keys.
+const GRANTABLE_SCOPES = Object.keys(PERMISSIONS).filter(
+  (permission) => !PLATFORM_PERMISSIONS.includes(permission) && permission !== "api_keys:manage"
+);
+
+// Never send the key hash back to clients.
+const KEY_ATTRIBUTES = { exclude: ["keyHash"] };
+
+const toJSON = (apiKey) => {
+  const { keyHash, ...fields } = apiKey.get({ plain: true });
+  return fields;
+};
+
+const scopeValidators = (optional) => [
+  (optional ? body("scopes").optional() : body("scopes"))
+    .isArray({ min: 1 })
+    .withMessage("scopes must be a non-empty array"),
+  body("scopes.*").isIn(GRANTABLE_SCOPES).withMessage("Unknown or non-grantable scope"),
+  body("allowedIps").optional({ values: "null" }).isArray().withMessage("allowedIps must be an array"),
+  body("allowedIps.*").custom(isValidIpRule).withMessage("allowedIps entries must be IP addresses or CIDR ranges"),
+  body("expiresAt")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("expiresAt must be a date")
+    .custom((value) => new Date(value) > new Date())
+    .withMessage("expiresAt must be in the future"),
+];
+
+// Users can only hand a key permissions they hold themselves.
+const ungrantedScopes = async (user, scopes) => {
+  const missing = [];
+  for (const scope of scopes) {
+    if (!(await hasPermission(user, scope))) {
+      missing.push(scope);
+    }
+  }
+  return missing;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         ngo_id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         prefix:
+ *           type: string
+ *           description: First characters of the key, to tell keys apart
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["donors:read", "donations:write"]
+ *         allowedIps:
+ *           type: array
+ *           nullable: true
+ *           items:
+ *             type: string
+ *           example: ["203.0.113.10", "10.0.0.0/8"]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastUsedIp:
+ *           type: string
+ *           nullable: true
+ *         createdBy:
+ *           type: integer
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         revokedBy:
+ *           type: integer
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: API Keys
+ *   description: Keys for service-to-service integrations, sent in the X-API-Key header
+ */
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   get:
+ *     summary: Get API keys
+ *     tags: [API Keys]
+ *     description: Lists the NGO's API keys, including revoked and expired ones. Keys themselves are never returned after they are issued.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: A list of API keys.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: Unauthorized. User lacks the api_keys:manage permission.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getApiKeys = async (req, res) => {
+  const currentUser = req.user;
+
+  try {
+    const apiKeys = await ApiKey.findAll({
+      where: scopeWhere(currentUser),
+      attributes: KEY_ATTRIBUTES,
+      order: [["createdAt", "desc"]],
+    });
+
+    res.status(200).json(apiKeys);
+  } catch (error) {
+    logger.error(`Error fetching API keys: ${error.message}`);
+    res.status(500).json({
+      error: "Internal server error",
+      details: [error.message],
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   get:
+ *     summary: Get an API key by ID
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The API key.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: Unauthorized. User lacks the api_keys:manage permission.
+ *       404:
+ *         description: API key not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getApiKeyById = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    try {
+      const apiKey = await ApiKey.findOne({
+        where: scopeWhere(currentUser, { id: req.params.id }),
+        attributes: KEY_ATTRIBUTES,
+      });
+
+      if (!apiKey) {
+        return res.status(404).send("API key not found.");
+      }
+
+      res.status(200).json(apiKey);
+    } catch (error) {
+      logger.error(`Error fetching API key: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   post:
+ *     summary: Issue an API key
+ *     tags: [API Keys]
+ *     description: Issues a key for the NGO with the given scopes. The key is returned only in this response; store it securely. Scopes are limited to permissions the caller holds, and cannot include platform permissions or api_keys:manage. Platform admins must pass ngo_id.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               ngo_id:
+ *                 type: integer
+ *               name:
+ *                 type: string
+ *                 example: Accounting sync
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               allowedIps:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: IP addresses or CIDR ranges allowed to use the key. Omit to allow any address.
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: The issued key. `key` is not shown again.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiKey'
+ *                 - type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *       400:
+ *         description: Invalid input, or a scope the caller does not hold.
+ *       401:
+ *         description: Unauthorized. User lacks the api_keys:manage permission.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.createApiKey = [
+  body("name").isString().trim().notEmpty().withMessage("Name is required"),
+  body("ngo_id").optional().isInt().withMessage("ngo_id must be an integer"),
+  ...scopeValidators(false),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+    const ngoId = resolveNgoId(currentUser, req.body.ngo_id);
+    if (!ngoId) {
+      return res.status(400).send("ngo_id is required.");
+    }
+
+    const scopes = [...new Set(req.body.scopes)];
+
+    try {
+      const missing = await ungrantedScopes(currentUser, scopes);
+      if (missing.length > 0) {
+        return res.status(400).send(`You cannot grant permissions you do not hold: ${missing.join(", ")}.`);
+      }
+
+      const { key, prefix, keyHash } = generateApiKey();
+      const apiKey = await ApiKey.create({
+        ngo_id: ngoId,
+        name: req.body.name,
+        prefix,
+        keyHash,
+        scopes,
+        allowedIps: req.body.allowedIps && req.body.allowedIps.length > 0 ? req.body.allowedIps : null,
+        expiresAt: req.body.expiresAt || null,
+        createdBy: currentUser.id,
+      });
+
+      logger.info(`API key ${apiKey.id} (${prefix}) issued for NGO ${ngoId} by user: ${currentUser.id}`);
+
+      res.status(201).json({ ...toJSON(apiKey), key });
+    } catch (error) {
+      logger.error(`Error issuing API key: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   put:
+ *     summary: Update an API key
+ *     tags: [API Keys]
+ *     description: Changes a key's name, scopes, IP allow-list or expiry. The key itself stays the same. Revoked keys cannot be changed.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               allowedIps:
+ *                 type: array
+ *                 nullable: true
+ *                 items:
+ *                   type: string
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: The updated API key.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         description: Invalid input, or a scope the caller does not hold.
+ *       401:
+ *         description: Unauthorized. User lacks the api_keys:manage permission.
+ *       404:
+ *         description: API key not found.
+ *       409:
+ *         description: The key has been revoked.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.updateApiKey = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  body("name").optional().isString().trim().notEmpty().withMessage("Name cannot be empty"),
+  ...scopeValidators(true),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    try {
+      const apiKey = await ApiKey.findOne({ where: scopeWhere(currentUser, { id: req.params.id }) });
+
+      if (!apiKey) {
+        return res.status(404).send("API key not found.");
+      }
+
+      if (apiKey.revokedAt) {
+        return res.status(409).send("API key has been revoked.");
+      }
+
+      if (req.body.scopes !== undefined) {
+        const scopes = [...new Set(req.body.scopes)];
+        const missing = await ungrantedScopes(currentUser, scopes);
+        if (missing.length > 0) {
+          return res.status(400).send(`You cannot grant permissions you do not hold: ${missing.join(", ")}.`);
+        }
+        apiKey.scopes = scopes;
+      }
+      if (req.body.name !== undefined) {
+        apiKey.name = req.body.name;
+      }
+      if (req.body.allowedIps !== undefined) {
+        apiKey.allowedIps = req.body.allowedIps && req.body.allowedIps.length > 0 ? req.body.allowedIps : null;
+      }
+      if (req.body.expiresAt !== undefined) {
+        apiKey.expiresAt = req.body.expiresAt || null;
+      }
+      await apiKey.save();
+
+      logger.info(`API key ${apiKey.id} updated by user: ${currentUser.id}`);
+
+      res.status(200).json(toJSON(apiKey));
+    } catch (error) {
+      logger.error(`Error updating API key: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [API Keys]
+ *     description: The key stops working immediately. The record is kept for auditing.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The revoked API key.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: Unauthorized. User lacks the api_keys:manage permission.
+ *       404:
+ *         description: API key not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.revokeApiKey = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    try {
+      const apiKey = await ApiKey.findOne({ where: scopeWhere(currentUser, { id: req.params.id }) });
+
+      if (!apiKey) {
+        return res.status(404).send("API key not found.");
+      }
+
+      if (!apiKey.revokedAt) {
+        apiKey.revokedAt = new Date();
+        apiKey.revokedBy = currentUser.id;
+        await apiKey.save();
+        logger.info(`API key ${apiKey.id} revoked by user: ${currentUser.id}`);
+      }
+
+      res.status(200).json(toJSON(apiKey));
+    } catch (error) {
+      logger.error(`Error revoking API key: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
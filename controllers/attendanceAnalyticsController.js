@@ -0,0 +1,368 @@
+const { Op } = require("sequelize");
+const VolunteerAttendance = require("../models/Volunteerattendance");
+const Volunteer = require("../models/Volunteer");
+const Event = require("../models/Event");
+const logger = require("../utils/logger");
+const { scopeWhere } = require("../utils/ngoScope");
+const {
+  toAppearances,
+  ratesByVolunteer,
+  ratesByEvent,
+  ratesByMonth,
+  noShowStreaks,
+  mostReliable,
+} = require("../utils/attendanceStats");
+const { query, validationResult } = require("express-validator");
+
+const rangeValidators = [
+  query("from").optional().isDate().withMessage("from must be a date (YYYY-MM-DD)"),
+  query("to")
+    .optional()
+    .isDate()
+    .withMessage("to must be a date (YYYY-MM-DD)")
+    .custom((value, { req }) => !req.query.from || value >= req.query.from)
+    .withMessage("to cannot be before from"),
+  query("volunteer_id").optional().isInt().withMessage("volunteer_id must be an integer"),
+  query("event_id").optional().isInt().withMessage("event_id must be an integer"),
+];
+
+// Appearances (see utils/attendanceStats) in the user's NGO, narrowed by
+// the range and filters in the query.
+const loadAppearances = async (currentUser, { from, to, volunteer_id, event_id }) => {
+  const where = { status: { [Op.ne]: null } };
+  if (volunteer_id) {
+    where.volunteer_id = volunteer_id;
+  }
+  if (event_id) {
+    where.event_id = event_id;
+  }
+  if (from || to) {
+    where.date = {};
+    if (from) {
+      where.date[Op.gte] = new Date(`${from}T00:00:00`);
+    }
+    if (to) {
+      where.date[Op.lte] = new Date(`${to}T23:59:59.999`);
+    }
+  }
+
+  const records = await VolunteerAttendance.findAll({
+    where: scopeWhere(currentUser, where),
+    attributes: ["id", "volunteer_id", "event_id", "occurrence", "status", "date"],
+    raw: true,
+  });
+  return toAppearances(records);
+};
+
+// Add the volunteer's name to rows keyed by volunteer_id.
+const withVolunteerNames = async (rows) => {
+  const volunteers = await Volunteer.findAll({
+    where: { id: rows.map((row) => row.volunteer_id) },
+    attributes: ["id", "name"],
+  });
+  const names = new Map(volunteers.map((volunteer) => [volunteer.id, volunteer.name]));
+  return rows.map((row) => ({ ...row, name: names.get(row.volunteer_id) || null }));
+};
+
+// Handler running report(appearances, req) after validating the query.
+const analytics = (label, validators, report) => [
+  ...rangeValidators,
+  ...validators,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const appearances = await loadAppearances(req.user, req.query);
+      res.status(200).json(await report(appearances, req));
+    } catch (error) {
+      logger.error(`Error computing ${label}: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AttendanceRate:
+ *       type: object
+ *       properties:
+ *         expected:
+ *           type: integer
+ *           description: Events the volunteer was marked for, present or absent
+ *         attended:
+ *           type: integer
+ *         noShows:
+ *           type: integer
+ *         rate:
+ *           type: number
+ *           description: attended / expected, from 0 to 1
+ *   parameters:
+ *     AttendanceFrom:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *         format: date
+ *     AttendanceTo:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *         format: date
+ *     AttendanceVolunteer:
+ *       in: query
+ *       name: volunteer_id
+ *       schema:
+ *         type: integer
+ *     AttendanceEvent:
+ *       in: query
+ *       name: event_id
+ *       schema:
+ *         type: integer
+ */
+
+/**
+ * @swagger
+ * /api/volunteer-attendance/analytics/volunteers:
+ *   get:
+ *     summary: Attendance rate per volunteer
+ *     tags: [VolunteerAttendance]
+ *     description: How often each volunteer turned up when marked for an event, highest rate first. A volunteer counts once per event occurrence however many shifts they had.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AttendanceFrom'
+ *       - $ref: '#/components/parameters/AttendanceTo'
+ *       - $ref: '#/components/parameters/AttendanceVolunteer'
+ *       - $ref: '#/components/parameters/AttendanceEvent'
+ *     responses:
+ *       200:
+ *         description: One row per volunteer.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/AttendanceRate'
+ *                   - type: object
+ *                     properties:
+ *                       volunteer_id:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *       400:
+ *         description: Invalid input.
+ *       401:
+ *         description: Unauthorized.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getVolunteerRates = analytics("attendance rates per volunteer", [], (appearances) =>
+  withVolunteerNames(ratesByVolunteer(appearances))
+);
+
+/**
+ * @swagger
+ * /api/volunteer-attendance/analytics/events:
+ *   get:
+ *     summary: Attendance rate per event
+ *     tags: [VolunteerAttendance]
+ *     description: Share of the volunteers marked for each event who turned up, in date order.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AttendanceFrom'
+ *       - $ref: '#/components/parameters/AttendanceTo'
+ *       - $ref: '#/components/parameters/AttendanceVolunteer'
+ *       - $ref: '#/components/parameters/AttendanceEvent'
+ *     responses:
+ *       200:
+ *         description: One row per event.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/AttendanceRate'
+ *                   - type: object
+ *                     properties:
+ *                       event_id:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                       date:
+ *                         type: string
+ *                         format: date-time
+ *       400:
+ *         description: Invalid input.
+ *       401:
+ *         description: Unauthorized.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getEventRates = analytics("attendance rates per event", [], async (appearances) => {
+  const rows = ratesByEvent(appearances);
+  const events = await Event.findAll({
+    where: { id: rows.map((row) => row.event_id) },
+    attributes: ["id", "name"],
+  });
+  const names = new Map(events.map((event) => [event.id, event.name]));
+  return rows.map((row) => ({ ...row, name: names.get(row.event_id) || null }));
+});
+
+/**
+ * @swagger
+ * /api/volunteer-attendance/analytics/months:
+ *   get:
+ *     summary: Attendance rate per month
+ *     tags: [VolunteerAttendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AttendanceFrom'
+ *       - $ref: '#/components/parameters/AttendanceTo'
+ *       - $ref: '#/components/parameters/AttendanceVolunteer'
+ *       - $ref: '#/components/parameters/AttendanceEvent'
+ *     responses:
+ *       200:
+ *         description: One row per month with attendance, oldest first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/AttendanceRate'
+ *                   - type: object
+ *                     properties:
+ *                       month:
+ *                         type: string
+ *                         example: 2026-03
+ *       400:
+ *         description: Invalid input.
+ *       401:
+ *         description: Unauthorized.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getMonthlyRates = analytics("monthly attendance rates", [], (appearances) => ratesByMonth(appearances));
+
+/**
+ * @swagger
+ * /api/volunteer-attendance/analytics/no-show-streaks:
+ *   get:
+ *     summary: Volunteers on a run of no-shows
+ *     tags: [VolunteerAttendance]
+ *     description: Volunteers whose most recent appearances in a row were no-shows, longest run first, with the longest run each has had.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AttendanceFrom'
+ *       - $ref: '#/components/parameters/AttendanceTo'
+ *       - $ref: '#/components/parameters/AttendanceVolunteer'
+ *       - $ref: '#/components/parameters/AttendanceEvent'
+ *       - in: query
+ *         name: minStreak
+ *         schema:
+ *           type: integer
+ *           default: 2
+ *     responses:
+ *       200:
+ *         description: One row per volunteer on a streak.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   volunteer_id:
+ *                     type: integer
+ *                   name:
+ *                     type: string
+ *                   currentStreak:
+ *                     type: integer
+ *                   longestStreak:
+ *                     type: integer
+ *                   lastNoShow:
+ *                     type: string
+ *                     format: date-time
+ *                   lastEventId:
+ *                     type: integer
+ *       400:
+ *         description: Invalid input.
+ *       401:
+ *         description: Unauthorized.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getNoShowStreaks = analytics(
+  "no-show streaks",
+  [query("minStreak").optional().isInt({ min: 1 }).withMessage("minStreak must be a positive integer").toInt()],
+  (appearances, req) => withVolunteerNames(noShowStreaks(appearances, req.query.minStreak || 2))
+);
+
+/**
+ * @swagger
+ * /api/volunteer-attendance/analytics/reliable-volunteers:
+ *   get:
+ *     summary: Most reliable volunteers
+ *     tags: [VolunteerAttendance]
+ *     description: Volunteers with the best attendance rate among those marked for at least minEvents events; ties go to whoever attended more.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AttendanceFrom'
+ *       - $ref: '#/components/parameters/AttendanceTo'
+ *       - in: query
+ *         name: minEvents
+ *         schema:
+ *           type: integer
+ *           default: 3
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: The volunteers, most reliable first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/AttendanceRate'
+ *                   - type: object
+ *                     properties:
+ *                       volunteer_id:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *       400:
+ *         description: Invalid input.
+ *       401:
+ *         description: Unauthorized.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getReliableVolunteers = analytics(
+  "most reliable volunteers",
+  [
+    query("minEvents").optional().isInt({ min: 1 }).withMessage("minEvents must be a positive integer").toInt(),
+    query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("limit must be between 1 and 100").toInt(),
+  ],
+  (appearances, req) =>
+    withVolunteerNames(mostReliable(appearances, { minEvents: req.query.minEvents || 3, limit: req.query.limit || 10 }))
+);
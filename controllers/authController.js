@@ -1,6 +1,20 @@
-const jwt = require("jsonwebtoken");
 const bcrypt = require("bcryptjs");
 const User = require("../models/User");
+const NGO = require("../models/NGO");
+const sequelize = require("../config/db");
+const logger = require("../utils/logger");
+const { consumeToken, sendPasswordResetEmail, sendVerificationEmail } = require("../utils/accountTokens");
+const { retryAfter, recordFailure, recordSuccess } = require("../utils/loginThrottle");
+const { isTwoFactorRequired, findCredential, isEnrolled, signChallenge } = require("../utils/twoFactor");
+const {
+  tokenResponse,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+} = require("../utils/sessions");
+
+const DUMMY_HASH = bcrypt.hashSync("not-a-real-password", 8);
 
 /**
  * @swagger
@@ -13,8 +27,11 @@ const User = require("../models/User");
  * @swagger
  * /auth/register/admin:
  *   post:
- *     summary: Register as admin
+ *     summary: Register an admin
  *     tags: [Auth]
+ *     description: Creates a platform admin account. Only admins with the admins:manage permission may do so.
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -29,6 +46,8 @@ const User = require("../models/User");
  *     responses:
  *       200:
  *         description: User registered successfully as admin.
+ *       401:
+ *         description: Unauthorized. User lacks the admins:manage permission.
  *       500:
  *         description: Error on the server.
  */
@@ -38,7 +57,7 @@ exports.adminRegister = async (req, res) => {
 
     const hashedPassword = bcrypt.hashSync(password, 8);
 
-    await User.create({ username, password: hashedPassword, type: "admin" });
+    await User.create({ username, password: hashedPassword, role: "admin" });
 
     const response = {
       message: "User registered successfully as admin.",
@@ -53,10 +72,11 @@ exports.adminRegister = async (req, res) => {
 
 /**
  * @swagger
- * /auth/register/schooladmin:
+ * /auth/register/ngoadmin:
  *   post:
- *     summary: Register as school admin
+ *     summary: Register an NGO admin
  *     tags: [Auth]
+ *     description: Creates an admin account for an existing NGO. Only admins with the ngos:manage permission may do so.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -70,43 +90,73 @@ exports.adminRegister = async (req, res) => {
  *                 type: string
  *               password:
  *                 type: string
+ *               ngo_id:
+ *                 type: integer
+ *                 description: NGO the new admin will manage
  *     responses:
  *       200:
- *         description: User registered successfully as school admin.
- *       403:
- *         description: Access denied. Only admin can create school admins.
+ *         description: User registered successfully as ngo admin.
+ *       400:
+ *         description: ngo_id is required, or no NGO has that ID.
+ *       401:
+ *         description: Unauthorized. User lacks the ngos:manage permission.
  *       500:
  *         description: Error on the server.
  */
 exports.ngoAdminRegister = async (req, res) => {
   try {
-    const { username, password } = req.body;
+    const { username, password, ngo_id } = req.body;
+
+    if (!ngo_id) {
+      return res.status(400).send("ngo_id is required.");
+    }
+    if (!(await NGO.findByPk(ngo_id))) {
+      return res.status(400).send("NGO not found for ngo_id.");
+    }
 
     const hashedPassword = bcrypt.hashSync(password, 8);
 
-    if (req.user && req.user.type === "admin") {
-      await User.create({
-        username,
-        password: hashedPassword,
-        type: "ngo_admin",
-      });
+    await User.create({
+      username,
+      password: hashedPassword,
+      role: "ngo_admin",
+      ngo_id,
+    });
 
-      const response = {
-        message: "User registered successfully as ngo admin.",
-        username: username,
-      };
+    const response = {
+      message: "User registered successfully as ngo admin.",
+      username: username,
+    };
 
-      res.status(200).send(response);
-    } else {
-      res
-        .status(403)
-        .send("Access denied. Only admin can create school admins.");
-    }
+    res.status(200).send(response);
   } catch (err) {
     res.status(500).send("Error on the server.");
   }
 };
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuthTokens:
+ *       type: object
+ *       properties:
+ *         auth:
+ *           type: boolean
+ *           example: true
+ *         token:
+ *           type: string
+ *           description: Short-lived access token to send as a Bearer token
+ *           example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *         refreshToken:
+ *           type: string
+ *           description: Single-use token for POST /auth/refresh. Each refresh returns a new one.
+ *         expiresIn:
+ *           type: integer
+ *           description: Lifetime of the access token in seconds
+ *           example: 900
+ */
+
 /**
  * @swagger
  * /auth/login:
@@ -126,22 +176,31 @@ exports.ngoAdminRegister = async (req, res) => {
  *               password:
  *                 type: string
  *                 example: "password123"
+ *     description: |
+ *       First login step. Users without 2FA get their tokens straight away. Otherwise the response has `auth: false` and an `mfaToken` valid for five minutes:
+ *       - `mfaRequired` - send the mfaToken and a one-time code to /auth/login/2fa.
+ *       - `mfaEnrollmentRequired` - admin and NGO admin accounts must set up an authenticator first via /auth/2fa/setup and /auth/2fa/enable, passing the mfaToken.
  *     responses:
  *       200:
- *         description: User logged in successfully.
+ *         description: Password accepted. Either the session tokens, or a second-factor challenge.
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 auth:
- *                   type: boolean
- *                   example: true
- *                 token:
- *                   type: string
- *                   example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthTokens'
+ *                 - type: object
+ *                   properties:
+ *                     auth:
+ *                       type: boolean
+ *                       example: false
+ *                     mfaRequired:
+ *                       type: boolean
+ *                     mfaEnrollmentRequired:
+ *                       type: boolean
+ *                     mfaToken:
+ *                       type: string
  *       401:
- *         description: Invalid credentials.
+ *         description: Invalid credentials. The same response is returned for an unknown username and a wrong password.
  *         content:
  *           application/json:
  *             schema:
@@ -154,16 +213,13 @@ exports.ngoAdminRegister = async (req, res) => {
  *                   type: string
  *                   nullable: true
  *                   example: null
- *       404:
- *         description: User not found.
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
  *                 message:
  *                   type: string
- *                   example: "User not found."
+ *                   example: "Invalid username or password."
+ *       403:
+ *         description: The user's NGO is suspended.
+ *       429:
+ *         description: Too many failed attempts for this username or from this IP. The Retry-After header gives the wait in seconds.
  *       500:
  *         description: Error on the server.
  */
@@ -171,35 +227,448 @@ exports.login = async (req, res) => {
   try {
     const { username, password } = req.body;
 
+    if (typeof username !== "string" || typeof password !== "string") {
+      return res.status(400).json({ message: "username and password are required." });
+    }
+
+    const wait = await retryAfter(username, req.ip);
+    if (wait > 0) {
+      logger.warn(`Throttled login attempt for "${username}" from ${req.ip}`);
+      res.set("Retry-After", String(wait));
+      return res.status(429).json({
+        message: "Too many failed login attempts. Try again later.",
+        retryAfter: wait,
+      });
+    }
+
     const user = await User.findOne({
       where: { username: username }
     });
 
-    if (!user) {
-      return res.status(404).json({ message: "User not found." });
+    // Compare against a dummy hash for unknown usernames so both failures
+    // take the same time
+    const passwordIsValid = bcrypt.compareSync(password, user ? user.password : DUMMY_HASH);
+    if (!user || !passwordIsValid) {
+      await recordFailure(username, req.ip, user);
+      logger.warn(`Failed login for "${username}" from ${req.ip}`);
+      return res.status(401).json({
+        auth: false,
+        token: null,
+        message: "Invalid username or password."
+      });
     }
 
-    const passwordIsValid = bcrypt.compareSync(password, user.password);
-    if (!passwordIsValid) {
-      return res.status(401).json({
+    await recordSuccess(username);
+
+    if (user.ngo_id) {
+      const ngo = await NGO.findByPk(user.ngo_id);
+      if (!ngo || ngo.status === "suspended") {
+        return res.status(403).json({ message: "Your NGO account is suspended." });
+      }
+    }
+
+    // Second step: a one-time code, or enrolling an authenticator first for
+    // account types that must use 2FA
+    const credential = await findCredential(user.id);
+    if (isEnrolled(credential)) {
+      return res.status(200).json({
+        auth: false,
+        mfaRequired: true,
+        mfaToken: signChallenge(user, "login"),
+      });
+    }
+    if (isTwoFactorRequired(user)) {
+      return res.status(200).json({
         auth: false,
-        token: null
+        mfaEnrollmentRequired: true,
+        mfaToken: signChallenge(user, "enroll"),
       });
     }
 
-    const token = jwt.sign(
-      { id: user.id, type: user.type },
-      process.env.SECRET,
-      { expiresIn: 86400 }
-    );
+    const tokens = await createSession(user, req);
+
+    logger.info("User logged in: " + user.id);
+    res.status(200).json(tokens);
+  } catch (err) {
+    res.status(500).send("Error on the server.");
+  }
+  
+};
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for new tokens
+ *     tags: [Auth]
+ *     description: Returns a new access token and a new refresh token. The refresh token sent is used up; sending it again revokes the whole session.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokens'
+ *       400:
+ *         description: refreshToken is required.
+ *       401:
+ *         description: The refresh token is invalid, expired, revoked or already used.
+ *       403:
+ *         description: The user's NGO is suspended.
+ *       500:
+ *         description: Error on the server.
+ */
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== "string") {
+      return res.status(400).json({ message: "refreshToken is required." });
+    }
+
+    const result = await rotateSession(refreshToken, req);
+
+    if (result.error) {
+      if (result.reused) {
+        logger.warn(`Reused refresh token for session ${result.session.id}; session revoked`);
+      }
+      return res.status(401).json({ message: result.error });
+    }
+
+    const user = await User.findByPk(result.session.user_id);
+    if (!user) {
+      await revokeSession(result.session.id, "logout");
+      return res.status(401).json({ message: "Invalid refresh token." });
+    }
+
+    if (user.ngo_id) {
+      const ngo = await NGO.findByPk(user.ngo_id);
+      if (!ngo || ngo.status === "suspended") {
+        return res.status(403).json({ message: "Your NGO account is suspended." });
+      }
+    }
+
+    // Sessions opened before 2FA became mandatory must log in again
+    if (isTwoFactorRequired(user) && !isEnrolled(await findCredential(user.id))) {
+      await revokeSession(result.session.id, "logout");
+      return res.status(401).json({ message: "Two-factor authentication is required. Please log in again." });
+    }
+
+    res.status(200).json(tokenResponse(user, result.session, result.refreshToken));
+  } catch (err) {
+    logger.error(`Error refreshing token: ${err.message}`);
+    res.status(500).send("Error on the server.");
+  }
+};
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Log out of the current session
+ *     tags: [Auth]
+ *     description: Revokes the session the access token belongs to, so neither it nor its refresh token can be used again.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out.
+ *       401:
+ *         description: Access denied.
+ *       500:
+ *         description: Error on the server.
+ */
+exports.logout = async (req, res) => {
+  try {
+    await revokeSession(req.user.sessionId, "logout");
+
+    logger.info("User logged out: " + req.user.id);
+    res.status(200).json({ message: "Logged out." });
+  } catch (err) {
+    logger.error(`Error logging out: ${err.message}`);
+    res.status(500).send("Error on the server.");
+  }
+};
+
+/**
+ * @swagger
+ * /auth/logout-all:
+ *   post:
+ *     summary: Log out of every session
+ *     tags: [Auth]
+ *     description: Revokes all of the current user's sessions on every device, including this one.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 revokedSessions:
+ *                   type: integer
+ *       401:
+ *         description: Access denied.
+ *       500:
+ *         description: Error on the server.
+ */
+exports.logoutAll = async (req, res) => {
+  try {
+    const revokedSessions = await revokeUserSessions(req.user.id, "logout_all");
+
+    logger.info(`User ${req.user.id} logged out of ${revokedSessions} sessions`);
+    res.status(200).json({ message: "Logged out of all sessions.", revokedSessions });
+  } catch (err) {
+    logger.error(`Error logging out of all sessions: ${err.message}`);
+    res.status(500).send("Error on the server.");
+  }
+};
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     tags: [Auth]
+ *     description: Sends a single-use reset link to the address if it belongs to a user. The response is the same whether or not it does.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the address is registered.
+ *       400:
+ *         description: email is required.
+ *       500:
+ *         description: Error on the server.
+ */
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== "string") {
+      return res.status(400).json({ message: "email is required." });
+    }
+
+    const user = await User.findOne({ where: { email: email.trim() } });
+
+    if (user) {
+      try {
+        await sendPasswordResetEmail(user);
+        logger.info("Password reset requested for user: " + user.id);
+      } catch (mailError) {
+        logger.error(`Error sending password reset email to user ${user.id}: ${mailError.message}`);
+      }
+    } else {
+      logger.warn("Password reset requested for unknown email");
+    }
 
-    // Simplified response with just auth and token
     res.status(200).json({
-      auth: true,
-      token: token
+      message: "If that email is registered, a password reset link has been sent.",
     });
   } catch (err) {
+    logger.error(`Error requesting password reset: ${err.message}`);
     res.status(500).send("Error on the server.");
   }
-  
-};
\ No newline at end of file
+};
+
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     summary: Set a new password with a reset token
+ *     tags: [Auth]
+ *     description: Uses up the token from the reset email, sets the new password and logs the user out of every session.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Password reset.
+ *       400:
+ *         description: Missing fields, a password that is too short, or an invalid, expired or used token.
+ *       500:
+ *         description: Error on the server.
+ */
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || typeof token !== "string") {
+      return res.status(400).json({ message: "token is required." });
+    }
+    if (!password || typeof password !== "string" || password.length < 8) {
+      return res.status(400).json({ message: "password must be at least 8 characters." });
+    }
+
+    const user = await sequelize.transaction(async (transaction) => {
+      const userToken = await consumeToken(token, "password_reset", transaction);
+      if (!userToken) {
+        return null;
+      }
+
+      const account = await User.findByPk(userToken.user_id, { transaction });
+      if (!account || account.email !== userToken.email) {
+        return null;
+      }
+
+      account.password = bcrypt.hashSync(password, 8);
+      // The reset link reached this address, which proves the user owns it
+      if (!account.emailVerifiedAt) {
+        account.emailVerifiedAt = new Date();
+      }
+      await account.save({ transaction });
+      return account;
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: "Invalid or expired token." });
+    }
+
+    await revokeUserSessions(user.id, "password_reset");
+
+    logger.info("Password reset for user: " + user.id);
+    res.status(200).json({ message: "Password has been reset. Please log in again." });
+  } catch (err) {
+    logger.error(`Error resetting password: ${err.message}`);
+    res.status(500).send("Error on the server.");
+  }
+};
+
+/**
+ * @swagger
+ * /auth/verify-email:
+ *   post:
+ *     summary: Verify an email address
+ *     tags: [Auth]
+ *     description: Uses up the token from the verification email and marks the user's address as verified.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified.
+ *       400:
+ *         description: Invalid, expired or used token.
+ *       500:
+ *         description: Error on the server.
+ */
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== "string") {
+      return res.status(400).json({ message: "token is required." });
+    }
+
+    const user = await sequelize.transaction(async (transaction) => {
+      const userToken = await consumeToken(token, "email_verification", transaction);
+      if (!userToken) {
+        return null;
+      }
+
+      // A token sent to an old address does not verify the new one
+      const account = await User.findByPk(userToken.user_id, { transaction });
+      if (!account || account.email !== userToken.email) {
+        return null;
+      }
+
+      account.emailVerifiedAt = new Date();
+      await account.save({ transaction });
+      return account;
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: "Invalid or expired token." });
+    }
+
+    logger.info("Email verified for user: " + user.id);
+    res.status(200).json({ message: "Email verified.", email: user.email });
+  } catch (err) {
+    logger.error(`Error verifying email: ${err.message}`);
+    res.status(500).send("Error on the server.");
+  }
+};
+
+/**
+ * @swagger
+ * /auth/verify-email/resend:
+ *   post:
+ *     summary: Resend the verification email
+ *     tags: [Auth]
+ *     description: Sends a new verification link to the current user's email address. Earlier links stop working.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent.
+ *       400:
+ *         description: The user has no email address.
+ *       409:
+ *         description: The email address is already verified.
+ *       500:
+ *         description: Error on the server.
+ */
+exports.resendVerification = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+
+    if (!user.email) {
+      return res.status(400).json({ message: "No email address on file." });
+    }
+    if (user.emailVerifiedAt) {
+      return res.status(409).json({ message: "Email is already verified." });
+    }
+
+    await sendVerificationEmail(user);
+
+    logger.info("Verification email resent for user: " + user.id);
+    res.status(200).json({ message: "Verification email sent." });
+  } catch (err) {
+    logger.error(`Error resending verification email: ${err.message}`);
+    res.status(500).send("Error on the server.");
+  }
+};
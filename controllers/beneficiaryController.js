@@ -1,5 +1,6 @@
 const { Op } = require("sequelize");
 const Beneficiary = require("../models/Beneficiary");
+const { scopeWhere, resolveNgoId } = require("../utils/ngoScope");
 const logger = require("../utils/logger");
 const { body, param, query, validationResult } = require("express-validator");
 
@@ -12,6 +13,9 @@ const { body, param, query, validationResult } = require("express-validator");
  *       properties:
  *         id:
  *           type: integer
+ *         ngo_id:
+ *           type: integer
+ *           description: ID of the NGO that owns this record
  *         username:
  *           type: string
  *         type:
@@ -125,7 +129,7 @@ const { body, param, query, validationResult } = require("express-validator");
  *                     currentPage:
  *                       type: integer
  *       401:
- *         description: Unauthorized. User lacks admin privileges.
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
  *       500:
  *         description: Internal server error.
  */
@@ -143,11 +147,6 @@ exports.getAllBeneficiaries = [
 
     const currentUser = req.user;
 
-    if (currentUser.type !== "admin") {
-      logger.warn("Unauthorized access attempt by user: " + currentUser.id);
-      return res.status(401).send("Unauthorized. Only admin users can view beneficiaries.");
-    }
-
     let { page = 1, limit = 10, sortBy = "createdAt", order = "asc", search = "" } = req.query;
 
     page = parseInt(page, 10);
@@ -177,7 +176,7 @@ exports.getAllBeneficiaries = [
 
     try {
       const { rows: beneficiaries, count } = await Beneficiary.findAndCountAll({
-        where: searchCondition,
+        where: scopeWhere(currentUser, searchCondition),
         order: orderCondition,
         limit,
         offset: (page - 1) * limit
@@ -233,7 +232,7 @@ exports.getAllBeneficiaries = [
  *             schema:
  *               $ref: '#/components/schemas/Beneficiary'
  *       401:
- *         description: Unauthorized. User lacks admin privileges.
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
  *       404:
  *         description: Beneficiary not found.
  *       500:
@@ -249,15 +248,10 @@ exports.getBeneficiaryById = [
 
     const currentUser = req.user;
 
-    if (currentUser.type !== "admin") {
-      logger.warn("Unauthorized access attempt by user: " + currentUser.id);
-      return res.status(401).send("Unauthorized. Only admin users can view beneficiaries.");
-    }
-
     const { id } = req.params;
 
     try {
-      const beneficiary = await Beneficiary.findByPk(id);
+      const beneficiary = await Beneficiary.findOne({ where: scopeWhere(currentUser, { id }) });
 
       if (!beneficiary) {
         logger.warn("Beneficiary not found with ID: " + id);
@@ -346,7 +340,7 @@ exports.getBeneficiaryById = [
  *             schema:
  *               $ref: '#/components/schemas/Beneficiary'
  *       401:
- *         description: Unauthorized. User lacks admin privileges.
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
  *       500:
  *         description: Internal server error.
  */
@@ -377,15 +371,15 @@ exports.createBeneficiary = [
 
     const currentUser = req.user;
 
-    if (currentUser.type !== "admin") {
-      logger.warn("Unauthorized access attempt by user: " + currentUser.id);
-      return res.status(401).send("Unauthorized. Only admin users can create beneficiaries.");
-    }
-
     const beneficiaryData = req.body;
+    const ngoId = resolveNgoId(currentUser, beneficiaryData.ngo_id);
+
+    if (!ngoId) {
+      return res.status(400).send("ngo_id is required.");
+    }
 
     try {
-      const beneficiary = await Beneficiary.create(beneficiaryData);
+      const beneficiary = await Beneficiary.create({ ...beneficiaryData, ngo_id: ngoId });
       logger.info("Beneficiary created successfully by admin: " + currentUser.id);
       res.status(201).json(beneficiary);
     } catch (error) {
@@ -472,7 +466,7 @@ exports.createBeneficiary = [
  *             schema:
  *               $ref: '#/components/schemas/Beneficiary'
  *       401:
- *         description: Unauthorized. User lacks admin privileges.
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
  *       404:
  *         description: Beneficiary not found.
  *       500:
@@ -506,16 +500,11 @@ exports.updateBeneficiary = [
 
     const currentUser = req.user;
 
-    if (currentUser.type !== "admin") {
-      logger.warn("Unauthorized access attempt by user: " + currentUser.id);
-      return res.status(401).send("Unauthorized. Only admin users can update beneficiaries.");
-    }
-
     const { id } = req.params;
-    const updateData = req.body;
+    const { ngo_id, ...updateData } = req.body; // Beneficiaries cannot be moved between NGOs
 
     try {
-      const beneficiary = await Beneficiary.findByPk(id);
+      const beneficiary = await Beneficiary.findOne({ where: scopeWhere(currentUser, { id }) });
       if (!beneficiary) {
         logger.warn("Beneficiary not found with ID: " + id);
         return res.status(404).send("Beneficiary not found.");
@@ -556,7 +545,7 @@ exports.updateBeneficiary = [
  *       204:
  *         description: Beneficiary deleted successfully
  *       401:
- *         description: Unauthorized. User lacks admin privileges.
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
  *       404:
  *         description: Beneficiary not found.
  *       500:
@@ -572,15 +561,10 @@ exports.deleteBeneficiary = [
 
     const currentUser = req.user;
 
-    if (currentUser.type !== "admin") {
-      logger.warn("Unauthorized access attempt by user: " + currentUser.id);
-      return res.status(401).send("Unauthorized. Only admin users can delete beneficiaries.");
-    }
-
     const { id } = req.params;
 
     try {
-      const beneficiary = await Beneficiary.findByPk(id);
+      const beneficiary = await Beneficiary.findOne({ where: scopeWhere(currentUser, { id }) });
       if (!beneficiary) {
         logger.warn("Beneficiary not found with ID: " + id);
         return res.status(404).send("Beneficiary not found.");
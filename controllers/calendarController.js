@@ -0,0 +1,537 @@
+const { Op } = require("sequelize");
+const Event = require("../models/Event");
+const EventException = require("../models/EventException");
+const EventShift = require("../models/EventShift");
+const ShiftAssignment = require("../models/ShiftAssignment");
+const CalendarFeedToken = require("../models/CalendarFeedToken");
+const NGO = require("../models/NGO");
+const Project = require("../models/Project");
+const logger = require("../utils/logger");
+const { scopeWhere } = require("../utils/ngoScope");
+const { hashToken } = require("../utils/sessions");
+const { expandEvent, occurrenceOn } = require("../utils/recurrence");
+const { buildCalendar } = require("../utils/ical");
+const { feedWindow, eventEntries, shiftEntries } = require("../utils/calendarFeeds");
+const { body, param, query, validationResult } = require("express-validator");
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+
+const findEvent = (currentUser, id) =>
+  Event.findOne({
+    where: scopeWhere(currentUser, { id }),
+    include: [{ model: EventException, as: "exceptions" }],
+  });
+
+const sendCalendar = (res, filename, calendar) => {
+  res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+  res.setHeader("Content-Disposition", `inline; filename="${filename}.ics"`);
+  res.status(200).send(calendar);
+};
+
+// Published events for a feed: recurring series plus one-off events that
+// have not dropped out of the window.
+const feedEvents = (where, window) =>
+  Event.findAll({
+    where: {
+      ...where,
+      published: true,
+      date: { [Op.lte]: window.to },
+      [Op.or]: [{ recurrence: { [Op.ne]: null } }, { date: { [Op.gte]: window.from } }],
+    },
+    include: [{ model: EventException, as: "exceptions" }],
+    order: [["date", "asc"]],
+  });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EventOccurrence:
+ *       type: object
+ *       properties:
+ *         event_id:
+ *           type: integer
+ *         occurrence:
+ *           type: string
+ *           format: date
+ *           description: Date the occurrence originally fell on; identifies it within the series
+ *         originalStart:
+ *           type: string
+ *           format: date-time
+ *         start:
+ *           type: string
+ *           format: date-time
+ *         end:
+ *           type: string
+ *           format: date-time
+ *         name:
+ *           type: string
+ *         location:
+ *           type: string
+ *         description:
+ *           type: string
+ *         cancelled:
+ *           type: boolean
+ *         overridden:
+ *           type: boolean
+ *           description: An exception has been recorded for this occurrence
+ */
+
+/**
+ * @swagger
+ * /api/events/{id}/occurrences:
+ *   get:
+ *     summary: List the occurrences of an event
+ *     tags: [Events]
+ *     description: Expands a recurring event into its occurrences in a date range, with cancellations and overrides applied. A one-off event has a single occurrence.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to now
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to 90 days after from; at most 366 days after it
+ *     responses:
+ *       200:
+ *         description: The occurrences, in order.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/EventOccurrence'
+ *       400:
+ *         description: Invalid input.
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: Event not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getOccurrences = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  query("from").optional().isISO8601().withMessage("from must be a date"),
+  query("to")
+    .optional()
+    .isISO8601()
+    .withMessage("to must be a date")
+    .custom((value, { req }) => {
+      const from = req.query.from ? new Date(req.query.from) : new Date();
+      const to = new Date(value);
+      return to >= from && to - from <= MAX_RANGE_DAYS * DAY;
+    })
+    .withMessage(`to must be after from and at most ${MAX_RANGE_DAYS} days later`),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const event = await findEvent(req.user, req.params.id);
+      if (!event) {
+        return res.status(404).send("Event not found.");
+      }
+
+      const from = req.query.from ? new Date(req.query.from) : new Date();
+      const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 90 * DAY);
+
+      res.status(200).json(expandEvent(event, event.exceptions, { from, to }));
+    } catch (error) {
+      logger.error(`Error expanding event occurrences: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/events/{id}/occurrences/{occurrence}:
+ *   put:
+ *     summary: Cancel or change one occurrence of a recurring event
+ *     tags: [Events]
+ *     description: Records an exception for the occurrence originally falling on the given date. Fields left out keep the series' values; sending the request again replaces the exception.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: occurrence
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Date the occurrence originally falls on
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               cancelled:
+ *                 type: boolean
+ *               date:
+ *                 type: string
+ *                 format: date-time
+ *                 description: New start; the occurrence keeps the series' duration unless endDate is given
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *               name:
+ *                 type: string
+ *               location:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The occurrence with the exception applied.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EventOccurrence'
+ *       400:
+ *         description: Invalid input, or the event does not recur.
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: Event or occurrence not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.updateOccurrence = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  param("occurrence").isDate().withMessage("occurrence must be a date (YYYY-MM-DD)"),
+  body("cancelled").optional().isBoolean().withMessage("cancelled must be a boolean").toBoolean(),
+  body("date").optional().isISO8601().withMessage("date must be a date"),
+  body("endDate")
+    .optional()
+    .isISO8601()
+    .withMessage("endDate must be a date")
+    .custom((value, { req }) => !req.body.date || new Date(value) > new Date(req.body.date))
+    .withMessage("endDate must be after date"),
+  body("name").optional().isString().trim().notEmpty().withMessage("name cannot be empty"),
+  body("location").optional().isString().trim(),
+  body("description").optional().isString().trim(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const event = await findEvent(req.user, req.params.id);
+      if (!event) {
+        return res.status(404).send("Event not found.");
+      }
+      if (!event.recurrence) {
+        return res.status(400).send("Only occurrences of recurring events can be changed; update the event instead.");
+      }
+      if (!occurrenceOn(event, event.exceptions, req.params.occurrence)) {
+        return res.status(404).send("Occurrence not found.");
+      }
+
+      const changes = {
+        cancelled: Boolean(req.body.cancelled),
+        date: req.body.date || null,
+        endDate: req.body.endDate || null,
+        name: req.body.name || null,
+        location: req.body.location || null,
+        description: req.body.description || null,
+      };
+      const [exception, created] = await EventException.findOrCreate({
+        where: { event_id: event.id, originalDate: req.params.occurrence },
+        defaults: { ...changes, ngo_id: event.ngo_id },
+      });
+      if (!created) {
+        await exception.update(changes);
+      }
+
+      logger.info(
+        `Occurrence ${req.params.occurrence} of event ${event.id} ${changes.cancelled ? "cancelled" : "changed"} by user: ${req.user.id}`
+      );
+
+      await event.reload();
+      res.status(200).json(occurrenceOn(event, event.exceptions, req.params.occurrence));
+    } catch (error) {
+      logger.error(`Error updating event occurrence: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/events/{id}/occurrences/{occurrence}:
+ *   delete:
+ *     summary: Restore an occurrence of a recurring event
+ *     tags: [Events]
+ *     description: Removes the exception recorded for the occurrence, so it follows the series again.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: occurrence
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       204:
+ *         description: Exception removed.
+ *       400:
+ *         description: Invalid input.
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: Event or exception not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.restoreOccurrence = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  param("occurrence").isDate().withMessage("occurrence must be a date (YYYY-MM-DD)"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const event = await Event.findOne({ where: scopeWhere(req.user, { id: req.params.id }) });
+      if (!event) {
+        return res.status(404).send("Event not found.");
+      }
+
+      const exception = await EventException.findOne({
+        where: { event_id: event.id, originalDate: req.params.occurrence },
+      });
+      if (!exception) {
+        return res.status(404).send("Exception not found.");
+      }
+
+      await exception.destroy();
+      logger.info(`Occurrence ${req.params.occurrence} of event ${event.id} restored by user: ${req.user.id}`);
+
+      res.status(204).send();
+    } catch (error) {
+      logger.error(`Error restoring event occurrence: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/public/calendar/ngos/{ngoId}.ics:
+ *   get:
+ *     summary: Calendar feed of an organization's events
+ *     tags: [Public]
+ *     description: iCalendar feed of the organization's published events, from 90 days ago to a year ahead, for subscribing from a calendar app. No authentication needed.
+ *     parameters:
+ *       - in: path
+ *         name: ngoId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The feed.
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid input.
+ *       404:
+ *         description: Organization not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getNgoFeed = [
+  param("ngoId").isInt().withMessage("ngoId must be an integer"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const ngo = await NGO.findByPk(req.params.ngoId);
+      if (!ngo) {
+        return res.status(404).send("NGO not found.");
+      }
+
+      const window = feedWindow();
+      const events = await feedEvents({ ngo_id: ngo.id }, window);
+
+      sendCalendar(res, `ngo-${ngo.id}`, buildCalendar({ name: ngo.name, entries: eventEntries(events, window) }));
+    } catch (error) {
+      logger.error(`Error building NGO calendar feed: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/public/calendar/projects/{projectId}.ics:
+ *   get:
+ *     summary: Calendar feed of a project's events
+ *     tags: [Public]
+ *     description: iCalendar feed of the project's published events, from 90 days ago to a year ahead. No authentication needed.
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The feed.
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid input.
+ *       404:
+ *         description: Project not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getProjectFeed = [
+  param("projectId").isInt().withMessage("projectId must be an integer"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const project = await Project.findByPk(req.params.projectId);
+      if (!project) {
+        return res.status(404).send("Project not found.");
+      }
+
+      const window = feedWindow();
+      const events = await feedEvents({ project_id: project.id }, window);
+
+      sendCalendar(
+        res,
+        `project-${project.id}`,
+        buildCalendar({ name: project.name, entries: eventEntries(events, window) })
+      );
+    } catch (error) {
+      logger.error(`Error building project calendar feed: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/public/calendar/shifts/{token}.ics:
+ *   get:
+ *     summary: Personal calendar feed of a volunteer's shifts
+ *     tags: [Public]
+ *     description: iCalendar feed of the shifts a volunteer is rostered on. The token comes from POST /api/me/volunteer/calendar-feed and is the only credential, so the URL should be kept private.
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The feed.
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Unknown or replaced token.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getShiftFeed = [
+  param("token").isHexadecimal().isLength({ min: 64, max: 64 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(404).send("Calendar feed not found.");
+    }
+
+    try {
+      const feedToken = await CalendarFeedToken.findOne({ where: { tokenHash: hashToken(req.params.token) } });
+      if (!feedToken) {
+        return res.status(404).send("Calendar feed not found.");
+      }
+
+      const window = feedWindow();
+      const assignments = await ShiftAssignment.findAll({
+        where: { volunteer_id: feedToken.volunteer_id, status: "assigned" },
+        include: [
+          {
+            model: EventShift,
+            as: "shift",
+            where: { startTime: { [Op.lte]: window.to }, endTime: { [Op.gte]: window.from } },
+            include: [{ model: Event, as: "event", attributes: ["id", "name", "location"] }],
+          },
+        ],
+        order: [[{ model: EventShift, as: "shift" }, "startTime", "asc"]],
+      });
+
+      feedToken.lastUsedAt = new Date();
+      await feedToken.save();
+
+      sendCalendar(res, "my-shifts", buildCalendar({ name: "My shifts", entries: shiftEntries(assignments) }));
+    } catch (error) {
+      logger.error(`Error building shift calendar feed: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
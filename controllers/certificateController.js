@@ -0,0 +1,501 @@
+const NGO = require("../models/NGO");
+const Volunteer = require("../models/Volunteer");
+const Project = require("../models/Project");
+const ServiceCertificate = require("../models/ServiceCertificate");
+const logger = require("../utils/logger");
+const { scopeWhere } = require("../utils/ngoScope");
+const { issueCertificate } = require("../utils/volunteerHours");
+const { certificateStatus, normalizeVerificationCode, verificationUrl } = require("../utils/certificates");
+const { renderCertificatePdf } = require("../utils/pdf");
+const { body, param, validationResult } = require("express-validator");
+
+const findVolunteer = (currentUser, id) => Volunteer.findOne({ where: scopeWhere(currentUser, { id }) });
+
+const withVerifyUrl = (certificate) => ({
+  ...certificate.toJSON(),
+  verifyUrl: verificationUrl(certificate.verificationCode),
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ServiceCertificate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         volunteer_id:
+ *           type: integer
+ *         project_id:
+ *           type: integer
+ *           description: Set when the certificate only covers one project
+ *         verificationCode:
+ *           type: string
+ *           example: 7K2M-QX9D-4RTA
+ *         periodStart:
+ *           type: string
+ *           format: date
+ *         periodEnd:
+ *           type: string
+ *           format: date
+ *         totalHours:
+ *           type: number
+ *         breakdown:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               project_id:
+ *                 type: integer
+ *               project:
+ *                 type: string
+ *               hours:
+ *                 type: number
+ *         signature:
+ *           type: string
+ *           description: HMAC-SHA256 over the certificate's contents
+ *         issuedAt:
+ *           type: string
+ *           format: date-time
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *         revokeReason:
+ *           type: string
+ *         verifyUrl:
+ *           type: string
+ *           description: Public page where anyone can check the certificate
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Public
+ *   description: Endpoints that need no authentication
+ */
+
+/**
+ * @swagger
+ * /api/volunteers/{id}/certificates:
+ *   get:
+ *     summary: Get a volunteer's service certificates
+ *     tags: [Volunteer Hours]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The volunteer's certificates, newest first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ServiceCertificate'
+ *       401:
+ *         description: Unauthorized. User lacks the attendance:read permission.
+ *       404:
+ *         description: Volunteer not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getCertificates = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const volunteer = await findVolunteer(req.user, req.params.id);
+      if (!volunteer) {
+        return res.status(404).send("Volunteer not found.");
+      }
+
+      const certificates = await ServiceCertificate.findAll({
+        where: { volunteer_id: volunteer.id },
+        order: [["issuedAt", "desc"]],
+      });
+
+      res.status(200).json(certificates.map(withVerifyUrl));
+    } catch (error) {
+      logger.error(`Error fetching service certificates: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/volunteers/{id}/certificates:
+ *   post:
+ *     summary: Issue a service certificate
+ *     tags: [Volunteer Hours]
+ *     description: >
+ *       Certifies the volunteer's approved hours between two dates, optionally for a single project.
+ *       Pending manual entries are not included.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - from
+ *               - to
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 format: date
+ *               to:
+ *                 type: string
+ *                 format: date
+ *               project_id:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: The new certificate.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServiceCertificate'
+ *       400:
+ *         description: Invalid input, or a project from another NGO.
+ *       401:
+ *         description: Unauthorized. User lacks the attendance:write permission.
+ *       404:
+ *         description: Volunteer not found.
+ *       409:
+ *         description: There are no approved hours in the period.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.createCertificate = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  body("from").isDate().withMessage("from must be a date (YYYY-MM-DD)"),
+  body("to")
+    .isDate()
+    .withMessage("to must be a date (YYYY-MM-DD)")
+    .custom((value, { req }) => value >= req.body.from)
+    .withMessage("to cannot be before from"),
+  body("project_id").optional({ values: "null" }).isInt().withMessage("project_id must be an integer"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+    const { from, to, project_id } = req.body;
+
+    try {
+      const volunteer = await findVolunteer(currentUser, req.params.id);
+      if (!volunteer) {
+        return res.status(404).send("Volunteer not found.");
+      }
+
+      if (project_id && !(await Project.findOne({ where: { id: project_id, ngo_id: volunteer.ngo_id } }))) {
+        return res.status(400).send("Project not found.");
+      }
+
+      const result = await issueCertificate({ volunteer, from, to, projectId: project_id, issuedBy: currentUser.id });
+      if (result.error) {
+        return res.status(409).send(result.error);
+      }
+
+      logger.info(
+        `Service certificate ${result.certificate.id} issued to volunteer ${volunteer.id} by user: ${currentUser.id}`
+      );
+
+      res.status(201).json(withVerifyUrl(result.certificate));
+    } catch (error) {
+      logger.error(`Error issuing service certificate: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/volunteers/{id}/certificates/{certificateId}/pdf:
+ *   get:
+ *     summary: Download a service certificate
+ *     tags: [Volunteer Hours]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: certificateId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The certificate as a PDF.
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Unauthorized. User lacks the attendance:read permission.
+ *       404:
+ *         description: Certificate not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.downloadCertificatePdf = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  param("certificateId").isInt().withMessage("certificateId must be an integer"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const certificate = await ServiceCertificate.findOne({
+        where: scopeWhere(req.user, { id: req.params.certificateId, volunteer_id: req.params.id }),
+        include: [
+          { model: NGO, as: "ngo" },
+          { model: Volunteer, as: "volunteer" },
+        ],
+      });
+      if (!certificate) {
+        return res.status(404).send("Certificate not found.");
+      }
+
+      const pdf = await renderCertificatePdf({
+        certificate,
+        volunteer: certificate.volunteer,
+        ngo: certificate.ngo,
+        verifyUrl: verificationUrl(certificate.verificationCode),
+      });
+
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `attachment; filename="certificate-${certificate.verificationCode}.pdf"`);
+      res.status(200).send(pdf);
+    } catch (error) {
+      logger.error(`Error rendering service certificate PDF: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/volunteers/{id}/certificates/{certificateId}/revoke:
+ *   post:
+ *     summary: Revoke a service certificate
+ *     tags: [Volunteer Hours]
+ *     description: The certificate stays on record but its verify URL reports it as revoked.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: certificateId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The revoked certificate.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServiceCertificate'
+ *       400:
+ *         description: Invalid input.
+ *       401:
+ *         description: Unauthorized. User lacks the attendance:write permission.
+ *       404:
+ *         description: Certificate not found.
+ *       409:
+ *         description: The certificate is already revoked.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.revokeCertificate = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  param("certificateId").isInt().withMessage("certificateId must be an integer"),
+  body("reason").isString().trim().notEmpty().withMessage("Reason is required"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    try {
+      const certificate = await ServiceCertificate.findOne({
+        where: scopeWhere(currentUser, { id: req.params.certificateId, volunteer_id: req.params.id }),
+      });
+      if (!certificate) {
+        return res.status(404).send("Certificate not found.");
+      }
+      if (certificate.revokedAt) {
+        return res.status(409).send("This certificate has already been revoked.");
+      }
+
+      certificate.revokedAt = new Date();
+      certificate.revokedBy = currentUser.id;
+      certificate.revokeReason = req.body.reason;
+      await certificate.save();
+
+      logger.info(`Service certificate ${certificate.id} revoked by user: ${currentUser.id}`);
+
+      res.status(200).json(withVerifyUrl(certificate));
+    } catch (error) {
+      logger.error(`Error revoking service certificate: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/public/certificates/{code}:
+ *   get:
+ *     summary: Verify a service certificate
+ *     tags: [Public]
+ *     description: >
+ *       Public check for the verification code printed on a certificate. Reports whether the
+ *       certificate is valid, revoked, or does not match what the NGO issued.
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: What the certificate states and whether it still holds.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 verificationCode:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                   enum: [valid, revoked, invalid]
+ *                 volunteer:
+ *                   type: string
+ *                 organization:
+ *                   type: string
+ *                 project:
+ *                   type: string
+ *                 periodStart:
+ *                   type: string
+ *                   format: date
+ *                 periodEnd:
+ *                   type: string
+ *                   format: date
+ *                 totalHours:
+ *                   type: number
+ *                 issuedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 revokedAt:
+ *                   type: string
+ *                   format: date-time
+ *       404:
+ *         description: No certificate has this code.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.verifyCertificate = async (req, res) => {
+  const code = normalizeVerificationCode(req.params.code);
+  if (!code) {
+    return res.status(404).send("Certificate not found.");
+  }
+
+  try {
+    const certificate = await ServiceCertificate.findOne({
+      where: { verificationCode: code },
+      include: [
+        { model: NGO, as: "ngo", attributes: ["id", "name"] },
+        { model: Volunteer, as: "volunteer", attributes: ["id", "name"] },
+        { model: Project, as: "project", attributes: ["id", "name"] },
+      ],
+    });
+    if (!certificate) {
+      return res.status(404).send("Certificate not found.");
+    }
+
+    const status = certificateStatus(certificate);
+    if (status === "invalid") {
+      logger.warn(`Service certificate ${certificate.id} failed signature verification`);
+    }
+
+    // Only what is printed on the certificate itself
+    res.status(200).json({
+      verificationCode: certificate.verificationCode,
+      status,
+      volunteer: certificate.volunteer ? certificate.volunteer.name : null,
+      organization: certificate.ngo ? certificate.ngo.name : null,
+      project: certificate.project ? certificate.project.name : null,
+      periodStart: certificate.periodStart,
+      periodEnd: certificate.periodEnd,
+      totalHours: Number(certificate.totalHours),
+      issuedAt: certificate.issuedAt,
+      revokedAt: certificate.revokedAt,
+    });
+  } catch (error) {
+    logger.error(`Error verifying service certificate: ${error.message}`);
+    res.status(500).json({
+      error: "Internal server error",
+      details: [error.message],
+    });
+  }
+};
@@ -0,0 +1,490 @@
+const Event = require("../models/Event");
+const EventException = require("../models/EventException");
+const CheckInToken = require("../models/CheckInToken");
+const EventRegistration = require("../models/EventRegistration");
+const Volunteer = require("../models/Volunteer");
+const logger = require("../utils/logger");
+const { scopeWhere } = require("../utils/ngoScope");
+const { defaultExpiry } = require("../utils/checkInTokens");
+const { describePass, currentOccurrence, issuePasses, sendPassEmails, redeemScan } = require("../utils/checkIns");
+const { occurrenceOn } = require("../utils/recurrence");
+const { body, param, query, validationResult } = require("express-validator");
+
+const MAX_BATCH = 500;
+
+// Scanner clocks drift; allow offline scans stamped slightly ahead of ours.
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const OUTCOME_STATUS = { checked_in: 200, duplicate: 409, expired: 410, invalid: 400 };
+
+const findEvent = (currentUser, id) =>
+  Event.findOne({
+    where: scopeWhere(currentUser, { id }),
+    include: [{ model: EventException, as: "exceptions" }],
+  });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CheckInPass:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         event_id:
+ *           type: integer
+ *         occurrence:
+ *           type: string
+ *           format: date
+ *           description: Original date of the occurrence the pass admits to
+ *         type:
+ *           type: string
+ *           enum: [registrant, volunteer]
+ *         registration_id:
+ *           type: integer
+ *         volunteer_id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         email:
+ *           type: string
+ *         token:
+ *           type: string
+ *           description: Signed, single-use token to encode in the QR code
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         redeemedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the pass was scanned
+ *     CheckInResult:
+ *       type: object
+ *       properties:
+ *         outcome:
+ *           type: string
+ *           enum: [checked_in, duplicate, expired, invalid]
+ *         message:
+ *           type: string
+ *         pass:
+ *           $ref: '#/components/schemas/CheckInPass'
+ *         attendance:
+ *           $ref: '#/components/schemas/VolunteerAttendance'
+ */
+
+/**
+ * @swagger
+ * /api/events/{id}/check-in-passes:
+ *   get:
+ *     summary: List an event's check-in passes
+ *     tags: [Events]
+ *     description: Passes issued for the event, or for one occurrence of it, and whether they have been scanned.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: occurrence
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Original date of the occurrence
+ *     responses:
+ *       200:
+ *         description: The passes.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CheckInPass'
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: Event not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getPasses = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  query("occurrence").optional().isDate().withMessage("occurrence must be a date (YYYY-MM-DD)"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const event = await findEvent(req.user, req.params.id);
+      if (!event) {
+        return res.status(404).send("Event not found.");
+      }
+
+      const where = { event_id: event.id };
+      if (req.query.occurrence) {
+        where.occurrence = req.query.occurrence;
+      }
+      const passes = await CheckInToken.findAll({
+        where,
+        include: [
+          { model: EventRegistration, as: "registration", attributes: ["id", "name", "email"] },
+          { model: Volunteer, as: "volunteer", attributes: ["id", "name", "email"] },
+        ],
+        order: [
+          ["occurrence", "asc"],
+          ["id", "asc"],
+        ],
+      });
+
+      res.status(200).json(passes.map((pass) => describePass(pass, pass.registration || pass.volunteer)));
+    } catch (error) {
+      logger.error(`Error fetching check-in passes: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/events/{id}/check-in-passes:
+ *   post:
+ *     summary: Issue check-in passes
+ *     tags: [Events]
+ *     description: Issues a signed, single-use QR check-in pass for one occurrence of the event to every confirmed registrant of that occurrence and every volunteer rostered on or signed up for it. Without an occurrence, passes are for the earliest occurrence whose passes would still be valid. Holders who already have a pass keep it unless reissue is set; used passes are never replaced, so the call can be repeated as people join.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               occurrence:
+ *                 type: string
+ *                 format: date
+ *                 description: Original date of the occurrence
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to 12 hours after the occurrence ends
+ *               reissue:
+ *                 type: boolean
+ *                 description: Replace unused passes; the old codes stop working
+ *               notify:
+ *                 type: boolean
+ *                 description: Email newly issued passes to their holders
+ *     responses:
+ *       201:
+ *         description: Every holder's pass.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CheckInPass'
+ *       400:
+ *         description: Invalid input, or the event has no date, or the passes would already have expired.
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: Event not found, or it has no such occurrence.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.issuePasses = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  body("occurrence").optional().isDate().withMessage("occurrence must be a date (YYYY-MM-DD)"),
+  body("expiresAt")
+    .optional()
+    .isISO8601()
+    .withMessage("expiresAt must be a date-time")
+    .toDate()
+    .custom((value) => value > new Date())
+    .withMessage("expiresAt must be in the future"),
+  body("reissue").optional().isBoolean().withMessage("reissue must be a boolean").toBoolean(),
+  body("notify").optional().isBoolean().withMessage("notify must be a boolean").toBoolean(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const event = await findEvent(req.user, req.params.id);
+      if (!event) {
+        return res.status(404).send("Event not found.");
+      }
+
+      const now = new Date();
+      let occurrence;
+      if (req.body.occurrence) {
+        occurrence = occurrenceOn(event, event.exceptions, req.body.occurrence);
+        if (!occurrence || occurrence.cancelled) {
+          return res.status(404).send("Occurrence not found.");
+        }
+      } else {
+        occurrence = currentOccurrence(event, now);
+        if (!occurrence) {
+          return res.status(400).send("The event has no date, or no occurrence whose passes would still be valid.");
+        }
+      }
+
+      const expiresAt = req.body.expiresAt || defaultExpiry(occurrence);
+      if (expiresAt <= now) {
+        return res.status(400).send("This occurrence is over; its passes would already have expired.");
+      }
+
+      const passes = await issuePasses({
+        event,
+        occurrence,
+        expiresAt,
+        reissue: Boolean(req.body.reissue),
+        issuedBy: req.user.id,
+      });
+      const issued = passes.filter((pass) => pass.issued);
+
+      logger.info(
+        `${issued.length} check-in pass(es) issued for event ${event.id} on ${occurrence.occurrence} by user: ${req.user.id}`
+      );
+
+      if (req.body.notify) {
+        await sendPassEmails(issued, event);
+      }
+
+      res.status(201).json(passes.map(({ row, holder }) => describePass(row, holder)));
+    } catch (error) {
+      logger.error(`Error issuing check-in passes: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/events/{id}/check-ins:
+ *   post:
+ *     summary: Check someone in by scanning their pass
+ *     tags: [Events]
+ *     description: Validates and redeems a scanned QR pass for the occurrence it was issued for. Registrants are marked as arrived; volunteers get an attendance record for the occurrence, on its shift starting closest to the scan if they are rostered. A pass works once, from the day of its occurrence until it expires.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Checked in.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CheckInResult'
+ *       400:
+ *         description: Invalid input, or the pass is forged, replaced, for another event or for a later occurrence.
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: Event not found.
+ *       409:
+ *         description: The pass has already been used.
+ *       410:
+ *         description: The pass has expired.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.checkIn = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  body("token").isString().trim().notEmpty().withMessage("token is required"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const event = await findEvent(req.user, req.params.id);
+      if (!event) {
+        return res.status(404).send("Event not found.");
+      }
+
+      const result = await redeemScan({ event, token: req.body.token, scannedAt: new Date(), redeemedBy: req.user.id });
+      if (result.outcome === "checked_in") {
+        logger.info(`Check-in pass ${result.pass.id} for event ${event.id} scanned by user: ${req.user.id}`);
+      }
+
+      res.status(OUTCOME_STATUS[result.outcome]).json(result);
+    } catch (error) {
+      logger.error(`Error redeeming check-in pass: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/events/{id}/check-ins/batch:
+ *   post:
+ *     summary: Upload scans captured offline
+ *     tags: [Events]
+ *     description: Redeems passes scanned while the scanner had no connection. Scans are applied in the order they were made, each judged at its own scannedAt, so a pass scanned before it expired still counts. Each scan gets its own outcome; one bad scan does not stop the rest.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - scans
+ *             properties:
+ *               scans:
+ *                 type: array
+ *                 maxItems: 500
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - token
+ *                     - scannedAt
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     scannedAt:
+ *                       type: string
+ *                       format: date-time
+ *     responses:
+ *       200:
+ *         description: Outcome of every scan, in upload order, with totals per outcome.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     checked_in:
+ *                       type: integer
+ *                     duplicate:
+ *                       type: integer
+ *                     expired:
+ *                       type: integer
+ *                     invalid:
+ *                       type: integer
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/CheckInResult'
+ *                       - type: object
+ *                         properties:
+ *                           index:
+ *                             type: integer
+ *                             description: Position of the scan in the upload
+ *       400:
+ *         description: Invalid input.
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: Event not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.uploadCheckIns = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  body("scans")
+    .isArray({ min: 1, max: MAX_BATCH })
+    .withMessage(`scans must be a list of 1 to ${MAX_BATCH} scans`),
+  body("scans.*.token").isString().trim().notEmpty().withMessage("token is required"),
+  body("scans.*.scannedAt")
+    .isISO8601()
+    .withMessage("scannedAt must be a date-time")
+    .toDate()
+    .custom((value) => value.getTime() <= Date.now() + CLOCK_SKEW_MS)
+    .withMessage("scannedAt cannot be in the future"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const event = await findEvent(req.user, req.params.id);
+      if (!event) {
+        return res.status(404).send("Event not found.");
+      }
+
+      const scans = req.body.scans
+        .map((scan, index) => ({ ...scan, index }))
+        .sort((a, b) => a.scannedAt - b.scannedAt || a.index - b.index);
+
+      const results = [];
+      for (const scan of scans) {
+        const result = await redeemScan({
+          event,
+          token: scan.token,
+          scannedAt: scan.scannedAt,
+          redeemedBy: req.user.id,
+        });
+        results.push({ index: scan.index, ...result });
+      }
+      results.sort((a, b) => a.index - b.index);
+
+      const summary = { checked_in: 0, duplicate: 0, expired: 0, invalid: 0 };
+      results.forEach((result) => {
+        summary[result.outcome] += 1;
+      });
+
+      logger.info(
+        `${summary.checked_in} of ${results.length} offline check-in(s) accepted for event ${event.id} by user: ${req.user.id}`
+      );
+
+      res.status(200).json({ summary, results });
+    } catch (error) {
+      logger.error(`Error uploading offline check-ins: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
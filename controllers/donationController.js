@@ -0,0 +1,854 @@
+const { Op } = require("sequelize");
+const sequelize = require("../config/db");
+const Donation = require("../models/Donation");
+const DonationAllocation = require("../models/DonationAllocation");
+const Project = require("../models/Project");
+const Receipt = require("../models/Receipt");
+const logger = require("../utils/logger");
+const { findDonor, findDesignatedProject } = require("../utils/scopedRecords");
+const { getDonationTotals } = require("../utils/donationTotals");
+const { issueReceipt, voidReceipt } = require("../utils/receipts");
+const { matchDonation } = require("../utils/pledges");
+const { validateAllocations, replaceAllocations } = require("../utils/restrictedFunds");
+const { toCents, fromCents } = require("../utils/money");
+const { body, param, query, validationResult } = require("express-validator");
+
+const PAYMENT_METHODS = ["cash", "cheque", "bank_transfer", "card", "upi", "online", "other"];
+
+// Part of a gift not restricted to any project.
+const unrestrictedAmountOf = (donation, allocations) =>
+  fromCents(toCents(donation.amount) - allocations.reduce((sum, allocation) => sum + toCents(allocation.amount), 0));
+
+const allocationValidators = (field) => [
+  body(field).optional().isArray(),
+  body(`${field}.*.project_id`).isInt(),
+  body(`${field}.*.amount`).isDecimal({ decimal_digits: "0,2" }).custom((value) => parseFloat(value) > 0)
+    .withMessage("allocation amount must be a positive amount with at most two decimal places"),
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Donation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         ngo_id:
+ *           type: integer
+ *           description: ID of the NGO that owns this record
+ *         donor_id:
+ *           type: integer
+ *         project_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Project the gift is designated to, if any
+ *         amount:
+ *           type: string
+ *           description: Amount donated, as a decimal string
+ *         currency:
+ *           type: string
+ *           example: INR
+ *         donationDate:
+ *           type: string
+ *           format: date
+ *         paymentMethod:
+ *           type: string
+ *           enum: [cash, cheque, bank_transfer, card, upi, online, other]
+ *         referenceNumber:
+ *           type: string
+ *         notes:
+ *           type: string
+ *         allocations:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/DonationAllocation'
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     DonationAllocation:
+ *       type: object
+ *       description: Part of a gift restricted to a project. Whatever is not allocated is unrestricted.
+ *       properties:
+ *         id:
+ *           type: integer
+ *         donation_id:
+ *           type: integer
+ *         project_id:
+ *           type: integer
+ *         amount:
+ *           type: string
+ *           description: Amount restricted to the project, in the donation's currency
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Donations
+ *   description: Endpoints for managing the donation ledger of a donor
+ */
+
+/**
+ * @swagger
+ * /api/donors/{id}/donations:
+ *   get:
+ *     summary: List a donor's donations
+ *     tags: [Donations]
+ *     description: Retrieve the gifts recorded for a donor, newest first by default, with lifetime totals.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the donor
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of items per page
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: Field to sort by
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *         description: Sort order (asc or desc)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only include gifts on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only include gifts on or before this date
+ *     responses:
+ *       200:
+ *         description: A paginated list of donations.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Donation'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     totalItems:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     currentPage:
+ *                       type: integer
+ *                     lifetimeTotals:
+ *                       type: object
+ *                     donationCount:
+ *                       type: integer
+ *                     lastDonationDate:
+ *                       type: string
+ *                       format: date
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: Donor not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getDonationsByDonor = [
+  param("id").isInt(),
+  query("page").optional().isInt({ min: 1 }),
+  query("limit").optional().isInt({ min: 1 }),
+  query("sortBy").optional().isString(),
+  query("order").optional().isString().isIn(["asc", "desc"]),
+  query("from").optional().isISO8601(),
+  query("to").optional().isISO8601(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id } = req.params;
+    let { page = 1, limit = 10, sortBy = "donationDate", order = "desc", from, to } = req.query;
+
+    page = parseInt(page, 10);
+    limit = parseInt(limit, 10);
+    page = isNaN(page) || page < 1 ? 1 : page;
+    limit = isNaN(limit) || limit < 1 ? 10 : limit;
+
+    const validColumns = ["amount", "currency", "donationDate", "paymentMethod", "createdAt", "updatedAt"];
+    sortBy = validColumns.includes(sortBy) ? sortBy : "donationDate";
+    order = order.toLowerCase() === "asc" ? "asc" : "desc";
+    const orderCondition = [[sortBy, order]];
+
+    const whereCondition = { donor_id: id };
+    if (from || to) {
+      whereCondition.donationDate = {};
+      if (from) whereCondition.donationDate[Op.gte] = from;
+      if (to) whereCondition.donationDate[Op.lte] = to;
+    }
+
+    try {
+      const donor = await findDonor(currentUser, id);
+
+      if (!donor) {
+        logger.warn("Donor not found with ID: " + id);
+        return res.status(404).send("Donor not found.");
+      }
+
+      const { rows: donations, count } = await Donation.findAndCountAll({
+        where: whereCondition,
+        include: [{ model: DonationAllocation, as: "allocations" }],
+        distinct: true,
+        order: orderCondition,
+        limit,
+        offset: (page - 1) * limit,
+      });
+
+      const totals = await getDonationTotals([donor.id]);
+      const totalPages = Math.ceil(count / limit);
+
+      logger.info(`Donations for donor ${id} retrieved by user: ${currentUser.id}`);
+
+      res.status(200).json({
+        data: donations,
+        meta: {
+          totalItems: count,
+          totalPages,
+          currentPage: page,
+          ...totals[donor.id],
+        },
+      });
+    } catch (error) {
+      logger.error(`Error fetching donations: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/donors/{id}/donations:
+ *   post:
+ *     summary: Record a donation
+ *     tags: [Donations]
+ *     description: Record a new gift from a donor and issue its numbered receipt. Earlier gifts are kept in the ledger. A gift designated to a project is restricted to it in full unless allocations are given; allocations may restrict parts of the gift to one or more projects.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the donor
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - paymentMethod
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               currency:
+ *                 type: string
+ *                 example: INR
+ *               donationDate:
+ *                 type: string
+ *                 format: date
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [cash, cheque, bank_transfer, card, upi, online, other]
+ *               referenceNumber:
+ *                 type: string
+ *               project_id:
+ *                 type: integer
+ *               notes:
+ *                 type: string
+ *               allocations:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     project_id:
+ *                       type: integer
+ *                     amount:
+ *                       type: number
+ *     responses:
+ *       201:
+ *         description: Donation recorded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Donation'
+ *       400:
+ *         description: Bad request. Validation errors.
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: Donor not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.createDonation = [
+  param("id").isInt(),
+  body("amount").isDecimal({ decimal_digits: "0,2" }).custom((value) => parseFloat(value) > 0)
+    .withMessage("amount must be a positive amount with at most two decimal places"),
+  body("currency").optional().isISO4217().withMessage("currency must be an ISO 4217 code"),
+  body("donationDate").optional().isISO8601().withMessage("donationDate must be a valid date"),
+  body("paymentMethod").isIn(PAYMENT_METHODS),
+  body("referenceNumber").optional().isString(),
+  body("project_id").optional({ nullable: true }).isInt(),
+  body("notes").optional().isString(),
+  ...allocationValidators("allocations"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id } = req.params;
+    const { amount, currency, donationDate, paymentMethod, referenceNumber, project_id, notes } = req.body;
+    let { allocations } = req.body;
+
+    try {
+      const donor = await findDonor(currentUser, id);
+
+      if (!donor) {
+        logger.warn("Donor not found with ID: " + id);
+        return res.status(404).send("Donor not found.");
+      }
+
+      if (project_id && !(await findDesignatedProject(donor, project_id))) {
+        return res.status(400).send("Designated project not found for this NGO.");
+      }
+
+      const donation = Donation.build({
+        ngo_id: donor.ngo_id,
+        donor_id: donor.id,
+        project_id: project_id || null,
+        amount,
+        currency: currency ? currency.toUpperCase() : undefined,
+        donationDate,
+        paymentMethod,
+        referenceNumber,
+        notes,
+      });
+
+      // A gift designated to a project is restricted to it in full by default.
+      if (!allocations) {
+        allocations = project_id ? [{ project_id, amount }] : [];
+      }
+      const allocationError = await validateAllocations(donation, allocations);
+      if (allocationError) {
+        return res.status(400).send(allocationError);
+      }
+
+      // Every gift is receipted, so the donation and its receipt are created together.
+      const receipt = await sequelize.transaction(async (transaction) => {
+        await donation.save({ transaction });
+        await donation.reload({ transaction });
+        await replaceAllocations(donation, allocations, transaction);
+        const receipt = await issueReceipt(donation, currentUser.id, transaction);
+        await matchDonation(donation, transaction);
+        return receipt;
+      });
+      await donation.reload({ include: [{ model: DonationAllocation, as: "allocations" }] });
+
+      logger.info(`Donation ${donation.id} recorded for donor ${id} by user: ${currentUser.id}`);
+
+      donation.dataValues.receipt = receipt;
+      res.status(201).json(donation);
+    } catch (error) {
+      logger.error(`Error recording donation: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/donors/{id}/donations/{donationId}:
+ *   put:
+ *     summary: Correct a donation
+ *     tags: [Donations]
+ *     description: Update a recorded gift, e.g. to fix a data-entry mistake. Changing the amount, currency or date voids the current receipt and issues a new one. The amount cannot drop below what is allocated to projects; use the allocations endpoint to change those.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the donor
+ *       - in: path
+ *         name: donationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the donation to update
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               currency:
+ *                 type: string
+ *               donationDate:
+ *                 type: string
+ *                 format: date
+ *               paymentMethod:
+ *                 type: string
+ *               referenceNumber:
+ *                 type: string
+ *               project_id:
+ *                 type: integer
+ *                 nullable: true
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Donation updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Donation'
+ *       400:
+ *         description: Bad request. Validation errors.
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: Donor or donation not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.updateDonation = [
+  param("id").isInt(),
+  param("donationId").isInt(),
+  body("amount").optional().isDecimal({ decimal_digits: "0,2" }).custom((value) => parseFloat(value) > 0)
+    .withMessage("amount must be a positive amount with at most two decimal places"),
+  body("currency").optional().isISO4217().withMessage("currency must be an ISO 4217 code"),
+  body("donationDate").optional().isISO8601().withMessage("donationDate must be a valid date"),
+  body("paymentMethod").optional().isIn(PAYMENT_METHODS),
+  body("referenceNumber").optional().isString(),
+  body("project_id").optional({ nullable: true }).isInt(),
+  body("notes").optional().isString(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id, donationId } = req.params;
+    const { amount, currency, donationDate, paymentMethod, referenceNumber, project_id, notes } = req.body;
+
+    try {
+      const donor = await findDonor(currentUser, id);
+
+      if (!donor) {
+        logger.warn("Donor not found with ID: " + id);
+        return res.status(404).send("Donor not found.");
+      }
+
+      const donation = await Donation.findOne({ where: { id: donationId, donor_id: donor.id } });
+
+      if (!donation) {
+        logger.warn("Donation not found with ID: " + donationId);
+        return res.status(404).send("Donation not found.");
+      }
+
+      if (project_id && !(await findDesignatedProject(donor, project_id))) {
+        return res.status(400).send("Designated project not found for this NGO.");
+      }
+
+      if (amount !== undefined) donation.amount = amount;
+      if (currency !== undefined) donation.currency = currency.toUpperCase();
+      if (donationDate !== undefined) donation.donationDate = donationDate;
+      if (paymentMethod !== undefined) donation.paymentMethod = paymentMethod;
+      if (referenceNumber !== undefined) donation.referenceNumber = referenceNumber;
+      if (project_id !== undefined) donation.project_id = project_id;
+      if (notes !== undefined) donation.notes = notes;
+
+      const allocations = await DonationAllocation.findAll({ where: { donation_id: donation.id } });
+      const allocationError = await validateAllocations(donation, allocations);
+      if (allocationError) {
+        return res.status(400).send(allocationError);
+      }
+
+      // A receipt must match the gift it acknowledges, so correcting the
+      // receipted details voids the current receipt and issues a new one.
+      const receiptChanged = donation.changed("amount") || donation.changed("currency") || donation.changed("donationDate");
+
+      const receipt = await sequelize.transaction(async (transaction) => {
+        await donation.save({ transaction });
+        await matchDonation(donation, transaction);
+
+        // Locked so a void or reissue of the same receipt running alongside
+        // either finishes first, and is seen here, or waits for this one.
+        const current = await Receipt.findOne({
+          where: { donation_id: donation.id, status: "issued" },
+          lock: transaction.LOCK.UPDATE,
+          transaction,
+        });
+        if (!current || current.status !== "issued" || !receiptChanged) {
+          return current;
+        }
+
+        await voidReceipt(current, currentUser.id, "Donation details corrected", transaction);
+        return issueReceipt(donation, currentUser.id, transaction, current);
+      });
+
+      logger.info(`Donation ${donationId} updated by user: ${currentUser.id}`);
+
+      donation.dataValues.receipt = receipt;
+      res.status(200).json(donation);
+    } catch (error) {
+      logger.error(`Error updating donation: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/donors/{id}/donations/{donationId}:
+ *   delete:
+ *     summary: Delete a donation
+ *     tags: [Donations]
+ *     description: Remove a gift recorded in error.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the donor
+ *       - in: path
+ *         name: donationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the donation to delete
+ *     responses:
+ *       204:
+ *         description: Donation deleted successfully
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: Donor or donation not found.
+ *       409:
+ *         description: The donation has been receipted, or its restricted funds have already been spent.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.deleteDonation = [
+  param("id").isInt(),
+  param("donationId").isInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id, donationId } = req.params;
+
+    try {
+      const donor = await findDonor(currentUser, id);
+
+      if (!donor) {
+        logger.warn("Donor not found with ID: " + id);
+        return res.status(404).send("Donor not found.");
+      }
+
+      const donation = await Donation.findOne({ where: { id: donationId, donor_id: donor.id } });
+
+      if (!donation) {
+        logger.warn("Donation not found with ID: " + donationId);
+        return res.status(404).send("Donation not found.");
+      }
+
+      const receiptCount = await Receipt.count({ where: { donation_id: donation.id } });
+      if (receiptCount > 0) {
+        return res.status(409).send("Donation has been receipted and cannot be deleted. Void its receipt instead.");
+      }
+
+      const overdrawn = await sequelize.transaction(async (transaction) => {
+        const overdrawn = await replaceAllocations(donation, [], transaction);
+        if (overdrawn.length === 0) {
+          await donation.destroy({ transaction });
+        }
+        return overdrawn;
+      });
+
+      if (overdrawn.length > 0) {
+        return res.status(409).send(`Deleting this donation would overdraw the restricted funds of project(s) ${overdrawn.join(", ")}.`);
+      }
+
+      logger.info(`Donation ${donationId} deleted by user: ${currentUser.id}`);
+
+      res.status(204).send();
+    } catch (error) {
+      logger.error(`Error deleting donation: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/donors/{id}/donations/{donationId}/allocations:
+ *   get:
+ *     summary: Get a donation's project allocations
+ *     tags: [Donations]
+ *     description: Retrieve the parts of a gift restricted to projects, and the unrestricted remainder.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the donor
+ *       - in: path
+ *         name: donationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the donation
+ *     responses:
+ *       200:
+ *         description: The donation's allocations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DonationAllocation'
+ *                 unrestrictedAmount:
+ *                   type: string
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: Donor or donation not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getDonationAllocations = [
+  param("id").isInt(),
+  param("donationId").isInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id, donationId } = req.params;
+
+    try {
+      const donor = await findDonor(currentUser, id);
+
+      if (!donor) {
+        logger.warn("Donor not found with ID: " + id);
+        return res.status(404).send("Donor not found.");
+      }
+
+      const donation = await Donation.findOne({
+        where: { id: donationId, donor_id: donor.id },
+        include: [{ model: DonationAllocation, as: "allocations", include: [{ model: Project }] }],
+      });
+
+      if (!donation) {
+        logger.warn("Donation not found with ID: " + donationId);
+        return res.status(404).send("Donation not found.");
+      }
+
+      logger.info(`Allocations for donation ${donationId} retrieved by user: ${currentUser.id}`);
+
+      res.status(200).json({
+        data: donation.allocations,
+        unrestrictedAmount: unrestrictedAmountOf(donation, donation.allocations),
+      });
+    } catch (error) {
+      logger.error(`Error fetching donation allocations: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/donors/{id}/donations/{donationId}/allocations:
+ *   put:
+ *     summary: Replace a donation's project allocations
+ *     tags: [Donations]
+ *     description: Restrict parts of a gift to projects, replacing its current allocations. The allocations may not exceed the gift, and each project must share its currency. A change that would leave a project with more restricted spend than restricted funds is rejected.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the donor
+ *       - in: path
+ *         name: donationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the donation
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - allocations
+ *             properties:
+ *               allocations:
+ *                 type: array
+ *                 description: An empty list makes the whole gift unrestricted
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     project_id:
+ *                       type: integer
+ *                     amount:
+ *                       type: number
+ *     responses:
+ *       200:
+ *         description: Allocations updated successfully
+ *       400:
+ *         description: Bad request. Validation errors.
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: Donor or donation not found.
+ *       409:
+ *         description: The change would overdraw a project's restricted funds.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.updateDonationAllocations = [
+  param("id").isInt(),
+  param("donationId").isInt(),
+  body("allocations").isArray(),
+  ...allocationValidators("allocations"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id, donationId } = req.params;
+    const { allocations } = req.body;
+
+    try {
+      const donor = await findDonor(currentUser, id);
+
+      if (!donor) {
+        logger.warn("Donor not found with ID: " + id);
+        return res.status(404).send("Donor not found.");
+      }
+
+      const donation = await Donation.findOne({ where: { id: donationId, donor_id: donor.id } });
+
+      if (!donation) {
+        logger.warn("Donation not found with ID: " + donationId);
+        return res.status(404).send("Donation not found.");
+      }
+
+      const allocationError = await validateAllocations(donation, allocations);
+      if (allocationError) {
+        return res.status(400).send(allocationError);
+      }
+
+      const overdrawn = await sequelize.transaction((transaction) =>
+        replaceAllocations(donation, allocations, transaction)
+      );
+
+      if (overdrawn.length > 0) {
+        return res.status(409).send(`This change would overdraw the restricted funds of project(s) ${overdrawn.join(", ")}.`);
+      }
+
+      const saved = await DonationAllocation.findAll({ where: { donation_id: donation.id } });
+
+      logger.info(`Allocations for donation ${donationId} updated by user: ${currentUser.id}`);
+
+      res.status(200).json({
+        data: saved,
+        unrestrictedAmount: unrestrictedAmountOf(donation, saved),
+      });
+    } catch (error) {
+      logger.error(`Error updating donation allocations: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
@@ -1,5 +1,7 @@
 const { Op } = require("sequelize");
 const Donor = require("../models/Donor");
+const { scopeWhere, resolveNgoId } = require("../utils/ngoScope");
+const { attachDonationTotals } = require("../utils/donationTotals");
 
 /**
  * @swagger
@@ -10,6 +12,9 @@ const Donor = require("../models/Donor");
  *       properties:
  *         id:
  *           type: integer
+ *         ngo_id:
+ *           type: integer
+ *           description: ID of the NGO that owns this record
  *         name:
  *           type: string
  *           description: Name of the donor
@@ -22,6 +27,18 @@ const Donor = require("../models/Donor");
  *         address:
  *           type: string
  *           description: Address of the donor
+ *         lifetimeTotals:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *           description: Total donated, keyed by currency code (computed from donations)
+ *         donationCount:
+ *           type: integer
+ *           description: Number of donations recorded for the donor
+ *         lastDonationDate:
+ *           type: string
+ *           format: date
+ *           description: Date of the donor's most recent gift
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -94,19 +111,13 @@ const Donor = require("../models/Donor");
  *                     currentPage:
  *                       type: integer
  *       401:
- *         description: Unauthorized. User lacks admin privileges.
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
  *       500:
  *         description: Internal server error.
  */
 exports.getAllDonors = async (req, res) => {
     const currentUser = req.user;
 
-    if (currentUser.type !== "admin") {
-        return res
-            .status(401)
-            .send("Unauthorized. Only admin users can view donors.");
-    }
-
     let {
         page = 1,
         limit = 10,
@@ -143,9 +154,7 @@ exports.getAllDonors = async (req, res) => {
 
     try {
         const { rows: donors, count } = await Donor.findAndCountAll({
-            where: {
-                ...searchCondition,
-            },
+            where: scopeWhere(currentUser, searchCondition),
             order: orderCondition,
             limit,
             offset: (page - 1) * limit,
@@ -153,6 +162,8 @@ exports.getAllDonors = async (req, res) => {
 
         const totalPages = Math.ceil(count / limit);
 
+        await attachDonationTotals(donors);
+
         res.status(200).json({
             data: donors,
             meta: {
@@ -194,7 +205,7 @@ exports.getAllDonors = async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Donor'
  *       401:
- *         description: Unauthorized. User lacks admin privileges.
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
  *       404:
  *         description: Donor not found.
  *       500:
@@ -203,21 +214,17 @@ exports.getAllDonors = async (req, res) => {
 exports.getDonorById = async (req, res) => {
     const currentUser = req.user;
 
-    if (currentUser.type !== "admin") {
-        return res
-            .status(401)
-            .send("Unauthorized. Only admin users can view donors.");
-    }
-
     const { id } = req.params;
 
     try {
-        const donor = await Donor.findByPk(id);
+        const donor = await Donor.findOne({ where: scopeWhere(currentUser, { id }) });
 
         if (!donor) {
             return res.status(404).send("Donor not found.");
         }
 
+        await attachDonationTotals([donor]);
+
         res.status(200).json(donor);
     } catch (error) {
         console.error(`Error fetching donor by ID: ${error.message}`);
@@ -260,23 +267,22 @@ exports.getDonorById = async (req, res) => {
  *       400:
  *         description: Bad request. Invalid donor data.
  *       401:
- *         description: Unauthorized. User lacks admin privileges.
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
  *       500:
  *         description: Internal server error.
  */
 exports.createDonor = async (req, res) => {
     const currentUser = req.user;
 
-    if (currentUser.type !== "admin") {
-        return res
-            .status(401)
-            .send("Unauthorized. Only admin users can create new donors.");
-    }
-
     const donorData = req.body;
+    const ngoId = resolveNgoId(currentUser, donorData.ngo_id);
+
+    if (!ngoId) {
+        return res.status(400).send("ngo_id is required.");
+    }
 
     try {
-        const newDonor = await Donor.create(donorData);
+        const newDonor = await Donor.create({ ...donorData, ngo_id: ngoId });
 
         res.status(201).json(newDonor);
     } catch (error) {
@@ -329,7 +335,7 @@ exports.createDonor = async (req, res) => {
  *       400:
  *         description: Bad request. Invalid donor data.
  *       401:
- *         description: Unauthorized. User lacks admin privileges.
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
  *       404:
  *         description: Donor not found.
  *       500:
@@ -338,17 +344,11 @@ exports.createDonor = async (req, res) => {
 exports.updateDonor = async (req, res) => {
     const currentUser = req.user;
 
-    if (currentUser.type !== "admin") {
-        return res
-            .status(401)
-            .send("Unauthorized. Only admin users can update donors.");
-    }
-
     const { id } = req.params;
-    const donorData = req.body;
+    const { ngo_id, ...donorData } = req.body; // Donors cannot be moved between NGOs
 
     try {
-        const donor = await Donor.findByPk(id);
+        const donor = await Donor.findOne({ where: scopeWhere(currentUser, { id }) });
 
         if (!donor) {
             return res.status(404).send("Donor not found.");
@@ -386,7 +386,7 @@ exports.updateDonor = async (req, res) => {
  *       200:
  *         description: Donor deleted successfully
  *       401:
- *         description: Unauthorized. User lacks admin privileges.
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
  *       404:
  *         description: Donor not found.
  *       500:
@@ -395,16 +395,10 @@ exports.updateDonor = async (req, res) => {
 exports.deleteDonor = async (req, res) => {
     const currentUser = req.user;
 
-    if (currentUser.type !== "admin") {
-        return res
-            .status(401)
-            .send("Unauthorized. Only admin users can delete donors.");
-    }
-
     const { id } = req.params;
 
     try {
-        const donor = await Donor.findByPk(id);
+        const donor = await Donor.findOne({ where: scopeWhere(currentUser, { id }) });
 
         if (!donor) {
             return res.status(404).send("Donor not found.");
@@ -1,5 +1,6 @@
 const { Op } = require("sequelize");
 const Employee = require("../models/Employee");
+const { scopeWhere, resolveNgoId } = require("../utils/ngoScope");
 const logger = require("../utils/logger");
 const { body, param, query, validationResult } = require("express-validator");
 
@@ -13,6 +14,9 @@ const { body, param, query, validationResult } = require("express-validator");
  *         id:
  *           type: integer
  *           description: The unique identifier for the employee
+ *         ngo_id:
+ *           type: integer
+ *           description: ID of the NGO that owns this record
  *         user_id:
  *           type: integer
  *           description: Reference to the user ID
@@ -100,7 +104,7 @@ const { body, param, query, validationResult } = require("express-validator");
  *                     currentPage:
  *                       type: integer
  *       401:
- *         description: Unauthorized. User lacks admin privileges.
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
  *       500:
  *         description: Internal server error.
  */
@@ -118,13 +122,6 @@ exports.getAllEmployees = [
 
     const currentUser = req.user;
 
-    if (currentUser.type !== "admin") {
-      logger.warn("Unauthorized access attempt by user: " + currentUser.id);
-      return res
-        .status(401)
-        .send("Unauthorized. Only admin users can view employees.");
-    }
-
     let {
       page = 1,
       limit = 10,
@@ -154,9 +151,7 @@ exports.getAllEmployees = [
 
     try {
       const { rows: employees, count } = await Employee.findAndCountAll({
-        where: {
-          ...searchCondition,
-        },
+        where: scopeWhere(currentUser, searchCondition),
         order: orderCondition,
         limit,
         offset: (page - 1) * limit,
@@ -208,7 +203,7 @@ exports.getAllEmployees = [
  *             schema:
  *               $ref: '#/components/schemas/Employee'
  *       401:
- *         description: Unauthorized. User lacks admin privileges.
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
  *       404:
  *         description: Employee not found.
  *       500:
@@ -224,17 +219,10 @@ exports.getEmployeeById = [
 
     const currentUser = req.user;
 
-    if (currentUser.type !== "admin") {
-      logger.warn("Unauthorized access attempt by user: " + currentUser.id);
-      return res
-        .status(401)
-        .send("Unauthorized. Only admin users can view employees.");
-    }
-
     const { id } = req.params;
 
     try {
-      const employee = await Employee.findByPk(id);
+      const employee = await Employee.findOne({ where: scopeWhere(currentUser, { id }) });
 
       if (!employee) {
         logger.warn("Employee not found with ID: " + id);
@@ -294,7 +282,7 @@ exports.getEmployeeById = [
  *       400:
  *         description: Bad request. Invalid employee data.
  *       401:
- *         description: Unauthorized. User lacks admin privileges.
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
  *       500:
  *         description: Internal server error.
  */
@@ -311,17 +299,15 @@ exports.createEmployee = [
 
     const currentUser = req.user;
 
-    if (currentUser.type !== "admin") {
-      logger.warn("Unauthorized access attempt by user: " + currentUser.id);
-      return res
-        .status(401)
-        .send("Unauthorized. Only admin users can create employees.");
-    }
-
     const employeeData = req.body;
+    const ngoId = resolveNgoId(currentUser, employeeData.ngo_id);
+
+    if (!ngoId) {
+      return res.status(400).send("ngo_id is required.");
+    }
 
     try {
-      const newEmployee = await Employee.create(employeeData);
+      const newEmployee = await Employee.create({ ...employeeData, ngo_id: ngoId });
 
       logger.info("Employee created successfully by admin: " + currentUser.id);
 
@@ -380,7 +366,7 @@ exports.createEmployee = [
  *       400:
  *         description: Bad request. Invalid employee data.
  *       401:
- *         description: Unauthorized. User lacks admin privileges.
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
  *       404:
  *         description: Employee not found.
  *       500:
@@ -399,19 +385,12 @@ exports.updateEmployee = [
 
     const currentUser = req.user;
 
-    if (currentUser.type !== "admin") {
-      logger.warn("Unauthorized access attempt by user: " + currentUser.id);
-      return res
-        .status(401)
-        .send("Unauthorized. Only admin users can update employees.");
-    }
-
     const { id } = req.params;
-    const employeeData = req.body;
+    const { ngo_id, ...employeeData } = req.body; // Employees cannot be moved between NGOs
 
     try {
       const [updated] = await Employee.update(employeeData, {
-        where: { id },
+        where: scopeWhere(currentUser, { id }),
         returning: true,
       });
 
@@ -454,7 +433,7 @@ exports.updateEmployee = [
  *       200:
  *         description: Employee deleted successfully
  *       401:
- *         description: Unauthorized. User lacks admin privileges.
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
  *       404:
  *         description: Employee not found.
  *       500:
@@ -470,18 +449,11 @@ exports.deleteEmployee = [
 
     const currentUser = req.user;
 
-    if (currentUser.type !== "admin") {
-      logger.warn("Unauthorized access attempt by user: " + currentUser.id);
-      return res
-        .status(401)
-        .send("Unauthorized. Only admin users can delete employees.");
-    }
-
     const { id } = req.params;
 
     try {
       const deleted = await Employee.destroy({
-        where: { id },
+        where: scopeWhere(currentUser, { id }),
       });
 
       if (deleted === 0) {
@@ -0,0 +1,466 @@
+const { fn, col } = require("sequelize");
+const Beneficiary = require("../models/Beneficiary");
+const ProjectEnrollment = require("../models/ProjectEnrollment");
+const ServiceDelivery = require("../models/ServiceDelivery");
+const logger = require("../utils/logger");
+const { findProject } = require("../utils/scopedRecords");
+const { body, param, query, validationResult } = require("express-validator");
+
+const STATUSES = ["active", "suspended", "completed", "withdrawn"];
+const OPEN_STATUSES = ["active", "suspended"];
+
+// Allowed status changes; completed and withdrawn enrollments are closed.
+const TRANSITIONS = {
+  active: ["suspended", "completed", "withdrawn"],
+  suspended: ["active", "completed", "withdrawn"],
+  completed: [],
+  withdrawn: [],
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProjectEnrollment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         beneficiary_id:
+ *           type: integer
+ *         project_id:
+ *           type: integer
+ *         enrolledOn:
+ *           type: string
+ *           format: date
+ *         exitedOn:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [active, suspended, completed, withdrawn]
+ *         exitReason:
+ *           type: string
+ *         enrolledBy:
+ *           type: integer
+ *           description: ID of the user who enrolled the beneficiary
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Enrollments
+ *   description: Endpoints for enrolling beneficiaries in projects
+ */
+
+/**
+ * @swagger
+ * /api/projects/{id}/beneficiaries:
+ *   get:
+ *     summary: List a project's beneficiaries
+ *     tags: [Enrollments]
+ *     description: Retrieve the beneficiaries enrolled in a project with the services each has received under it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the project
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, suspended, completed, withdrawn]
+ *         description: Only include enrollments with this status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: A paginated list of enrollments.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/ProjectEnrollment'
+ *                       - type: object
+ *                         properties:
+ *                           Beneficiary:
+ *                             $ref: '#/components/schemas/Beneficiary'
+ *                           servicesReceived:
+ *                             type: integer
+ *                           lastServiceOn:
+ *                             type: string
+ *                             format: date
+ *                             nullable: true
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     totalItems:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     currentPage:
+ *                       type: integer
+ *                     statusCounts:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: integer
+ *                       description: Number of enrollments in the project by status
+ *       400:
+ *         description: Bad request. Validation errors.
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: Project not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getProjectBeneficiaries = [
+  param("id").isInt(),
+  query("status").optional().isIn(STATUSES),
+  query("page").optional().isInt({ min: 1 }),
+  query("limit").optional().isInt({ min: 1 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id } = req.params;
+    let { page = 1, limit = 10, status } = req.query;
+
+    page = parseInt(page, 10);
+    limit = parseInt(limit, 10);
+    page = isNaN(page) || page < 1 ? 1 : page;
+    limit = isNaN(limit) || limit < 1 ? 10 : limit;
+
+    try {
+      const project = await findProject(currentUser, id);
+
+      if (!project) {
+        logger.warn("Project not found with ID: " + id);
+        return res.status(404).send("Project not found.");
+      }
+
+      const where = { project_id: project.id };
+      if (status) {
+        where.status = status;
+      }
+
+      const { rows: enrollments, count } = await ProjectEnrollment.findAndCountAll({
+        where,
+        include: [{ model: Beneficiary }],
+        order: [["enrolledOn", "desc"]],
+        limit,
+        offset: (page - 1) * limit,
+      });
+
+      const [services, statusRows] = await Promise.all([
+        ServiceDelivery.findAll({
+          attributes: ["beneficiary_id", [fn("COUNT", col("id")), "count"], [fn("MAX", col("deliveredOn")), "lastDate"]],
+          where: {
+            project_id: project.id,
+            beneficiary_id: enrollments.map((enrollment) => enrollment.beneficiary_id),
+          },
+          group: ["beneficiary_id"],
+          raw: true,
+        }),
+        ProjectEnrollment.findAll({
+          attributes: ["status", [fn("COUNT", col("id")), "count"]],
+          where: { project_id: project.id },
+          group: ["status"],
+          raw: true,
+        }),
+      ]);
+
+      const servicesByBeneficiary = {};
+      services.forEach((row) => {
+        servicesByBeneficiary[row.beneficiary_id] = row;
+      });
+      enrollments.forEach((enrollment) => {
+        const row = servicesByBeneficiary[enrollment.beneficiary_id];
+        enrollment.dataValues.servicesReceived = row ? parseInt(row.count, 10) : 0;
+        enrollment.dataValues.lastServiceOn = row ? row.lastDate : null;
+      });
+
+      const statusCounts = {};
+      STATUSES.forEach((value) => {
+        statusCounts[value] = 0;
+      });
+      statusRows.forEach((row) => {
+        statusCounts[row.status] = parseInt(row.count, 10);
+      });
+
+      logger.info(`Beneficiaries of project ${id} retrieved by user: ${currentUser.id}`);
+
+      res.status(200).json({
+        data: enrollments,
+        meta: {
+          totalItems: count,
+          totalPages: Math.ceil(count / limit),
+          currentPage: page,
+          statusCounts,
+        },
+      });
+    } catch (error) {
+      logger.error(`Error fetching project beneficiaries: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/projects/{id}/beneficiaries:
+ *   post:
+ *     summary: Enroll a beneficiary in a project
+ *     tags: [Enrollments]
+ *     description: Enroll a beneficiary of the same NGO in a project. A beneficiary can re-enroll after leaving, but cannot hold two open enrollments in one project.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the project
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - beneficiary_id
+ *             properties:
+ *               beneficiary_id:
+ *                 type: integer
+ *               enrolledOn:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       201:
+ *         description: Beneficiary enrolled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProjectEnrollment'
+ *       400:
+ *         description: Bad request. Validation errors.
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: Project or beneficiary not found.
+ *       409:
+ *         description: The beneficiary is already enrolled in the project.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.enrollBeneficiary = [
+  param("id").isInt(),
+  body("beneficiary_id").isInt(),
+  body("enrolledOn").optional().isISO8601().withMessage("enrolledOn must be a valid date"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id } = req.params;
+    const { beneficiary_id, enrolledOn } = req.body;
+
+    try {
+      const project = await findProject(currentUser, id);
+
+      if (!project) {
+        logger.warn("Project not found with ID: " + id);
+        return res.status(404).send("Project not found.");
+      }
+
+      const beneficiary = await Beneficiary.findOne({ where: { id: beneficiary_id, ngo_id: project.ngo_id } });
+
+      if (!beneficiary) {
+        logger.warn("Beneficiary not found with ID: " + beneficiary_id);
+        return res.status(404).send("Beneficiary not found.");
+      }
+
+      const openEnrollment = await ProjectEnrollment.findOne({
+        where: { project_id: project.id, beneficiary_id: beneficiary.id, status: OPEN_STATUSES },
+      });
+
+      if (openEnrollment) {
+        return res.status(409).send("Beneficiary is already enrolled in this project.");
+      }
+
+      const enrollment = await ProjectEnrollment.create({
+        project_id: project.id,
+        beneficiary_id: beneficiary.id,
+        enrolledOn: enrolledOn ? enrolledOn.slice(0, 10) : undefined,
+        enrolledBy: currentUser.id,
+      });
+
+      logger.info(`Beneficiary ${beneficiary.id} enrolled in project ${id} by user: ${currentUser.id}`);
+
+      res.status(201).json(enrollment);
+    } catch (error) {
+      logger.error(`Error enrolling beneficiary: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/projects/{id}/beneficiaries/{enrollmentId}:
+ *   put:
+ *     summary: Update an enrollment
+ *     tags: [Enrollments]
+ *     description: Suspend, resume or close a beneficiary's enrollment. Closing it as completed or withdrawn records the exit date (today by default); a closed enrollment cannot be changed.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the project
+ *       - in: path
+ *         name: enrollmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the enrollment to update
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [active, suspended, completed, withdrawn]
+ *               exitedOn:
+ *                 type: string
+ *                 format: date
+ *               exitReason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Enrollment updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProjectEnrollment'
+ *       400:
+ *         description: Bad request. Validation errors.
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: Project or enrollment not found.
+ *       409:
+ *         description: The status change is not allowed.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.updateEnrollment = [
+  param("id").isInt(),
+  param("enrollmentId").isInt(),
+  body("status").isIn(STATUSES),
+  body("exitedOn").optional().isISO8601().withMessage("exitedOn must be a valid date"),
+  body("exitReason").optional().isString(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id, enrollmentId } = req.params;
+    const { status, exitedOn, exitReason } = req.body;
+
+    try {
+      const project = await findProject(currentUser, id);
+
+      if (!project) {
+        logger.warn("Project not found with ID: " + id);
+        return res.status(404).send("Project not found.");
+      }
+
+      const enrollment = await ProjectEnrollment.findOne({ where: { id: enrollmentId, project_id: project.id } });
+
+      if (!enrollment) {
+        logger.warn("Enrollment not found with ID: " + enrollmentId);
+        return res.status(404).send("Enrollment not found.");
+      }
+
+      if (status !== enrollment.status && !TRANSITIONS[enrollment.status].includes(status)) {
+        return res.status(409).send(`A ${enrollment.status} enrollment cannot be changed to ${status}.`);
+      }
+
+      enrollment.status = status;
+      if (exitReason !== undefined) enrollment.exitReason = exitReason;
+
+      if (OPEN_STATUSES.includes(status)) {
+        enrollment.exitedOn = null;
+      } else {
+        enrollment.exitedOn = exitedOn ? exitedOn.slice(0, 10) : enrollment.exitedOn || today();
+        if (enrollment.exitedOn < enrollment.enrolledOn) {
+          return res.status(400).send("exitedOn must not be before the enrollment date.");
+        }
+      }
+
+      await enrollment.save();
+
+      logger.info(`Enrollment ${enrollmentId} updated by user: ${currentUser.id}`);
+
+      res.status(200).json(enrollment);
+    } catch (error) {
+      logger.error(`Error updating enrollment: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
@@ -1,5 +1,33 @@
 const { Op } = require("sequelize");
 const Event = require("../models/Event");
+const EventException = require("../models/EventException");
+const EventRegistration = require("../models/EventRegistration");
+const EventSignup = require("../models/EventSignup");
+const CheckInToken = require("../models/CheckInToken");
+const VolunteerAttendance = require("../models/Volunteerattendance");
+const Project = require("../models/Project");
+const sequelize = require("../config/db");
+const logger = require("../utils/logger");
+const { promoteWaitlists, sendPromotionEmails } = require("../utils/eventRegistrations");
+const { parseRRule, occurrenceKey } = require("../utils/recurrence");
+const { scopeWhere, resolveNgoId } = require("../utils/ngoScope");
+
+// Problem with the recurrence rule the event would end up with, if any.
+// A series is anchored on its first occurrence, so it needs a date.
+const recurrenceError = (recurrence, date) => {
+    if (!recurrence) {
+        return null;
+    }
+    if (!date) {
+        return "A recurring event needs a date.";
+    }
+    try {
+        parseRRule(recurrence);
+        return null;
+    } catch (error) {
+        return `Invalid recurrence: ${error.message}`;
+    }
+};
 
 /**
  * @swagger
@@ -10,6 +38,12 @@ const Event = require("../models/Event");
  *       properties:
  *         id:
  *           type: integer
+ *         ngo_id:
+ *           type: integer
+ *           description: ID of the NGO that owns this record
+ *         project_id:
+ *           type: integer
+ *           description: Project the event is run under
  *         eventName:
  *           type: string
  *           description: Name of the event
@@ -17,6 +51,22 @@ const Event = require("../models/Event");
  *           type: string
  *           format: date-time
  *           description: Date and time of the event
+ *         endDate:
+ *           type: string
+ *           format: date-time
+ *           description: When the event finishes
+ *         recurrence:
+ *           type: string
+ *           description: RRULE for a recurring event, e.g. FREQ=WEEKLY;BYDAY=SA. date and endDate are the first occurrence.
+ *         volunteersNeeded:
+ *           type: integer
+ *           description: Total number of volunteers wanted
+ *         published:
+ *           type: boolean
+ *           description: Listed publicly and open for registration
+ *         capacity:
+ *           type: integer
+ *           description: Public registrations accepted before new ones are waitlisted
  *         location:
  *           type: string
  *           description: Location of the event
@@ -92,19 +142,13 @@ const Event = require("../models/Event");
  *                     currentPage:
  *                       type: integer
  *       401:
- *         description: Unauthorized. User lacks admin privileges.
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
  *       500:
  *         description: Internal server error.
  */
 exports.getAllEvents = async (req, res) => {
     const currentUser = req.user;
 
-    if (currentUser.type !== "admin") {
-        return res
-            .status(401)
-            .send("Unauthorized. Only admin users can view events.");
-    }
-
     let {
         page = 1,
         limit = 10,
@@ -140,9 +184,7 @@ exports.getAllEvents = async (req, res) => {
 
     try {
         const { rows: events, count } = await Event.findAndCountAll({
-            where: {
-                ...searchCondition,
-            },
+            where: scopeWhere(currentUser, searchCondition),
             order: orderCondition,
             limit,
             offset: (page - 1) * limit,
@@ -191,7 +233,7 @@ exports.getAllEvents = async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Event'
  *       401:
- *         description: Unauthorized. User lacks admin privileges.
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
  *       404:
  *         description: Event not found.
  *       500:
@@ -200,16 +242,10 @@ exports.getAllEvents = async (req, res) => {
 exports.getEventById = async (req, res) => {
     const currentUser = req.user;
 
-    if (currentUser.type !== "admin") {
-        return res
-            .status(401)
-            .send("Unauthorized. Only admin users can view events.");
-    }
-
     const { id } = req.params;
 
     try {
-        const event = await Event.findByPk(id);
+        const event = await Event.findOne({ where: scopeWhere(currentUser, { id }) });
 
         if (!event) {
             return res.status(404).send("Event not found.");
@@ -239,11 +275,25 @@ exports.getEventById = async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
+ *               project_id:
+ *                 type: integer
  *               eventName:
  *                 type: string
  *               date:
  *                 type: string
  *                 format: date-time
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *               recurrence:
+ *                 type: string
+ *                 example: FREQ=WEEKLY;BYDAY=SA
+ *               volunteersNeeded:
+ *                 type: integer
+ *               published:
+ *                 type: boolean
+ *               capacity:
+ *                 type: integer
  *               location:
  *                 type: string
  *     responses:
@@ -256,23 +306,31 @@ exports.getEventById = async (req, res) => {
  *       400:
  *         description: Bad request. Invalid event data.
  *       401:
- *         description: Unauthorized. User lacks admin privileges.
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
  *       500:
  *         description: Internal server error.
  */
 exports.createEvent = async (req, res) => {
     const currentUser = req.user;
 
-    if (currentUser.type !== "admin") {
-        return res
-            .status(401)
-            .send("Unauthorized. Only admin users can create new events.");
-    }
-
     const eventData = req.body;
+    const ngoId = resolveNgoId(currentUser, eventData.ngo_id);
+
+    if (!ngoId) {
+        return res.status(400).send("ngo_id is required.");
+    }
 
     try {
-        const newEvent = await Event.create(eventData);
+        if (eventData.project_id && !(await Project.findOne({ where: { id: eventData.project_id, ngo_id: ngoId } }))) {
+            return res.status(400).send("Project not found.");
+        }
+
+        const invalidRecurrence = recurrenceError(eventData.recurrence, eventData.date);
+        if (invalidRecurrence) {
+            return res.status(400).send(invalidRecurrence);
+        }
+
+        const newEvent = await Event.create({ ...eventData, ngo_id: ngoId });
 
         res.status(201).json(newEvent);
     } catch (error) {
@@ -290,7 +348,7 @@ exports.createEvent = async (req, res) => {
  *   put:
  *     summary: Update an event
  *     tags: [Events]
- *     description: Update an event by ID.
+ *     description: Update an event by ID. Raising or removing the capacity moves people off the waitlist.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -307,11 +365,25 @@ exports.createEvent = async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
+ *               project_id:
+ *                 type: integer
  *               eventName:
  *                 type: string
  *               date:
  *                 type: string
  *                 format: date-time
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *               recurrence:
+ *                 type: string
+ *                 example: FREQ=WEEKLY;BYDAY=SA
+ *               volunteersNeeded:
+ *                 type: integer
+ *               published:
+ *                 type: boolean
+ *               capacity:
+ *                 type: integer
  *               location:
  *                 type: string
  *     responses:
@@ -324,7 +396,7 @@ exports.createEvent = async (req, res) => {
  *       400:
  *         description: Bad request. Invalid event data.
  *       401:
- *         description: Unauthorized. User lacks admin privileges.
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
  *       404:
  *         description: Event not found.
  *       500:
@@ -333,24 +405,59 @@ exports.createEvent = async (req, res) => {
 exports.updateEvent = async (req, res) => {
     const currentUser = req.user;
 
-    if (currentUser.type !== "admin") {
-        return res
-            .status(401)
-            .send("Unauthorized. Only admin users can update events.");
-    }
-
     const { id } = req.params;
-    const eventData = req.body;
+    const { ngo_id, ...eventData } = req.body; // Events cannot be moved between NGOs
 
     try {
-        const event = await Event.findByPk(id);
+        const event = await Event.findOne({ where: scopeWhere(currentUser, { id }) });
 
         if (!event) {
             return res.status(404).send("Event not found.");
         }
 
+        if (eventData.project_id && !(await Project.findOne({ where: { id: eventData.project_id, ngo_id: event.ngo_id } }))) {
+            return res.status(400).send("Project not found.");
+        }
+
+        const invalidRecurrence = recurrenceError(
+            eventData.recurrence === undefined ? event.recurrence : eventData.recurrence,
+            eventData.date === undefined ? event.date : eventData.date
+        );
+        if (invalidRecurrence) {
+            return res.status(400).send(invalidRecurrence);
+        }
+
+        const previous = { date: event.date, recurrence: event.recurrence };
         await event.update(eventData);
 
+        // Registrations, sign-ups, check-in passes and attendance of a one-off
+        // event follow it to its new date
+        if (!previous.recurrence && !event.recurrence && previous.date && event.date) {
+            const from = occurrenceKey(new Date(previous.date));
+            const to = occurrenceKey(new Date(event.date));
+            if (from !== to) {
+                await sequelize.transaction(async (transaction) => {
+                    await EventRegistration.update({ occurrence: to }, { where: { event_id: event.id, occurrence: from }, transaction });
+                    await EventSignup.update({ occurrence: to }, { where: { event_id: event.id, occurrence: from }, transaction });
+                    await CheckInToken.update({ occurrence: to }, { where: { event_id: event.id, occurrence: from }, transaction });
+                    await VolunteerAttendance.update({ occurrence: to }, { where: { event_id: event.id, occurrence: from }, transaction });
+                });
+            }
+        }
+
+        // More room (or no limit any more) lets waitlisted people in
+        if (eventData.capacity !== undefined) {
+            const promoted = await sequelize.transaction(async (transaction) => {
+                const locked = await Event.findOne({ where: { id: event.id }, lock: transaction.LOCK.UPDATE, transaction });
+                return promoteWaitlists(locked, transaction);
+            });
+            if (promoted.length > 0) {
+                logger.info(`${promoted.length} registration(s) promoted from the waitlist of event ${event.id}`);
+                const exceptions = await EventException.findAll({ where: { event_id: event.id } });
+                await sendPromotionEmails(promoted, event, exceptions);
+            }
+        }
+
         res.status(200).json(event);
     } catch (error) {
         console.error(`Error updating event: ${error.message}`);
@@ -381,7 +488,7 @@ exports.updateEvent = async (req, res) => {
  *       204:
  *         description: Event deleted successfully
  *       401:
- *         description: Unauthorized. User lacks admin privileges.
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
  *       404:
  *         description: Event not found.
  *       500:
@@ -390,16 +497,10 @@ exports.updateEvent = async (req, res) => {
 exports.deleteEvent = async (req, res) => {
     const currentUser = req.user;
 
-    if (currentUser.type !== "admin") {
-        return res
-            .status(401)
-            .send("Unauthorized. Only admin users can delete events.");
-    }
-
     const { id } = req.params;
 
     try {
-        const event = await Event.findByPk(id);
+        const event = await Event.findOne({ where: scopeWhere(currentUser, { id }) });
 
         if (!event) {
             return res.status(404).send("Event not found.");
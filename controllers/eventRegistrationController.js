@@ -0,0 +1,867 @@
+const { Op, fn, col } = require("sequelize");
+const sequelize = require("../config/db");
+const Event = require("../models/Event");
+const EventException = require("../models/EventException");
+const EventRegistration = require("../models/EventRegistration");
+const NGO = require("../models/NGO");
+const logger = require("../utils/logger");
+const { scopeWhere } = require("../utils/ngoScope");
+const {
+  OCCURRENCE_LOOK_BACK_MS,
+  occurrenceKey,
+  occurrenceOn,
+  upcomingOccurrences,
+  nextOccurrence,
+} = require("../utils/recurrence");
+const {
+  WAITLIST_ORDER,
+  newCancelToken,
+  findByCancelToken,
+  countRegistered,
+  spotsLeft,
+  waitlistPosition,
+  promoteWaitlist,
+  sendRegistrationEmail,
+  sendPromotionEmails,
+} = require("../utils/eventRegistrations");
+const { body, param, query, validationResult } = require("express-validator");
+
+// What the public may see of an event.
+const PUBLIC_ATTRIBUTES = ["id", "ngo_id", "name", "description", "date", "endDate", "location", "capacity", "recurrence"];
+
+const UPCOMING_LIMIT = 10;
+
+// The event as the public sees it at one occurrence (see utils/recurrence).
+const publicEvent = (event, occurrence, registered) => {
+  const left = spotsLeft(event, registered);
+  return {
+    id: event.id,
+    occurrence: occurrence.occurrence,
+    recurring: Boolean(event.recurrence),
+    name: occurrence.name,
+    description: occurrence.description,
+    date: occurrence.start,
+    endDate: occurrence.end,
+    location: occurrence.location,
+    organization: event.NGO ? { id: event.NGO.id, name: event.NGO.name } : null,
+    capacity: event.capacity,
+    spotsLeft: left,
+    full: left === 0,
+  };
+};
+
+// An event with no occurrences to come is shown as first scheduled.
+const firstOccurrence = (event) =>
+  (event.date && occurrenceOn(event, event.exceptions, occurrenceKey(event.date))) || {
+    occurrence: null,
+    start: event.date,
+    end: event.endDate,
+    name: event.name,
+    location: event.location,
+    description: event.description,
+  };
+
+// Registered people per "<event id>:<occurrence>".
+const registeredCounts = async (eventIds, occurrences) => {
+  const rows = await EventRegistration.findAll({
+    attributes: ["event_id", "occurrence", [fn("COUNT", col("id")), "count"]],
+    where: { event_id: eventIds, occurrence: occurrences, status: "registered" },
+    group: ["event_id", "occurrence"],
+    raw: true,
+  });
+  const counts = {};
+  rows.forEach((row) => {
+    counts[`${row.event_id}:${row.occurrence}`] = parseInt(row.count, 10);
+  });
+  return counts;
+};
+
+// Cancel a registration and hand its place to the waitlist, all under a
+// lock on the event. Resolves to { registration, promoted } or { status,
+// message }.
+const cancelRegistration = (registrationWhere) =>
+  sequelize.transaction(async (transaction) => {
+    const registration = await EventRegistration.findOne({ where: registrationWhere, transaction });
+    if (!registration) {
+      return { status: 404, message: "Registration not found." };
+    }
+
+    const event = await Event.findOne({
+      where: { id: registration.event_id },
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+    await registration.reload({ lock: transaction.LOCK.UPDATE, transaction });
+    if (registration.status === "cancelled") {
+      return { status: 409, message: "This registration has already been cancelled." };
+    }
+
+    const wasRegistered = registration.status === "registered";
+    registration.status = "cancelled";
+    registration.cancelledAt = new Date();
+    await registration.save({ transaction });
+
+    const promoted = wasRegistered ? await promoteWaitlist(event, registration.occurrence, transaction) : [];
+    const exceptions = await EventException.findAll({ where: { event_id: event.id }, transaction });
+    return { registration, event, exceptions, promoted };
+  });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PublicEvent:
+ *       type: object
+ *       description: >
+ *         An event at one occurrence. For a recurring event the dates, name, location and description are those
+ *         of the occurrence, and places are counted per occurrence.
+ *       properties:
+ *         id:
+ *           type: integer
+ *         occurrence:
+ *           type: string
+ *           format: date
+ *           description: Original date of the occurrence; pass it when registering or signing up for a recurring event
+ *         recurring:
+ *           type: boolean
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         date:
+ *           type: string
+ *           format: date-time
+ *         endDate:
+ *           type: string
+ *           format: date-time
+ *         location:
+ *           type: string
+ *         organization:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: integer
+ *             name:
+ *               type: string
+ *         capacity:
+ *           type: integer
+ *           description: Null when there is no limit
+ *         spotsLeft:
+ *           type: integer
+ *           description: Null when there is no limit
+ *         full:
+ *           type: boolean
+ *           description: New registrations go to the waitlist
+ *     EventRegistration:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         event_id:
+ *           type: integer
+ *         occurrence:
+ *           type: string
+ *           format: date
+ *         name:
+ *           type: string
+ *         email:
+ *           type: string
+ *         phone:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [registered, waitlisted, cancelled]
+ *         waitlistPosition:
+ *           type: integer
+ *         registeredAt:
+ *           type: string
+ *           format: date-time
+ *         promotedAt:
+ *           type: string
+ *           format: date-time
+ *         cancelledAt:
+ *           type: string
+ *           format: date-time
+ *         checkedInAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/public/events:
+ *   get:
+ *     summary: List published events
+ *     tags: [Public]
+ *     description: >
+ *       Published events with an occurrence to come, by their next occurrence in the range, soonest first.
+ *       No authentication needed.
+ *     parameters:
+ *       - in: query
+ *         name: ngo_id
+ *         schema:
+ *           type: integer
+ *         description: Only events of this organization
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to now
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: A paginated list of events.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PublicEvent'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     totalItems:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     currentPage:
+ *                       type: integer
+ *       400:
+ *         description: Invalid input.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getPublicEvents = [
+  query("ngo_id").optional().isInt().withMessage("ngo_id must be an integer"),
+  query("search").optional().isString(),
+  query("from").optional().isDate().withMessage("from must be a date (YYYY-MM-DD)"),
+  query("to").optional().isDate().withMessage("to must be a date (YYYY-MM-DD)"),
+  query("page").optional().isInt({ min: 1 }).toInt(),
+  query("limit").optional().isInt({ min: 1, max: 100 }).toInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { ngo_id, search, from, to, page = 1, limit = 20 } = req.query;
+    const after = from ? new Date(new Date(`${from}T00:00:00`).getTime() - 1) : new Date();
+    const until = to ? new Date(`${to}T23:59:59.999`) : null;
+
+    const where = {
+      published: true,
+      date: { [Op.ne]: null },
+      // A series can have occurrences ahead however long ago it began; a
+      // one-off event may have been moved later than its date
+      [Op.or]: [
+        { recurrence: { [Op.ne]: null } },
+        { date: { [Op.gte]: new Date(after.getTime() - OCCURRENCE_LOOK_BACK_MS) } },
+      ],
+    };
+    if (ngo_id) {
+      where.ngo_id = ngo_id;
+    }
+    if (search) {
+      where.name = { [Op.like]: `%${search}%` };
+    }
+
+    try {
+      const events = await Event.findAll({
+        where,
+        attributes: PUBLIC_ATTRIBUTES,
+        include: [
+          { model: NGO, attributes: ["id", "name"] },
+          { model: EventException, as: "exceptions" },
+        ],
+      });
+
+      const listed = events
+        .map((event) => ({ event, occurrence: upcomingOccurrences(event, event.exceptions, { after, until })[0] }))
+        .filter(({ occurrence }) => occurrence)
+        .sort((a, b) => a.occurrence.start - b.occurrence.start || a.event.id - b.event.id);
+      const pageItems = listed.slice((page - 1) * limit, page * limit);
+
+      const counts = await registeredCounts(
+        pageItems.map(({ event }) => event.id),
+        pageItems.map(({ occurrence }) => occurrence.occurrence)
+      );
+
+      res.status(200).json({
+        data: pageItems.map(({ event, occurrence }) =>
+          publicEvent(event, occurrence, counts[`${event.id}:${occurrence.occurrence}`] || 0)
+        ),
+        meta: {
+          totalItems: listed.length,
+          totalPages: Math.ceil(listed.length / limit),
+          currentPage: page,
+        },
+      });
+    } catch (error) {
+      logger.error(`Error fetching public events: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/public/events/{id}:
+ *   get:
+ *     summary: Get a published event
+ *     tags: [Public]
+ *     description: The event at the requested occurrence, by default the next one, with the occurrences to come.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: occurrence
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: The event.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/PublicEvent'
+ *                 - type: object
+ *                   properties:
+ *                     upcoming:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           occurrence:
+ *                             type: string
+ *                             format: date
+ *                           date:
+ *                             type: string
+ *                             format: date-time
+ *                           endDate:
+ *                             type: string
+ *                             format: date-time
+ *                           spotsLeft:
+ *                             type: integer
+ *                           full:
+ *                             type: boolean
+ *       400:
+ *         description: Invalid input.
+ *       404:
+ *         description: No published event has this ID, or it has no such occurrence.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getPublicEvent = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  query("occurrence").optional().isDate().withMessage("occurrence must be a date (YYYY-MM-DD)"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const event = await Event.findOne({
+        where: { id: req.params.id, published: true },
+        attributes: PUBLIC_ATTRIBUTES,
+        include: [
+          { model: NGO, attributes: ["id", "name"] },
+          { model: EventException, as: "exceptions" },
+        ],
+      });
+      if (!event) {
+        return res.status(404).send("Event not found.");
+      }
+
+      let occurrence;
+      if (req.query.occurrence) {
+        occurrence = occurrenceOn(event, event.exceptions, req.query.occurrence);
+        if (!occurrence || occurrence.cancelled) {
+          return res.status(404).send("Occurrence not found.");
+        }
+      } else {
+        occurrence = nextOccurrence(event, event.exceptions) || firstOccurrence(event);
+      }
+
+      const upcoming = upcomingOccurrences(event, event.exceptions, { limit: UPCOMING_LIMIT });
+      const counts = await registeredCounts(
+        [event.id],
+        [occurrence, ...upcoming].map((entry) => entry.occurrence).filter(Boolean)
+      );
+      const registered = (entry) => counts[`${event.id}:${entry.occurrence}`] || 0;
+
+      res.status(200).json({
+        ...publicEvent(event, occurrence, registered(occurrence)),
+        upcoming: upcoming.map((entry) => {
+          const left = spotsLeft(event, registered(entry));
+          return { occurrence: entry.occurrence, date: entry.start, endDate: entry.end, spotsLeft: left, full: left === 0 };
+        }),
+      });
+    } catch (error) {
+      logger.error(`Error fetching public event: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/public/events/{id}/registrations:
+ *   post:
+ *     summary: Register for a published event
+ *     tags: [Public]
+ *     description: >
+ *       Registers the person for an occurrence of the event, by default the next one, or puts them on
+ *       that occurrence's waitlist when it is full. A confirmation email carries a link for cancelling;
+ *       the same token is returned here.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - email
+ *             properties:
+ *               name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               phone:
+ *                 type: string
+ *               occurrence:
+ *                 type: string
+ *                 format: date
+ *                 description: Occurrence to register for; defaults to the next one
+ *     responses:
+ *       201:
+ *         description: Registered or waitlisted.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                 event_id:
+ *                   type: integer
+ *                 occurrence:
+ *                   type: string
+ *                   format: date
+ *                 date:
+ *                   type: string
+ *                   format: date-time
+ *                 status:
+ *                   type: string
+ *                   enum: [registered, waitlisted]
+ *                 waitlistPosition:
+ *                   type: integer
+ *                 cancelToken:
+ *                   type: string
+ *       400:
+ *         description: Invalid input.
+ *       404:
+ *         description: No published event has this ID, or it has no such occurrence.
+ *       409:
+ *         description: The occurrence has already started, or the email is already registered for it.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.register = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  body("name").isString().trim().notEmpty().withMessage("Name is required"),
+  body("email").isEmail().withMessage("A valid email is required").normalizeEmail({ gmail_remove_dots: false }),
+  body("phone").optional({ values: "null" }).isString().trim(),
+  body("occurrence").optional().isDate().withMessage("occurrence must be a date (YYYY-MM-DD)"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, email, phone } = req.body;
+
+    try {
+      const result = await sequelize.transaction(async (transaction) => {
+        // The event row lock serialises registrations so capacity holds
+        const event = await Event.findOne({
+          where: { id: req.params.id, published: true },
+          lock: transaction.LOCK.UPDATE,
+          transaction,
+        });
+        if (!event) {
+          return { status: 404, message: "Event not found." };
+        }
+
+        const exceptions = await EventException.findAll({ where: { event_id: event.id }, transaction });
+        const now = new Date();
+        let occurrence;
+        if (req.body.occurrence) {
+          occurrence = occurrenceOn(event, exceptions, req.body.occurrence);
+          if (!occurrence || occurrence.cancelled) {
+            return { status: 404, message: "Occurrence not found." };
+          }
+        } else {
+          occurrence = nextOccurrence(event, exceptions, now);
+        }
+        if (!occurrence || occurrence.start <= now) {
+          return { status: 409, message: "Registration for this event has closed." };
+        }
+
+        const existing = await EventRegistration.findOne({
+          where: { event_id: event.id, occurrence: occurrence.occurrence, email },
+          transaction,
+        });
+        if (existing && existing.status !== "cancelled") {
+          return { status: 409, message: "This email is already registered for the event." };
+        }
+
+        const full = spotsLeft(event, await countRegistered(event.id, occurrence.occurrence, transaction)) === 0;
+        const { token, hash } = newCancelToken();
+        const fields = {
+          name,
+          email,
+          phone,
+          status: full ? "waitlisted" : "registered",
+          registeredAt: new Date(),
+          promotedAt: null,
+          cancelledAt: null,
+          checkedInAt: null,
+          cancelTokenHash: hash,
+        };
+
+        // Registering again after cancelling starts from the back of the queue
+        const registration = existing
+          ? await existing.update(fields, { transaction })
+          : await EventRegistration.create(
+              { ngo_id: event.ngo_id, event_id: event.id, occurrence: occurrence.occurrence, ...fields },
+              { transaction }
+            );
+
+        const position = full ? await waitlistPosition(registration, transaction) : null;
+        return { event, exceptions, occurrence, registration, token, position };
+      });
+
+      if (result.status) {
+        return res.status(result.status).send(result.message);
+      }
+
+      const { event, exceptions, occurrence, registration, token, position } = result;
+      logger.info(
+        `Public registration ${registration.id} for event ${event.id} on ${occurrence.occurrence} (${registration.status})`
+      );
+
+      await sendRegistrationEmail(registration, event, { exceptions, cancelToken: token, position });
+
+      res.status(201).json({
+        id: registration.id,
+        event_id: event.id,
+        occurrence: occurrence.occurrence,
+        date: occurrence.start,
+        status: registration.status,
+        waitlistPosition: position,
+        cancelToken: token,
+      });
+    } catch (error) {
+      logger.error(`Error registering for event: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/public/registrations/cancel:
+ *   post:
+ *     summary: Cancel a registration
+ *     tags: [Public]
+ *     description: Cancels with the token from the confirmation email. The first person on the waitlist takes the freed place.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Registration cancelled.
+ *       400:
+ *         description: Invalid input.
+ *       404:
+ *         description: The token does not match a registration.
+ *       409:
+ *         description: The registration was already cancelled.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.cancelByToken = [
+  body("token").isString().notEmpty().withMessage("token is required"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const registration = await findByCancelToken(req.body.token, { attributes: ["id"] });
+      if (!registration) {
+        return res.status(404).send("Registration not found.");
+      }
+
+      const result = await cancelRegistration({ id: registration.id });
+      if (result.status) {
+        return res.status(result.status).send(result.message);
+      }
+
+      logger.info(
+        `Public registration ${result.registration.id} cancelled; ${result.promoted.length} promoted from the waitlist`
+      );
+
+      await sendPromotionEmails(result.promoted, result.event, result.exceptions);
+
+      res.status(200).json({ message: "Your registration has been cancelled." });
+    } catch (error) {
+      logger.error(`Error cancelling event registration: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/events/{id}/registrations:
+ *   get:
+ *     summary: Get an event's registrants
+ *     tags: [Events]
+ *     description: >
+ *       Per occurrence, registered people in sign-up order, then the waitlist in the order it will be
+ *       served.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: occurrence
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [registered, waitlisted, cancelled]
+ *     responses:
+ *       200:
+ *         description: The registrant list.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 event_id:
+ *                   type: integer
+ *                 capacity:
+ *                   type: integer
+ *                 counts:
+ *                   type: object
+ *                   properties:
+ *                     registered:
+ *                       type: integer
+ *                     waitlisted:
+ *                       type: integer
+ *                     cancelled:
+ *                       type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EventRegistration'
+ *       401:
+ *         description: Unauthorized. User lacks the events:read permission.
+ *       404:
+ *         description: Event not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getRegistrations = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  query("status").optional().isIn(["registered", "waitlisted", "cancelled"]),
+  query("occurrence").optional().isDate().withMessage("occurrence must be a date (YYYY-MM-DD)"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const event = await Event.findOne({ where: scopeWhere(req.user, { id: req.params.id }) });
+      if (!event) {
+        return res.status(404).send("Event not found.");
+      }
+
+      const where = { event_id: event.id };
+      if (req.query.occurrence) {
+        where.occurrence = req.query.occurrence;
+      }
+      const registrations = await EventRegistration.findAll({
+        where,
+        attributes: { exclude: ["cancelTokenHash"] },
+        order: [["occurrence", "asc"], ...WAITLIST_ORDER],
+      });
+
+      const counts = { registered: 0, waitlisted: 0, cancelled: 0 };
+      const rank = { registered: 0, waitlisted: 1, cancelled: 2 };
+      const waitlists = new Map();
+      const rows = registrations.map((registration) => {
+        counts[registration.status] += 1;
+        if (registration.status !== "waitlisted") {
+          return { ...registration.toJSON(), waitlistPosition: null };
+        }
+        const position = (waitlists.get(registration.occurrence) || 0) + 1;
+        waitlists.set(registration.occurrence, position);
+        return { ...registration.toJSON(), waitlistPosition: position };
+      });
+
+      res.status(200).json({
+        event_id: event.id,
+        capacity: event.capacity,
+        counts,
+        data: rows
+          .filter((row) => !req.query.status || row.status === req.query.status)
+          .sort((a, b) => String(a.occurrence).localeCompare(String(b.occurrence)) || rank[a.status] - rank[b.status]),
+      });
+    } catch (error) {
+      logger.error(`Error fetching event registrations: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/events/{id}/registrations/{registrationId}:
+ *   delete:
+ *     summary: Cancel a registrant
+ *     tags: [Events]
+ *     description: Cancels the registration on the person's behalf. The first person on the waitlist takes the freed place.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: registrationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The cancelled registration and anyone promoted from the waitlist.
+ *       401:
+ *         description: Unauthorized. User lacks the events:write permission.
+ *       404:
+ *         description: Event or registration not found.
+ *       409:
+ *         description: The registration was already cancelled.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.cancelRegistrant = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  param("registrationId").isInt().withMessage("registrationId must be an integer"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    try {
+      const event = await Event.findOne({ where: scopeWhere(currentUser, { id: req.params.id }) });
+      if (!event) {
+        return res.status(404).send("Event not found.");
+      }
+
+      const result = await cancelRegistration({ id: req.params.registrationId, event_id: event.id });
+      if (result.status) {
+        return res.status(result.status).send(result.message);
+      }
+
+      logger.info(`Registration ${result.registration.id} cancelled by user: ${currentUser.id}`);
+
+      await sendPromotionEmails(result.promoted, result.event, result.exceptions);
+
+      const hide = ({ cancelTokenHash, ...rest }) => rest;
+      res.status(200).json({
+        registration: hide(result.registration.toJSON()),
+        promoted: result.promoted.map((registration) => hide(registration.toJSON())),
+      });
+    } catch (error) {
+      logger.error(`Error cancelling event registration: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
@@ -0,0 +1,610 @@
+const { Op } = require("sequelize");
+const sequelize = require("../config/db");
+const Expense = require("../models/Expense");
+const User = require("../models/User");
+const logger = require("../utils/logger");
+const { findProject } = require("../utils/scopedRecords");
+const { toCents } = require("../utils/money");
+const { lockProject, checkExpenseFunding } = require("../utils/restrictedFunds");
+const { body, param, query, validationResult } = require("express-validator");
+
+// The approver must be a user of the NGO running the project.
+const findApprover = (project, userId) =>
+  User.findOne({ where: { id: userId, ngo_id: project.ngo_id } });
+
+const insufficientFunds = (res, shortfall) =>
+  res.status(409).json({
+    error: "Insufficient restricted funds",
+    details: [
+      `The project's restricted balance is ${shortfall.restrictedBalance}; ` +
+        `apply at least ${shortfall.shortfall} of unrestricted funds to book this expense.`,
+    ],
+    ...shortfall,
+  });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Expense:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         project_id:
+ *           type: integer
+ *         amount:
+ *           type: string
+ *           description: Amount spent in the project's currency, as a decimal string
+ *         category:
+ *           type: string
+ *           description: Budget category the expense is charged to
+ *         vendor:
+ *           type: string
+ *         expenseDate:
+ *           type: string
+ *           format: date
+ *         description:
+ *           type: string
+ *         referenceNumber:
+ *           type: string
+ *           description: Invoice or bill number
+ *         unrestrictedAmount:
+ *           type: string
+ *           description: Part of the expense paid from unrestricted funds; the rest draws on the project's restricted funds
+ *         approvedBy:
+ *           type: integer
+ *           description: ID of the user who approved the expense
+ *         recordedBy:
+ *           type: integer
+ *           description: ID of the user who recorded the expense
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Expenses
+ *   description: Endpoints for managing the expense ledger of a project
+ */
+
+/**
+ * @swagger
+ * /api/projects/{id}/expenses:
+ *   get:
+ *     summary: List a project's expenses
+ *     tags: [Expenses]
+ *     description: Retrieve the expenses recorded against a project, newest first by default.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the project
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of items per page
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: Field to sort by
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *         description: Sort order (asc or desc)
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Only include expenses in this category
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only include expenses on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only include expenses on or before this date
+ *     responses:
+ *       200:
+ *         description: A paginated list of expenses.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Expense'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     totalItems:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     currentPage:
+ *                       type: integer
+ *       400:
+ *         description: Bad request. Validation errors.
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: Project not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getExpensesByProject = [
+  param("id").isInt(),
+  query("page").optional().isInt({ min: 1 }),
+  query("limit").optional().isInt({ min: 1 }),
+  query("sortBy").optional().isString(),
+  query("order").optional().isString().isIn(["asc", "desc"]),
+  query("category").optional().isString(),
+  query("from").optional().isISO8601(),
+  query("to").optional().isISO8601(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id } = req.params;
+    let { page = 1, limit = 10, sortBy = "expenseDate", order = "desc", category, from, to } = req.query;
+
+    page = parseInt(page, 10);
+    limit = parseInt(limit, 10);
+    page = isNaN(page) || page < 1 ? 1 : page;
+    limit = isNaN(limit) || limit < 1 ? 10 : limit;
+
+    const validColumns = ["id", "amount", "category", "vendor", "expenseDate", "createdAt", "updatedAt"];
+
+    sortBy = validColumns.includes(sortBy) ? sortBy : "expenseDate";
+    order = order.toLowerCase() === "asc" ? "asc" : "desc";
+
+    try {
+      const project = await findProject(currentUser, id);
+
+      if (!project) {
+        logger.warn("Project not found with ID: " + id);
+        return res.status(404).send("Project not found.");
+      }
+
+      const where = { project_id: project.id };
+      if (category) {
+        where.category = category;
+      }
+      if (from || to) {
+        where.expenseDate = {};
+        if (from) where.expenseDate[Op.gte] = from;
+        if (to) where.expenseDate[Op.lte] = to;
+      }
+
+      const { rows: expenses, count } = await Expense.findAndCountAll({
+        where,
+        order: [[sortBy, order]],
+        limit,
+        offset: (page - 1) * limit,
+      });
+
+      logger.info(`Expenses for project ${id} retrieved by user: ${currentUser.id}`);
+
+      res.status(200).json({
+        data: expenses,
+        meta: {
+          totalItems: count,
+          totalPages: Math.ceil(count / limit),
+          currentPage: page,
+        },
+      });
+    } catch (error) {
+      logger.error(`Error retrieving expenses: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/projects/{id}/expenses:
+ *   post:
+ *     summary: Record an expense
+ *     tags: [Expenses]
+ *     description: Record an approved expense against a project. The expense is paid from gifts restricted to the project unless unrestricted funds are applied; it is rejected when the restricted part exceeds the project's restricted balance.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the project
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - category
+ *               - vendor
+ *               - approvedBy
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               category:
+ *                 type: string
+ *               vendor:
+ *                 type: string
+ *               expenseDate:
+ *                 type: string
+ *                 format: date
+ *               description:
+ *                 type: string
+ *               referenceNumber:
+ *                 type: string
+ *               approvedBy:
+ *                 type: integer
+ *                 description: ID of the user who approved the expense
+ *               unrestrictedAmount:
+ *                 type: number
+ *                 description: Part of the expense to pay from unrestricted funds (defaults to 0)
+ *     responses:
+ *       201:
+ *         description: Expense recorded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Expense'
+ *       400:
+ *         description: Bad request. Validation errors.
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: Project not found.
+ *       409:
+ *         description: The project's restricted balance does not cover the expense.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.createExpense = [
+  param("id").isInt(),
+  body("amount").isDecimal({ decimal_digits: "0,2" }).custom((value) => parseFloat(value) > 0)
+    .withMessage("amount must be a positive amount with at most two decimal places"),
+  body("category").isString().trim().notEmpty(),
+  body("vendor").isString().trim().notEmpty(),
+  body("expenseDate").optional().isISO8601().withMessage("expenseDate must be a valid date"),
+  body("description").optional().isString(),
+  body("referenceNumber").optional().isString(),
+  body("approvedBy").isInt(),
+  body("unrestrictedAmount").optional().isDecimal({ decimal_digits: "0,2" })
+    .custom((value, { req }) => parseFloat(value) >= 0 && toCents(value) <= toCents(req.body.amount))
+    .withMessage("unrestrictedAmount must be between 0 and the expense amount"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id } = req.params;
+    const { amount, category, vendor, expenseDate, description, referenceNumber, approvedBy, unrestrictedAmount } =
+      req.body;
+
+    try {
+      const project = await findProject(currentUser, id);
+
+      if (!project) {
+        logger.warn("Project not found with ID: " + id);
+        return res.status(404).send("Project not found.");
+      }
+
+      if (!(await findApprover(project, approvedBy))) {
+        return res.status(400).send("Approver not found for this NGO.");
+      }
+
+      // The project row is locked so concurrent expenses cannot both spend the same balance.
+      const { expense, shortfall } = await sequelize.transaction(async (transaction) => {
+        await lockProject(project.id, transaction);
+
+        const shortfall = await checkExpenseFunding(project, amount, unrestrictedAmount, transaction);
+        if (shortfall) {
+          return { shortfall };
+        }
+
+        const expense = await Expense.create(
+          {
+            project_id: project.id,
+            amount,
+            category,
+            vendor,
+            expenseDate,
+            description,
+            referenceNumber,
+            approvedBy,
+            unrestrictedAmount,
+            recordedBy: currentUser.id,
+          },
+          { transaction }
+        );
+        return { expense };
+      });
+
+      if (shortfall) {
+        logger.warn(`Expense for project ${id} rejected: insufficient restricted funds`);
+        return insufficientFunds(res, shortfall);
+      }
+
+      logger.info(`Expense ${expense.id} recorded for project ${id} by user: ${currentUser.id}`);
+
+      res.status(201).json(expense);
+    } catch (error) {
+      logger.error(`Error recording expense: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/projects/{id}/expenses/{expenseId}:
+ *   put:
+ *     summary: Correct an expense
+ *     tags: [Expenses]
+ *     description: Update a recorded expense, e.g. to fix a data-entry mistake.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the project
+ *       - in: path
+ *         name: expenseId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the expense to update
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               category:
+ *                 type: string
+ *               vendor:
+ *                 type: string
+ *               expenseDate:
+ *                 type: string
+ *                 format: date
+ *               description:
+ *                 type: string
+ *               referenceNumber:
+ *                 type: string
+ *               approvedBy:
+ *                 type: integer
+ *               unrestrictedAmount:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Expense updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Expense'
+ *       400:
+ *         description: Bad request. Validation errors.
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: Project or expense not found.
+ *       409:
+ *         description: The project's restricted balance does not cover the corrected expense.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.updateExpense = [
+  param("id").isInt(),
+  param("expenseId").isInt(),
+  body("amount").optional().isDecimal({ decimal_digits: "0,2" }).custom((value) => parseFloat(value) > 0)
+    .withMessage("amount must be a positive amount with at most two decimal places"),
+  body("category").optional().isString().trim().notEmpty(),
+  body("vendor").optional().isString().trim().notEmpty(),
+  body("expenseDate").optional().isISO8601().withMessage("expenseDate must be a valid date"),
+  body("description").optional().isString(),
+  body("referenceNumber").optional().isString(),
+  body("approvedBy").optional().isInt(),
+  body("unrestrictedAmount").optional().isDecimal({ decimal_digits: "0,2" })
+    .custom((value) => parseFloat(value) >= 0)
+    .withMessage("unrestrictedAmount must be a non-negative amount"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id, expenseId } = req.params;
+    const { amount, category, vendor, expenseDate, description, referenceNumber, approvedBy, unrestrictedAmount } =
+      req.body;
+
+    try {
+      const project = await findProject(currentUser, id);
+
+      if (!project) {
+        logger.warn("Project not found with ID: " + id);
+        return res.status(404).send("Project not found.");
+      }
+
+      const expense = await Expense.findOne({ where: { id: expenseId, project_id: project.id } });
+
+      if (!expense) {
+        logger.warn("Expense not found with ID: " + expenseId);
+        return res.status(404).send("Expense not found.");
+      }
+
+      if (approvedBy !== undefined && !(await findApprover(project, approvedBy))) {
+        return res.status(400).send("Approver not found for this NGO.");
+      }
+
+      if (amount !== undefined) expense.amount = amount;
+      if (category !== undefined) expense.category = category;
+      if (vendor !== undefined) expense.vendor = vendor;
+      if (expenseDate !== undefined) expense.expenseDate = expenseDate;
+      if (description !== undefined) expense.description = description;
+      if (referenceNumber !== undefined) expense.referenceNumber = referenceNumber;
+      if (approvedBy !== undefined) expense.approvedBy = approvedBy;
+      if (unrestrictedAmount !== undefined) expense.unrestrictedAmount = unrestrictedAmount;
+
+      if (toCents(expense.unrestrictedAmount) > toCents(expense.amount)) {
+        return res.status(400).send("unrestrictedAmount must not exceed the expense amount.");
+      }
+
+      const shortfall = await sequelize.transaction(async (transaction) => {
+        await lockProject(project.id, transaction);
+
+        const shortfall = await checkExpenseFunding(
+          project,
+          expense.amount,
+          expense.unrestrictedAmount,
+          transaction,
+          expense.id
+        );
+        if (!shortfall) {
+          await expense.save({ transaction });
+        }
+        return shortfall;
+      });
+
+      if (shortfall) {
+        logger.warn(`Correction of expense ${expenseId} rejected: insufficient restricted funds`);
+        return insufficientFunds(res, shortfall);
+      }
+
+      logger.info(`Expense ${expenseId} updated by user: ${currentUser.id}`);
+
+      res.status(200).json(expense);
+    } catch (error) {
+      logger.error(`Error updating expense: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/projects/{id}/expenses/{expenseId}:
+ *   delete:
+ *     summary: Delete an expense
+ *     tags: [Expenses]
+ *     description: Remove an expense recorded in error.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the project
+ *       - in: path
+ *         name: expenseId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the expense to delete
+ *     responses:
+ *       204:
+ *         description: Expense deleted successfully
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: Project or expense not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.deleteExpense = [
+  param("id").isInt(),
+  param("expenseId").isInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id, expenseId } = req.params;
+
+    try {
+      const project = await findProject(currentUser, id);
+
+      if (!project) {
+        logger.warn("Project not found with ID: " + id);
+        return res.status(404).send("Project not found.");
+      }
+
+      const expense = await Expense.findOne({ where: { id: expenseId, project_id: project.id } });
+
+      if (!expense) {
+        logger.warn("Expense not found with ID: " + expenseId);
+        return res.status(404).send("Expense not found.");
+      }
+
+      await expense.destroy();
+
+      logger.info(`Expense ${expenseId} deleted by user: ${currentUser.id}`);
+
+      res.status(204).send();
+    } catch (error) {
+      logger.error(`Error deleting expense: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
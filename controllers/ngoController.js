@@ -0,0 +1,775 @@
+const { Op } = require("sequelize");
+const bcrypt = require("bcryptjs");
+const sequelize = require("../config/db");
+const NGO = require("../models/NGO");
+const User = require("../models/User");
+const logger = require("../utils/logger");
+const { isPlatformAdmin } = require("../utils/ngoScope");
+const { body, param, query, validationResult } = require("express-validator");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     NGO:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           description: Name of the NGO
+ *         registrationNumber:
+ *           type: string
+ *           description: Government registration number of the NGO
+ *         address:
+ *           type: string
+ *         contactEmail:
+ *           type: string
+ *         contactPhone:
+ *           type: string
+ *         website:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [active, suspended]
+ *         suspendedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: NGOs
+ *   description: Endpoints for managing the registry of partner NGOs
+ */
+
+/**
+ * @swagger
+ * /api/ngos:
+ *   get:
+ *     summary: Get all NGOs
+ *     tags: [NGOs]
+ *     description: Retrieve a list of all NGOs. Requires platform admin authorization.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of items per page
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: Field to sort by
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *         description: Sort order (asc or desc)
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search string to filter results
+ *     responses:
+ *       200:
+ *         description: A paginated list of NGOs.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/NGO'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     totalItems:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     currentPage:
+ *                       type: integer
+ *       401:
+ *         description: Unauthorized. User lacks platform admin privileges.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getAllNgos = [
+  query("page").optional().isInt({ min: 1 }),
+  query("limit").optional().isInt({ min: 1 }),
+  query("sortBy").optional().isString(),
+  query("order").optional().isString().isIn(["asc", "desc"]),
+  query("search").optional().isString(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    let { page = 1, limit = 10, sortBy = "createdAt", order = "asc", search = "" } = req.query;
+
+    page = parseInt(page, 10);
+    limit = parseInt(limit, 10);
+    page = isNaN(page) || page < 1 ? 1 : page;
+    limit = isNaN(limit) || limit < 1 ? 10 : limit;
+
+    const validColumns = [
+      "name",
+      "registrationNumber",
+      "contactEmail",
+      "contactPhone",
+      "website",
+      "status",
+      "createdAt",
+      "updatedAt",
+    ];
+    sortBy = validColumns.includes(sortBy) ? sortBy : "createdAt";
+    order = order.toLowerCase() === "desc" ? "desc" : "asc";
+    const orderCondition = [[sortBy, order]];
+
+    let searchCondition = {};
+    if (search) {
+      searchCondition = {
+        [Op.or]: validColumns.map((field) => ({
+          [field]: { [Op.iLike]: `%${search}%` },
+        })),
+      };
+    }
+
+    try {
+      const { rows: ngos, count } = await NGO.findAndCountAll({
+        where: searchCondition,
+        order: orderCondition,
+        limit,
+        offset: (page - 1) * limit,
+      });
+
+      const totalPages = Math.ceil(count / limit);
+
+      logger.info("NGOs retrieved successfully by admin: " + currentUser.id);
+
+      res.status(200).json({
+        data: ngos,
+        meta: {
+          totalItems: count,
+          totalPages,
+          currentPage: page,
+        },
+      });
+    } catch (error) {
+      logger.error(`Error fetching NGOs: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/ngos/{id}:
+ *   get:
+ *     summary: Get an NGO by ID
+ *     tags: [NGOs]
+ *     description: Retrieve an NGO by ID. NGO admins can only view their own NGO.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the NGO to retrieve
+ *     responses:
+ *       200:
+ *         description: An NGO object
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NGO'
+ *       401:
+ *         description: Unauthorized. User lacks the necessary privileges.
+ *       404:
+ *         description: NGO not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getNgoById = [
+  param("id").isInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+    const id = parseInt(req.params.id, 10);
+
+    if (!isPlatformAdmin(currentUser) && currentUser.ngo_id !== id) {
+      logger.warn("Unauthorized access attempt by user: " + currentUser.id);
+      return res.status(401).send("Unauthorized. You do not have access to this NGO.");
+    }
+
+    try {
+      const ngo = await NGO.findByPk(id);
+
+      if (!ngo) {
+        logger.warn("NGO not found with ID: " + id);
+        return res.status(404).send("NGO not found.");
+      }
+
+      logger.info("NGO retrieved successfully by user: " + currentUser.id);
+
+      res.status(200).json(ngo);
+    } catch (error) {
+      logger.error(`Error fetching NGO by ID: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/ngos:
+ *   post:
+ *     summary: Create a new NGO
+ *     tags: [NGOs]
+ *     description: Register a new NGO without any users. Requires platform admin authorization.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - registrationNumber
+ *               - address
+ *               - contactEmail
+ *               - contactPhone
+ *             properties:
+ *               name:
+ *                 type: string
+ *               registrationNumber:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               contactEmail:
+ *                 type: string
+ *               contactPhone:
+ *                 type: string
+ *               website:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: NGO created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NGO'
+ *       400:
+ *         description: Bad request. Validation errors.
+ *       401:
+ *         description: Unauthorized. User lacks platform admin privileges.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.createNgo = [
+  body("name").isString().notEmpty(),
+  body("registrationNumber").isString().notEmpty(),
+  body("address").isString().notEmpty(),
+  body("contactEmail").isEmail(),
+  body("contactPhone").isString().notEmpty(),
+  body("website").optional().isURL(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { name, registrationNumber, address, contactEmail, contactPhone, website } = req.body;
+
+    try {
+      const newNgo = await NGO.create({
+        name,
+        registrationNumber,
+        address,
+        contactEmail,
+        contactPhone,
+        website,
+      });
+
+      logger.info("NGO created successfully by admin: " + currentUser.id);
+
+      res.status(201).json(newNgo);
+    } catch (error) {
+      logger.error(`Error creating NGO: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/ngos/onboard:
+ *   post:
+ *     summary: Onboard a new NGO with its first NGO admin
+ *     tags: [NGOs]
+ *     description: Create an NGO and its first ngo_admin user in a single transaction. If either fails, neither is created.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ngo
+ *               - admin
+ *             properties:
+ *               ngo:
+ *                 type: object
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                   registrationNumber:
+ *                     type: string
+ *                   address:
+ *                     type: string
+ *                   contactEmail:
+ *                     type: string
+ *                   contactPhone:
+ *                     type: string
+ *                   website:
+ *                     type: string
+ *               admin:
+ *                 type: object
+ *                 properties:
+ *                   username:
+ *                     type: string
+ *                   password:
+ *                     type: string
+ *                   email:
+ *                     type: string
+ *                   firstName:
+ *                     type: string
+ *                   lastName:
+ *                     type: string
+ *     responses:
+ *       201:
+ *         description: NGO and NGO admin created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ngo:
+ *                   $ref: '#/components/schemas/NGO'
+ *                 admin:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Bad request. Validation errors.
+ *       401:
+ *         description: Unauthorized. User lacks platform admin privileges.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.onboardNgo = [
+  body("ngo.name").isString().notEmpty(),
+  body("ngo.registrationNumber").isString().notEmpty(),
+  body("ngo.address").isString().notEmpty(),
+  body("ngo.contactEmail").isEmail(),
+  body("ngo.contactPhone").isString().notEmpty(),
+  body("ngo.website").optional().isURL(),
+  body("admin.username").isString().notEmpty(),
+  body("admin.password").isString().isLength({ min: 8 }),
+  body("admin.email").isEmail(),
+  body("admin.firstName").optional().isString(),
+  body("admin.lastName").optional().isString(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { ngo: ngoData, admin: adminData } = req.body;
+
+    try {
+      const result = await sequelize.transaction(async (transaction) => {
+        const ngo = await NGO.create(
+          {
+            name: ngoData.name,
+            registrationNumber: ngoData.registrationNumber,
+            address: ngoData.address,
+            contactEmail: ngoData.contactEmail,
+            contactPhone: ngoData.contactPhone,
+            website: ngoData.website,
+          },
+          { transaction }
+        );
+
+        const admin = await User.create(
+          {
+            username: adminData.username,
+            password: bcrypt.hashSync(adminData.password, 8),
+            email: adminData.email,
+            firstName: adminData.firstName,
+            lastName: adminData.lastName,
+            role: "ngo_admin",
+            ngo_id: ngo.id,
+          },
+          { transaction }
+        );
+
+        return { ngo, admin };
+      });
+
+      delete result.admin.dataValues.password;
+
+      logger.info(`NGO ${result.ngo.id} onboarded successfully by admin: ${currentUser.id}`);
+
+      res.status(201).json(result);
+    } catch (error) {
+      logger.error(`Error onboarding NGO: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/ngos/{id}:
+ *   put:
+ *     summary: Update an NGO
+ *     tags: [NGOs]
+ *     description: Update an NGO's details. NGO admins can only update their own NGO.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the NGO to update
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               registrationNumber:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               contactEmail:
+ *                 type: string
+ *               contactPhone:
+ *                 type: string
+ *               website:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: NGO updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NGO'
+ *       400:
+ *         description: Bad request. Validation errors.
+ *       401:
+ *         description: Unauthorized. User lacks the necessary privileges.
+ *       404:
+ *         description: NGO not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.updateNgo = [
+  param("id").isInt(),
+  body("name").optional().isString().notEmpty(),
+  body("registrationNumber").optional().isString().notEmpty(),
+  body("address").optional().isString().notEmpty(),
+  body("contactEmail").optional().isEmail(),
+  body("contactPhone").optional().isString().notEmpty(),
+  body("website").optional().isURL(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+    const id = parseInt(req.params.id, 10);
+
+    if (!isPlatformAdmin(currentUser) && currentUser.ngo_id !== id) {
+      logger.warn("Unauthorized update attempt by user: " + currentUser.id);
+      return res.status(401).send("Unauthorized. You do not have access to update this NGO.");
+    }
+
+    const { name, registrationNumber, address, contactEmail, contactPhone, website } = req.body;
+
+    try {
+      const ngo = await NGO.findByPk(id);
+
+      if (!ngo) {
+        logger.warn("NGO not found with ID: " + id);
+        return res.status(404).send("NGO not found.");
+      }
+
+      if (name !== undefined) ngo.name = name;
+      if (registrationNumber !== undefined) ngo.registrationNumber = registrationNumber;
+      if (address !== undefined) ngo.address = address;
+      if (contactEmail !== undefined) ngo.contactEmail = contactEmail;
+      if (contactPhone !== undefined) ngo.contactPhone = contactPhone;
+      if (website !== undefined) ngo.website = website;
+
+      await ngo.save();
+
+      logger.info("NGO updated successfully by user: " + currentUser.id);
+
+      res.status(200).json(ngo);
+    } catch (error) {
+      logger.error(`Error updating NGO: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/ngos/{id}/suspend:
+ *   post:
+ *     summary: Suspend an NGO
+ *     tags: [NGOs]
+ *     description: Suspend an NGO. All of its users are locked out until it is reactivated.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the NGO to suspend
+ *     responses:
+ *       200:
+ *         description: NGO suspended successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NGO'
+ *       401:
+ *         description: Unauthorized. User lacks platform admin privileges.
+ *       404:
+ *         description: NGO not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.suspendNgo = [
+  param("id").isInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id } = req.params;
+
+    try {
+      const ngo = await NGO.findByPk(id);
+
+      if (!ngo) {
+        logger.warn("NGO not found with ID: " + id);
+        return res.status(404).send("NGO not found.");
+      }
+
+      ngo.status = "suspended";
+      ngo.suspendedAt = new Date();
+      await ngo.save();
+
+      logger.info(`NGO ${id} suspended by admin: ${currentUser.id}`);
+
+      res.status(200).json(ngo);
+    } catch (error) {
+      logger.error(`Error suspending NGO: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/ngos/{id}/reactivate:
+ *   post:
+ *     summary: Reactivate a suspended NGO
+ *     tags: [NGOs]
+ *     description: Reactivate an NGO so its users can sign in again.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the NGO to reactivate
+ *     responses:
+ *       200:
+ *         description: NGO reactivated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NGO'
+ *       401:
+ *         description: Unauthorized. User lacks platform admin privileges.
+ *       404:
+ *         description: NGO not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.reactivateNgo = [
+  param("id").isInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id } = req.params;
+
+    try {
+      const ngo = await NGO.findByPk(id);
+
+      if (!ngo) {
+        logger.warn("NGO not found with ID: " + id);
+        return res.status(404).send("NGO not found.");
+      }
+
+      ngo.status = "active";
+      ngo.suspendedAt = null;
+      await ngo.save();
+
+      logger.info(`NGO ${id} reactivated by admin: ${currentUser.id}`);
+
+      res.status(200).json(ngo);
+    } catch (error) {
+      logger.error(`Error reactivating NGO: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/ngos/{id}:
+ *   delete:
+ *     summary: Delete an NGO
+ *     tags: [NGOs]
+ *     description: Delete an NGO. Requires platform admin authorization.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the NGO to delete
+ *     responses:
+ *       204:
+ *         description: NGO deleted successfully
+ *       401:
+ *         description: Unauthorized. User lacks platform admin privileges.
+ *       404:
+ *         description: NGO not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.deleteNgo = [
+  param("id").isInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id } = req.params;
+
+    try {
+      const ngo = await NGO.findByPk(id);
+
+      if (!ngo) {
+        logger.warn("NGO not found with ID: " + id);
+        return res.status(404).send("NGO not found.");
+      }
+
+      await ngo.destroy();
+
+      logger.info("NGO deleted successfully by admin: " + currentUser.id);
+
+      res.status(204).send();
+    } catch (error) {
+      logger.error(`Error deleting NGO: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
@@ -0,0 +1,568 @@
+const sequelize = require("../config/db");
+const Pledge = require("../models/Pledge");
+const PledgeInstallment = require("../models/PledgeInstallment");
+const logger = require("../utils/logger");
+const { findDonor, findDesignatedProject } = require("../utils/scopedRecords");
+const {
+  toDateOnly,
+  addDays,
+  scheduleUpcoming,
+  removeUpcomingInstallments,
+  cancelOpenInstallments,
+  fulfilmentFor,
+} = require("../utils/pledges");
+const { body, param, query, validationResult } = require("express-validator");
+
+const FREQUENCIES = ["monthly", "quarterly", "yearly"];
+
+// Allowed status changes; a cancelled pledge is closed for good.
+const TRANSITIONS = {
+  active: ["paused", "cancelled"],
+  paused: ["active", "cancelled"],
+  cancelled: [],
+};
+
+const findPledge = (donor, pledgeId) =>
+  Pledge.findOne({
+    where: { id: pledgeId, donor_id: donor.id },
+    include: [{ model: PledgeInstallment, as: "installments" }],
+    order: [[{ model: PledgeInstallment, as: "installments" }, "dueDate", "asc"]],
+  });
+
+const withFulfilment = (pledge) => {
+  pledge.dataValues.fulfilment = fulfilmentFor(pledge.installments || []);
+  return pledge;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PledgeInstallment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         pledge_id:
+ *           type: integer
+ *         sequence:
+ *           type: integer
+ *         dueDate:
+ *           type: string
+ *           format: date
+ *         amount:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [expected, fulfilled, partial, overdue, cancelled]
+ *         donation_id:
+ *           type: integer
+ *           nullable: true
+ *           description: First donation applied to this installment
+ *         amountReceived:
+ *           type: string
+ *           description: Total of the donations applied to this installment
+ *     PledgeFulfilment:
+ *       type: object
+ *       properties:
+ *         installmentsDue:
+ *           type: integer
+ *         installmentsFulfilled:
+ *           type: integer
+ *         installmentsOverdue:
+ *           type: integer
+ *         amountDue:
+ *           type: string
+ *         amountReceived:
+ *           type: string
+ *         fulfilmentPercent:
+ *           type: number
+ *           nullable: true
+ *           description: Share of the amount due so far that has been received; null until an installment falls due
+ *     Pledge:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         ngo_id:
+ *           type: integer
+ *           description: ID of the NGO that owns this record
+ *         donor_id:
+ *           type: integer
+ *         project_id:
+ *           type: integer
+ *           nullable: true
+ *         amount:
+ *           type: string
+ *           description: Amount per installment
+ *         currency:
+ *           type: string
+ *           example: INR
+ *         frequency:
+ *           type: string
+ *           enum: [monthly, quarterly, yearly]
+ *         startDate:
+ *           type: string
+ *           format: date
+ *         endDate:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [active, paused, cancelled]
+ *         installments:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/PledgeInstallment'
+ *         fulfilment:
+ *           $ref: '#/components/schemas/PledgeFulfilment'
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Pledges
+ *   description: Endpoints for managing recurring donor pledges
+ */
+
+/**
+ * @swagger
+ * /api/donors/{id}/pledges:
+ *   get:
+ *     summary: List a donor's pledges
+ *     tags: [Pledges]
+ *     description: Retrieve a donor's pledges with their installments and fulfilment so far.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the donor
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, paused, cancelled]
+ *         description: Only include pledges with this status
+ *     responses:
+ *       200:
+ *         description: The donor's pledges.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Pledge'
+ *       400:
+ *         description: Bad request. Validation errors.
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: Donor not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getPledgesByDonor = [
+  param("id").isInt(),
+  query("status").optional().isIn(Object.keys(TRANSITIONS)),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id } = req.params;
+    const { status } = req.query;
+
+    try {
+      const donor = await findDonor(currentUser, id);
+
+      if (!donor) {
+        logger.warn("Donor not found with ID: " + id);
+        return res.status(404).send("Donor not found.");
+      }
+
+      const where = { donor_id: donor.id };
+      if (status) {
+        where.status = status;
+      }
+
+      const pledges = await Pledge.findAll({
+        where,
+        include: [{ model: PledgeInstallment, as: "installments" }],
+        order: [
+          ["startDate", "desc"],
+          [{ model: PledgeInstallment, as: "installments" }, "dueDate", "asc"],
+        ],
+      });
+
+      logger.info(`Pledges for donor ${id} retrieved by user: ${currentUser.id}`);
+
+      res.status(200).json({ data: pledges.map(withFulfilment) });
+    } catch (error) {
+      logger.error(`Error retrieving pledges: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/donors/{id}/pledges/{pledgeId}:
+ *   get:
+ *     summary: Get a pledge
+ *     tags: [Pledges]
+ *     description: Retrieve a single pledge with its installments and fulfilment so far.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the donor
+ *       - in: path
+ *         name: pledgeId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the pledge
+ *     responses:
+ *       200:
+ *         description: The pledge
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Pledge'
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: Donor or pledge not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getPledgeById = [
+  param("id").isInt(),
+  param("pledgeId").isInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id, pledgeId } = req.params;
+
+    try {
+      const donor = await findDonor(currentUser, id);
+
+      if (!donor) {
+        logger.warn("Donor not found with ID: " + id);
+        return res.status(404).send("Donor not found.");
+      }
+
+      const pledge = await findPledge(donor, pledgeId);
+
+      if (!pledge) {
+        logger.warn("Pledge not found with ID: " + pledgeId);
+        return res.status(404).send("Pledge not found.");
+      }
+
+      logger.info(`Pledge ${pledgeId} retrieved by user: ${currentUser.id}`);
+
+      res.status(200).json(withFulfilment(pledge));
+    } catch (error) {
+      logger.error(`Error retrieving pledge: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/donors/{id}/pledges:
+ *   post:
+ *     summary: Record a pledge
+ *     tags: [Pledges]
+ *     description: Record a recurring pledge for a donor. Installments are scheduled from the start date and matched against the donor's gifts as they are recorded.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the donor
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - frequency
+ *               - startDate
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Amount per installment
+ *               currency:
+ *                 type: string
+ *                 example: INR
+ *               frequency:
+ *                 type: string
+ *                 enum: [monthly, quarterly, yearly]
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               project_id:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Pledge recorded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Pledge'
+ *       400:
+ *         description: Bad request. Validation errors.
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: Donor not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.createPledge = [
+  param("id").isInt(),
+  body("amount").isDecimal({ decimal_digits: "0,2" }).custom((value) => parseFloat(value) > 0)
+    .withMessage("amount must be a positive amount with at most two decimal places"),
+  body("currency").optional().isISO4217().withMessage("currency must be an ISO 4217 code"),
+  body("frequency").isIn(FREQUENCIES),
+  body("startDate").isISO8601().withMessage("startDate must be a valid date"),
+  body("endDate").optional({ nullable: true }).isISO8601().withMessage("endDate must be a valid date")
+    .custom((value, { req }) => value >= req.body.startDate).withMessage("endDate must not be before startDate"),
+  body("project_id").optional({ nullable: true }).isInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id } = req.params;
+    const { amount, currency, frequency, startDate, endDate, project_id } = req.body;
+
+    try {
+      const donor = await findDonor(currentUser, id);
+
+      if (!donor) {
+        logger.warn("Donor not found with ID: " + id);
+        return res.status(404).send("Donor not found.");
+      }
+
+      if (project_id && !(await findDesignatedProject(donor, project_id))) {
+        return res.status(400).send("Designated project not found for this NGO.");
+      }
+
+      const pledgeId = await sequelize.transaction(async (transaction) => {
+        const pledge = await Pledge.create(
+          {
+            ngo_id: donor.ngo_id,
+            donor_id: donor.id,
+            project_id: project_id || null,
+            amount,
+            currency: currency ? currency.toUpperCase() : undefined,
+            frequency,
+            startDate: toDateOnly(startDate),
+            endDate: endDate ? toDateOnly(endDate) : null,
+            scheduleFrom: toDateOnly(startDate),
+          },
+          { transaction }
+        );
+        await scheduleUpcoming(pledge, transaction);
+        return pledge.id;
+      });
+
+      logger.info(`Pledge ${pledgeId} recorded for donor ${id} by user: ${currentUser.id}`);
+
+      res.status(201).json(withFulfilment(await findPledge(donor, pledgeId)));
+    } catch (error) {
+      logger.error(`Error recording pledge: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/donors/{id}/pledges/{pledgeId}:
+ *   put:
+ *     summary: Update a pledge
+ *     tags: [Pledges]
+ *     description: Change a pledge's amount, end date or designation, or pause, resume or cancel it. A new amount applies to installments not yet due. Resuming a paused pledge does not backfill the installments missed while it was paused; a cancelled pledge cannot be changed.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the donor
+ *       - in: path
+ *         name: pledgeId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the pledge to update
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *               project_id:
+ *                 type: integer
+ *                 nullable: true
+ *               status:
+ *                 type: string
+ *                 enum: [active, paused, cancelled]
+ *     responses:
+ *       200:
+ *         description: Pledge updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Pledge'
+ *       400:
+ *         description: Bad request. Validation errors.
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: Donor or pledge not found.
+ *       409:
+ *         description: The status change is not allowed.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.updatePledge = [
+  param("id").isInt(),
+  param("pledgeId").isInt(),
+  body("amount").optional().isDecimal({ decimal_digits: "0,2" }).custom((value) => parseFloat(value) > 0)
+    .withMessage("amount must be a positive amount with at most two decimal places"),
+  body("endDate").optional({ nullable: true }).isISO8601().withMessage("endDate must be a valid date"),
+  body("project_id").optional({ nullable: true }).isInt(),
+  body("status").optional().isIn(Object.keys(TRANSITIONS)),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id, pledgeId } = req.params;
+    const { amount, endDate, project_id, status } = req.body;
+
+    try {
+      const donor = await findDonor(currentUser, id);
+
+      if (!donor) {
+        logger.warn("Donor not found with ID: " + id);
+        return res.status(404).send("Donor not found.");
+      }
+
+      const pledge = await Pledge.findOne({ where: { id: pledgeId, donor_id: donor.id } });
+
+      if (!pledge) {
+        logger.warn("Pledge not found with ID: " + pledgeId);
+        return res.status(404).send("Pledge not found.");
+      }
+
+      if (pledge.status === "cancelled") {
+        return res.status(409).send("Pledge has been cancelled and cannot be changed.");
+      }
+
+      if (status && status !== pledge.status && !TRANSITIONS[pledge.status].includes(status)) {
+        return res.status(409).send(`A ${pledge.status} pledge cannot be changed to ${status}.`);
+      }
+
+      if (endDate && toDateOnly(endDate) < pledge.startDate) {
+        return res.status(400).send("endDate must not be before startDate.");
+      }
+
+      if (project_id && !(await findDesignatedProject(donor, project_id))) {
+        return res.status(400).send("Designated project not found for this NGO.");
+      }
+
+      const today = toDateOnly(new Date());
+      const previousStatus = pledge.status;
+
+      if (amount !== undefined) pledge.amount = amount;
+      if (endDate !== undefined) pledge.endDate = endDate ? toDateOnly(endDate) : null;
+      if (project_id !== undefined) pledge.project_id = project_id;
+      if (status !== undefined) pledge.status = status;
+      if (previousStatus === "paused" && pledge.status === "active") {
+        pledge.scheduleFrom = today;
+      }
+
+      await sequelize.transaction(async (transaction) => {
+        await pledge.save({ transaction });
+
+        // Projected installments are rebuilt from the updated schedule.
+        const dayAfterEnd = pledge.endDate ? addDays(pledge.endDate, 1) : null;
+        await removeUpcomingInstallments(pledge, dayAfterEnd && dayAfterEnd < today ? dayAfterEnd : today, transaction);
+
+        if (pledge.status === "cancelled") {
+          await cancelOpenInstallments(pledge, transaction);
+        } else if (pledge.status === "active") {
+          await scheduleUpcoming(pledge, transaction);
+        }
+      });
+
+      logger.info(`Pledge ${pledgeId} updated by user: ${currentUser.id}`);
+
+      res.status(200).json(withFulfilment(await findPledge(donor, pledgeId)));
+    } catch (error) {
+      logger.error(`Error updating pledge: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
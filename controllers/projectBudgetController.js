@@ -0,0 +1,584 @@
+const BudgetLineItem = require("../models/BudgetLineItem");
+const Donation = require("../models/Donation");
+const DonationAllocation = require("../models/DonationAllocation");
+const Donor = require("../models/Donor");
+const logger = require("../utils/logger");
+const { findProject } = require("../utils/scopedRecords");
+const { buildFinancials } = require("../utils/projectFinancials");
+const { body, param, validationResult } = require("express-validator");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BudgetLineItem:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         project_id:
+ *           type: integer
+ *         category:
+ *           type: string
+ *           example: Travel
+ *         description:
+ *           type: string
+ *         amount:
+ *           type: string
+ *           description: Budgeted amount in the project's currency, as a decimal string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     ProjectFinancials:
+ *       type: object
+ *       properties:
+ *         project:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: integer
+ *             name:
+ *               type: string
+ *         currency:
+ *           type: string
+ *           example: INR
+ *         categories:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               category:
+ *                 type: string
+ *               budgeted:
+ *                 type: string
+ *               spent:
+ *                 type: string
+ *               remaining:
+ *                 type: string
+ *               percentUsed:
+ *                 type: number
+ *                 nullable: true
+ *               overspent:
+ *                 type: boolean
+ *         totals:
+ *           type: object
+ *           properties:
+ *             budgeted:
+ *               type: string
+ *             spent:
+ *               type: string
+ *             remaining:
+ *               type: string
+ *             percentUsed:
+ *               type: number
+ *               nullable: true
+ *             overspent:
+ *               type: boolean
+ *         overspentCategories:
+ *           type: array
+ *           items:
+ *             type: string
+ *         restrictedFunds:
+ *           type: object
+ *           description: Gifts restricted to the project and the part of its expenses drawn from them
+ *           properties:
+ *             received:
+ *               type: string
+ *             spent:
+ *               type: string
+ *             remaining:
+ *               type: string
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Project Budgets
+ *   description: Endpoints for project budget line items and budget vs actuals
+ */
+
+/**
+ * @swagger
+ * /api/projects/{id}/budget:
+ *   get:
+ *     summary: Get a project's budget
+ *     tags: [Project Budgets]
+ *     description: Retrieve the budget line items of a project.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the project
+ *     responses:
+ *       200:
+ *         description: The project's budget line items.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/BudgetLineItem'
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: Project not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getBudget = [
+  param("id").isInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id } = req.params;
+
+    try {
+      const project = await findProject(currentUser, id);
+
+      if (!project) {
+        logger.warn("Project not found with ID: " + id);
+        return res.status(404).send("Project not found.");
+      }
+
+      const lineItems = await BudgetLineItem.findAll({
+        where: { project_id: project.id },
+        order: [["category", "asc"], ["id", "asc"]],
+      });
+
+      logger.info(`Budget for project ${id} retrieved by user: ${currentUser.id}`);
+
+      res.status(200).json({ data: lineItems });
+    } catch (error) {
+      logger.error(`Error retrieving project budget: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/projects/{id}/budget:
+ *   post:
+ *     summary: Add a budget line item
+ *     tags: [Project Budgets]
+ *     description: Add a line item to a project's budget. Several line items may share a category.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the project
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - category
+ *               - amount
+ *             properties:
+ *               category:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *     responses:
+ *       201:
+ *         description: Line item added successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BudgetLineItem'
+ *       400:
+ *         description: Bad request. Validation errors.
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: Project not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.createBudgetLineItem = [
+  param("id").isInt(),
+  body("category").isString().trim().notEmpty(),
+  body("description").optional().isString(),
+  body("amount").isDecimal({ decimal_digits: "0,2" }).custom((value) => parseFloat(value) >= 0)
+    .withMessage("amount must be a non-negative amount with at most two decimal places"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id } = req.params;
+    const { category, description, amount } = req.body;
+
+    try {
+      const project = await findProject(currentUser, id);
+
+      if (!project) {
+        logger.warn("Project not found with ID: " + id);
+        return res.status(404).send("Project not found.");
+      }
+
+      const lineItem = await BudgetLineItem.create({
+        project_id: project.id,
+        category,
+        description,
+        amount,
+      });
+
+      logger.info(`Budget line item ${lineItem.id} added to project ${id} by user: ${currentUser.id}`);
+
+      res.status(201).json(lineItem);
+    } catch (error) {
+      logger.error(`Error adding budget line item: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/projects/{id}/budget/{lineItemId}:
+ *   put:
+ *     summary: Update a budget line item
+ *     tags: [Project Budgets]
+ *     description: Change the category, description or amount of a budget line item.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the project
+ *       - in: path
+ *         name: lineItemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the line item to update
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               category:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Line item updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BudgetLineItem'
+ *       400:
+ *         description: Bad request. Validation errors.
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: Project or line item not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.updateBudgetLineItem = [
+  param("id").isInt(),
+  param("lineItemId").isInt(),
+  body("category").optional().isString().trim().notEmpty(),
+  body("description").optional().isString(),
+  body("amount").optional().isDecimal({ decimal_digits: "0,2" }).custom((value) => parseFloat(value) >= 0)
+    .withMessage("amount must be a non-negative amount with at most two decimal places"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id, lineItemId } = req.params;
+    const { category, description, amount } = req.body;
+
+    try {
+      const project = await findProject(currentUser, id);
+
+      if (!project) {
+        logger.warn("Project not found with ID: " + id);
+        return res.status(404).send("Project not found.");
+      }
+
+      const lineItem = await BudgetLineItem.findOne({ where: { id: lineItemId, project_id: project.id } });
+
+      if (!lineItem) {
+        logger.warn("Budget line item not found with ID: " + lineItemId);
+        return res.status(404).send("Budget line item not found.");
+      }
+
+      if (category !== undefined) lineItem.category = category;
+      if (description !== undefined) lineItem.description = description;
+      if (amount !== undefined) lineItem.amount = amount;
+
+      await lineItem.save();
+
+      logger.info(`Budget line item ${lineItemId} updated by user: ${currentUser.id}`);
+
+      res.status(200).json(lineItem);
+    } catch (error) {
+      logger.error(`Error updating budget line item: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/projects/{id}/budget/{lineItemId}:
+ *   delete:
+ *     summary: Delete a budget line item
+ *     tags: [Project Budgets]
+ *     description: Remove a line item from a project's budget.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the project
+ *       - in: path
+ *         name: lineItemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the line item to delete
+ *     responses:
+ *       204:
+ *         description: Line item deleted successfully
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: Project or line item not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.deleteBudgetLineItem = [
+  param("id").isInt(),
+  param("lineItemId").isInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id, lineItemId } = req.params;
+
+    try {
+      const project = await findProject(currentUser, id);
+
+      if (!project) {
+        logger.warn("Project not found with ID: " + id);
+        return res.status(404).send("Project not found.");
+      }
+
+      const lineItem = await BudgetLineItem.findOne({ where: { id: lineItemId, project_id: project.id } });
+
+      if (!lineItem) {
+        logger.warn("Budget line item not found with ID: " + lineItemId);
+        return res.status(404).send("Budget line item not found.");
+      }
+
+      await lineItem.destroy();
+
+      logger.info(`Budget line item ${lineItemId} deleted by user: ${currentUser.id}`);
+
+      res.status(204).send();
+    } catch (error) {
+      logger.error(`Error deleting budget line item: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/projects/{id}/financials:
+ *   get:
+ *     summary: Get a project's budget vs actuals
+ *     tags: [Project Budgets]
+ *     description: Compare a project's budget with its recorded expenses by category, and report its restricted funds received, spent and remaining. A category is flagged as overspent when its expenses exceed its budget, including spending in a category that has no budget line.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the project
+ *     responses:
+ *       200:
+ *         description: Budget vs actuals for the project
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProjectFinancials'
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: Project not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getProjectFinancials = [
+  param("id").isInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id } = req.params;
+
+    try {
+      const project = await findProject(currentUser, id);
+
+      if (!project) {
+        logger.warn("Project not found with ID: " + id);
+        return res.status(404).send("Project not found.");
+      }
+
+      const financials = await buildFinancials(project);
+
+      logger.info(`Financials for project ${id} retrieved by user: ${currentUser.id}`);
+
+      res.status(200).json(financials);
+    } catch (error) {
+      logger.error(`Error building project financials: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/projects/{id}/allocations:
+ *   get:
+ *     summary: List the gifts restricted to a project
+ *     tags: [Project Budgets]
+ *     description: Retrieve the donation allocations that make up a project's restricted funds, newest gift first.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the project
+ *     responses:
+ *       200:
+ *         description: The project's donation allocations.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DonationAllocation'
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: Project not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getProjectAllocations = [
+  param("id").isInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id } = req.params;
+
+    try {
+      const project = await findProject(currentUser, id);
+
+      if (!project) {
+        logger.warn("Project not found with ID: " + id);
+        return res.status(404).send("Project not found.");
+      }
+
+      const allocations = await DonationAllocation.findAll({
+        where: { project_id: project.id },
+        include: [{ model: Donation, include: [{ model: Donor, attributes: ["id", "name"] }] }],
+        order: [[Donation, "donationDate", "desc"]],
+      });
+
+      logger.info(`Allocations for project ${id} retrieved by user: ${currentUser.id}`);
+
+      res.status(200).json({ data: allocations });
+    } catch (error) {
+      logger.error(`Error fetching project allocations: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
@@ -1,5 +1,8 @@
 const { Op } = require("sequelize");
 const Project = require("../models/Project");
+const DonationAllocation = require("../models/DonationAllocation");
+const Expense = require("../models/Expense");
+const { scopeWhere, resolveNgoId } = require("../utils/ngoScope");
 const logger = require("../utils/logger");
 const { body, param, query, validationResult } = require("express-validator");
 
@@ -12,6 +15,9 @@ const { body, param, query, validationResult } = require("express-validator");
  *       properties:
  *         id:
  *           type: integer
+ *         ngo_id:
+ *           type: integer
+ *           description: ID of the NGO that owns this record
  *         name:
  *           type: string
  *         description:
@@ -22,8 +28,13 @@ const { body, param, query, validationResult } = require("express-validator");
  *         endDate:
  *           type: string
  *           format: date
+ *         currency:
+ *           type: string
+ *           example: INR
+ *           description: Currency of the project's budget and expenses
  *         createdBy:
  *           type: integer
+ *           description: ID of the user who created the project
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -96,7 +107,7 @@ const { body, param, query, validationResult } = require("express-validator");
  *                     currentPage:
  *                       type: integer
  *       401:
- *         description: Unauthorized. User lacks admin privileges.
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
  *       500:
  *         description: Internal server error.
  */
@@ -114,11 +125,6 @@ exports.getAllProjects = [
 
     const currentUser = req.user;
 
-    if (currentUser.type !== "admin") {
-      logger.warn("Unauthorized access attempt by user: " + currentUser.id);
-      return res.status(401).send("Unauthorized. Only admin users can view projects.");
-    }
-
     let { page = 1, limit = 10, sortBy = "createdAt", order = "asc", search = "" } = req.query;
 
     page = parseInt(page, 10);
@@ -145,7 +151,7 @@ exports.getAllProjects = [
 
     try {
       const { rows: projects, count } = await Project.findAndCountAll({
-        where: searchCondition,
+        where: scopeWhere(currentUser, searchCondition),
         order: orderCondition,
         limit,
         offset: (page - 1) * limit
@@ -197,7 +203,7 @@ exports.getAllProjects = [
  *             schema:
  *               $ref: '#/components/schemas/Project'
  *       401:
- *         description: Unauthorized. User lacks admin privileges.
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
  *       404:
  *         description: Project not found.
  *       500:
@@ -213,15 +219,10 @@ exports.getProjectById = [
 
     const currentUser = req.user;
 
-    if (currentUser.type !== "admin") {
-      logger.warn("Unauthorized access attempt by user: " + currentUser.id);
-      return res.status(401).send("Unauthorized. Only admin users can view projects.");
-    }
-
     const { id } = req.params;
 
     try {
-      const project = await Project.findByPk(id);
+      const project = await Project.findOne({ where: scopeWhere(currentUser, { id }) });
 
       if (!project) {
         logger.warn("Project not found with ID: " + id);
@@ -267,8 +268,9 @@ exports.getProjectById = [
  *               endDate:
  *                 type: string
  *                 format: date
- *               createdBy:
- *                 type: integer
+ *               currency:
+ *                 type: string
+ *                 example: INR
  *     responses:
  *       201:
  *         description: Project created successfully.
@@ -279,7 +281,7 @@ exports.getProjectById = [
  *       400:
  *         description: Bad request. Invalid input data.
  *       401:
- *         description: Unauthorized. User lacks admin privileges.
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
  *       500:
  *         description: Internal server error.
  */
@@ -288,7 +290,7 @@ exports.createProject = [
   body("description").isString().notEmpty(),
   body("startDate").isISO8601().toDate(),
   body("endDate").isISO8601().toDate(),
-  body("createdBy").isInt().notEmpty(),
+  body("currency").optional().isISO4217().withMessage("currency must be an ISO 4217 code"),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -297,20 +299,22 @@ exports.createProject = [
 
     const currentUser = req.user;
 
-    if (currentUser.type !== "admin") {
-      logger.warn("Unauthorized access attempt by user: " + currentUser.id);
-      return res.status(401).send("Unauthorized. Only admin users can create projects.");
-    }
+    const { name, description, startDate, endDate, currency } = req.body;
+    const ngoId = resolveNgoId(currentUser, req.body.ngo_id);
 
-    const { name, description, startDate, endDate, createdBy } = req.body;
+    if (!ngoId) {
+      return res.status(400).send("ngo_id is required.");
+    }
 
     try {
       const newProject = await Project.create({
+        ngo_id: ngoId,
         name,
         description,
         startDate,
         endDate,
-        createdBy
+        currency: currency ? currency.toUpperCase() : undefined,
+        createdBy: currentUser.id
       });
 
       logger.info("Project created successfully by admin: " + currentUser.id);
@@ -359,6 +363,8 @@ exports.createProject = [
  *               endDate:
  *                 type: string
  *                 format: date
+ *               currency:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Project updated successfully.
@@ -369,9 +375,11 @@ exports.createProject = [
  *       400:
  *         description: Bad request. Invalid input data.
  *       401:
- *         description: Unauthorized. User lacks admin privileges.
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
  *       404:
  *         description: Project not found.
+ *       409:
+ *         description: The currency cannot be changed once gifts or expenses are recorded.
  *       500:
  *         description: Internal server error.
  */
@@ -381,6 +389,7 @@ exports.updateProjectById = [
   body("description").isString().notEmpty(),
   body("startDate").isISO8601().toDate(),
   body("endDate").isISO8601().toDate(),
+  body("currency").optional().isISO4217().withMessage("currency must be an ISO 4217 code"),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -389,16 +398,11 @@ exports.updateProjectById = [
 
     const currentUser = req.user;
 
-    if (currentUser.type !== "admin") {
-      logger.warn("Unauthorized access attempt by user: " + currentUser.id);
-      return res.status(401).send("Unauthorized. Only admin users can update projects.");
-    }
-
     const { id } = req.params;
-    const { name, description, startDate, endDate } = req.body;
+    const { name, description, startDate, endDate, currency } = req.body;
 
     try {
-      const project = await Project.findByPk(id);
+      const project = await Project.findOne({ where: scopeWhere(currentUser, { id }) });
 
       if (!project) {
         logger.warn("Project not found with ID: " + id);
@@ -409,6 +413,18 @@ exports.updateProjectById = [
       project.description = description;
       project.startDate = startDate;
       project.endDate = endDate;
+      if (currency !== undefined) project.currency = currency.toUpperCase();
+
+      // Restricted gifts and expenses are held in the project's currency.
+      if (project.changed("currency")) {
+        const [allocationCount, expenseCount] = await Promise.all([
+          DonationAllocation.count({ where: { project_id: project.id } }),
+          Expense.count({ where: { project_id: project.id } }),
+        ]);
+        if (allocationCount > 0 || expenseCount > 0) {
+          return res.status(409).send("The currency of a project with allocated gifts or expenses cannot be changed.");
+        }
+      }
 
       await project.save();
 
@@ -445,7 +461,7 @@ exports.updateProjectById = [
  *       204:
  *         description: Project deleted successfully.
  *       401:
- *         description: Unauthorized. User lacks admin privileges.
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
  *       404:
  *         description: Project not found.
  *       500:
@@ -461,15 +477,10 @@ exports.deleteProjectById = [
 
     const currentUser = req.user;
 
-    if (currentUser.type !== "admin") {
-      logger.warn("Unauthorized access attempt by user: " + currentUser.id);
-      return res.status(401).send("Unauthorized. Only admin users can delete projects.");
-    }
-
     const { id } = req.params;
 
     try {
-      const project = await Project.findByPk(id);
+      const project = await Project.findOne({ where: scopeWhere(currentUser, { id }) });
 
       if (!project) {
         logger.warn("Project not found with ID: " + id);
@@ -0,0 +1,659 @@
+const sequelize = require("../config/db");
+const Receipt = require("../models/Receipt");
+const ReceiptAuditLog = require("../models/ReceiptAuditLog");
+const Donation = require("../models/Donation");
+const Donor = require("../models/Donor");
+const NGO = require("../models/NGO");
+const Project = require("../models/Project");
+const logger = require("../utils/logger");
+const { scopeWhere } = require("../utils/ngoScope");
+const { issueReceipt, voidReceipt } = require("../utils/receipts");
+const { renderReceiptPdf } = require("../utils/pdf");
+const { body, param, query, validationResult } = require("express-validator");
+
+// The receipt locked for the rest of the transaction, so a concurrent void
+// or reissue waits and then sees the new status.
+const lockReceipt = (currentUser, id, transaction) =>
+  Receipt.findOne({ where: scopeWhere(currentUser, { id }), lock: transaction.LOCK.UPDATE, transaction });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Receipt:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         ngo_id:
+ *           type: integer
+ *           description: ID of the NGO that owns this record
+ *         donor_id:
+ *           type: integer
+ *         donation_id:
+ *           type: integer
+ *         fiscalYear:
+ *           type: string
+ *           example: "2026-27"
+ *         sequence:
+ *           type: integer
+ *         receiptNumber:
+ *           type: string
+ *           example: "R1/2026-27/000042"
+ *         amount:
+ *           type: string
+ *         currency:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [issued, void]
+ *         issuedAt:
+ *           type: string
+ *           format: date-time
+ *         issuedBy:
+ *           type: integer
+ *         voidedAt:
+ *           type: string
+ *           format: date-time
+ *         voidReason:
+ *           type: string
+ *         replaces_id:
+ *           type: integer
+ *           description: Voided receipt this receipt was reissued for
+ *     ReceiptAuditLog:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         receipt_id:
+ *           type: integer
+ *         action:
+ *           type: string
+ *           enum: [issued, downloaded, voided, reissued]
+ *         performedBy:
+ *           type: integer
+ *         details:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Receipts
+ *   description: Endpoints for issuing, downloading and voiding donation receipts
+ */
+
+/**
+ * @swagger
+ * /api/receipts:
+ *   get:
+ *     summary: Get all receipts
+ *     tags: [Receipts]
+ *     description: Retrieve a paginated list of receipts, optionally filtered by fiscal year, status or donor.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of items per page
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *         description: Sort order by receipt number (asc or desc)
+ *       - in: query
+ *         name: fiscalYear
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [issued, void]
+ *       - in: query
+ *         name: donor_id
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: A paginated list of receipts.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Receipt'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     totalItems:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     currentPage:
+ *                       type: integer
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getAllReceipts = [
+  query("page").optional().isInt({ min: 1 }),
+  query("limit").optional().isInt({ min: 1 }),
+  query("order").optional().isString().isIn(["asc", "desc"]),
+  query("fiscalYear").optional().isString(),
+  query("status").optional().isIn(["issued", "void"]),
+  query("donor_id").optional().isInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    let { page = 1, limit = 10, order = "asc", fiscalYear, status, donor_id } = req.query;
+
+    page = parseInt(page, 10);
+    limit = parseInt(limit, 10);
+    page = isNaN(page) || page < 1 ? 1 : page;
+    limit = isNaN(limit) || limit < 1 ? 10 : limit;
+    order = order.toLowerCase() === "desc" ? "desc" : "asc";
+
+    const filterCondition = {};
+    if (fiscalYear) filterCondition.fiscalYear = fiscalYear;
+    if (status) filterCondition.status = status;
+    if (donor_id) filterCondition.donor_id = donor_id;
+
+    try {
+      const { rows: receipts, count } = await Receipt.findAndCountAll({
+        where: scopeWhere(currentUser, filterCondition),
+        order: [
+          ["fiscalYear", order],
+          ["sequence", order],
+        ],
+        limit,
+        offset: (page - 1) * limit,
+      });
+
+      const totalPages = Math.ceil(count / limit);
+
+      logger.info("Receipts retrieved successfully by user: " + currentUser.id);
+
+      res.status(200).json({
+        data: receipts,
+        meta: {
+          totalItems: count,
+          totalPages,
+          currentPage: page,
+        },
+      });
+    } catch (error) {
+      logger.error(`Error fetching receipts: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/receipts/{id}:
+ *   get:
+ *     summary: Get a receipt by ID
+ *     tags: [Receipts]
+ *     description: Retrieve a receipt together with its audit trail.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the receipt
+ *     responses:
+ *       200:
+ *         description: A receipt object with an auditTrail array
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Receipt'
+ *                 - type: object
+ *                   properties:
+ *                     auditTrail:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ReceiptAuditLog'
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: Receipt not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getReceiptById = [
+  param("id").isInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id } = req.params;
+
+    try {
+      const receipt = await Receipt.findOne({
+        where: scopeWhere(currentUser, { id }),
+        include: [{ model: ReceiptAuditLog, as: "auditTrail" }],
+        order: [[{ model: ReceiptAuditLog, as: "auditTrail" }, "createdAt", "asc"]],
+      });
+
+      if (!receipt) {
+        logger.warn("Receipt not found with ID: " + id);
+        return res.status(404).send("Receipt not found.");
+      }
+
+      res.status(200).json(receipt);
+    } catch (error) {
+      logger.error(`Error fetching receipt by ID: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/receipts:
+ *   post:
+ *     summary: Issue a receipt for a donation
+ *     tags: [Receipts]
+ *     description: Issue a receipt for a donation that does not have a valid one yet. Receipts are issued automatically when a donation is recorded, so this is mainly for gifts recorded before receipting was enabled.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - donation_id
+ *             properties:
+ *               donation_id:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Receipt issued successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Receipt'
+ *       400:
+ *         description: Bad request. Validation errors.
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: Donation not found.
+ *       409:
+ *         description: The donation already has an issued receipt.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.createReceipt = [
+  body("donation_id").isInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { donation_id } = req.body;
+
+    try {
+      const result = await sequelize.transaction(async (transaction) => {
+        // The donation row lock serialises receipts for it, so two requests cannot both issue one
+        const donation = await Donation.findOne({
+          where: scopeWhere(currentUser, { id: donation_id }),
+          lock: transaction.LOCK.UPDATE,
+          transaction,
+        });
+        if (!donation) {
+          return { status: 404 };
+        }
+
+        const existing = await Receipt.findOne({ where: { donation_id, status: "issued" }, transaction });
+        if (existing) {
+          return { status: 409, existing };
+        }
+
+        return { receipt: await issueReceipt(donation, currentUser.id, transaction) };
+      });
+
+      if (result.status === 404) {
+        logger.warn("Donation not found with ID: " + donation_id);
+        return res.status(404).send("Donation not found.");
+      }
+      if (result.status === 409) {
+        return res.status(409).json({
+          message: "This donation already has an issued receipt.",
+          receiptNumber: result.existing.receiptNumber,
+        });
+      }
+
+      const { receipt } = result;
+      logger.info(`Receipt ${receipt.receiptNumber} issued by user: ${currentUser.id}`);
+
+      res.status(201).json(receipt);
+    } catch (error) {
+      logger.error(`Error issuing receipt: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/receipts/{id}/pdf:
+ *   get:
+ *     summary: Download a receipt as PDF
+ *     tags: [Receipts]
+ *     description: Render the receipt from the donor and NGO records. Voided receipts are watermarked VOID.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the receipt
+ *     responses:
+ *       200:
+ *         description: The receipt PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: Receipt not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.downloadReceiptPdf = [
+  param("id").isInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id } = req.params;
+
+    try {
+      const receipt = await Receipt.findOne({
+        where: scopeWhere(currentUser, { id }),
+        include: [
+          { model: Donor },
+          { model: NGO },
+          { model: Donation, include: [{ model: Project }] },
+          { model: Receipt, as: "replaces" },
+        ],
+      });
+
+      if (!receipt) {
+        logger.warn("Receipt not found with ID: " + id);
+        return res.status(404).send("Receipt not found.");
+      }
+
+      const pdf = await renderReceiptPdf({
+        receipt,
+        donor: receipt.Donor,
+        donation: receipt.Donation,
+        ngo: receipt.NGO,
+        project: receipt.Donation.Project,
+        replaces: receipt.replaces,
+      });
+
+      await ReceiptAuditLog.create({
+        receipt_id: receipt.id,
+        action: "downloaded",
+        performedBy: currentUser.id,
+      });
+
+      const fileName = receipt.receiptNumber.replace(/\//g, "-");
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `attachment; filename="receipt-${fileName}.pdf"`);
+      res.status(200).send(pdf);
+    } catch (error) {
+      logger.error(`Error rendering receipt PDF: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/receipts/{id}/reissue:
+ *   post:
+ *     summary: Void and reissue a receipt
+ *     tags: [Receipts]
+ *     description: Void a receipt and issue a replacement with the next number in the series. The voided number is never reused and both steps are recorded in the audit trail.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the receipt to void
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Why the receipt is being voided
+ *     responses:
+ *       201:
+ *         description: Replacement receipt issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 voided:
+ *                   $ref: '#/components/schemas/Receipt'
+ *                 receipt:
+ *                   $ref: '#/components/schemas/Receipt'
+ *       400:
+ *         description: Bad request. Validation errors.
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: Receipt not found.
+ *       409:
+ *         description: The receipt is already void.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.reissueReceipt = [
+  param("id").isInt(),
+  body("reason").isString().trim().notEmpty().withMessage("reason is required"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    try {
+      const result = await sequelize.transaction(async (transaction) => {
+        const receipt = await lockReceipt(currentUser, id, transaction);
+        if (!receipt || receipt.status === "void") {
+          return { status: receipt ? 409 : 404 };
+        }
+
+        const donation = await Donation.findByPk(receipt.donation_id, { lock: transaction.LOCK.UPDATE, transaction });
+        const voided = await voidReceipt(receipt, currentUser.id, reason, transaction);
+        const replacement = await issueReceipt(donation, currentUser.id, transaction, voided);
+        return { voided, receipt: replacement };
+      });
+
+      if (result.status === 404) {
+        logger.warn("Receipt not found with ID: " + id);
+        return res.status(404).send("Receipt not found.");
+      }
+      if (result.status === 409) {
+        return res.status(409).send("Receipt is already void.");
+      }
+
+      logger.info(
+        `Receipt ${result.voided.receiptNumber} voided and reissued as ${result.receipt.receiptNumber} by user: ${currentUser.id}`
+      );
+
+      res.status(201).json(result);
+    } catch (error) {
+      logger.error(`Error reissuing receipt: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/receipts/{id}/void:
+ *   post:
+ *     summary: Void a receipt without reissuing
+ *     tags: [Receipts]
+ *     description: Void a receipt, e.g. when the gift is refunded. The number is never reused.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the receipt to void
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Receipt voided
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Receipt'
+ *       400:
+ *         description: Bad request. Validation errors.
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: Receipt not found.
+ *       409:
+ *         description: The receipt is already void.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.voidReceipt = [
+  param("id").isInt(),
+  body("reason").isString().trim().notEmpty().withMessage("reason is required"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    try {
+      const result = await sequelize.transaction(async (transaction) => {
+        const receipt = await lockReceipt(currentUser, id, transaction);
+        if (!receipt || receipt.status === "void") {
+          return { status: receipt ? 409 : 404 };
+        }
+
+        return { receipt: await voidReceipt(receipt, currentUser.id, reason, transaction) };
+      });
+
+      if (result.status === 404) {
+        logger.warn("Receipt not found with ID: " + id);
+        return res.status(404).send("Receipt not found.");
+      }
+      if (result.status === 409) {
+        return res.status(409).send("Receipt is already void.");
+      }
+
+      const { receipt } = result;
+      logger.info(`Receipt ${receipt.receiptNumber} voided by user: ${currentUser.id}`);
+
+      res.status(200).json(receipt);
+    } catch (error) {
+      logger.error(`Error voiding receipt: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
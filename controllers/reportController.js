@@ -1,7 +1,12 @@
 const { Op } = require("sequelize");
+const sequelize = require("../config/db");
+const AidAllocation = require("../models/AidAllocation");
+const Beneficiary = require("../models/Beneficiary");
 const Report = require("../models/Report");
-const User = require("../models/User");
 const logger = require("../utils/logger");
+const { scopeWhere, ownsRecord } = require("../utils/ngoScope");
+const { toCents, fromCents } = require("../utils/money");
+const { lockAllocation, checkDisbursement, periodKey } = require("../utils/aidAllocations");
 const { body, query, param, validationResult } = require("express-validator");
 
 /**
@@ -13,13 +18,28 @@ const { body, query, param, validationResult } = require("express-validator");
  *       properties:
  *         id:
  *           type: integer
+ *         ngo_id:
+ *           type: integer
+ *           description: ID of the NGO that owns this record
  *         beneficiary_id:
  *           type: integer
+ *         aid_allocation_id:
+ *           type: integer
+ *           description: Approved allocation the aid was disbursed under
  *         aid_amount:
- *           type: number
+ *           type: string
+ *           description: Amount disbursed, as a decimal string
+ *         currency:
+ *           type: string
+ *           example: INR
  *         aid_date:
  *           type: string
  *           format: date
+ *         notes:
+ *           type: string
+ *         disbursedBy:
+ *           type: integer
+ *           description: ID of the user who recorded the disbursement
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -32,7 +52,7 @@ const { body, query, param, validationResult } = require("express-validator");
  * @swagger
  * tags:
  *   name: Reports
- *   description: Endpoints for managing reports of beneficiaries receiving aid
+ *   description: Endpoints for managing aid disbursed to beneficiaries
  */
 
 /**
@@ -70,6 +90,23 @@ const { body, query, param, validationResult } = require("express-validator");
  *         schema:
  *           type: string
  *         description: Search string to filter results
+ *       - in: query
+ *         name: beneficiary_id
+ *         schema:
+ *           type: integer
+ *         description: Only include aid disbursed to this beneficiary
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only include aid disbursed on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only include aid disbursed on or before this date
  *     responses:
  *       200:
  *         description: A paginated list of reports.
@@ -102,6 +139,9 @@ exports.getAllReports = [
   query("sortBy").optional().isString(),
   query("order").optional().isString().isIn(["asc", "desc"]),
   query("search").optional().isString(),
+  query("beneficiary_id").optional().isInt(),
+  query("from").optional().isISO8601(),
+  query("to").optional().isISO8601(),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -110,6 +150,7 @@ exports.getAllReports = [
 
     const currentUser = req.user;
 
+    const { beneficiary_id, from, to } = req.query;
     let {
       page = 1,
       limit = 10,
@@ -136,17 +177,19 @@ exports.getAllReports = [
         })),
       };
     }
+    if (beneficiary_id) {
+      searchCondition.beneficiary_id = beneficiary_id;
+    }
+    if (from || to) {
+      searchCondition.aid_date = {};
+      if (from) searchCondition.aid_date[Op.gte] = from;
+      if (to) searchCondition.aid_date[Op.lte] = to;
+    }
 
     try {
-      let whereCondition = { ...searchCondition };
-
-      if (currentUser.type === "ngo_admin") {
-        whereCondition.ngo_id = currentUser.ngo_id;
-      }
-
       const { rows: reports, count } = await Report.findAndCountAll({
-        where: whereCondition,
-        include: [{ model: User, as: "beneficiary" }],
+        where: scopeWhere(currentUser, searchCondition),
+        include: [{ model: Beneficiary, as: "beneficiary", attributes: ["id", "name"] }],
         order: orderCondition,
         limit,
         offset: (page - 1) * limit,
@@ -174,6 +217,141 @@ exports.getAllReports = [
   },
 ];
 
+/**
+ * @swagger
+ * /api/reports/totals:
+ *   get:
+ *     summary: Get aid disbursement totals
+ *     tags: [Reports]
+ *     description: Total aid disbursed, grouped per beneficiary or per month, quarter or year. Amounts are totalled separately for each currency.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [beneficiary, month, quarter, year]
+ *         description: How to group the totals (defaults to month)
+ *       - in: query
+ *         name: beneficiary_id
+ *         schema:
+ *           type: integer
+ *         description: Only include aid disbursed to this beneficiary
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Disbursement totals.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 groupBy:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       key:
+ *                         type: string
+ *                         description: Beneficiary ID or period, e.g. 2026-04, 2026-Q2 or 2026
+ *                       beneficiaryName:
+ *                         type: string
+ *                       currency:
+ *                         type: string
+ *                       disbursements:
+ *                         type: integer
+ *                       totalAmount:
+ *                         type: string
+ *       400:
+ *         description: Bad request. Validation errors.
+ *       401:
+ *         description: Unauthorized. User lacks proper privileges.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getReportTotals = [
+  query("groupBy").optional().isIn(["beneficiary", "month", "quarter", "year"]),
+  query("beneficiary_id").optional().isInt(),
+  query("from").optional().isISO8601(),
+  query("to").optional().isISO8601(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { groupBy = "month", beneficiary_id, from, to } = req.query;
+
+    const where = {};
+    if (beneficiary_id) {
+      where.beneficiary_id = beneficiary_id;
+    }
+    if (from || to) {
+      where.aid_date = {};
+      if (from) where.aid_date[Op.gte] = from.slice(0, 10);
+      if (to) where.aid_date[Op.lte] = to.slice(0, 10);
+    }
+
+    try {
+      const reports = await Report.findAll({
+        where: scopeWhere(currentUser, where),
+        attributes: ["beneficiary_id", "aid_amount", "currency", "aid_date"],
+        include: [{ model: Beneficiary, as: "beneficiary", attributes: ["id", "name"] }],
+        order: [["aid_date", "ASC"]],
+      });
+
+      const groups = new Map();
+      for (const report of reports) {
+        const key = groupBy === "beneficiary"
+          ? String(report.beneficiary_id)
+          : periodKey(report.aid_date, groupBy);
+        const groupKey = `${key}|${report.currency}`;
+
+        if (!groups.has(groupKey)) {
+          const group = { key, currency: report.currency, disbursements: 0, cents: 0 };
+          if (groupBy === "beneficiary") {
+            group.beneficiaryName = report.beneficiary ? report.beneficiary.name : null;
+          }
+          groups.set(groupKey, group);
+        }
+
+        const group = groups.get(groupKey);
+        group.disbursements += 1;
+        group.cents += toCents(report.aid_amount);
+      }
+
+      const data = [...groups.values()].map(({ cents, ...group }) => ({
+        ...group,
+        totalAmount: fromCents(cents),
+      }));
+
+      logger.info(`Report totals by ${groupBy} retrieved by user: ${currentUser.id}`);
+
+      res.status(200).json({ groupBy, data });
+    } catch (error) {
+      logger.error(`Error fetching report totals: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
 /**
  * @swagger
  * /api/reports/{id}:
@@ -219,9 +397,13 @@ exports.getReportById = [
       const report = await Report.findByPk(id, {
         include: [
           {
-            model: User,
+            model: Beneficiary,
             as: 'beneficiary',
-            attributes: ['id', 'name', 'email'],
+            attributes: ['id', 'name', 'contact'],
+          },
+          {
+            model: AidAllocation,
+            as: 'allocation',
           },
         ],
       });
@@ -231,10 +413,7 @@ exports.getReportById = [
         return res.status(404).send("Report not found.");
       }
 
-      if (
-        currentUser.type === "admin" ||
-        (currentUser.type === "ngo_admin" && currentUser.ngo_id === report.ngo_id)
-      ) {
+      if (ownsRecord(currentUser, report)) {
         logger.info("Report retrieved successfully by user: " + currentUser.id);
         return res.status(200).json(report);
       } else {
@@ -255,9 +434,9 @@ exports.getReportById = [
  * @swagger
  * /api/reports:
  *   post:
- *     summary: Create a new report
+ *     summary: Record an aid disbursement
  *     tags: [Reports]
- *     description: Create a new report. Only admin and NGO admin (for their own NGO) have permission.
+ *     description: Record aid disbursed to a beneficiary under one of their approved allocations. The disbursement date must fall within the allocation period and the amount must not exceed what is left of the allocation. Only admin and NGO admin (for their own NGO) have permission.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -268,16 +447,21 @@ exports.getReportById = [
  *             type: object
  *             required:
  *               - beneficiary_id
+ *               - aid_allocation_id
  *               - aid_amount
  *               - aid_date
  *             properties:
  *               beneficiary_id:
  *                 type: integer
+ *               aid_allocation_id:
+ *                 type: integer
  *               aid_amount:
  *                 type: number
  *               aid_date:
  *                 type: string
  *                 format: date
+ *               notes:
+ *                 type: string
  *     responses:
  *       201:
  *         description: Report created successfully
@@ -289,13 +473,20 @@ exports.getReportById = [
  *         description: Bad request. Validation errors.
  *       401:
  *         description: Unauthorized. User lacks the necessary privileges.
+ *       404:
+ *         description: Beneficiary or aid allocation not found.
+ *       409:
+ *         description: The disbursement is outside the allocation period, exceeds the remaining allocation, or the allocation has been revoked.
  *       500:
  *         description: Internal server error.
  */
 exports.createReport = [
   body("beneficiary_id").isInt().withMessage("beneficiary_id must be an integer"),
-  body("aid_amount").isFloat({ min: 0 }).withMessage("aid_amount must be a positive number"),
+  body("aid_allocation_id").isInt().withMessage("aid_allocation_id must be an integer"),
+  body("aid_amount").isDecimal({ decimal_digits: "0,2" }).custom((value) => parseFloat(value) > 0)
+    .withMessage("aid_amount must be a positive amount with at most two decimal places"),
   body("aid_date").isISO8601().withMessage("aid_date must be a valid date"),
+  body("notes").optional().isString(),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -303,18 +494,52 @@ exports.createReport = [
     }
 
     const currentUser = req.user;
-    const { beneficiary_id, aid_amount, aid_date } = req.body;
+
+    const { beneficiary_id, aid_allocation_id, aid_amount, aid_date, notes } = req.body;
+    const aidDate = aid_date.slice(0, 10);
 
     try {
-      const report = await Report.create({
-        beneficiary_id,
-        aid_amount,
-        aid_date,
-        ngo_id: currentUser.ngo_id,
+      const beneficiary = await Beneficiary.findOne({
+        where: scopeWhere(currentUser, { id: beneficiary_id }),
+      });
+
+      if (!beneficiary) {
+        logger.warn("Beneficiary not found with ID: " + beneficiary_id);
+        return res.status(404).send("Beneficiary not found.");
+      }
+
+      const result = await sequelize.transaction(async (transaction) => {
+        const allocation = await lockAllocation(aid_allocation_id, transaction);
+        if (!allocation || allocation.beneficiary_id !== beneficiary.id) {
+          return { status: 404, message: "Aid allocation not found." };
+        }
+
+        const conflict = await checkDisbursement(allocation, aid_amount, aidDate, transaction);
+        if (conflict) {
+          return { status: 409, message: conflict };
+        }
+
+        const report = await Report.create({
+          ngo_id: beneficiary.ngo_id,
+          beneficiary_id: beneficiary.id,
+          aid_allocation_id: allocation.id,
+          aid_amount,
+          currency: allocation.currency,
+          aid_date: aidDate,
+          notes,
+          disbursedBy: currentUser.id,
+        }, { transaction });
+
+        return { report };
       });
 
+      if (!result.report) {
+        logger.warn(`Aid disbursement rejected for beneficiary ${beneficiary_id}: ${result.message}`);
+        return res.status(result.status).send(result.message);
+      }
+
       logger.info("Report created successfully by user: " + currentUser.id);
-      res.status(201).json(report);
+      res.status(201).json(result.report);
     } catch (error) {
       logger.error(`Error creating report: ${error.message}`);
       res.status(500).json({
@@ -331,7 +556,7 @@ exports.createReport = [
  *   put:
  *     summary: Update a report by ID
  *     tags: [Reports]
- *     description: Update a report's details. Only admin and NGO admin (for their own NGO) can update.
+ *     description: Correct a disbursement's amount, date, notes or allocation. The corrected disbursement is checked against the allocation again. Only admin and NGO admin (for their own NGO) can update.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -348,13 +573,16 @@ exports.createReport = [
  *           schema:
  *             type: object
  *             properties:
- *               beneficiary_id:
+ *               aid_allocation_id:
  *                 type: integer
+ *                 description: Move the disbursement to another allocation of the same beneficiary
  *               aid_amount:
  *                 type: number
  *               aid_date:
  *                 type: string
  *                 format: date
+ *               notes:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Report updated successfully
@@ -367,15 +595,19 @@ exports.createReport = [
  *       401:
  *         description: Unauthorized. User lacks the necessary privileges.
  *       404:
- *         description: Report not found.
+ *         description: Report or aid allocation not found.
+ *       409:
+ *         description: The corrected disbursement does not fit the allocation.
  *       500:
  *         description: Internal server error.
  */
 exports.updateReportById = [
   param("id").isInt(),
-  body("beneficiary_id").optional().isInt().withMessage("beneficiary_id must be an integer"),
-  body("aid_amount").optional().isFloat({ min: 0 }).withMessage("aid_amount must be a positive number"),
+  body("aid_allocation_id").optional().isInt().withMessage("aid_allocation_id must be an integer"),
+  body("aid_amount").optional().isDecimal({ decimal_digits: "0,2" }).custom((value) => parseFloat(value) > 0)
+    .withMessage("aid_amount must be a positive amount with at most two decimal places"),
   body("aid_date").optional().isISO8601().withMessage("aid_date must be a valid date"),
+  body("notes").optional({ nullable: true }).isString(),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -384,31 +616,50 @@ exports.updateReportById = [
 
     const currentUser = req.user;
     const { id } = req.params;
-    const { beneficiary_id, aid_amount, aid_date } = req.body;
+    const { aid_allocation_id, aid_amount, aid_date, notes } = req.body;
 
     try {
-      const report = await Report.findByPk(id);
+      const result = await sequelize.transaction(async (transaction) => {
+        const report = await Report.findByPk(id, { transaction });
+
+        if (!report) {
+          return { status: 404, message: "Report not found." };
+        }
+
+        if (!ownsRecord(currentUser, report)) {
+          return { status: 401, message: "Unauthorized. You do not have access to update this report." };
+        }
+
+        const allocation = await lockAllocation(aid_allocation_id || report.aid_allocation_id, transaction);
+        if (!allocation || allocation.beneficiary_id !== report.beneficiary_id) {
+          return { status: 404, message: "Aid allocation not found." };
+        }
+
+        const amount = aid_amount !== undefined ? aid_amount : report.aid_amount;
+        const date = aid_date !== undefined ? aid_date.slice(0, 10) : report.aid_date;
+
+        const conflict = await checkDisbursement(allocation, amount, date, transaction, report.id);
+        if (conflict) {
+          return { status: 409, message: conflict };
+        }
+
+        report.aid_allocation_id = allocation.id;
+        report.currency = allocation.currency;
+        report.aid_amount = amount;
+        report.aid_date = date;
+        if (notes !== undefined) report.notes = notes;
+
+        await report.save({ transaction });
+        return { report };
+      });
 
-      if (!report) {
-        logger.warn("Report not found with ID: " + id);
-        return res.status(404).send("Report not found.");
+      if (!result.report) {
+        logger.warn(`Report ${id} not updated for user ${currentUser.id}: ${result.message}`);
+        return res.status(result.status).send(result.message);
       }
 
-      if (
-        currentUser.type === "admin" ||
-        (currentUser.type === "ngo_admin" && currentUser.ngo_id === report.ngo_id)
-      ) {
-        if (beneficiary_id !== undefined) report.beneficiary_id = beneficiary_id;
-        if (aid_amount !== undefined) report.aid_amount = aid_amount;
-        if (aid_date !== undefined) report.aid_date = aid_date;
-
-        await report.save();
-        logger.info("Report updated successfully by user: " + currentUser.id);
-        return res.status(200).json(report);
-      } else {
-        logger.warn("Unauthorized update attempt by user: " + currentUser.id);
-        return res.status(401).send("Unauthorized. You do not have access to update this report.");
-      }
+      logger.info("Report updated successfully by user: " + currentUser.id);
+      return res.status(200).json(result.report);
     } catch (error) {
       logger.error(`Error updating report by ID: ${error.message}`);
       return res.status(500).json({
@@ -464,10 +715,7 @@ exports.deleteReportById = [
         return res.status(404).send("Report not found.");
       }
 
-      if (
-        currentUser.type === "admin" ||
-        (currentUser.type === "ngo_admin" && currentUser.ngo_id === report.ngo_id)
-      ) {
+      if (ownsRecord(currentUser, report)) {
         await report.destroy();
         logger.info("Report deleted successfully by user: " + currentUser.id);
         return res.status(200).send("Report deleted successfully.");
@@ -0,0 +1,194 @@
+const sequelize = require("../config/db");
+const RolePermission = require("../models/RolePermission");
+const logger = require("../utils/logger");
+const {
+  ROLES,
+  PERMISSIONS,
+  PLATFORM_PERMISSIONS,
+  loadRolePermissions,
+  invalidatePermissionCache,
+} = require("../utils/permissions");
+const { body, param, validationResult } = require("express-validator");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Role:
+ *       type: object
+ *       properties:
+ *         role:
+ *           type: string
+ *           example: coordinator
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["volunteers:read", "attendance:write"]
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Roles
+ *   description: Assign permissions to roles
+ */
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     summary: Get roles and their permissions
+ *     tags: [Roles]
+ *     description: Lists every role with the permissions it holds, plus the catalogue of all permissions. The admin role always holds every permission.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles and the permission catalogue.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 roles:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Role'
+ *                 permissions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       description:
+ *                         type: string
+ *                       platformOnly:
+ *                         type: boolean
+ *                         description: Only the admin role can hold this permission
+ *       401:
+ *         description: Unauthorized. User lacks the roles:manage permission.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getRoles = async (req, res) => {
+  const currentUser = req.user;
+
+  try {
+    const rolePermissions = await loadRolePermissions();
+
+    logger.info("Roles retrieved by user: " + currentUser.id);
+
+    res.status(200).json({
+      roles: ROLES.map((role) => ({
+        role,
+        permissions: [...rolePermissions.get(role)].sort(),
+      })),
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({
+        name,
+        description,
+        platformOnly: PLATFORM_PERMISSIONS.includes(name),
+      })),
+    });
+  } catch (error) {
+    logger.error(`Error fetching roles: ${error.message}`);
+    res.status(500).json({
+      error: "Internal server error",
+      details: [error.message],
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/roles/{role}/permissions:
+ *   put:
+ *     summary: Set the permissions of a role
+ *     tags: [Roles]
+ *     description: Replaces the role's permissions with the given list. Takes effect for every user with the role within a minute. The admin role cannot be changed, and platform-only permissions cannot be given to other roles.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Role to update
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - permissions
+ *             properties:
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: The role with its new permissions.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Role'
+ *       400:
+ *         description: Unknown role or permission, an attempt to change the admin role, or a platform-only permission.
+ *       401:
+ *         description: Unauthorized. User lacks the roles:manage permission.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.updateRolePermissions = [
+  param("role").isIn(ROLES).withMessage(`role must be one of ${ROLES.join(", ")}`),
+  body("permissions").isArray().withMessage("permissions must be an array"),
+  body("permissions.*").isIn(Object.keys(PERMISSIONS)).withMessage("Unknown permission"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+    const { role } = req.params;
+    const permissions = [...new Set(req.body.permissions)];
+
+    if (role === "admin") {
+      return res.status(400).send("The admin role always holds every permission and cannot be changed.");
+    }
+
+    const platformOnly = permissions.filter((permission) => PLATFORM_PERMISSIONS.includes(permission));
+    if (platformOnly.length > 0) {
+      return res.status(400).send(`Only the admin role can hold: ${platformOnly.join(", ")}.`);
+    }
+
+    try {
+      // Make sure the defaults are seeded first, or an empty table would be
+      // re-seeded over this change
+      await loadRolePermissions();
+
+      await sequelize.transaction(async (transaction) => {
+        await RolePermission.destroy({ where: { role }, transaction });
+        await RolePermission.bulkCreate(
+          permissions.map((permission) => ({ role, permission })),
+          { transaction }
+        );
+      });
+      invalidatePermissionCache();
+
+      logger.info(`Permissions of role ${role} set to [${permissions.join(", ")}] by user: ${currentUser.id}`);
+
+      res.status(200).json({ role, permissions: permissions.sort() });
+    } catch (error) {
+      logger.error(`Error updating role permissions: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
@@ -0,0 +1,424 @@
+const { Op } = require("sequelize");
+const Beneficiary = require("../models/Beneficiary");
+const Event = require("../models/Event");
+const Project = require("../models/Project");
+const ProjectEnrollment = require("../models/ProjectEnrollment");
+const ServiceDelivery = require("../models/ServiceDelivery");
+const logger = require("../utils/logger");
+const { scopeWhere } = require("../utils/ngoScope");
+const { body, param, query, validationResult } = require("express-validator");
+
+// Load a beneficiary visible to the current user, or null.
+const findBeneficiary = (currentUser, id) =>
+  Beneficiary.findOne({ where: scopeWhere(currentUser, { id }) });
+
+// The enrollment under which a service delivered on a date falls, or null.
+const findEnrollmentOn = (beneficiary, projectId, date) =>
+  ProjectEnrollment.findOne({
+    where: {
+      beneficiary_id: beneficiary.id,
+      project_id: projectId,
+      enrolledOn: { [Op.lte]: date },
+      [Op.or]: [{ exitedOn: null }, { exitedOn: { [Op.gte]: date } }],
+    },
+  });
+
+// Count services and add up quantities per service type and unit.
+const summariseServices = (services) => {
+  const byServiceType = {};
+  services.forEach((service) => {
+    const entry = byServiceType[service.serviceType] || { count: 0, quantities: {} };
+    entry.count += 1;
+    if (service.quantity !== null && service.unit) {
+      entry.quantities[service.unit] = (entry.quantities[service.unit] || 0) + parseFloat(service.quantity);
+    }
+    byServiceType[service.serviceType] = entry;
+  });
+
+  const dates = services.map((service) => service.deliveredOn).sort();
+  return {
+    servicesReceived: services.length,
+    firstServiceOn: dates.length ? dates[0] : null,
+    lastServiceOn: dates.length ? dates[dates.length - 1] : null,
+    byServiceType,
+  };
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ServiceDelivery:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         beneficiary_id:
+ *           type: integer
+ *         project_id:
+ *           type: integer
+ *           nullable: true
+ *         event_id:
+ *           type: integer
+ *           nullable: true
+ *         serviceType:
+ *           type: string
+ *           example: food ration
+ *         description:
+ *           type: string
+ *         quantity:
+ *           type: string
+ *           nullable: true
+ *         unit:
+ *           type: string
+ *           nullable: true
+ *           example: kg
+ *         deliveredOn:
+ *           type: string
+ *           format: date
+ *         recordedBy:
+ *           type: integer
+ *           description: ID of the user who recorded the service
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Service Deliveries
+ *   description: Endpoints for logging the aid and services beneficiaries receive
+ */
+
+/**
+ * @swagger
+ * /api/beneficiaries/{id}/history:
+ *   get:
+ *     summary: Get a beneficiary's history
+ *     tags: [Service Deliveries]
+ *     description: Retrieve a beneficiary's project enrollments and the services they have received, newest first, with a summary by service type.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the beneficiary
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only include services delivered on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only include services delivered on or before this date
+ *     responses:
+ *       200:
+ *         description: The beneficiary's history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 beneficiary:
+ *                   $ref: '#/components/schemas/Beneficiary'
+ *                 enrollments:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ProjectEnrollment'
+ *                 services:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ServiceDelivery'
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     servicesReceived:
+ *                       type: integer
+ *                     firstServiceOn:
+ *                       type: string
+ *                       format: date
+ *                       nullable: true
+ *                     lastServiceOn:
+ *                       type: string
+ *                       format: date
+ *                       nullable: true
+ *                     byServiceType:
+ *                       type: object
+ *                       description: Service count and quantities per unit, keyed by service type
+ *       400:
+ *         description: Bad request. Validation errors.
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: Beneficiary not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getBeneficiaryHistory = [
+  param("id").isInt(),
+  query("from").optional().isISO8601(),
+  query("to").optional().isISO8601(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id } = req.params;
+    const { from, to } = req.query;
+
+    try {
+      const beneficiary = await findBeneficiary(currentUser, id);
+
+      if (!beneficiary) {
+        logger.warn("Beneficiary not found with ID: " + id);
+        return res.status(404).send("Beneficiary not found.");
+      }
+
+      const serviceWhere = { beneficiary_id: beneficiary.id };
+      if (from || to) {
+        serviceWhere.deliveredOn = {};
+        if (from) serviceWhere.deliveredOn[Op.gte] = from;
+        if (to) serviceWhere.deliveredOn[Op.lte] = to;
+      }
+
+      const [enrollments, services] = await Promise.all([
+        ProjectEnrollment.findAll({
+          where: { beneficiary_id: beneficiary.id },
+          include: [{ model: Project, attributes: ["id", "name"] }],
+          order: [["enrolledOn", "desc"]],
+        }),
+        ServiceDelivery.findAll({
+          where: serviceWhere,
+          include: [
+            { model: Project, attributes: ["id", "name"] },
+            { model: Event, attributes: ["id", "name"] },
+          ],
+          order: [["deliveredOn", "desc"], ["id", "desc"]],
+        }),
+      ]);
+
+      logger.info(`History of beneficiary ${id} retrieved by user: ${currentUser.id}`);
+
+      res.status(200).json({
+        beneficiary,
+        enrollments,
+        services,
+        summary: summariseServices(services),
+      });
+    } catch (error) {
+      logger.error(`Error fetching beneficiary history: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/beneficiaries/{id}/services:
+ *   post:
+ *     summary: Record a service delivered to a beneficiary
+ *     tags: [Service Deliveries]
+ *     description: Log aid or a service a beneficiary received. A service delivered under a project requires the beneficiary to have been enrolled in it on the delivery date.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the beneficiary
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - serviceType
+ *             properties:
+ *               serviceType:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *               unit:
+ *                 type: string
+ *               deliveredOn:
+ *                 type: string
+ *                 format: date
+ *               project_id:
+ *                 type: integer
+ *               event_id:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Service recorded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServiceDelivery'
+ *       400:
+ *         description: Bad request. Validation errors.
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: Beneficiary not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.recordService = [
+  param("id").isInt(),
+  body("serviceType").isString().trim().notEmpty(),
+  body("description").optional().isString(),
+  body("quantity").optional({ nullable: true }).isDecimal({ decimal_digits: "0,2" })
+    .custom((value) => parseFloat(value) > 0).withMessage("quantity must be a positive number"),
+  body("unit").optional({ nullable: true }).isString(),
+  body("deliveredOn").optional().isISO8601().withMessage("deliveredOn must be a valid date"),
+  body("project_id").optional({ nullable: true }).isInt(),
+  body("event_id").optional({ nullable: true }).isInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id } = req.params;
+    const { serviceType, description, quantity, unit, project_id, event_id } = req.body;
+    const deliveredOn = (req.body.deliveredOn || new Date().toISOString()).slice(0, 10);
+
+    try {
+      const beneficiary = await findBeneficiary(currentUser, id);
+
+      if (!beneficiary) {
+        logger.warn("Beneficiary not found with ID: " + id);
+        return res.status(404).send("Beneficiary not found.");
+      }
+
+      if (project_id && !(await findEnrollmentOn(beneficiary, project_id, deliveredOn))) {
+        return res.status(400).send("Beneficiary was not enrolled in this project on the delivery date.");
+      }
+
+      if (event_id && !(await Event.findOne({ where: { id: event_id, ngo_id: beneficiary.ngo_id } }))) {
+        return res.status(400).send("Event not found for this NGO.");
+      }
+
+      const service = await ServiceDelivery.create({
+        beneficiary_id: beneficiary.id,
+        project_id: project_id || null,
+        event_id: event_id || null,
+        serviceType,
+        description,
+        quantity,
+        unit,
+        deliveredOn,
+        recordedBy: currentUser.id,
+      });
+
+      logger.info(`Service ${service.id} recorded for beneficiary ${id} by user: ${currentUser.id}`);
+
+      res.status(201).json(service);
+    } catch (error) {
+      logger.error(`Error recording service: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/beneficiaries/{id}/services/{serviceId}:
+ *   delete:
+ *     summary: Delete a service record
+ *     tags: [Service Deliveries]
+ *     description: Remove a service recorded in error.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the beneficiary
+ *       - in: path
+ *         name: serviceId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the service record to delete
+ *     responses:
+ *       204:
+ *         description: Service record deleted successfully
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: Beneficiary or service record not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.deleteService = [
+  param("id").isInt(),
+  param("serviceId").isInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id, serviceId } = req.params;
+
+    try {
+      const beneficiary = await findBeneficiary(currentUser, id);
+
+      if (!beneficiary) {
+        logger.warn("Beneficiary not found with ID: " + id);
+        return res.status(404).send("Beneficiary not found.");
+      }
+
+      const service = await ServiceDelivery.findOne({ where: { id: serviceId, beneficiary_id: beneficiary.id } });
+
+      if (!service) {
+        logger.warn("Service record not found with ID: " + serviceId);
+        return res.status(404).send("Service record not found.");
+      }
+
+      await service.destroy();
+
+      logger.info(`Service ${serviceId} deleted by user: ${currentUser.id}`);
+
+      res.status(204).send();
+    } catch (error) {
+      logger.error(`Error deleting service: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
@@ -0,0 +1,1013 @@
+const { Op } = require("sequelize");
+const sequelize = require("../config/db");
+const Event = require("../models/Event");
+const EventException = require("../models/EventException");
+const EventShift = require("../models/EventShift");
+const ShiftAssignment = require("../models/ShiftAssignment");
+const Volunteer = require("../models/Volunteer");
+const VolunteerAttendance = require("../models/Volunteerattendance");
+const logger = require("../utils/logger");
+const { attendanceOccurrence } = require("../utils/eventRoster");
+const { scopeWhere } = require("../utils/ngoScope");
+const { findConflicts, workedHours } = require("../utils/shifts");
+const { body, param, validationResult } = require("express-validator");
+
+const findEvent = (currentUser, id) => Event.findOne({ where: scopeWhere(currentUser, { id }) });
+
+const findShift = (event, shiftId, options = {}) =>
+  EventShift.findOne({ where: { id: shiftId, event_id: event.id }, ...options });
+
+const shiftValidators = (optional) => [
+  (optional ? body("role").optional() : body("role")).isString().trim().notEmpty().withMessage("Role is required"),
+  (optional ? body("startTime").optional() : body("startTime"))
+    .isISO8601()
+    .withMessage("startTime must be a date-time")
+    .toDate(),
+  (optional ? body("endTime").optional() : body("endTime"))
+    .isISO8601()
+    .withMessage("endTime must be a date-time")
+    .toDate(),
+  (optional ? body("capacity").optional() : body("capacity"))
+    .isInt({ min: 1 })
+    .withMessage("capacity must be at least 1")
+    .toInt(),
+  body("notes").optional({ values: "null" }).isString(),
+];
+
+// Active assignments of the given volunteers whose shifts clash with the
+// time range, each with its shift and event so the caller can see where
+// the volunteer is already booked.
+const bookingConflicts = async (volunteerIds, range, transaction) => {
+  const assignments = await ShiftAssignment.findAll({
+    where: { volunteer_id: volunteerIds, status: "assigned", shift_id: { [Op.ne]: range.id } },
+    include: [
+      {
+        model: EventShift,
+        as: "shift",
+        where: { endTime: { [Op.gt]: range.startTime } },
+        include: [{ model: Event, as: "event", attributes: ["id", "name"] }],
+      },
+    ],
+    transaction,
+  });
+
+  const clashing = new Set(findConflicts(range, assignments.map((assignment) => assignment.shift)));
+  return assignments
+    .filter((assignment) => clashing.has(assignment.shift))
+    .map((assignment) => ({
+      volunteer_id: assignment.volunteer_id,
+      shift_id: assignment.shift_id,
+      role: assignment.shift.role,
+      startTime: assignment.shift.startTime,
+      endTime: assignment.shift.endTime,
+      event_id: assignment.shift.event_id,
+      event: assignment.shift.event ? assignment.shift.event.name : null,
+    }));
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EventShift:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         event_id:
+ *           type: integer
+ *         role:
+ *           type: string
+ *           example: Registration desk
+ *         startTime:
+ *           type: string
+ *           format: date-time
+ *         endTime:
+ *           type: string
+ *           format: date-time
+ *         capacity:
+ *           type: integer
+ *           description: Volunteers the shift needs
+ *         notes:
+ *           type: string
+ *         assigned:
+ *           type: integer
+ *           description: Volunteers currently assigned
+ *         openSlots:
+ *           type: integer
+ *         assignments:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ShiftAssignment'
+ *     ShiftAssignment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         shift_id:
+ *           type: integer
+ *         volunteer_id:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           enum: [assigned, cancelled]
+ *         assignedBy:
+ *           type: integer
+ *         cancelledAt:
+ *           type: string
+ *           format: date-time
+ *     ShiftConflict:
+ *       type: object
+ *       properties:
+ *         error:
+ *           type: string
+ *         conflicts:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               volunteer_id:
+ *                 type: integer
+ *               shift_id:
+ *                 type: integer
+ *               role:
+ *                 type: string
+ *               startTime:
+ *                 type: string
+ *                 format: date-time
+ *               endTime:
+ *                 type: string
+ *                 format: date-time
+ *               event_id:
+ *                 type: integer
+ *               event:
+ *                 type: string
+ */
+
+/**
+ * @swagger
+ * /api/events/{id}/shifts:
+ *   get:
+ *     summary: Get an event's shifts
+ *     tags: [Events]
+ *     description: Lists the event's shifts in start order, each with its current roster.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The event's shifts.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/EventShift'
+ *       401:
+ *         description: Unauthorized. User lacks the events:read permission.
+ *       404:
+ *         description: Event not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getShifts = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const event = await findEvent(req.user, req.params.id);
+      if (!event) {
+        return res.status(404).send("Event not found.");
+      }
+
+      const shifts = await EventShift.findAll({
+        where: { event_id: event.id },
+        include: [
+          {
+            model: ShiftAssignment,
+            as: "assignments",
+            where: { status: "assigned" },
+            required: false,
+            include: [{ model: Volunteer, as: "volunteer", attributes: ["id", "name", "email", "contact"] }],
+          },
+        ],
+        order: [["startTime", "asc"], ["id", "asc"]],
+      });
+
+      res.status(200).json(
+        shifts.map((shift) => ({
+          ...shift.toJSON(),
+          assigned: shift.assignments.length,
+          openSlots: Math.max(0, shift.capacity - shift.assignments.length),
+        }))
+      );
+    } catch (error) {
+      logger.error(`Error fetching event shifts: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/events/{id}/shifts:
+ *   post:
+ *     summary: Add a shift to an event
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *               - startTime
+ *               - endTime
+ *               - capacity
+ *             properties:
+ *               role:
+ *                 type: string
+ *               startTime:
+ *                 type: string
+ *                 format: date-time
+ *               endTime:
+ *                 type: string
+ *                 format: date-time
+ *               capacity:
+ *                 type: integer
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The new shift.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EventShift'
+ *       400:
+ *         description: Invalid input, or the shift ends before it starts.
+ *       401:
+ *         description: Unauthorized. User lacks the events:write permission.
+ *       404:
+ *         description: Event not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.createShift = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  ...shiftValidators(false),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+    const { role, startTime, endTime, capacity, notes } = req.body;
+
+    if (endTime <= startTime) {
+      return res.status(400).send("endTime must be after startTime.");
+    }
+
+    try {
+      const event = await findEvent(currentUser, req.params.id);
+      if (!event) {
+        return res.status(404).send("Event not found.");
+      }
+
+      const shift = await EventShift.create({
+        ngo_id: event.ngo_id,
+        event_id: event.id,
+        role,
+        startTime,
+        endTime,
+        capacity,
+        notes,
+      });
+
+      logger.info(`Shift ${shift.id} added to event ${event.id} by user: ${currentUser.id}`);
+
+      res.status(201).json(shift);
+    } catch (error) {
+      logger.error(`Error creating shift: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/events/{id}/shifts/{shiftId}:
+ *   put:
+ *     summary: Update a shift
+ *     tags: [Events]
+ *     description: >
+ *       Moving a shift is refused if it would double-book any volunteer already assigned to it,
+ *       and the capacity cannot drop below the number of volunteers assigned.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: shiftId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *               startTime:
+ *                 type: string
+ *                 format: date-time
+ *               endTime:
+ *                 type: string
+ *                 format: date-time
+ *               capacity:
+ *                 type: integer
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The updated shift.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EventShift'
+ *       400:
+ *         description: Invalid input, or the shift ends before it starts.
+ *       401:
+ *         description: Unauthorized. User lacks the events:write permission.
+ *       404:
+ *         description: Event or shift not found.
+ *       409:
+ *         description: The change would double-book assigned volunteers, or the capacity is below the number assigned.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShiftConflict'
+ *       500:
+ *         description: Internal server error.
+ */
+exports.updateShift = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  param("shiftId").isInt().withMessage("shiftId must be an integer"),
+  ...shiftValidators(true),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    try {
+      const event = await findEvent(currentUser, req.params.id);
+      if (!event) {
+        return res.status(404).send("Event not found.");
+      }
+
+      const result = await sequelize.transaction(async (transaction) => {
+        const shift = await findShift(event, req.params.shiftId, { lock: transaction.LOCK.UPDATE, transaction });
+        if (!shift) {
+          return { status: 404, message: "Shift not found." };
+        }
+
+        for (const field of ["role", "startTime", "endTime", "capacity", "notes"]) {
+          if (req.body[field] !== undefined) {
+            shift[field] = req.body[field];
+          }
+        }
+        if (shift.endTime <= shift.startTime) {
+          return { status: 400, message: "endTime must be after startTime." };
+        }
+
+        const assigned = await ShiftAssignment.findAll({
+          where: { shift_id: shift.id, status: "assigned" },
+          attributes: ["volunteer_id"],
+          transaction,
+        });
+        if (shift.capacity < assigned.length) {
+          return { status: 409, message: `${assigned.length} volunteer(s) are already assigned to this shift.` };
+        }
+
+        if (assigned.length > 0 && (shift.changed("startTime") || shift.changed("endTime"))) {
+          const conflicts = await bookingConflicts(
+            assigned.map((assignment) => assignment.volunteer_id),
+            shift,
+            transaction
+          );
+          if (conflicts.length > 0) {
+            return {
+              status: 409,
+              body: { error: "The new times would double-book assigned volunteers.", conflicts },
+            };
+          }
+        }
+
+        await shift.save({ transaction });
+        return { shift };
+      });
+
+      if (result.status) {
+        return result.body
+          ? res.status(result.status).json(result.body)
+          : res.status(result.status).send(result.message);
+      }
+
+      logger.info(`Shift ${result.shift.id} updated by user: ${currentUser.id}`);
+
+      res.status(200).json(result.shift);
+    } catch (error) {
+      logger.error(`Error updating shift: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/events/{id}/shifts/{shiftId}:
+ *   delete:
+ *     summary: Delete a shift
+ *     tags: [Events]
+ *     description: Removes the shift and its roster. Shifts with recorded attendance cannot be deleted.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: shiftId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Shift deleted.
+ *       401:
+ *         description: Unauthorized. User lacks the events:write permission.
+ *       404:
+ *         description: Event or shift not found.
+ *       409:
+ *         description: Attendance has been recorded against the shift.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.deleteShift = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  param("shiftId").isInt().withMessage("shiftId must be an integer"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    try {
+      const event = await findEvent(currentUser, req.params.id);
+      if (!event) {
+        return res.status(404).send("Event not found.");
+      }
+
+      const result = await sequelize.transaction(async (transaction) => {
+        const shift = await findShift(event, req.params.shiftId, { transaction });
+        if (!shift) {
+          return { status: 404, message: "Shift not found." };
+        }
+
+        const attendance = await VolunteerAttendance.count({ where: { shift_id: shift.id }, transaction });
+        if (attendance > 0) {
+          return { status: 409, message: `Attendance has been recorded for ${attendance} volunteer(s) on this shift.` };
+        }
+
+        await ShiftAssignment.destroy({ where: { shift_id: shift.id }, transaction });
+        await shift.destroy({ transaction });
+        return {};
+      });
+
+      if (result.status) {
+        return res.status(result.status).send(result.message);
+      }
+
+      logger.info(`Shift ${req.params.shiftId} deleted by user: ${currentUser.id}`);
+
+      res.status(204).send();
+    } catch (error) {
+      logger.error(`Error deleting shift: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/events/{id}/shifts/{shiftId}/assignments:
+ *   post:
+ *     summary: Assign a volunteer to a shift
+ *     tags: [Events]
+ *     description: >
+ *       Rosters a volunteer onto the shift. Refused when the shift is full or the volunteer is
+ *       already assigned to an overlapping shift at any event; the response lists the clashing shifts.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: shiftId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - volunteer_id
+ *             properties:
+ *               volunteer_id:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: The assignment.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShiftAssignment'
+ *       400:
+ *         description: Invalid input.
+ *       401:
+ *         description: Unauthorized. User lacks the events:read or volunteers:write permission.
+ *       404:
+ *         description: Event, shift or volunteer not found.
+ *       409:
+ *         description: The volunteer is already on this shift, the shift is full, or the volunteer is double-booked.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShiftConflict'
+ *       500:
+ *         description: Internal server error.
+ */
+exports.assignVolunteer = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  param("shiftId").isInt().withMessage("shiftId must be an integer"),
+  body("volunteer_id").isInt().withMessage("volunteer_id must be an integer").toInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    try {
+      const event = await findEvent(currentUser, req.params.id);
+      if (!event) {
+        return res.status(404).send("Event not found.");
+      }
+
+      const result = await sequelize.transaction(async (transaction) => {
+        // Locking the shift serialises assignments to it, so two coordinators
+        // cannot both fill the last slot.
+        const shift = await findShift(event, req.params.shiftId, { lock: transaction.LOCK.UPDATE, transaction });
+        if (!shift) {
+          return { status: 404, message: "Shift not found." };
+        }
+
+        // Locking the volunteer serialises their bookings, so assignments to
+        // two overlapping shifts cannot both pass the conflict check.
+        const volunteer = await Volunteer.findOne({
+          where: { id: req.body.volunteer_id, ngo_id: event.ngo_id },
+          lock: transaction.LOCK.UPDATE,
+          transaction,
+        });
+        if (!volunteer) {
+          return { status: 404, message: "Volunteer not found." };
+        }
+
+        const existing = await ShiftAssignment.findOne({
+          where: { shift_id: shift.id, volunteer_id: volunteer.id },
+          transaction,
+        });
+        if (existing && existing.status === "assigned") {
+          return { status: 409, message: "The volunteer is already assigned to this shift." };
+        }
+
+        const assigned = await ShiftAssignment.count({ where: { shift_id: shift.id, status: "assigned" }, transaction });
+        if (assigned >= shift.capacity) {
+          return { status: 409, message: "This shift is full." };
+        }
+
+        const conflicts = await bookingConflicts([volunteer.id], shift, transaction);
+        if (conflicts.length > 0) {
+          return {
+            status: 409,
+            body: { error: "The volunteer is already booked for an overlapping shift.", conflicts },
+          };
+        }
+
+        if (existing) {
+          existing.status = "assigned";
+          existing.assignedBy = currentUser.id;
+          existing.cancelledAt = null;
+          await existing.save({ transaction });
+          return { assignment: existing };
+        }
+
+        const assignment = await ShiftAssignment.create({
+          ngo_id: event.ngo_id,
+          shift_id: shift.id,
+          volunteer_id: volunteer.id,
+          assignedBy: currentUser.id,
+        }, { transaction });
+        return { assignment };
+      });
+
+      if (result.status) {
+        return result.body
+          ? res.status(result.status).json(result.body)
+          : res.status(result.status).send(result.message);
+      }
+
+      logger.info(
+        `Volunteer ${result.assignment.volunteer_id} assigned to shift ${result.assignment.shift_id} by user: ${currentUser.id}`
+      );
+
+      res.status(201).json(result.assignment);
+    } catch (error) {
+      logger.error(`Error assigning volunteer to shift: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/events/{id}/shifts/{shiftId}/assignments/{volunteerId}:
+ *   delete:
+ *     summary: Remove a volunteer from a shift
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: shiftId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: volunteerId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The cancelled assignment.
+ *       401:
+ *         description: Unauthorized. User lacks the events:read or volunteers:write permission.
+ *       404:
+ *         description: Event, shift or assignment not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.unassignVolunteer = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  param("shiftId").isInt().withMessage("shiftId must be an integer"),
+  param("volunteerId").isInt().withMessage("volunteerId must be an integer"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    try {
+      const event = await findEvent(currentUser, req.params.id);
+      if (!event) {
+        return res.status(404).send("Event not found.");
+      }
+
+      const shift = await findShift(event, req.params.shiftId);
+      if (!shift) {
+        return res.status(404).send("Shift not found.");
+      }
+
+      const assignment = await ShiftAssignment.findOne({
+        where: { shift_id: shift.id, volunteer_id: req.params.volunteerId, status: "assigned" },
+      });
+      if (!assignment) {
+        return res.status(404).send("Assignment not found.");
+      }
+
+      assignment.status = "cancelled";
+      assignment.cancelledAt = new Date();
+      await assignment.save();
+
+      logger.info(
+        `Volunteer ${assignment.volunteer_id} removed from shift ${shift.id} by user: ${currentUser.id}`
+      );
+
+      res.status(200).json(assignment);
+    } catch (error) {
+      logger.error(`Error removing volunteer from shift: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/events/{id}/shifts/{shiftId}/check-in:
+ *   post:
+ *     summary: Check a volunteer in to a shift
+ *     tags: [Events]
+ *     description: Records the volunteer as present on the shift. Only volunteers assigned to the shift can check in.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: shiftId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - volunteer_id
+ *             properties:
+ *               volunteer_id:
+ *                 type: integer
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Check-in time; defaults to now
+ *     responses:
+ *       201:
+ *         description: The attendance record.
+ *       400:
+ *         description: Invalid input.
+ *       401:
+ *         description: Unauthorized. User lacks the attendance:write permission.
+ *       404:
+ *         description: Event or shift not found.
+ *       409:
+ *         description: The volunteer is not assigned to the shift or has already checked in.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.checkIn = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  param("shiftId").isInt().withMessage("shiftId must be an integer"),
+  body("volunteer_id").isInt().withMessage("volunteer_id must be an integer").toInt(),
+  body("at").optional().isISO8601().withMessage("at must be a date-time").toDate(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+    const at = req.body.at || new Date();
+
+    try {
+      const event = await findEvent(currentUser, req.params.id);
+      if (!event) {
+        return res.status(404).send("Event not found.");
+      }
+
+      const result = await sequelize.transaction(async (transaction) => {
+        const shift = await findShift(event, req.params.shiftId, { transaction });
+        if (!shift) {
+          return { status: 404, message: "Shift not found." };
+        }
+
+        const assignment = await ShiftAssignment.findOne({
+          where: { shift_id: shift.id, volunteer_id: req.body.volunteer_id, status: "assigned" },
+          transaction,
+        });
+        if (!assignment) {
+          return { status: 409, message: "The volunteer is not assigned to this shift." };
+        }
+
+        const existing = await VolunteerAttendance.findOne({
+          where: { shift_id: shift.id, volunteer_id: assignment.volunteer_id },
+          lock: transaction.LOCK.UPDATE,
+          transaction,
+        });
+        if (existing && existing.checkInAt) {
+          return { status: 409, message: "The volunteer has already checked in to this shift." };
+        }
+
+        const fields = { status: true, date: at, checkInAt: at, checkOutAt: null, hours: null };
+        if (existing) {
+          await existing.update(fields, { transaction });
+          return { attendance: existing };
+        }
+
+        const exceptions = await EventException.findAll({ where: { event_id: event.id }, transaction });
+        const attendance = await VolunteerAttendance.create({
+          ngo_id: event.ngo_id,
+          volunteer_id: assignment.volunteer_id,
+          event_id: event.id,
+          shift_id: shift.id,
+          occurrence: attendanceOccurrence(event, exceptions, shift.startTime),
+          ...fields,
+        }, { transaction });
+        return { attendance };
+      });
+
+      if (result.status) {
+        return res.status(result.status).send(result.message);
+      }
+
+      logger.info(
+        `Volunteer ${result.attendance.volunteer_id} checked in to shift ${result.attendance.shift_id} by user: ${currentUser.id}`
+      );
+
+      res.status(201).json(result.attendance);
+    } catch (error) {
+      logger.error(`Error checking volunteer in: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/events/{id}/shifts/{shiftId}/check-out:
+ *   post:
+ *     summary: Check a volunteer out of a shift
+ *     tags: [Events]
+ *     description: Records the check-out time and the hours served since check-in.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: shiftId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - volunteer_id
+ *             properties:
+ *               volunteer_id:
+ *                 type: integer
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Check-out time; defaults to now
+ *     responses:
+ *       200:
+ *         description: The attendance record.
+ *       400:
+ *         description: Invalid input, or the check-out is before the check-in.
+ *       401:
+ *         description: Unauthorized. User lacks the attendance:write permission.
+ *       404:
+ *         description: Event or shift not found.
+ *       409:
+ *         description: The volunteer has not checked in, or has already checked out.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.checkOut = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  param("shiftId").isInt().withMessage("shiftId must be an integer"),
+  body("volunteer_id").isInt().withMessage("volunteer_id must be an integer").toInt(),
+  body("at").optional().isISO8601().withMessage("at must be a date-time").toDate(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+    const at = req.body.at || new Date();
+
+    try {
+      const event = await findEvent(currentUser, req.params.id);
+      if (!event) {
+        return res.status(404).send("Event not found.");
+      }
+
+      const shift = await findShift(event, req.params.shiftId);
+      if (!shift) {
+        return res.status(404).send("Shift not found.");
+      }
+
+      const attendance = await VolunteerAttendance.findOne({
+        where: { shift_id: shift.id, volunteer_id: req.body.volunteer_id },
+      });
+      if (!attendance || !attendance.checkInAt) {
+        return res.status(409).send("The volunteer has not checked in to this shift.");
+      }
+      if (attendance.checkOutAt) {
+        return res.status(409).send("The volunteer has already checked out of this shift.");
+      }
+      if (at < attendance.checkInAt) {
+        return res.status(400).send("Check-out cannot be before check-in.");
+      }
+
+      attendance.checkOutAt = at;
+      attendance.hours = workedHours(attendance.checkInAt, at);
+      await attendance.save();
+
+      logger.info(
+        `Volunteer ${attendance.volunteer_id} checked out of shift ${shift.id} by user: ${currentUser.id}`
+      );
+
+      res.status(200).json(attendance);
+    } catch (error) {
+      logger.error(`Error checking volunteer out: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
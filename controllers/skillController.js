@@ -0,0 +1,363 @@
+const { Op, UniqueConstraintError } = require("sequelize");
+const Skill = require("../models/Skill");
+const VolunteerSkill = require("../models/VolunteerSkill");
+const VolunteerCertification = require("../models/VolunteerCertification");
+const SkillRequirement = require("../models/SkillRequirement");
+const logger = require("../utils/logger");
+const { scopeWhere, resolveNgoId } = require("../utils/ngoScope");
+const { body, param, query, validationResult } = require("express-validator");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Skill:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         ngo_id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           example: First aid
+ *         category:
+ *           type: string
+ *           example: Medical
+ *         description:
+ *           type: string
+ *         requiresCertification:
+ *           type: boolean
+ *           description: Volunteers only count as having the skill while they hold a current certification for it
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Skills
+ *   description: The NGO's volunteer skills taxonomy
+ */
+
+/**
+ * @swagger
+ * /api/skills:
+ *   get:
+ *     summary: Get skills
+ *     tags: [Skills]
+ *     description: Lists the NGO's skills, ordered by category and name.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: A list of skills.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Skill'
+ *       401:
+ *         description: Unauthorized. User lacks the volunteers:read permission.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getSkills = [
+  query("category").optional().isString(),
+  query("search").optional().isString(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+    const { category, search } = req.query;
+
+    const where = {};
+    if (category) {
+      where.category = category;
+    }
+    if (search) {
+      where.name = { [Op.like]: `%${search}%` };
+    }
+
+    try {
+      const skills = await Skill.findAll({
+        where: scopeWhere(currentUser, where),
+        order: [["category", "asc"], ["name", "asc"]],
+      });
+
+      res.status(200).json(skills);
+    } catch (error) {
+      logger.error(`Error fetching skills: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/skills:
+ *   post:
+ *     summary: Add a skill
+ *     tags: [Skills]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               ngo_id:
+ *                 type: integer
+ *               name:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               requiresCertification:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: The new skill.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Skill'
+ *       400:
+ *         description: Invalid input.
+ *       401:
+ *         description: Unauthorized. User lacks the volunteers:write permission.
+ *       409:
+ *         description: The NGO already has a skill with this name.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.createSkill = [
+  body("name").isString().trim().notEmpty().withMessage("Name is required"),
+  body("category").optional({ values: "null" }).isString(),
+  body("description").optional({ values: "null" }).isString(),
+  body("requiresCertification").optional().isBoolean().toBoolean(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+    const ngoId = resolveNgoId(currentUser, req.body.ngo_id);
+    if (!ngoId) {
+      return res.status(400).send("ngo_id is required.");
+    }
+
+    const { name, category, description, requiresCertification } = req.body;
+
+    try {
+      const skill = await Skill.create({
+        ngo_id: ngoId,
+        name,
+        category,
+        description,
+        requiresCertification,
+      });
+
+      logger.info(`Skill ${skill.id} created by user: ${currentUser.id}`);
+
+      res.status(201).json(skill);
+    } catch (error) {
+      if (error instanceof UniqueConstraintError) {
+        return res.status(409).send("A skill with this name already exists.");
+      }
+      logger.error(`Error creating skill: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/skills/{id}:
+ *   put:
+ *     summary: Update a skill
+ *     tags: [Skills]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               requiresCertification:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: The updated skill.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Skill'
+ *       400:
+ *         description: Invalid input.
+ *       401:
+ *         description: Unauthorized. User lacks the volunteers:write permission.
+ *       404:
+ *         description: Skill not found.
+ *       409:
+ *         description: The NGO already has a skill with this name.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.updateSkill = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  body("name").optional().isString().trim().notEmpty().withMessage("Name cannot be empty"),
+  body("category").optional({ values: "null" }).isString(),
+  body("description").optional({ values: "null" }).isString(),
+  body("requiresCertification").optional().isBoolean().toBoolean(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    try {
+      const skill = await Skill.findOne({ where: scopeWhere(currentUser, { id: req.params.id }) });
+      if (!skill) {
+        return res.status(404).send("Skill not found.");
+      }
+
+      for (const field of ["name", "category", "description", "requiresCertification"]) {
+        if (req.body[field] !== undefined) {
+          skill[field] = req.body[field];
+        }
+      }
+      await skill.save();
+
+      logger.info(`Skill ${skill.id} updated by user: ${currentUser.id}`);
+
+      res.status(200).json(skill);
+    } catch (error) {
+      if (error instanceof UniqueConstraintError) {
+        return res.status(409).send("A skill with this name already exists.");
+      }
+      logger.error(`Error updating skill: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/skills/{id}:
+ *   delete:
+ *     summary: Delete a skill
+ *     tags: [Skills]
+ *     description: Skills still held by volunteers, linked to certifications, or required by events or projects cannot be deleted.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Skill deleted.
+ *       401:
+ *         description: Unauthorized. User lacks the volunteers:write permission.
+ *       404:
+ *         description: Skill not found.
+ *       409:
+ *         description: The skill is still in use.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.deleteSkill = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    try {
+      const skill = await Skill.findOne({ where: scopeWhere(currentUser, { id: req.params.id }) });
+      if (!skill) {
+        return res.status(404).send("Skill not found.");
+      }
+
+      const [holders, certifications, requirements] = await Promise.all([
+        VolunteerSkill.count({ where: { skill_id: skill.id } }),
+        VolunteerCertification.count({ where: { skill_id: skill.id } }),
+        SkillRequirement.count({ where: { skill_id: skill.id } }),
+      ]);
+      if (holders > 0 || certifications > 0 || requirements > 0) {
+        return res
+          .status(409)
+          .send(
+            `Skill is still in use: ${holders} volunteer(s), ${certifications} certification(s), ` +
+            `${requirements} event or project requirement(s).`
+          );
+      }
+
+      await skill.destroy();
+
+      logger.info(`Skill ${skill.id} deleted by user: ${currentUser.id}`);
+
+      res.status(204).send();
+    } catch (error) {
+      logger.error(`Error deleting skill: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
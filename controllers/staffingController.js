@@ -0,0 +1,513 @@
+const sequelize = require("../config/db");
+const Event = require("../models/Event");
+const Project = require("../models/Project");
+const Skill = require("../models/Skill");
+const SkillRequirement = require("../models/SkillRequirement");
+const Volunteer = require("../models/Volunteer");
+const VolunteerSkill = require("../models/VolunteerSkill");
+const VolunteerCertification = require("../models/VolunteerCertification");
+const VolunteerAvailability = require("../models/VolunteerAvailability");
+const EventSignup = require("../models/EventSignup");
+const logger = require("../utils/logger");
+const { scopeWhere } = require("../utils/ngoScope");
+const { LEVELS, rankVolunteers, staffingGaps } = require("../utils/volunteerMatching");
+const { body, param, query, validationResult } = require("express-validator");
+
+const requirementValidators = [
+  body("requirements").isArray().withMessage("requirements must be an array"),
+  body("requirements.*.skill_id").isInt().withMessage("skill_id must be an integer"),
+  body("requirements.*.headcount").optional().isInt({ min: 1 }).withMessage("headcount must be at least 1"),
+  body("requirements.*.minLevel").optional().isIn(LEVELS).withMessage(`minLevel must be one of ${LEVELS.join(", ")}`),
+];
+
+const findRequirements = (where, transaction) =>
+  SkillRequirement.findAll({
+    where,
+    include: [{ model: Skill, as: "skill" }],
+    order: [["id", "asc"]],
+    transaction,
+  });
+
+// Replace the requirements of an event or project (owner is { event_id }
+// or { project_id }). Resolves to the new requirements, or { error } if a
+// skill does not belong to the NGO.
+const replaceRequirements = (ngoId, owner, requirements) =>
+  sequelize.transaction(async (transaction) => {
+    // Last entry wins if a skill is listed twice
+    const bySkill = new Map(requirements.map((requirement) => [Number(requirement.skill_id), requirement]));
+
+    const skills = await Skill.findAll({
+      where: { id: [...bySkill.keys()], ngo_id: ngoId },
+      attributes: ["id"],
+      transaction,
+    });
+    const known = new Set(skills.map((skill) => skill.id));
+    const unknown = [...bySkill.keys()].filter((id) => !known.has(id));
+    if (unknown.length > 0) {
+      return { error: `Unknown skill(s): ${unknown.join(", ")}.` };
+    }
+
+    await SkillRequirement.destroy({ where: owner, transaction });
+    await SkillRequirement.bulkCreate(
+      [...bySkill].map(([skillId, requirement]) => ({
+        ngo_id: ngoId,
+        ...owner,
+        skill_id: skillId,
+        headcount: requirement.headcount || 1,
+        minLevel: requirement.minLevel || "beginner",
+      })),
+      { transaction }
+    );
+
+    return { requirements: await findRequirements(owner, transaction) };
+  });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SkillRequirement:
+ *       type: object
+ *       properties:
+ *         skill_id:
+ *           type: integer
+ *         headcount:
+ *           type: integer
+ *           description: Volunteers with the skill needed
+ *         minLevel:
+ *           type: string
+ *           enum: [beginner, intermediate, expert]
+ *         skill:
+ *           $ref: '#/components/schemas/Skill'
+ */
+
+/**
+ * @swagger
+ * /api/events/{id}/skill-requirements:
+ *   get:
+ *     summary: Get the skills an event needs
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The event's skill requirements.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/SkillRequirement'
+ *       401:
+ *         description: Unauthorized. User lacks the events:read permission.
+ *       404:
+ *         description: Event not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getEventRequirements = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const event = await Event.findOne({ where: scopeWhere(req.user, { id: req.params.id }) });
+      if (!event) {
+        return res.status(404).send("Event not found.");
+      }
+
+      res.status(200).json(await findRequirements({ event_id: event.id }));
+    } catch (error) {
+      logger.error(`Error fetching event skill requirements: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/events/{id}/skill-requirements:
+ *   put:
+ *     summary: Set the skills an event needs
+ *     tags: [Events]
+ *     description: Replaces the event's skill requirements with the given list.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - requirements
+ *             properties:
+ *               requirements:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     skill_id:
+ *                       type: integer
+ *                     headcount:
+ *                       type: integer
+ *                       default: 1
+ *                     minLevel:
+ *                       type: string
+ *                       enum: [beginner, intermediate, expert]
+ *                       default: beginner
+ *     responses:
+ *       200:
+ *         description: The event's skill requirements.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/SkillRequirement'
+ *       400:
+ *         description: Invalid input or a skill from another NGO.
+ *       401:
+ *         description: Unauthorized. User lacks the events:write permission.
+ *       404:
+ *         description: Event not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.setEventRequirements = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  ...requirementValidators,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    try {
+      const event = await Event.findOne({ where: scopeWhere(currentUser, { id: req.params.id }) });
+      if (!event) {
+        return res.status(404).send("Event not found.");
+      }
+
+      const result = await replaceRequirements(event.ngo_id, { event_id: event.id }, req.body.requirements);
+      if (result.error) {
+        return res.status(400).send(result.error);
+      }
+
+      logger.info(`Skill requirements of event ${event.id} updated by user: ${currentUser.id}`);
+
+      res.status(200).json(result.requirements);
+    } catch (error) {
+      logger.error(`Error updating event skill requirements: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/projects/{id}/skill-requirements:
+ *   get:
+ *     summary: Get the skills a project needs
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The project's skill requirements.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/SkillRequirement'
+ *       401:
+ *         description: Unauthorized. User lacks the projects:read permission.
+ *       404:
+ *         description: Project not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getProjectRequirements = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const project = await Project.findOne({ where: scopeWhere(req.user, { id: req.params.id }) });
+      if (!project) {
+        return res.status(404).send("Project not found.");
+      }
+
+      res.status(200).json(await findRequirements({ project_id: project.id }));
+    } catch (error) {
+      logger.error(`Error fetching project skill requirements: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/projects/{id}/skill-requirements:
+ *   put:
+ *     summary: Set the skills a project needs
+ *     tags: [Projects]
+ *     description: Replaces the project's skill requirements with the given list.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - requirements
+ *             properties:
+ *               requirements:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     skill_id:
+ *                       type: integer
+ *                     headcount:
+ *                       type: integer
+ *                       default: 1
+ *                     minLevel:
+ *                       type: string
+ *                       enum: [beginner, intermediate, expert]
+ *                       default: beginner
+ *     responses:
+ *       200:
+ *         description: The project's skill requirements.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/SkillRequirement'
+ *       400:
+ *         description: Invalid input or a skill from another NGO.
+ *       401:
+ *         description: Unauthorized. User lacks the projects:write permission.
+ *       404:
+ *         description: Project not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.setProjectRequirements = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  ...requirementValidators,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    try {
+      const project = await Project.findOne({ where: scopeWhere(currentUser, { id: req.params.id }) });
+      if (!project) {
+        return res.status(404).send("Project not found.");
+      }
+
+      const result = await replaceRequirements(project.ngo_id, { project_id: project.id }, req.body.requirements);
+      if (result.error) {
+        return res.status(400).send(result.error);
+      }
+
+      logger.info(`Skill requirements of project ${project.id} updated by user: ${currentUser.id}`);
+
+      res.status(200).json(result.requirements);
+    } catch (error) {
+      logger.error(`Error updating project skill requirements: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/events/{id}/matches:
+ *   get:
+ *     summary: Rank volunteers for an event
+ *     tags: [Events]
+ *     description: >
+ *       Scores the NGO's volunteers against the event's skill requirements.
+ *       A volunteer is eligible when their weekly availability covers the
+ *       whole event, they speak the requested language (if given) and they
+ *       meet at least one requirement (or the event has none). Skills that
+ *       need a certification only count if it is valid on the event date.
+ *       Also reports staffing gaps per required skill and overall.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *         description: Only volunteers speaking this language are eligible
+ *       - in: query
+ *         name: includeIneligible
+ *         schema:
+ *           type: boolean
+ *         description: Also list volunteers who are not eligible
+ *     responses:
+ *       200:
+ *         description: Ranked candidates and staffing gaps.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 event_id:
+ *                   type: integer
+ *                 candidates:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       volunteer_id:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                       score:
+ *                         type: number
+ *                       eligible:
+ *                         type: boolean
+ *                       available:
+ *                         type: boolean
+ *                       signedUp:
+ *                         type: boolean
+ *                       matchedSkills:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                 staffing:
+ *                   type: object
+ *                   properties:
+ *                     volunteersNeeded:
+ *                       type: integer
+ *                       nullable: true
+ *                     signedUp:
+ *                       type: integer
+ *                     gap:
+ *                       type: integer
+ *                     understaffed:
+ *                       type: boolean
+ *                     requirements:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       400:
+ *         description: The event has no date.
+ *       401:
+ *         description: Unauthorized. User lacks the events:read or volunteers:read permission.
+ *       404:
+ *         description: Event not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getEventMatches = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  query("language").optional().isString().trim().notEmpty(),
+  query("includeIneligible").optional().isBoolean().toBoolean(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const event = await Event.findOne({ where: scopeWhere(req.user, { id: req.params.id }) });
+      if (!event) {
+        return res.status(404).send("Event not found.");
+      }
+      if (!event.date) {
+        return res.status(400).send("The event has no date to match volunteers against.");
+      }
+
+      const [requirements, volunteers, signups] = await Promise.all([
+        findRequirements({ event_id: event.id }),
+        Volunteer.findAll({
+          where: { ngo_id: event.ngo_id },
+          include: [
+            { model: VolunteerSkill, as: "skills", include: [{ model: Skill, as: "skill" }] },
+            { model: VolunteerCertification, as: "certifications" },
+            { model: VolunteerAvailability, as: "availability" },
+          ],
+        }),
+        EventSignup.findAll({ where: { event_id: event.id, status: "signed_up" }, attributes: ["volunteer_id"] }),
+      ]);
+
+      const ranked = rankVolunteers(event, requirements, volunteers, {
+        signedUpIds: new Set(signups.map((signup) => signup.volunteer_id)),
+        language: req.query.language,
+      });
+
+      res.status(200).json({
+        event_id: event.id,
+        candidates: req.query.includeIneligible ? ranked : ranked.filter((candidate) => candidate.eligible),
+        staffing: staffingGaps(event, requirements, ranked),
+      });
+    } catch (error) {
+      logger.error(`Error matching volunteers to event: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
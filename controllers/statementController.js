@@ -0,0 +1,234 @@
+const Donor = require("../models/Donor");
+const NGO = require("../models/NGO");
+const logger = require("../utils/logger");
+const { scopeWhere } = require("../utils/ngoScope");
+const { buildStatement, findDonorsWhoGave, statementToCsv, summaryToCsv } = require("../utils/statements");
+const { renderStatementPdf } = require("../utils/pdf");
+const { param, query, validationResult } = require("express-validator");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GivingStatement:
+ *       type: object
+ *       properties:
+ *         donor:
+ *           $ref: '#/components/schemas/Donor'
+ *         fiscalYear:
+ *           type: string
+ *           example: "2026-27"
+ *         from:
+ *           type: string
+ *           format: date
+ *         to:
+ *           type: string
+ *           format: date
+ *         donations:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Donation'
+ *         totals:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *           description: Total given in the year, keyed by currency code
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Statements
+ *   description: Endpoints for annual donor giving statements
+ */
+
+/**
+ * @swagger
+ * /api/donors/{id}/statements/{year}:
+ *   get:
+ *     summary: Get a donor's annual giving statement
+ *     tags: [Statements]
+ *     description: Summarise every gift a donor made in the fiscal year starting in the given calendar year.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the donor
+ *       - in: path
+ *         name: year
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Calendar year in which the fiscal year starts
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, pdf, csv]
+ *         description: Response format (defaults to json)
+ *     responses:
+ *       200:
+ *         description: The giving statement
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GivingStatement'
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Bad request. Validation errors.
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: Donor not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getDonorStatement = [
+  param("id").isInt(),
+  param("year").isInt({ min: 1900, max: 9999 }),
+  query("format").optional().isIn(["json", "pdf", "csv"]),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id } = req.params;
+    const year = parseInt(req.params.year, 10);
+    const { format = "json" } = req.query;
+
+    try {
+      const donor = await Donor.findOne({
+        where: scopeWhere(currentUser, { id }),
+        include: [{ model: NGO }],
+      });
+
+      if (!donor) {
+        logger.warn("Donor not found with ID: " + id);
+        return res.status(404).send("Donor not found.");
+      }
+
+      const statement = await buildStatement(donor, year);
+      const fileName = `statement-${donor.id}-${statement.fiscalYear}`;
+
+      logger.info(`Giving statement ${statement.fiscalYear} for donor ${id} retrieved by user: ${currentUser.id}`);
+
+      if (format === "pdf") {
+        const pdf = await renderStatementPdf({ statement, ngo: donor.NGO });
+        res.setHeader("Content-Type", "application/pdf");
+        res.setHeader("Content-Disposition", `attachment; filename="${fileName}.pdf"`);
+        return res.status(200).send(pdf);
+      }
+
+      if (format === "csv") {
+        res.setHeader("Content-Type", "text/csv");
+        res.setHeader("Content-Disposition", `attachment; filename="${fileName}.csv"`);
+        return res.status(200).send(statementToCsv(statement));
+      }
+
+      res.status(200).json(statement);
+    } catch (error) {
+      logger.error(`Error building giving statement: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/donors/statements/{year}:
+ *   get:
+ *     summary: Get the consolidated giving summary for a year
+ *     tags: [Statements]
+ *     description: One line per donor and currency for every donor who gave in the fiscal year. Use the annual statements job to produce the per-donor PDF and CSV files in bulk.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: year
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Calendar year in which the fiscal year starts
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *         description: Response format (defaults to json)
+ *     responses:
+ *       200:
+ *         description: The consolidated summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/GivingStatement'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Bad request. Validation errors.
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getStatementSummary = [
+  param("year").isInt({ min: 1900, max: 9999 }),
+  query("format").optional().isIn(["json", "csv"]),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const year = parseInt(req.params.year, 10);
+    const { format = "json" } = req.query;
+
+    try {
+      const donors = await findDonorsWhoGave(scopeWhere(currentUser), year);
+      const statements = [];
+      for (const donor of donors) {
+        statements.push(await buildStatement(donor, year));
+      }
+
+      logger.info(`Giving statement summary for ${year} retrieved by user: ${currentUser.id}`);
+
+      if (format === "csv") {
+        res.setHeader("Content-Type", "text/csv");
+        res.setHeader("Content-Disposition", `attachment; filename="statement-summary-${year}.csv"`);
+        return res.status(200).send(summaryToCsv(statements));
+      }
+
+      res.status(200).json({ data: statements });
+    } catch (error) {
+      logger.error(`Error building giving statement summary: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
@@ -0,0 +1,405 @@
+const User = require("../models/User");
+const TwoFactorCredential = require("../models/TwoFactorCredential");
+const sequelize = require("../config/db");
+const logger = require("../utils/logger");
+const { createSession } = require("../utils/sessions");
+const { generateSecret, verifyCode, provisioningUri, encryptSecret, decryptSecret } = require("../utils/totp");
+const { retryAfter, recordFailure } = require("../utils/loginThrottle");
+const {
+  isTwoFactorRequired,
+  findCredential,
+  isEnrolled,
+  verifyChallenge,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  removeTwoFactor,
+} = require("../utils/twoFactor");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Two-Factor Authentication
+ *   description: TOTP authenticator enrollment and the second login step. Required for admin and NGO admin accounts.
+ */
+
+/**
+ * @swagger
+ * /auth/login/2fa:
+ *   post:
+ *     summary: Complete a login with a one-time code
+ *     tags: [Two-Factor Authentication]
+ *     description: Second login step for users with 2FA enabled. Send the mfaToken from /auth/login with either a code from the authenticator app or one unused recovery code.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaToken
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: "a1b2c-3d4e5"
+ *     responses:
+ *       200:
+ *         description: Logged in.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokens'
+ *       400:
+ *         description: mfaToken and a code or recovery code are required.
+ *       401:
+ *         description: The mfaToken has expired or the code is wrong.
+ *       429:
+ *         description: Too many failed attempts. The Retry-After header gives the wait in seconds.
+ *       500:
+ *         description: Error on the server.
+ */
+exports.verifyLogin = async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    if (!mfaToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: "mfaToken and a code or recoveryCode are required." });
+    }
+
+    const userId = verifyChallenge(mfaToken, "login");
+    const user = userId ? await User.findByPk(userId) : null;
+    if (!user) {
+      return res.status(401).json({ message: "Invalid or expired mfaToken." });
+    }
+
+    const wait = await retryAfter(user.username, req.ip);
+    if (wait > 0) {
+      res.set("Retry-After", String(wait));
+      return res.status(429).json({
+        message: "Too many failed login attempts. Try again later.",
+        retryAfter: wait,
+      });
+    }
+
+    const verified = await sequelize.transaction((transaction) =>
+      verifySecondFactor(user.id, { code, recoveryCode }, transaction)
+    );
+
+    if (!verified) {
+      await recordFailure(user.username, req.ip, user);
+      logger.warn(`Failed second factor for user ${user.id} from ${req.ip}`);
+      return res.status(401).json({ auth: false, token: null, message: "Invalid code." });
+    }
+
+    const tokens = await createSession(user, req);
+
+    logger.info(`User logged in with ${recoveryCode && !code ? "a recovery code" : "2FA"}: ${user.id}`);
+    res.status(200).json(tokens);
+  } catch (err) {
+    logger.error(`Error verifying second factor: ${err.message}`);
+    res.status(500).send("Error on the server.");
+  }
+};
+
+/**
+ * @swagger
+ * /auth/2fa/setup:
+ *   post:
+ *     summary: Start authenticator enrollment
+ *     tags: [Two-Factor Authentication]
+ *     description: Creates a new TOTP secret and returns its otpauth:// provisioning URI to show as a QR code. 2FA is not active until confirmed with /auth/2fa/enable. Admins who must enroll during login send the mfaToken from /auth/login instead of a Bearer token.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *                 description: Enrollment token from /auth/login, when not logged in
+ *     responses:
+ *       200:
+ *         description: Secret created.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret:
+ *                   type: string
+ *                   description: Base32 secret for manual entry
+ *                 otpauthUrl:
+ *                   type: string
+ *                   example: "otpauth://totp/NGO%20Management%20System%3Aalice?secret=...&issuer=..."
+ *       401:
+ *         description: Not logged in, or the mfaToken is invalid.
+ *       409:
+ *         description: 2FA is already enabled.
+ *       500:
+ *         description: Error on the server.
+ */
+exports.setup = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    const credential = await findCredential(user.id);
+
+    if (isEnrolled(credential)) {
+      return res.status(409).json({ message: "Two-factor authentication is already enabled." });
+    }
+
+    const secret = generateSecret();
+    if (credential) {
+      credential.secret = encryptSecret(secret);
+      credential.lastUsedStep = null;
+      await credential.save();
+    } else {
+      await TwoFactorCredential.create({ user_id: user.id, secret: encryptSecret(secret) });
+    }
+
+    logger.info("2FA enrollment started for user: " + user.id);
+    res.status(200).json({ secret, otpauthUrl: provisioningUri(user.username, secret) });
+  } catch (err) {
+    logger.error(`Error starting 2FA enrollment: ${err.message}`);
+    res.status(500).send("Error on the server.");
+  }
+};
+
+/**
+ * @swagger
+ * /auth/2fa/enable:
+ *   post:
+ *     summary: Confirm authenticator enrollment
+ *     tags: [Two-Factor Authentication]
+ *     description: Turns 2FA on once the user proves the authenticator works, and returns recovery codes. The codes are shown only once. When enrolling during login, the response also contains the session tokens.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               mfaToken:
+ *                 type: string
+ *                 description: Enrollment token from /auth/login, when not logged in
+ *     responses:
+ *       200:
+ *         description: 2FA enabled.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 token:
+ *                   type: string
+ *                   description: Only when enrolling during login
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Only when enrolling during login
+ *       400:
+ *         description: No pending enrollment, or the code is wrong.
+ *       401:
+ *         description: Not logged in, or the mfaToken is invalid.
+ *       409:
+ *         description: 2FA is already enabled.
+ *       500:
+ *         description: Error on the server.
+ */
+exports.enable = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ message: "code is required." });
+    }
+
+    const user = await User.findByPk(req.user.id);
+
+    const result = await sequelize.transaction(async (transaction) => {
+      const credential = await findCredential(user.id, { lock: transaction.LOCK.UPDATE, transaction });
+
+      if (!credential) {
+        return { status: 400, message: "Start enrollment with /auth/2fa/setup first." };
+      }
+      if (isEnrolled(credential)) {
+        return { status: 409, message: "Two-factor authentication is already enabled." };
+      }
+
+      const step = verifyCode(decryptSecret(credential.secret), code);
+      if (step === null) {
+        return { status: 400, message: "Invalid code." };
+      }
+
+      credential.enabledAt = new Date();
+      credential.lastUsedStep = step;
+      await credential.save({ transaction });
+
+      return { recoveryCodes: await generateRecoveryCodes(user.id, transaction) };
+    });
+
+    if (!result.recoveryCodes) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    logger.info("2FA enabled for user: " + user.id);
+
+    const response = { message: "Two-factor authentication enabled.", recoveryCodes: result.recoveryCodes };
+    if (req.user.enrolling) {
+      Object.assign(response, await createSession(user, req));
+    }
+    res.status(200).json(response);
+  } catch (err) {
+    logger.error(`Error enabling 2FA: ${err.message}`);
+    res.status(500).send("Error on the server.");
+  }
+};
+
+/**
+ * @swagger
+ * /auth/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication
+ *     tags: [Two-Factor Authentication]
+ *     description: Removes the authenticator and recovery codes. Not allowed for admin and NGO admin accounts, which must keep 2FA on.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA disabled.
+ *       400:
+ *         description: The code is missing or wrong.
+ *       403:
+ *         description: 2FA is required for this account type.
+ *       409:
+ *         description: 2FA is not enabled.
+ *       500:
+ *         description: Error on the server.
+ */
+exports.disable = async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+
+    if (isTwoFactorRequired(req.user)) {
+      return res.status(403).json({ message: "Two-factor authentication is required for this account." });
+    }
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ message: "code or recoveryCode is required." });
+    }
+
+    const result = await sequelize.transaction(async (transaction) => {
+      if (!isEnrolled(await findCredential(req.user.id, { transaction }))) {
+        return { status: 409, message: "Two-factor authentication is not enabled." };
+      }
+      if (!(await verifySecondFactor(req.user.id, { code, recoveryCode }, transaction))) {
+        return { status: 400, message: "Invalid code." };
+      }
+      await removeTwoFactor(req.user.id, transaction);
+      return { status: 200, message: "Two-factor authentication disabled." };
+    });
+
+    if (result.status === 200) {
+      logger.info("2FA disabled by user: " + req.user.id);
+    }
+    res.status(result.status).json({ message: result.message });
+  } catch (err) {
+    logger.error(`Error disabling 2FA: ${err.message}`);
+    res.status(500).send("Error on the server.");
+  }
+};
+
+/**
+ * @swagger
+ * /auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace recovery codes
+ *     tags: [Two-Factor Authentication]
+ *     description: Issues a fresh set of recovery codes; the old ones stop working. Requires a current authenticator code.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: The code is missing or wrong.
+ *       409:
+ *         description: 2FA is not enabled.
+ *       500:
+ *         description: Error on the server.
+ */
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ message: "code is required." });
+    }
+
+    const result = await sequelize.transaction(async (transaction) => {
+      if (!isEnrolled(await findCredential(req.user.id, { transaction }))) {
+        return { status: 409, message: "Two-factor authentication is not enabled." };
+      }
+      if (!(await verifySecondFactor(req.user.id, { code }, transaction))) {
+        return { status: 400, message: "Invalid code." };
+      }
+      return { recoveryCodes: await generateRecoveryCodes(req.user.id, transaction) };
+    });
+
+    if (!result.recoveryCodes) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    logger.info("Recovery codes regenerated by user: " + req.user.id);
+    res.status(200).json({ recoveryCodes: result.recoveryCodes });
+  } catch (err) {
+    logger.error(`Error regenerating recovery codes: ${err.message}`);
+    res.status(500).send("Error on the server.");
+  }
+};
@@ -1,6 +1,23 @@
 const { Op } = require("sequelize");
 const User = require("../models/User");
+const LockoutEvent = require("../models/LockoutEvent");
+const sequelize = require("../config/db");
+const { isPlatformAdmin, scopeWhere, resolveNgoId } = require("../utils/ngoScope");
 const logger = require("../utils/logger");
+const { revokeUserSessions } = require("../utils/sessions");
+const { sendVerificationEmail } = require("../utils/accountTokens");
+const { unlockAccount } = require("../utils/loginThrottle");
+const { removeTwoFactor } = require("../utils/twoFactor");
+const { ROLES } = require("../utils/permissions");
+
+// Send a verification link without failing the request if mail is down.
+const requestVerification = async (user) => {
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    logger.error(`Error sending verification email to user ${user.id}: ${error.message}`);
+  }
+};
 const { body, param, query, validationResult } = require("express-validator");
 
 /**
@@ -12,18 +29,28 @@ const { body, param, query, validationResult } = require("express-validator");
  *       properties:
  *         id:
  *           type: integer
+ *         ngo_id:
+ *           type: integer
+ *           description: ID of the NGO that owns this record
  *         username:
  *           type: string
- *         type:
+ *         role:
  *           type: string
  *           enum:
  *             - admin
- *             - school_admin
+ *             - ngo_admin
+ *             - coordinator
  *             - employee
- *             - student
- *             - parent
+ *             - volunteer
+ *             - donor
+ *             - beneficiary
  *         email:
  *           type: string
+ *         emailVerifiedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the email address was verified; null until then
  *         phone:
  *           type: string
  *         firstName:
@@ -129,7 +156,7 @@ const { body, param, query, validationResult } = require("express-validator");
  *                     currentPage:
  *                       type: integer
  *       401:
- *         description: Unauthorized. User lacks admin privileges.
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
  *       500:
  *         description: Internal server error.
  */
@@ -147,13 +174,6 @@ exports.getAllUsers = [
 
     const currentUser = req.user;
 
-    if (currentUser.type !== "admin") {
-      logger.warn("Unauthorized access attempt by user: " + currentUser.id);
-      return res
-        .status(401)
-        .send("Unauthorized. Only admin users can view users.");
-    }
-
     let {
       page = 1,
       limit = 10,
@@ -170,7 +190,7 @@ exports.getAllUsers = [
     const validColumns = [
       "id",
       "username",
-      "type",
+      "role",
       "email",
       "phone",
       "firstName",
@@ -205,9 +225,7 @@ exports.getAllUsers = [
 
     try {
       const { rows: users, count } = await User.findAndCountAll({
-        where: {
-          ...searchCondition,
-        },
+        where: scopeWhere(currentUser, searchCondition),
         order: orderCondition,
         limit,
         offset: (page - 1) * limit,
@@ -263,7 +281,7 @@ exports.getAllUsers = [
  *             schema:
  *               $ref: '#/components/schemas/User'
  *       401:
- *         description: Unauthorized. User lacks admin privileges.
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
  *       404:
  *         description: User not found.
  *       500:
@@ -279,17 +297,10 @@ exports.getUserById = [
 
     const currentUser = req.user;
 
-    if (currentUser.type !== "admin") {
-      logger.warn("Unauthorized access attempt by user: " + currentUser.id);
-      return res
-        .status(401)
-        .send("Unauthorized. Only admin users can view users.");
-    }
-
     const { id } = req.params;
 
     try {
-      const user = await User.findByPk(id);
+      const user = await User.findOne({ where: scopeWhere(currentUser, { id }) });
 
       if (!user) {
         logger.warn("User not found with ID: " + id);
@@ -331,14 +342,16 @@ exports.getUserById = [
  *                 type: string
  *               password:
  *                 type: string
- *               type:
+ *               role:
  *                 type: string
  *                 enum:
  *                   - admin
- *                   - school_admin
+ *                   - ngo_admin
+ *                   - coordinator
  *                   - employee
- *                   - student
- *                   - parent
+ *                   - volunteer
+ *                   - donor
+ *                   - beneficiary
  *               email:
  *                 type: string
  *               phone:
@@ -384,14 +397,14 @@ exports.getUserById = [
  *       400:
  *         description: Bad request. Invalid user data.
  *       401:
- *         description: Unauthorized. User lacks admin privileges.
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
  *       500:
  *         description: Internal server error.
  */
 exports.createUser = [
   body("username").isString().notEmpty(),
   body("password").isString().notEmpty(),
-  body("type").isIn(["admin", "school_admin", "employee", "student", "parent"]),
+  body("role").isIn(ROLES),
   body("email").isEmail(),
   body("phone").isString().isLength({ min: 10, max: 10 }),
   body("firstName").isString().notEmpty(),
@@ -411,19 +424,27 @@ exports.createUser = [
 
     const currentUser = req.user;
 
-    if (currentUser.type !== "admin") {
-      logger.warn("Unauthorized access attempt by user: " + currentUser.id);
+    const { emailVerifiedAt, ...userData } = req.body; // Only the verification link sets this
+
+    if (userData.role === "admin" && !isPlatformAdmin(currentUser)) {
+      logger.warn("Attempt to create a platform admin by user: " + currentUser.id);
       return res
         .status(401)
-        .send("Unauthorized. Only admin users can create new users.");
+        .send("Unauthorized. Only platform admins can create admin users.");
     }
 
-    const userData = req.body;
+    const ngoId = resolveNgoId(currentUser, userData.ngo_id);
+
+    if (userData.role !== "admin" && !ngoId) {
+      return res.status(400).send("ngo_id is required.");
+    }
 
     try {
-      const newUser = await User.create(userData);
+      const newUser = await User.create({ ...userData, ngo_id: ngoId });
       delete newUser.dataValues.password;
 
+      await requestVerification(newUser);
+
       logger.info("User created successfully by admin: " + currentUser.id);
 
       res.status(201).json(newUser);
@@ -462,14 +483,16 @@ exports.createUser = [
  *             properties:
  *               username:
  *                 type: string
- *               type:
+ *               role:
  *                 type: string
  *                 enum:
  *                   - admin
- *                   - school_admin
+ *                   - ngo_admin
+ *                   - coordinator
  *                   - employee
- *                   - student
- *                   - parent
+ *                   - volunteer
+ *                   - donor
+ *                   - beneficiary
  *               email:
  *                 type: string
  *               phone:
@@ -515,7 +538,7 @@ exports.createUser = [
  *       400:
  *         description: Bad request. Invalid user data.
  *       401:
- *         description: Unauthorized. User lacks admin privileges.
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
  *       404:
  *         description: User not found.
  *       500:
@@ -524,9 +547,7 @@ exports.createUser = [
 exports.updateUser = [
   param("id").isInt(),
   body("username").optional().isString().notEmpty(),
-  body("type")
-    .optional()
-    .isIn(["admin", "school_admin", "employee", "student", "parent"]),
+  body("role").optional().isIn(ROLES),
   body("email").optional().isEmail(),
   body("phone").optional().isString().isLength({ min: 10, max: 10 }),
   body("firstName").optional().isString().notEmpty(),
@@ -546,27 +567,36 @@ exports.updateUser = [
 
     const currentUser = req.user;
 
-    if (currentUser.type !== "admin") {
-      logger.warn("Unauthorized access attempt by user: " + currentUser.id);
+    const { id } = req.params;
+    const { ngo_id, emailVerifiedAt, ...userData } = req.body; // Users cannot be moved between NGOs
+
+    if (userData.role === "admin" && !isPlatformAdmin(currentUser)) {
+      logger.warn("Attempt to promote a user to platform admin by user: " + currentUser.id);
       return res
         .status(401)
-        .send("Unauthorized. Only admin users can update users.");
+        .send("Unauthorized. Only platform admins can grant admin access.");
     }
 
-    const { id } = req.params;
-    const userData = req.body;
-
     try {
-      const user = await User.findByPk(id);
+      const user = await User.findOne({ where: scopeWhere(currentUser, { id }) });
 
       if (!user) {
         logger.warn("User not found with ID: " + id);
         return res.status(404).send("User not found.");
       }
 
+      const emailChanged = userData.email !== undefined && userData.email !== user.email;
+      if (emailChanged) {
+        userData.emailVerifiedAt = null;
+      }
+
       await user.update(userData);
       delete user.dataValues.password;
 
+      if (emailChanged) {
+        await requestVerification(user);
+      }
+
       logger.info("User updated successfully by admin: " + currentUser.id);
 
       res.status(200).json(user);
@@ -600,7 +630,7 @@ exports.updateUser = [
  *       204:
  *         description: User deleted successfully
  *       401:
- *         description: Unauthorized. User lacks admin privileges.
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
  *       404:
  *         description: User not found.
  *       500:
@@ -616,17 +646,10 @@ exports.deleteUser = [
 
     const currentUser = req.user;
 
-    if (currentUser.type !== "admin") {
-      logger.warn("Unauthorized access attempt by user: " + currentUser.id);
-      return res
-        .status(401)
-        .send("Unauthorized. Only admin users can delete users.");
-    }
-
     const { id } = req.params;
 
     try {
-      const user = await User.findByPk(id);
+      const user = await User.findOne({ where: scopeWhere(currentUser, { id }) });
 
       if (!user) {
         logger.warn("User not found with ID: " + id);
@@ -646,4 +669,305 @@ exports.deleteUser = [
       });
     }
   },
-];
\ No newline at end of file
+];
+/**
+ * @swagger
+ * /api/users/{id}/revoke-sessions:
+ *   post:
+ *     summary: Revoke all sessions of a user
+ *     tags: [Users]
+ *     description: Log a user out everywhere. Their access and refresh tokens stop working immediately.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the user whose sessions to revoke
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 revokedSessions:
+ *                   type: integer
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: User not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.revokeSessions = [
+  param("id").isInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id } = req.params;
+
+    try {
+      const user = await User.findOne({ where: scopeWhere(currentUser, { id }) });
+
+      if (!user) {
+        logger.warn("User not found with ID: " + id);
+        return res.status(404).send("User not found.");
+      }
+
+      const revokedSessions = await revokeUserSessions(user.id, "admin");
+
+      logger.info(`${revokedSessions} sessions of user ${user.id} revoked by admin: ${currentUser.id}`);
+
+      res.status(200).json({ message: "Sessions revoked.", revokedSessions });
+    } catch (error) {
+      logger.error(`Error revoking sessions: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/users/{id}/unlock:
+ *   post:
+ *     summary: Unlock a user's account
+ *     tags: [Users]
+ *     description: Clear the user's failed login counter and lift any lockout so they can log in straight away.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the user to unlock
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 closedLockouts:
+ *                   type: integer
+ *                   description: Number of active lockouts that were lifted
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: User not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.unlockUser = [
+  param("id").isInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id } = req.params;
+
+    try {
+      const user = await User.findOne({ where: scopeWhere(currentUser, { id }) });
+
+      if (!user) {
+        logger.warn("User not found with ID: " + id);
+        return res.status(404).send("User not found.");
+      }
+
+      const closedLockouts = await unlockAccount(user, currentUser.id);
+
+      logger.info(`Account of user ${user.id} unlocked by admin: ${currentUser.id}`);
+
+      res.status(200).json({ message: "Account unlocked.", closedLockouts });
+    } catch (error) {
+      logger.error(`Error unlocking user: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/users/lockout-events:
+ *   get:
+ *     summary: Get login lockout events
+ *     tags: [Users]
+ *     description: Review usernames and IP addresses that were locked out after repeated failed logins. NGO admins only see lockouts of their own users; IP lockouts are visible to platform admins only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of items per page
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [account, ip]
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only include lockouts that are still in force
+ *     responses:
+ *       200:
+ *         description: A paginated list of lockout events, newest first.
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getLockoutEvents = [
+  query("page").optional().isInt({ min: 1 }),
+  query("limit").optional().isInt({ min: 1 }),
+  query("scope").optional().isIn(["account", "ip"]),
+  query("active").optional().isBoolean(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const { scope, active } = req.query;
+
+    const where = {};
+    if (scope) {
+      where.scope = scope;
+    }
+    if (active === "true") {
+      where.unlockedAt = null;
+      where.lockedUntil = { [Op.gt]: new Date() };
+    }
+
+    const userInclude = { model: User, as: "user", attributes: ["id", "username", "ngo_id"] };
+    if (!isPlatformAdmin(currentUser)) {
+      userInclude.where = scopeWhere(currentUser, {});
+      userInclude.required = true;
+    }
+
+    try {
+      const { rows: events, count } = await LockoutEvent.findAndCountAll({
+        where,
+        include: [userInclude],
+        order: [["createdAt", "DESC"]],
+        limit,
+        offset: (page - 1) * limit,
+      });
+
+      logger.info("Lockout events retrieved by user: " + currentUser.id);
+
+      res.status(200).json({
+        data: events,
+        meta: {
+          totalItems: count,
+          totalPages: Math.ceil(count / limit),
+          currentPage: page,
+        },
+      });
+    } catch (error) {
+      logger.error(`Error fetching lockout events: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/users/{id}/2fa/reset:
+ *   post:
+ *     summary: Reset a user's two-factor authentication
+ *     tags: [Users]
+ *     description: For users who lost both their authenticator and recovery codes. Removes the authenticator and logs the user out everywhere; admin and NGO admin accounts are asked to enroll again at their next login.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the user whose 2FA to reset
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication reset
+ *       401:
+ *         description: Unauthorized. User lacks admin or NGO admin privileges.
+ *       404:
+ *         description: User not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.resetTwoFactor = [
+  param("id").isInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    const { id } = req.params;
+
+    try {
+      const user = await User.findOne({ where: scopeWhere(currentUser, { id }) });
+
+      if (!user) {
+        logger.warn("User not found with ID: " + id);
+        return res.status(404).send("User not found.");
+      }
+
+      await sequelize.transaction((transaction) => removeTwoFactor(user.id, transaction));
+      await revokeUserSessions(user.id, "admin");
+
+      logger.info(`2FA of user ${user.id} reset by admin: ${currentUser.id}`);
+
+      res.status(200).json({ message: "Two-factor authentication reset." });
+    } catch (error) {
+      logger.error(`Error resetting 2FA: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
@@ -1,6 +1,8 @@
 const { Op } = require("sequelize");
 const Volunteer = require("../models/Volunteer");
 const User = require("../models/User");
+const logger = require("../utils/logger");
+const { scopeWhere, resolveNgoId } = require("../utils/ngoScope");
 
 /**
  * @swagger
@@ -11,10 +13,23 @@ const User = require("../models/User");
  *       properties:
  *         id:
  *           type: integer
- *         user_id:
+ *         ngo_id:
  *           type: integer
- *         task_id:
+ *           description: ID of the NGO that owns this record
+ *         user_id:
  *           type: integer
+ *           nullable: true
+ *           description: Login account linked to the volunteer, for the self-service portal
+ *         name:
+ *           type: string
+ *         email:
+ *           type: string
+ *         contact:
+ *           type: string
+ *         languages:
+ *           type: array
+ *           items:
+ *             type: string
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -23,6 +38,13 @@ const User = require("../models/User");
  *           format: date-time
  */
 
+const isStringArray = (value) =>
+  Array.isArray(value) && value.every((item) => typeof item === "string" && item.trim() !== "");
+
+// A login account can only be linked to a volunteer of its own NGO.
+const findLinkableUser = (currentUser, ngoId, userId) =>
+  User.findOne({ where: scopeWhere(currentUser, { id: userId, ngo_id: ngoId }) });
+
 /**
  * @swagger
  * tags:
@@ -36,7 +58,7 @@ const User = require("../models/User");
  *   get:
  *     summary: Get all volunteers
  *     tags: [Volunteers]
- *     description: Retrieve a list of all volunteers. Accessible by admin, coordinator, and employees.
+ *     description: Retrieve a list of all volunteers.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -94,14 +116,6 @@ const User = require("../models/User");
 exports.getAllVolunteers = async (req, res) => {
   const currentUser = req.user;
 
-  // Authorization logic
-  if (
-    !["admin", "coordinator", "employee"].includes(currentUser.type) ||
-    (currentUser.type === "coordinator" && !currentUser.isAssignedToVolunteerTask)
-  ) {
-    return res.status(401).send("Unauthorized. User lacks the required privileges.");
-  }
-
   // Extract query parameters with sensible defaults
   let {
     page = 1,
@@ -118,7 +132,7 @@ exports.getAllVolunteers = async (req, res) => {
   limit = isNaN(limit) || limit < 1 ? 10 : limit;
 
   // Construct sorting condition
-  const validColumns = ["user_id", "task_id", "createdAt", "updatedAt"];
+  const validColumns = ["name", "email", "contact", "createdAt", "updatedAt"];
   sortBy = validColumns.includes(sortBy) ? sortBy : "createdAt";
   order = order.toLowerCase() === "desc" ? "desc" : "asc";
   const orderCondition = [[sortBy, order]];
@@ -133,31 +147,10 @@ exports.getAllVolunteers = async (req, res) => {
     };
   }
 
-  // Define additional filter conditions based on user type
-  let additionalFilterCondition = {};
-  if (currentUser.type === "coordinator") {
-    additionalFilterCondition = {
-      task_id: currentUser.task_id,
-    };
-  }
-
   try {
     // Fetch volunteers with filters, sorting, and pagination
     const { rows: volunteers, count } = await Volunteer.findAndCountAll({
-      where: {
-        ...searchCondition,
-        ...additionalFilterCondition,
-      },
-      include: [
-        {
-          model: User,
-          attributes: { exclude: ["password"] },
-        },
-        {
-          model: Task,
-          attributes: ["id", "name"],
-        },
-      ],
+      where: scopeWhere(currentUser, searchCondition),
       order: orderCondition,
       limit,
       offset: (page - 1) * limit,
@@ -175,7 +168,7 @@ exports.getAllVolunteers = async (req, res) => {
       },
     });
   } catch (error) {
-    console.error(`Error fetching volunteers: ${error.message}`);
+    logger.error(`Error fetching volunteers: ${error.message}`);
     res.status(500).json({
       error: "Internal server error",
       details: [error.message],
@@ -189,7 +182,7 @@ exports.getAllVolunteers = async (req, res) => {
  *   get:
  *     summary: Get a volunteer by ID
  *     tags: [Volunteers]
- *     description: Retrieve a volunteer by ID. Accessible by admin, coordinator, and employees.
+ *     description: Retrieve a volunteer by ID.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -216,44 +209,18 @@ exports.getAllVolunteers = async (req, res) => {
 exports.getVolunteerById = async (req, res) => {
   const currentUser = req.user;
 
-  // Authorization logic
-  if (
-    !["admin", "coordinator", "employee"].includes(currentUser.type) ||
-    (currentUser.type === "coordinator" && !currentUser.isAssignedToVolunteerTask)
-  ) {
-    return res.status(401).send("Unauthorized. User lacks the required privileges.");
-  }
-
   const { id } = req.params;
 
   try {
-    const volunteer = await Volunteer.findByPk(id, {
-      include: [
-        {
-          model: User,
-          attributes: { exclude: ["password"] },
-        },
-        {
-          model: Task,
-          attributes: ["id", "name"],
-        },
-      ],
-    });
+    const volunteer = await Volunteer.findOne({ where: scopeWhere(currentUser, { id }) });
 
     if (!volunteer) {
       return res.status(404).send("Volunteer not found.");
     }
 
-    // Additional filtering based on user type
-    if (
-      (currentUser.type === "coordinator" && volunteer.task_id !== currentUser.task_id)
-    ) {
-      return res.status(401).send("Unauthorized. User lacks the required privileges.");
-    }
-
     res.status(200).json(volunteer);
   } catch (error) {
-    console.error(`Error fetching volunteer by ID: ${error.message}`);
+    logger.error(`Error fetching volunteer by ID: ${error.message}`);
     res.status(500).json({
       error: "Internal server error",
       details: [error.message],
@@ -267,7 +234,7 @@ exports.getVolunteerById = async (req, res) => {
  *   post:
  *     summary: Create a new volunteer
  *     tags: [Volunteers]
- *     description: Create a new volunteer. Accessible by admin, coordinator, and employees.
+ *     description: Create a new volunteer.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -277,10 +244,23 @@ exports.getVolunteerById = async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
+ *               name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               contact:
+ *                 type: string
+ *               languages:
+ *                 type: array
+ *                 items:
+ *                   type: string
  *               user_id:
  *                 type: integer
- *               task_id:
- *                 type: integer
+ *                 nullable: true
+ *                 description: Login account to link, from the same NGO
+ *             required:
+ *               - name
+ *               - email
  *     responses:
  *       201:
  *         description: Volunteer created successfully
@@ -298,46 +278,39 @@ exports.getVolunteerById = async (req, res) => {
 exports.createVolunteer = async (req, res) => {
   const currentUser = req.user;
 
-  // Authorization logic
-  if (
-    !["admin", "coordinator", "employee"].includes(currentUser.type) ||
-    (currentUser.type === "coordinator" && !currentUser.isAssignedToVolunteerTask)
-  ) {
-    return res.status(401).send("Unauthorized. User lacks the required privileges.");
-  }
-
-  const { user_id, task_id } = req.body;
+  const { name, email, contact, languages, user_id } = req.body;
+  const ngoId = resolveNgoId(currentUser, req.body.ngo_id);
 
   // Validate request body
-  if (!user_id || !task_id) {
-    return res.status(400).send("Bad request. User ID and Task ID are required.");
+  if (!name || !email) {
+    return res.status(400).send("Bad request. Name and email are required.");
   }
 
-  try {
-    // Fetch the user and task to validate existence and permissions
-    const user = await User.findByPk(user_id);
-    const task = await Task.findByPk(task_id);
+  if (languages != null && !isStringArray(languages)) {
+    return res.status(400).send("Bad request. languages must be a list of strings.");
+  }
 
-    if (!user || !task) {
-      return res.status(400).send("Bad request. Invalid User ID or Task ID.");
-    }
+  if (!ngoId) {
+    return res.status(400).send("Bad request. ngo_id is required.");
+  }
 
-    // Additional permission checks based on user type
-    if (
-      (currentUser.type === "coordinator" && task.id !== currentUser.task_id)
-    ) {
-      return res.status(401).send("Unauthorized. User lacks the required privileges.");
+  try {
+    if (user_id && !(await findLinkableUser(currentUser, ngoId, user_id))) {
+      return res.status(400).send("Bad request. Invalid user_id.");
     }
 
-    // Create the volunteer record
     const newVolunteer = await Volunteer.create({
-      user_id,
-      task_id,
+      ngo_id: ngoId,
+      user_id: user_id || null,
+      name,
+      email,
+      contact,
+      languages: languages || null,
     });
 
     res.status(201).json(newVolunteer);
   } catch (error) {
-    console.error(`Error creating volunteer: ${error.message}`);
+    logger.error(`Error creating volunteer: ${error.message}`);
     res.status(500).json({
       error: "Internal server error",
       details: [error.message],
@@ -351,7 +324,7 @@ exports.createVolunteer = async (req, res) => {
  *   delete:
  *     summary: Delete a volunteer by ID
  *     tags: [Volunteers]
- *     description: Delete a volunteer by ID. Accessible by admin, coordinator, and employees.
+ *     description: Delete a volunteer by ID.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -374,35 +347,20 @@ exports.createVolunteer = async (req, res) => {
 exports.deleteVolunteerById = async (req, res) => {
   const currentUser = req.user;
 
-  // Authorization logic
-  if (
-    !["admin", "coordinator", "employee"].includes(currentUser.type) ||
-    (currentUser.type === "coordinator" && !currentUser.isAssignedToVolunteerTask)
-  ) {
-    return res.status(401).send("Unauthorized. User lacks the required privileges.");
-  }
-
   const { id } = req.params;
 
   try {
-    const volunteer = await Volunteer.findByPk(id);
+    const volunteer = await Volunteer.findOne({ where: scopeWhere(currentUser, { id }) });
 
     if (!volunteer) {
       return res.status(404).send("Volunteer not found.");
     }
 
-    // Additional permission checks based on user type
-    if (
-      (currentUser.type === "coordinator" && volunteer.task_id !== currentUser.task_id)
-    ) {
-      return res.status(401).send("Unauthorized. User lacks the required privileges.");
-    }
-
     await volunteer.destroy();
 
     res.status(204).end();
   } catch (error) {
-    console.error(`Error deleting volunteer by ID: ${error.message}`);
+    logger.error(`Error deleting volunteer by ID: ${error.message}`);
     res.status(500).json({
       error: "Internal server error",
       details: [error.message],
@@ -416,7 +374,7 @@ exports.deleteVolunteerById = async (req, res) => {
  *   put:
  *     summary: Update a volunteer by ID
  *     tags: [Volunteers]
- *     description: Update a volunteer by ID. Accessible by admin, coordinator, and employees.
+ *     description: Update a volunteer by ID.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -433,10 +391,23 @@ exports.deleteVolunteerById = async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
+ *               name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               contact:
+ *                 type: string
+ *               languages:
+ *                 type: array
+ *                 items:
+ *                   type: string
  *               user_id:
  *                 type: integer
- *               task_id:
- *                 type: integer
+ *                 nullable: true
+ *                 description: Login account to link, from the same NGO
+ *             required:
+ *               - name
+ *               - email
  *     responses:
  *       200:
  *         description: Volunteer updated successfully
@@ -456,58 +427,43 @@ exports.deleteVolunteerById = async (req, res) => {
 exports.updateVolunteerById = async (req, res) => {
   const currentUser = req.user;
 
-  // Authorization logic
-  if (
-    !["admin", "coordinator", "employee"].includes(currentUser.type) ||
-    (currentUser.type === "coordinator" && !currentUser.isAssignedToVolunteerTask)
-  ) {
-    return res.status(401).send("Unauthorized. User lacks the required privileges.");
-  }
-
   const { id } = req.params;
-  const { user_id, task_id } = req.body;
+  const { name, email, contact, languages, user_id } = req.body;
 
   // Validate request body
-  if (!user_id || !task_id) {
-    return res.status(400).send("Bad request. User ID and Task ID are required.");
+  if (!name || !email) {
+    return res.status(400).send("Bad request. Name and email are required.");
+  }
+
+  if (languages != null && !isStringArray(languages)) {
+    return res.status(400).send("Bad request. languages must be a list of strings.");
   }
 
   try {
-    let volunteer = await Volunteer.findByPk(id);
+    const volunteer = await Volunteer.findOne({ where: scopeWhere(currentUser, { id }) });
 
     if (!volunteer) {
       return res.status(404).send("Volunteer not found.");
     }
 
-    // Additional permission checks based on user type
-    if (
-      (currentUser.type === "coordinator" && volunteer.task_id !== currentUser.task_id)
-    ) {
-      return res.status(401).send("Unauthorized. User lacks the required privileges.");
+    if (user_id && !(await findLinkableUser(currentUser, volunteer.ngo_id, user_id))) {
+      return res.status(400).send("Bad request. Invalid user_id.");
     }
 
-    // Update volunteer record
-    volunteer.user_id = user_id;
-    volunteer.task_id = task_id;
+    volunteer.name = name;
+    volunteer.email = email;
+    volunteer.contact = contact;
+    if (languages !== undefined) {
+      volunteer.languages = languages;
+    }
+    if (user_id !== undefined) {
+      volunteer.user_id = user_id || null;
+    }
     await volunteer.save();
 
-    // Fetch updated volunteer with associated user and task
-    volunteer = await Volunteer.findByPk(id, {
-      include: [
-        {
-          model: User,
-          attributes: { exclude: ["password"] },
-        },
-        {
-          model: Task,
-          attributes: ["id", "name"],
-        },
-      ],
-    });
-
     res.status(200).json(volunteer);
   } catch (error) {
-    console.error(`Error updating volunteer by ID: ${error.message}`);
+    logger.error(`Error updating volunteer by ID: ${error.message}`);
     res.status(500).json({
       error: "Internal server error",
       details: [error.message],
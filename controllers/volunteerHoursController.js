@@ -0,0 +1,659 @@
+const sequelize = require("../config/db");
+const Volunteer = require("../models/Volunteer");
+const VolunteerHourEntry = require("../models/VolunteerHourEntry");
+const Project = require("../models/Project");
+const Event = require("../models/Event");
+const logger = require("../utils/logger");
+const { scopeWhere, resolveNgoId } = require("../utils/ngoScope");
+const { GROUPINGS, PERIODS, summarize, rollup } = require("../utils/hoursLedger");
+const { loadLedger, checkEntryLinks } = require("../utils/volunteerHours");
+const { body, param, query, validationResult } = require("express-validator");
+
+const rangeValidators = [
+  query("from").optional().isDate().withMessage("from must be a date (YYYY-MM-DD)"),
+  query("to")
+    .optional()
+    .isDate()
+    .withMessage("to must be a date (YYYY-MM-DD)")
+    .custom((value, { req }) => !req.query.from || value >= req.query.from)
+    .withMessage("to cannot be before from"),
+  query("volunteer_id").optional().isInt().withMessage("volunteer_id must be an integer"),
+  query("project_id").optional().isInt().withMessage("project_id must be an integer"),
+];
+
+const entryValidators = [
+  body("date")
+    .isDate()
+    .withMessage("date must be a date (YYYY-MM-DD)")
+    .custom((value) => new Date(`${value}T00:00:00`) <= new Date())
+    .withMessage("date cannot be in the future"),
+  body("hours").isFloat({ gt: 0, max: 24 }).withMessage("hours must be between 0 and 24").toFloat(),
+  body("description").isString().trim().notEmpty().withMessage("Description is required"),
+  body("project_id").optional({ values: "null" }).isInt().withMessage("project_id must be an integer"),
+  body("event_id").optional({ values: "null" }).isInt().withMessage("event_id must be an integer"),
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     VolunteerHourEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         volunteer_id:
+ *           type: integer
+ *         project_id:
+ *           type: integer
+ *         event_id:
+ *           type: integer
+ *         date:
+ *           type: string
+ *           format: date
+ *         hours:
+ *           type: number
+ *         description:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *         submittedBy:
+ *           type: integer
+ *         reviewedBy:
+ *           type: integer
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *         reviewNote:
+ *           type: string
+ *     LedgerEntry:
+ *       type: object
+ *       properties:
+ *         source:
+ *           type: string
+ *           enum: [attendance, manual]
+ *         id:
+ *           type: integer
+ *           description: ID of the attendance record or manual entry
+ *         volunteer_id:
+ *           type: integer
+ *         volunteer:
+ *           type: string
+ *         event_id:
+ *           type: integer
+ *         event:
+ *           type: string
+ *         project_id:
+ *           type: integer
+ *         project:
+ *           type: string
+ *         date:
+ *           type: string
+ *           format: date
+ *         hours:
+ *           type: number
+ *         status:
+ *           type: string
+ *           enum: [approved, pending]
+ *         description:
+ *           type: string
+ *     HoursTotals:
+ *       type: object
+ *       properties:
+ *         totalHours:
+ *           type: number
+ *           description: Approved hours
+ *         attendanceHours:
+ *           type: number
+ *         manualHours:
+ *           type: number
+ *           description: Approved manual hours
+ *         pendingHours:
+ *           type: number
+ *           description: Manual hours awaiting approval
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Volunteer Hours
+ *   description: Hours ledger built from shift check-ins and approved manual entries
+ */
+
+/**
+ * @swagger
+ * /api/volunteer-hours/entries:
+ *   get:
+ *     summary: Get manual hour entries
+ *     tags: [Volunteer Hours]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *       - in: query
+ *         name: volunteer_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: A paginated list of manual hour entries, newest first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/VolunteerHourEntry'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     totalItems:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     currentPage:
+ *                       type: integer
+ *       401:
+ *         description: Unauthorized. User lacks the attendance:read permission.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getHourEntries = [
+  query("status").optional().isIn(["pending", "approved", "rejected"]),
+  query("volunteer_id").optional().isInt(),
+  query("page").optional().isInt({ min: 1 }).toInt(),
+  query("limit").optional().isInt({ min: 1, max: 100 }).toInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, volunteer_id, page = 1, limit = 20 } = req.query;
+
+    const where = {};
+    if (status) {
+      where.status = status;
+    }
+    if (volunteer_id) {
+      where.volunteer_id = volunteer_id;
+    }
+
+    try {
+      const { count, rows } = await VolunteerHourEntry.findAndCountAll({
+        where: scopeWhere(req.user, where),
+        include: [
+          { model: Volunteer, as: "volunteer", attributes: ["id", "name"] },
+          { model: Project, as: "project", attributes: ["id", "name"] },
+          { model: Event, as: "event", attributes: ["id", "name"] },
+        ],
+        order: [["date", "desc"], ["id", "desc"]],
+        limit,
+        offset: (page - 1) * limit,
+      });
+
+      res.status(200).json({
+        data: rows,
+        meta: {
+          totalItems: count,
+          totalPages: Math.ceil(count / limit),
+          currentPage: page,
+        },
+      });
+    } catch (error) {
+      logger.error(`Error fetching hour entries: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/volunteer-hours/entries:
+ *   post:
+ *     summary: Log hours for a volunteer
+ *     tags: [Volunteer Hours]
+ *     description: Records hours worked without a check-in. The entry counts once a coordinator approves it.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - volunteer_id
+ *               - date
+ *               - hours
+ *               - description
+ *             properties:
+ *               volunteer_id:
+ *                 type: integer
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               hours:
+ *                 type: number
+ *               description:
+ *                 type: string
+ *               project_id:
+ *                 type: integer
+ *               event_id:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: The pending entry.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/VolunteerHourEntry'
+ *       400:
+ *         description: Invalid input, or a project or event from another NGO.
+ *       401:
+ *         description: Unauthorized. User lacks the attendance:write permission.
+ *       404:
+ *         description: Volunteer not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.createHourEntry = [
+  body("volunteer_id").isInt().withMessage("volunteer_id must be an integer"),
+  ...entryValidators,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+    const { volunteer_id, date, hours, description, project_id, event_id } = req.body;
+
+    try {
+      const volunteer = await Volunteer.findOne({ where: scopeWhere(currentUser, { id: volunteer_id }) });
+      if (!volunteer) {
+        return res.status(404).send("Volunteer not found.");
+      }
+
+      const linkError = await checkEntryLinks(volunteer.ngo_id, req.body);
+      if (linkError) {
+        return res.status(400).send(linkError);
+      }
+
+      const entry = await VolunteerHourEntry.create({
+        ngo_id: volunteer.ngo_id,
+        volunteer_id: volunteer.id,
+        project_id,
+        event_id,
+        date,
+        hours,
+        description,
+        submittedBy: currentUser.id,
+      });
+
+      logger.info(`Hour entry ${entry.id} logged for volunteer ${volunteer.id} by user: ${currentUser.id}`);
+
+      res.status(201).json(entry);
+    } catch (error) {
+      logger.error(`Error creating hour entry: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+// Approve or reject a pending entry.
+const reviewEntry = (decision) => [
+  param("id").isInt().withMessage("ID must be an integer"),
+  body("note").optional({ values: "null" }).isString(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    try {
+      const result = await sequelize.transaction(async (transaction) => {
+        const entry = await VolunteerHourEntry.findOne({
+          where: scopeWhere(currentUser, { id: req.params.id }),
+          lock: transaction.LOCK.UPDATE,
+          transaction,
+        });
+        if (!entry) {
+          return { status: 404, message: "Hour entry not found." };
+        }
+        if (entry.status !== "pending") {
+          return { status: 409, message: `This entry has already been ${entry.status}.` };
+        }
+
+        entry.status = decision;
+        entry.reviewedBy = currentUser.id;
+        entry.reviewedAt = new Date();
+        entry.reviewNote = req.body.note || null;
+        await entry.save({ transaction });
+        return { entry };
+      });
+
+      if (result.status) {
+        return res.status(result.status).send(result.message);
+      }
+
+      logger.info(`Hour entry ${result.entry.id} ${decision} by user: ${currentUser.id}`);
+
+      res.status(200).json(result.entry);
+    } catch (error) {
+      logger.error(`Error reviewing hour entry: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/volunteer-hours/entries/{id}/approve:
+ *   post:
+ *     summary: Approve a manual hour entry
+ *     tags: [Volunteer Hours]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The approved entry.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/VolunteerHourEntry'
+ *       401:
+ *         description: Unauthorized. User lacks the attendance:write permission.
+ *       404:
+ *         description: Hour entry not found.
+ *       409:
+ *         description: The entry has already been reviewed.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.approveHourEntry = reviewEntry("approved");
+
+/**
+ * @swagger
+ * /api/volunteer-hours/entries/{id}/reject:
+ *   post:
+ *     summary: Reject a manual hour entry
+ *     tags: [Volunteer Hours]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: Why the hours were rejected
+ *     responses:
+ *       200:
+ *         description: The rejected entry.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/VolunteerHourEntry'
+ *       401:
+ *         description: Unauthorized. User lacks the attendance:write permission.
+ *       404:
+ *         description: Hour entry not found.
+ *       409:
+ *         description: The entry has already been reviewed.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.rejectHourEntry = reviewEntry("rejected");
+
+/**
+ * @swagger
+ * /api/volunteer-hours/ledger:
+ *   get:
+ *     summary: Get the hours ledger
+ *     tags: [Volunteer Hours]
+ *     description: Checked-in attendance and manual entries (approved and pending), newest first, with totals.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: volunteer_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: project_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: ngo_id
+ *         schema:
+ *           type: integer
+ *         description: Required for platform admins
+ *     responses:
+ *       200:
+ *         description: The ledger.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 totals:
+ *                   $ref: '#/components/schemas/HoursTotals'
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LedgerEntry'
+ *       400:
+ *         description: Invalid input.
+ *       401:
+ *         description: Unauthorized. User lacks the attendance:read permission.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getLedger = [
+  ...rangeValidators,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ngoId = resolveNgoId(req.user, req.query.ngo_id);
+    if (!ngoId) {
+      return res.status(400).send("ngo_id is required.");
+    }
+
+    try {
+      const entries = await loadLedger({
+        ngoId,
+        volunteerId: req.query.volunteer_id,
+        projectId: req.query.project_id,
+        from: req.query.from,
+        to: req.query.to,
+      });
+
+      res.status(200).json({ totals: summarize(entries), entries });
+    } catch (error) {
+      logger.error(`Error fetching hours ledger: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/volunteer-hours/summary:
+ *   get:
+ *     summary: Roll up volunteer hours
+ *     tags: [Volunteer Hours]
+ *     description: Totals the ledger per volunteer, per project or per period (month, quarter or year).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [volunteer, project, period]
+ *           default: volunteer
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [month, quarter, year]
+ *           default: month
+ *       - in: query
+ *         name: volunteer_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: project_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: ngo_id
+ *         schema:
+ *           type: integer
+ *         description: Required for platform admins
+ *     responses:
+ *       200:
+ *         description: Totals per group, plus overall totals.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 groupBy:
+ *                   type: string
+ *                 totals:
+ *                   $ref: '#/components/schemas/HoursTotals'
+ *                 rows:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/HoursTotals'
+ *                       - type: object
+ *                         properties:
+ *                           key:
+ *                             description: Volunteer ID, project ID (null for hours outside any project) or period, e.g. 2026-03
+ *                           label:
+ *                             type: string
+ *       400:
+ *         description: Invalid input.
+ *       401:
+ *         description: Unauthorized. User lacks the attendance:read permission.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getSummary = [
+  query("groupBy").optional().isIn(GROUPINGS).withMessage(`groupBy must be one of ${GROUPINGS.join(", ")}`),
+  query("period").optional().isIn(PERIODS).withMessage(`period must be one of ${PERIODS.join(", ")}`),
+  ...rangeValidators,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ngoId = resolveNgoId(req.user, req.query.ngo_id);
+    if (!ngoId) {
+      return res.status(400).send("ngo_id is required.");
+    }
+
+    const { groupBy = "volunteer", period = "month" } = req.query;
+
+    try {
+      const entries = await loadLedger({
+        ngoId,
+        volunteerId: req.query.volunteer_id,
+        projectId: req.query.project_id,
+        from: req.query.from,
+        to: req.query.to,
+      });
+
+      res.status(200).json({
+        groupBy,
+        period: groupBy === "period" ? period : undefined,
+        totals: summarize(entries),
+        rows: rollup(entries, groupBy, period),
+      });
+    } catch (error) {
+      logger.error(`Error summarising volunteer hours: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
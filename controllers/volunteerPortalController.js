@@ -0,0 +1,1293 @@
+const { Op } = require("sequelize");
+const sequelize = require("../config/db");
+const Volunteer = require("../models/Volunteer");
+const Event = require("../models/Event");
+const EventException = require("../models/EventException");
+const EventSignup = require("../models/EventSignup");
+const EventShift = require("../models/EventShift");
+const ShiftAssignment = require("../models/ShiftAssignment");
+const VolunteerAttendance = require("../models/Volunteerattendance");
+const User = require("../models/User");
+const NGO = require("../models/NGO");
+const VolunteerHourEntry = require("../models/VolunteerHourEntry");
+const ServiceCertificate = require("../models/ServiceCertificate");
+const CalendarFeedToken = require("../models/CalendarFeedToken");
+const CheckInToken = require("../models/CheckInToken");
+const logger = require("../utils/logger");
+const { summarize } = require("../utils/hoursLedger");
+const { loadLedger, checkEntryLinks, issueCertificate } = require("../utils/volunteerHours");
+const { verificationUrl } = require("../utils/certificates");
+const { renderCertificatePdf } = require("../utils/pdf");
+const { newFeedToken, shiftFeedUrl } = require("../utils/calendarFeeds");
+const { describePass } = require("../utils/checkIns");
+const { OCCURRENCE_LOOK_BACK_MS, occurrenceOn, nextOccurrence } = require("../utils/recurrence");
+const { body, param, query, validationResult } = require("express-validator");
+
+// The volunteer record of the logged-in user. A volunteer added by
+// coordinators before the user had an account is linked on first use,
+// matched by email within the user's NGO once that email is verified.
+const findMyVolunteer = async (currentUser) => {
+  const linked = await Volunteer.findOne({ where: { user_id: currentUser.id } });
+  if (linked || !currentUser.ngo_id) {
+    return linked;
+  }
+
+  const user = await User.findByPk(currentUser.id);
+  if (!user || !user.email || !user.emailVerifiedAt) {
+    return null;
+  }
+
+  const volunteer = await Volunteer.findOne({
+    where: { ngo_id: currentUser.ngo_id, email: user.email, user_id: null },
+  });
+  if (volunteer) {
+    volunteer.user_id = user.id;
+    await volunteer.save();
+    logger.info(`Volunteer ${volunteer.id} linked to user: ${user.id}`);
+  }
+  return volunteer;
+};
+
+const NO_PROFILE = "No volunteer profile is linked to your account.";
+
+
+/**
+ * @swagger
+ * tags:
+ *   name: Volunteer Portal
+ *   description: Self-service for the logged-in volunteer
+ */
+
+/**
+ * @swagger
+ * /api/me/volunteer:
+ *   get:
+ *     summary: Get my volunteer profile
+ *     tags: [Volunteer Portal]
+ *     description: Returns the volunteer record linked to the logged-in user. A volunteer record with the user's verified email in the same NGO is linked automatically.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The volunteer profile.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Volunteer'
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: No volunteer profile is linked to the account.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getMyProfile = async (req, res) => {
+  try {
+    const volunteer = await findMyVolunteer(req.user);
+    if (!volunteer) {
+      return res.status(404).send(NO_PROFILE);
+    }
+
+    res.status(200).json(volunteer);
+  } catch (error) {
+    logger.error(`Error fetching volunteer profile: ${error.message}`);
+    res.status(500).json({
+      error: "Internal server error",
+      details: [error.message],
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/me/volunteer:
+ *   put:
+ *     summary: Update my volunteer profile
+ *     tags: [Volunteer Portal]
+ *     description: Volunteers can change their name, contact details and languages. The email is the one on their account.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               contact:
+ *                 type: string
+ *               languages:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: The updated profile.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Volunteer'
+ *       400:
+ *         description: Invalid input.
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: No volunteer profile is linked to the account.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.updateMyProfile = [
+  body("name").optional().isString().trim().notEmpty().withMessage("Name cannot be empty"),
+  body("contact").optional({ values: "null" }).isString().withMessage("Contact must be a string"),
+  body("languages").optional({ values: "null" }).isArray().withMessage("languages must be an array"),
+  body("languages.*").isString().trim().notEmpty().withMessage("Each language must be a non-empty string"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const volunteer = await findMyVolunteer(req.user);
+      if (!volunteer) {
+        return res.status(404).send(NO_PROFILE);
+      }
+
+      if (req.body.name !== undefined) {
+        volunteer.name = req.body.name;
+      }
+      if (req.body.contact !== undefined) {
+        volunteer.contact = req.body.contact;
+      }
+      if (req.body.languages !== undefined) {
+        volunteer.languages = req.body.languages;
+      }
+      await volunteer.save();
+
+      res.status(200).json(volunteer);
+    } catch (error) {
+      logger.error(`Error updating volunteer profile: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/me/volunteer/events:
+ *   get:
+ *     summary: List upcoming events I can sign up for
+ *     tags: [Volunteer Portal]
+ *     description: >
+ *       Events of the volunteer's NGO at their next occurrence, soonest first, each flagged with whether the
+ *       volunteer is signed up for that occurrence. For a recurring event the dates, name, location and
+ *       description are the occurrence's.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Upcoming events.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Event'
+ *                   - type: object
+ *                     properties:
+ *                       occurrence:
+ *                         type: string
+ *                         format: date
+ *                       signedUp:
+ *                         type: boolean
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: No volunteer profile is linked to the account.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getUpcomingEvents = async (req, res) => {
+  try {
+    const volunteer = await findMyVolunteer(req.user);
+    if (!volunteer) {
+      return res.status(404).send(NO_PROFILE);
+    }
+
+    const now = new Date();
+    const events = await Event.findAll({
+      where: {
+        ngo_id: volunteer.ngo_id,
+        date: { [Op.ne]: null },
+        // A series can have occurrences ahead however long ago it began; a
+        // one-off event may have been moved later than its date
+        [Op.or]: [
+          { recurrence: { [Op.ne]: null } },
+          { date: { [Op.gte]: new Date(now.getTime() - OCCURRENCE_LOOK_BACK_MS) } },
+        ],
+      },
+      include: [
+        { model: EventException, as: "exceptions" },
+        {
+          model: EventSignup,
+          as: "signups",
+          where: { volunteer_id: volunteer.id, status: "signed_up" },
+          required: false,
+          attributes: ["id", "occurrence"],
+        },
+      ],
+    });
+
+    const upcoming = events
+      .map((event) => ({ event, occurrence: nextOccurrence(event, event.exceptions, now) }))
+      .filter(({ occurrence }) => occurrence)
+      .sort((a, b) => a.occurrence.start - b.occurrence.start || a.event.id - b.event.id);
+
+    res.status(200).json(
+      upcoming.map(({ event, occurrence }) => {
+        const { signups, exceptions, ...fields } = event.get({ plain: true });
+        return {
+          ...fields,
+          occurrence: occurrence.occurrence,
+          name: occurrence.name,
+          description: occurrence.description,
+          location: occurrence.location,
+          date: occurrence.start,
+          endDate: occurrence.end,
+          signedUp: signups.some((signup) => signup.occurrence === occurrence.occurrence),
+        };
+      })
+    );
+  } catch (error) {
+    logger.error(`Error fetching upcoming events for volunteer: ${error.message}`);
+    res.status(500).json({
+      error: "Internal server error",
+      details: [error.message],
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/me/volunteer/assignments:
+ *   get:
+ *     summary: List my upcoming assignments
+ *     tags: [Volunteer Portal]
+ *     description: >
+ *       The volunteer's sign-ups for occurrences still to come, soonest first. date and endDate are those of
+ *       the occurrence.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Upcoming sign-ups with their events.
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: No volunteer profile is linked to the account.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getMyAssignments = async (req, res) => {
+  try {
+    const volunteer = await findMyVolunteer(req.user);
+    if (!volunteer) {
+      return res.status(404).send(NO_PROFILE);
+    }
+
+    const signups = await EventSignup.findAll({
+      where: { volunteer_id: volunteer.id, status: "signed_up" },
+      include: [{ model: Event, as: "event", include: [{ model: EventException, as: "exceptions" }] }],
+    });
+
+    const now = new Date();
+    const upcoming = signups
+      .map((signup) => ({ signup, occurrence: occurrenceOn(signup.event, signup.event.exceptions, signup.occurrence) }))
+      .filter(({ occurrence }) => occurrence && !occurrence.cancelled && occurrence.start >= now)
+      .sort((a, b) => a.occurrence.start - b.occurrence.start);
+
+    res.status(200).json(
+      upcoming.map(({ signup, occurrence }) => {
+        const { event, ...fields } = signup.get({ plain: true });
+        const { exceptions, ...eventFields } = event;
+        return { ...fields, date: occurrence.start, endDate: occurrence.end, event: eventFields };
+      })
+    );
+  } catch (error) {
+    logger.error(`Error fetching volunteer assignments: ${error.message}`);
+    res.status(500).json({
+      error: "Internal server error",
+      details: [error.message],
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/me/volunteer/shifts:
+ *   get:
+ *     summary: List my upcoming shifts
+ *     tags: [Volunteer Portal]
+ *     description: Shifts the volunteer is rostered on that have not yet ended, soonest first.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Upcoming shift assignments with their shifts and events.
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: No volunteer profile is linked to the account.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getMyShifts = async (req, res) => {
+  try {
+    const volunteer = await findMyVolunteer(req.user);
+    if (!volunteer) {
+      return res.status(404).send(NO_PROFILE);
+    }
+
+    const assignments = await ShiftAssignment.findAll({
+      where: { volunteer_id: volunteer.id, status: "assigned" },
+      include: [
+        {
+          model: EventShift,
+          as: "shift",
+          where: { endTime: { [Op.gte]: new Date() } },
+          include: [{ model: Event, as: "event", attributes: ["id", "name", "location", "date"] }],
+        },
+      ],
+      order: [[{ model: EventShift, as: "shift" }, "startTime", "asc"]],
+    });
+
+    res.status(200).json(assignments);
+  } catch (error) {
+    logger.error(`Error fetching volunteer shifts: ${error.message}`);
+    res.status(500).json({
+      error: "Internal server error",
+      details: [error.message],
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/me/volunteer/calendar-feed:
+ *   post:
+ *     summary: Get a calendar feed of my shifts
+ *     tags: [Volunteer Portal]
+ *     description: Issues a private iCalendar feed URL listing the volunteer's shifts, for subscribing from a calendar app. The URL is only shown once; asking again issues a new one and the old URL stops working.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: The feed URL.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 url:
+ *                   type: string
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: No volunteer profile is linked to the account.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.createMyCalendarFeed = async (req, res) => {
+  try {
+    const volunteer = await findMyVolunteer(req.user);
+    if (!volunteer) {
+      return res.status(404).send(NO_PROFILE);
+    }
+
+    const { token, hash } = newFeedToken();
+    const existing = await CalendarFeedToken.findOne({ where: { volunteer_id: volunteer.id } });
+    if (existing) {
+      await existing.update({ tokenHash: hash, lastUsedAt: null });
+    } else {
+      await CalendarFeedToken.create({ volunteer_id: volunteer.id, tokenHash: hash });
+    }
+
+    logger.info(`Shift calendar feed issued for volunteer ${volunteer.id} by user: ${req.user.id}`);
+
+    res.status(201).json({ url: shiftFeedUrl(token) });
+  } catch (error) {
+    logger.error(`Error issuing shift calendar feed: ${error.message}`);
+    res.status(500).json({
+      error: "Internal server error",
+      details: [error.message],
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/me/volunteer/calendar-feed:
+ *   delete:
+ *     summary: Turn off my shift calendar feed
+ *     tags: [Volunteer Portal]
+ *     description: The feed URL stops working.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       204:
+ *         description: Feed turned off.
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: No feed, or no volunteer profile is linked to the account.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.deleteMyCalendarFeed = async (req, res) => {
+  try {
+    const volunteer = await findMyVolunteer(req.user);
+    if (!volunteer) {
+      return res.status(404).send(NO_PROFILE);
+    }
+
+    const deleted = await CalendarFeedToken.destroy({ where: { volunteer_id: volunteer.id } });
+    if (!deleted) {
+      return res.status(404).send("Calendar feed not found.");
+    }
+
+    logger.info(`Shift calendar feed turned off for volunteer ${volunteer.id} by user: ${req.user.id}`);
+
+    res.status(204).send();
+  } catch (error) {
+    logger.error(`Error turning off shift calendar feed: ${error.message}`);
+    res.status(500).json({
+      error: "Internal server error",
+      details: [error.message],
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/me/volunteer/events/{eventId}/signup:
+ *   post:
+ *     summary: Sign up for an event
+ *     tags: [Volunteer Portal]
+ *     description: >
+ *       Signs the volunteer up for an occurrence of an event of their NGO, by default the next one. Signing up
+ *       again after withdrawing reopens the sign-up.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               occurrence:
+ *                 type: string
+ *                 format: date
+ *                 description: Occurrence to sign up for; defaults to the next one
+ *     responses:
+ *       201:
+ *         description: The sign-up.
+ *       400:
+ *         description: Invalid input.
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: Event or occurrence not found, or no volunteer profile is linked to the account.
+ *       409:
+ *         description: The occurrence has already taken place, or the volunteer is already signed up for it.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.signUpForEvent = [
+  param("eventId").isInt().withMessage("eventId must be an integer"),
+  body("occurrence").optional().isDate().withMessage("occurrence must be a date (YYYY-MM-DD)"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const volunteer = await findMyVolunteer(req.user);
+      if (!volunteer) {
+        return res.status(404).send(NO_PROFILE);
+      }
+
+      const result = await sequelize.transaction(async (transaction) => {
+        const event = await Event.findOne({
+          where: { id: req.params.eventId, ngo_id: volunteer.ngo_id },
+          transaction,
+        });
+        if (!event) {
+          return { status: 404, message: "Event not found." };
+        }
+
+        const exceptions = await EventException.findAll({ where: { event_id: event.id }, transaction });
+        const now = new Date();
+        let occurrence;
+        if (req.body.occurrence) {
+          occurrence = occurrenceOn(event, exceptions, req.body.occurrence);
+          if (!occurrence || occurrence.cancelled) {
+            return { status: 404, message: "Occurrence not found." };
+          }
+        } else {
+          occurrence = nextOccurrence(event, exceptions, now);
+        }
+        if (!occurrence || occurrence.start < now) {
+          return { status: 409, message: "This event has already taken place." };
+        }
+
+        const existing = await EventSignup.findOne({
+          where: { volunteer_id: volunteer.id, event_id: event.id, occurrence: occurrence.occurrence },
+          lock: transaction.LOCK.UPDATE,
+          transaction,
+        });
+        if (existing && existing.status === "signed_up") {
+          return { status: 409, message: "You are already signed up for this event." };
+        }
+
+        if (existing) {
+          existing.status = "signed_up";
+          existing.signedUpAt = new Date();
+          existing.withdrawnAt = null;
+          await existing.save({ transaction });
+          return { signup: existing };
+        }
+
+        const signup = await EventSignup.create({
+          ngo_id: volunteer.ngo_id,
+          volunteer_id: volunteer.id,
+          event_id: event.id,
+          occurrence: occurrence.occurrence,
+        }, { transaction });
+        return { signup };
+      });
+
+      if (result.status) {
+        return res.status(result.status).send(result.message);
+      }
+
+      logger.info(`Volunteer ${volunteer.id} signed up for event ${req.params.eventId} on ${result.signup.occurrence}`);
+
+      res.status(201).json(result.signup);
+    } catch (error) {
+      logger.error(`Error signing up for event: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/me/volunteer/events/{eventId}/signup:
+ *   delete:
+ *     summary: Withdraw from an event
+ *     tags: [Volunteer Portal]
+ *     description: >
+ *       Withdraws the volunteer from an occurrence they signed up for, by default the next one still to
+ *       come.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: occurrence
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: The withdrawn sign-up.
+ *       400:
+ *         description: Invalid input.
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: The volunteer is not signed up for the event, or no volunteer profile is linked to the account.
+ *       409:
+ *         description: The event has already taken place.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.withdrawFromEvent = [
+  param("eventId").isInt().withMessage("eventId must be an integer"),
+  query("occurrence").optional().isDate().withMessage("occurrence must be a date (YYYY-MM-DD)"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const volunteer = await findMyVolunteer(req.user);
+      if (!volunteer) {
+        return res.status(404).send(NO_PROFILE);
+      }
+
+      const where = { volunteer_id: volunteer.id, event_id: req.params.eventId, status: "signed_up" };
+      if (req.query.occurrence) {
+        where.occurrence = req.query.occurrence;
+      }
+      const signups = await EventSignup.findAll({
+        where,
+        include: [{ model: Event, as: "event", include: [{ model: EventException, as: "exceptions" }] }],
+        order: [["occurrence", "asc"]],
+      });
+      if (signups.length === 0) {
+        return res.status(404).send("You are not signed up for this event.");
+      }
+
+      // Occurrences the series no longer has can always be withdrawn from
+      const now = new Date();
+      const signup = signups.find((entry) => {
+        const occurrence = occurrenceOn(entry.event, entry.event.exceptions, entry.occurrence);
+        return !occurrence || occurrence.start >= now;
+      });
+      if (!signup) {
+        return res.status(409).send("This event has already taken place.");
+      }
+
+      signup.status = "withdrawn";
+      signup.withdrawnAt = new Date();
+      await signup.save();
+
+      logger.info(`Volunteer ${volunteer.id} withdrew from event ${req.params.eventId} on ${signup.occurrence}`);
+
+      res.status(200).json(signup);
+    } catch (error) {
+      logger.error(`Error withdrawing from event: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/me/volunteer/events/{eventId}/check-in-pass:
+ *   get:
+ *     summary: Get my check-in pass for an event
+ *     tags: [Volunteer Portal]
+ *     description: The volunteer's single-use QR pass for an occurrence of the event, once organizers have issued passes. Without an occurrence, the pass for the earliest occurrence whose pass has not expired.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: occurrence
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Original date of the occurrence
+ *     responses:
+ *       200:
+ *         description: The pass.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CheckInPass'
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: No pass has been issued, or no volunteer profile is linked to the account.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getMyCheckInPass = [
+  param("eventId").isInt().withMessage("eventId must be an integer"),
+  query("occurrence").optional().isDate().withMessage("occurrence must be a date (YYYY-MM-DD)"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const volunteer = await findMyVolunteer(req.user);
+      if (!volunteer) {
+        return res.status(404).send(NO_PROFILE);
+      }
+
+      const where = { volunteer_id: volunteer.id, event_id: req.params.eventId };
+      if (req.query.occurrence) {
+        where.occurrence = req.query.occurrence;
+      } else {
+        where.expiresAt = { [Op.gt]: new Date() };
+      }
+      const pass = await CheckInToken.findOne({ where, order: [["occurrence", "asc"]] });
+      if (!pass) {
+        return res.status(404).send("No check-in pass has been issued for this event.");
+      }
+
+      res.status(200).json(describePass(pass, volunteer));
+    } catch (error) {
+      logger.error(`Error fetching check-in pass: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/me/volunteer/attendance:
+ *   get:
+ *     summary: List my attendance
+ *     tags: [Volunteer Portal]
+ *     description: The volunteer's attendance records with their events, most recent first.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: A paginated list of attendance records.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/VolunteerAttendance'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     totalItems:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     currentPage:
+ *                       type: integer
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: No volunteer profile is linked to the account.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getMyAttendance = [
+  query("page").optional().isInt({ min: 1 }),
+  query("limit").optional().isInt({ min: 1 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+
+    try {
+      const volunteer = await findMyVolunteer(req.user);
+      if (!volunteer) {
+        return res.status(404).send(NO_PROFILE);
+      }
+
+      const { rows, count } = await VolunteerAttendance.findAndCountAll({
+        where: { volunteer_id: volunteer.id },
+        include: [{ model: Event, as: "event", required: false }],
+        order: [["date", "desc"]],
+        limit,
+        offset: (page - 1) * limit,
+      });
+
+      res.status(200).json({
+        data: rows,
+        meta: {
+          totalItems: count,
+          totalPages: Math.ceil(count / limit),
+          currentPage: page,
+        },
+      });
+    } catch (error) {
+      logger.error(`Error fetching volunteer attendance: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/me/volunteer/hours:
+ *   get:
+ *     summary: Get my logged hours
+ *     tags: [Volunteer Portal]
+ *     description: >
+ *       The volunteer's hours ledger: shifts they checked in to and the manual entries they logged.
+ *       Only approved hours count toward the total; hours still waiting for a coordinator are shown separately.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Hours served.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/HoursTotals'
+ *                 - type: object
+ *                   properties:
+ *                     eventsAttended:
+ *                       type: integer
+ *                     entries:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LedgerEntry'
+ *       400:
+ *         description: Invalid input.
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: No volunteer profile is linked to the account.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getMyHours = [
+  query("from").optional().isDate().withMessage("from must be a date (YYYY-MM-DD)"),
+  query("to").optional().isDate().withMessage("to must be a date (YYYY-MM-DD)"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const volunteer = await findMyVolunteer(req.user);
+      if (!volunteer) {
+        return res.status(404).send(NO_PROFILE);
+      }
+
+      const entries = await loadLedger({
+        ngoId: volunteer.ngo_id,
+        volunteerId: volunteer.id,
+        from: req.query.from,
+        to: req.query.to,
+      });
+
+      res.status(200).json({
+        ...summarize(entries),
+        eventsAttended: new Set(
+          entries.filter((entry) => entry.source === "attendance").map((entry) => entry.event_id)
+        ).size,
+        entries,
+      });
+    } catch (error) {
+      logger.error(`Error fetching volunteer hours: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/me/volunteer/hours/entries:
+ *   get:
+ *     summary: List the hours I logged by hand
+ *     tags: [Volunteer Portal]
+ *     description: Manual hour entries with their review status, including rejected ones and the coordinator's note.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The volunteer's manual entries, newest first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/VolunteerHourEntry'
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: No volunteer profile is linked to the account.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getMyHourEntries = async (req, res) => {
+  try {
+    const volunteer = await findMyVolunteer(req.user);
+    if (!volunteer) {
+      return res.status(404).send(NO_PROFILE);
+    }
+
+    const entries = await VolunteerHourEntry.findAll({
+      where: { volunteer_id: volunteer.id },
+      order: [["date", "desc"], ["id", "desc"]],
+    });
+
+    res.status(200).json(entries);
+  } catch (error) {
+    logger.error(`Error fetching volunteer hour entries: ${error.message}`);
+    res.status(500).json({
+      error: "Internal server error",
+      details: [error.message],
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/me/volunteer/hours/entries:
+ *   post:
+ *     summary: Log hours by hand
+ *     tags: [Volunteer Portal]
+ *     description: Logs hours worked without a check-in. They count once a coordinator approves them.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - date
+ *               - hours
+ *               - description
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               hours:
+ *                 type: number
+ *               description:
+ *                 type: string
+ *               project_id:
+ *                 type: integer
+ *               event_id:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: The pending entry.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/VolunteerHourEntry'
+ *       400:
+ *         description: Invalid input, or a project or event from another NGO.
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: No volunteer profile is linked to the account.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.logMyHours = [
+  body("date")
+    .isDate()
+    .withMessage("date must be a date (YYYY-MM-DD)")
+    .custom((value) => new Date(`${value}T00:00:00`) <= new Date())
+    .withMessage("date cannot be in the future"),
+  body("hours").isFloat({ gt: 0, max: 24 }).withMessage("hours must be between 0 and 24").toFloat(),
+  body("description").isString().trim().notEmpty().withMessage("Description is required"),
+  body("project_id").optional({ values: "null" }).isInt().withMessage("project_id must be an integer"),
+  body("event_id").optional({ values: "null" }).isInt().withMessage("event_id must be an integer"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { date, hours, description, project_id, event_id } = req.body;
+
+    try {
+      const volunteer = await findMyVolunteer(req.user);
+      if (!volunteer) {
+        return res.status(404).send(NO_PROFILE);
+      }
+
+      const linkError = await checkEntryLinks(volunteer.ngo_id, req.body);
+      if (linkError) {
+        return res.status(400).send(linkError);
+      }
+
+      const entry = await VolunteerHourEntry.create({
+        ngo_id: volunteer.ngo_id,
+        volunteer_id: volunteer.id,
+        project_id,
+        event_id,
+        date,
+        hours,
+        description,
+        submittedBy: req.user.id,
+      });
+
+      logger.info(`Volunteer ${volunteer.id} logged hour entry ${entry.id}`);
+
+      res.status(201).json(entry);
+    } catch (error) {
+      logger.error(`Error logging volunteer hours: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/me/volunteer/certificates:
+ *   get:
+ *     summary: List my service certificates
+ *     tags: [Volunteer Portal]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The volunteer's certificates, newest first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ServiceCertificate'
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: No volunteer profile is linked to the account.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getMyCertificates = async (req, res) => {
+  try {
+    const volunteer = await findMyVolunteer(req.user);
+    if (!volunteer) {
+      return res.status(404).send(NO_PROFILE);
+    }
+
+    const certificates = await ServiceCertificate.findAll({
+      where: { volunteer_id: volunteer.id },
+      order: [["issuedAt", "desc"]],
+    });
+
+    res.status(200).json(
+      certificates.map((certificate) => ({
+        ...certificate.toJSON(),
+        verifyUrl: verificationUrl(certificate.verificationCode),
+      }))
+    );
+  } catch (error) {
+    logger.error(`Error fetching volunteer certificates: ${error.message}`);
+    res.status(500).json({
+      error: "Internal server error",
+      details: [error.message],
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/me/volunteer/certificates:
+ *   post:
+ *     summary: Request a service certificate
+ *     tags: [Volunteer Portal]
+ *     description: Issues a certificate for the volunteer's approved hours between two dates.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - from
+ *               - to
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 format: date
+ *               to:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       201:
+ *         description: The new certificate.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServiceCertificate'
+ *       400:
+ *         description: Invalid input.
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: No volunteer profile is linked to the account.
+ *       409:
+ *         description: There are no approved hours in the period.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.requestMyCertificate = [
+  body("from").isDate().withMessage("from must be a date (YYYY-MM-DD)"),
+  body("to")
+    .isDate()
+    .withMessage("to must be a date (YYYY-MM-DD)")
+    .custom((value, { req }) => value >= req.body.from)
+    .withMessage("to cannot be before from"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const volunteer = await findMyVolunteer(req.user);
+      if (!volunteer) {
+        return res.status(404).send(NO_PROFILE);
+      }
+
+      const result = await issueCertificate({
+        volunteer,
+        from: req.body.from,
+        to: req.body.to,
+        issuedBy: req.user.id,
+      });
+      if (result.error) {
+        return res.status(409).send(result.error);
+      }
+
+      logger.info(`Volunteer ${volunteer.id} requested service certificate ${result.certificate.id}`);
+
+      res.status(201).json({
+        ...result.certificate.toJSON(),
+        verifyUrl: verificationUrl(result.certificate.verificationCode),
+      });
+    } catch (error) {
+      logger.error(`Error issuing volunteer certificate: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/me/volunteer/certificates/{certificateId}/pdf:
+ *   get:
+ *     summary: Download one of my service certificates
+ *     tags: [Volunteer Portal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: certificateId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The certificate as a PDF.
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: Certificate not found, or no volunteer profile is linked to the account.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.downloadMyCertificatePdf = [
+  param("certificateId").isInt().withMessage("certificateId must be an integer"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const volunteer = await findMyVolunteer(req.user);
+      if (!volunteer) {
+        return res.status(404).send(NO_PROFILE);
+      }
+
+      const certificate = await ServiceCertificate.findOne({
+        where: { id: req.params.certificateId, volunteer_id: volunteer.id },
+        include: [{ model: NGO, as: "ngo" }],
+      });
+      if (!certificate) {
+        return res.status(404).send("Certificate not found.");
+      }
+
+      const pdf = await renderCertificatePdf({
+        certificate,
+        volunteer,
+        ngo: certificate.ngo,
+        verifyUrl: verificationUrl(certificate.verificationCode),
+      });
+
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `attachment; filename="certificate-${certificate.verificationCode}.pdf"`);
+      res.status(200).send(pdf);
+    } catch (error) {
+      logger.error(`Error rendering volunteer certificate PDF: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
@@ -0,0 +1,732 @@
+const sequelize = require("../config/db");
+const Volunteer = require("../models/Volunteer");
+const Skill = require("../models/Skill");
+const VolunteerSkill = require("../models/VolunteerSkill");
+const VolunteerCertification = require("../models/VolunteerCertification");
+const VolunteerAvailability = require("../models/VolunteerAvailability");
+const logger = require("../utils/logger");
+const { scopeWhere } = require("../utils/ngoScope");
+const { LEVELS, parseTime } = require("../utils/volunteerMatching");
+const { body, param, validationResult } = require("express-validator");
+
+const findVolunteer = (currentUser, id, options = {}) =>
+  Volunteer.findOne({ where: scopeWhere(currentUser, { id }), ...options });
+
+// Skills referenced by a request must exist in the volunteer's NGO.
+const unknownSkillIds = async (ngoId, skillIds, transaction) => {
+  const ids = [...new Set(skillIds.filter((id) => id != null).map(Number))];
+  if (ids.length === 0) {
+    return [];
+  }
+  const found = await Skill.findAll({ where: { id: ids, ngo_id: ngoId }, attributes: ["id"], transaction });
+  const foundIds = new Set(found.map((skill) => skill.id));
+  return ids.filter((id) => !foundIds.has(id));
+};
+
+const certificationFields = ["skill_id", "name", "issuer", "certificateNumber", "issuedOn", "expiresOn"];
+
+const certificationValidators = (optional) => [
+  (optional ? body("name").optional() : body("name")).isString().trim().notEmpty().withMessage("Name is required"),
+  body("skill_id").optional({ values: "null" }).isInt().withMessage("skill_id must be an integer"),
+  body("issuer").optional({ values: "null" }).isString(),
+  body("certificateNumber").optional({ values: "null" }).isString(),
+  body("issuedOn").optional({ values: "null" }).isDate().withMessage("issuedOn must be a date (YYYY-MM-DD)"),
+  body("expiresOn")
+    .optional({ values: "null" })
+    .isDate()
+    .withMessage("expiresOn must be a date (YYYY-MM-DD)")
+    .custom((value, { req }) => !req.body.issuedOn || value >= req.body.issuedOn)
+    .withMessage("expiresOn cannot be before issuedOn"),
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     VolunteerSkill:
+ *       type: object
+ *       properties:
+ *         skill_id:
+ *           type: integer
+ *         level:
+ *           type: string
+ *           enum: [beginner, intermediate, expert]
+ *         skill:
+ *           $ref: '#/components/schemas/Skill'
+ *     VolunteerCertification:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         volunteer_id:
+ *           type: integer
+ *         skill_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Skill the certification qualifies the volunteer for
+ *         name:
+ *           type: string
+ *         issuer:
+ *           type: string
+ *         certificateNumber:
+ *           type: string
+ *         issuedOn:
+ *           type: string
+ *           format: date
+ *         expiresOn:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         expired:
+ *           type: boolean
+ *     AvailabilityWindow:
+ *       type: object
+ *       properties:
+ *         dayOfWeek:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 6
+ *           description: 0 is Sunday
+ *         startTime:
+ *           type: string
+ *           example: "09:00"
+ *         endTime:
+ *           type: string
+ *           example: "13:00"
+ */
+
+/**
+ * @swagger
+ * /api/volunteers/{id}/skills:
+ *   get:
+ *     summary: Get a volunteer's skills
+ *     tags: [Volunteers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The volunteer's skills.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/VolunteerSkill'
+ *       401:
+ *         description: Unauthorized. User lacks the volunteers:read permission.
+ *       404:
+ *         description: Volunteer not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getVolunteerSkills = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const volunteer = await findVolunteer(req.user, req.params.id);
+      if (!volunteer) {
+        return res.status(404).send("Volunteer not found.");
+      }
+
+      const skills = await VolunteerSkill.findAll({
+        where: { volunteer_id: volunteer.id },
+        include: [{ model: Skill, as: "skill" }],
+      });
+
+      res.status(200).json(skills);
+    } catch (error) {
+      logger.error(`Error fetching volunteer skills: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/volunteers/{id}/skills:
+ *   put:
+ *     summary: Set a volunteer's skills
+ *     tags: [Volunteers]
+ *     description: Replaces the volunteer's skills with the given list.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - skills
+ *             properties:
+ *               skills:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     skill_id:
+ *                       type: integer
+ *                     level:
+ *                       type: string
+ *                       enum: [beginner, intermediate, expert]
+ *     responses:
+ *       200:
+ *         description: The volunteer's skills.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/VolunteerSkill'
+ *       400:
+ *         description: Invalid input or a skill from another NGO.
+ *       401:
+ *         description: Unauthorized. User lacks the volunteers:write permission.
+ *       404:
+ *         description: Volunteer not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.setVolunteerSkills = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  body("skills").isArray().withMessage("skills must be an array"),
+  body("skills.*.skill_id").isInt().withMessage("skill_id must be an integer"),
+  body("skills.*.level").optional().isIn(LEVELS).withMessage(`level must be one of ${LEVELS.join(", ")}`),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    // Last entry wins if a skill is listed twice
+    const levels = new Map(req.body.skills.map((entry) => [Number(entry.skill_id), entry.level || "beginner"]));
+
+    try {
+      const result = await sequelize.transaction(async (transaction) => {
+        const volunteer = await findVolunteer(currentUser, req.params.id, { transaction });
+        if (!volunteer) {
+          return { status: 404, message: "Volunteer not found." };
+        }
+
+        const unknown = await unknownSkillIds(volunteer.ngo_id, [...levels.keys()], transaction);
+        if (unknown.length > 0) {
+          return { status: 400, message: `Unknown skill(s): ${unknown.join(", ")}.` };
+        }
+
+        await VolunteerSkill.destroy({ where: { volunteer_id: volunteer.id }, transaction });
+        await VolunteerSkill.bulkCreate(
+          [...levels].map(([skillId, level]) => ({ volunteer_id: volunteer.id, skill_id: skillId, level })),
+          { transaction }
+        );
+
+        return { volunteer };
+      });
+
+      if (result.status) {
+        return res.status(result.status).send(result.message);
+      }
+
+      const skills = await VolunteerSkill.findAll({
+        where: { volunteer_id: result.volunteer.id },
+        include: [{ model: Skill, as: "skill" }],
+      });
+
+      logger.info(`Skills of volunteer ${result.volunteer.id} updated by user: ${currentUser.id}`);
+
+      res.status(200).json(skills);
+    } catch (error) {
+      logger.error(`Error updating volunteer skills: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/volunteers/{id}/certifications:
+ *   get:
+ *     summary: Get a volunteer's certifications
+ *     tags: [Volunteers]
+ *     description: Lists the volunteer's certifications, soonest expiry first, each flagged if it has expired.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The volunteer's certifications.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/VolunteerCertification'
+ *       401:
+ *         description: Unauthorized. User lacks the volunteers:read permission.
+ *       404:
+ *         description: Volunteer not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getCertifications = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const volunteer = await findVolunteer(req.user, req.params.id);
+      if (!volunteer) {
+        return res.status(404).send("Volunteer not found.");
+      }
+
+      const certifications = await VolunteerCertification.findAll({
+        where: { volunteer_id: volunteer.id },
+        include: [{ model: Skill, as: "skill", attributes: ["id", "name"] }],
+        order: [["expiresOn", "asc"]],
+      });
+
+      const today = new Date().toISOString().slice(0, 10);
+      res.status(200).json(
+        certifications.map((certification) => ({
+          ...certification.get({ plain: true }),
+          expired: Boolean(certification.expiresOn && certification.expiresOn < today),
+        }))
+      );
+    } catch (error) {
+      logger.error(`Error fetching volunteer certifications: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/volunteers/{id}/certifications:
+ *   post:
+ *     summary: Add a certification to a volunteer
+ *     tags: [Volunteers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VolunteerCertification'
+ *     responses:
+ *       201:
+ *         description: The new certification.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/VolunteerCertification'
+ *       400:
+ *         description: Invalid input or a skill from another NGO.
+ *       401:
+ *         description: Unauthorized. User lacks the volunteers:write permission.
+ *       404:
+ *         description: Volunteer not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.createCertification = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  ...certificationValidators(false),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    try {
+      const volunteer = await findVolunteer(currentUser, req.params.id);
+      if (!volunteer) {
+        return res.status(404).send("Volunteer not found.");
+      }
+
+      if ((await unknownSkillIds(volunteer.ngo_id, [req.body.skill_id])).length > 0) {
+        return res.status(400).send("Unknown skill.");
+      }
+
+      const data = { volunteer_id: volunteer.id };
+      for (const field of certificationFields) {
+        if (req.body[field] !== undefined) {
+          data[field] = req.body[field];
+        }
+      }
+      const certification = await VolunteerCertification.create(data);
+
+      logger.info(`Certification ${certification.id} added to volunteer ${volunteer.id} by user: ${currentUser.id}`);
+
+      res.status(201).json(certification);
+    } catch (error) {
+      logger.error(`Error adding certification: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/volunteers/{id}/certifications/{certificationId}:
+ *   put:
+ *     summary: Update a volunteer's certification
+ *     tags: [Volunteers]
+ *     description: Use this to record a renewal by moving expiresOn forward.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: certificationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VolunteerCertification'
+ *     responses:
+ *       200:
+ *         description: The updated certification.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/VolunteerCertification'
+ *       400:
+ *         description: Invalid input or a skill from another NGO.
+ *       401:
+ *         description: Unauthorized. User lacks the volunteers:write permission.
+ *       404:
+ *         description: Volunteer or certification not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.updateCertification = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  param("certificationId").isInt().withMessage("certificationId must be an integer"),
+  ...certificationValidators(true),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    try {
+      const volunteer = await findVolunteer(currentUser, req.params.id);
+      if (!volunteer) {
+        return res.status(404).send("Volunteer not found.");
+      }
+
+      const certification = await VolunteerCertification.findOne({
+        where: { id: req.params.certificationId, volunteer_id: volunteer.id },
+      });
+      if (!certification) {
+        return res.status(404).send("Certification not found.");
+      }
+
+      if ((await unknownSkillIds(volunteer.ngo_id, [req.body.skill_id])).length > 0) {
+        return res.status(400).send("Unknown skill.");
+      }
+
+      for (const field of certificationFields) {
+        if (req.body[field] !== undefined) {
+          certification[field] = req.body[field];
+        }
+      }
+      if (certification.issuedOn && certification.expiresOn && certification.expiresOn < certification.issuedOn) {
+        return res.status(400).send("expiresOn cannot be before issuedOn.");
+      }
+      await certification.save();
+
+      logger.info(`Certification ${certification.id} updated by user: ${currentUser.id}`);
+
+      res.status(200).json(certification);
+    } catch (error) {
+      logger.error(`Error updating certification: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/volunteers/{id}/certifications/{certificationId}:
+ *   delete:
+ *     summary: Remove a volunteer's certification
+ *     tags: [Volunteers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: certificationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Certification removed.
+ *       401:
+ *         description: Unauthorized. User lacks the volunteers:write permission.
+ *       404:
+ *         description: Volunteer or certification not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.deleteCertification = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  param("certificationId").isInt().withMessage("certificationId must be an integer"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    try {
+      const volunteer = await findVolunteer(currentUser, req.params.id);
+      if (!volunteer) {
+        return res.status(404).send("Volunteer not found.");
+      }
+
+      const deleted = await VolunteerCertification.destroy({
+        where: { id: req.params.certificationId, volunteer_id: volunteer.id },
+      });
+      if (!deleted) {
+        return res.status(404).send("Certification not found.");
+      }
+
+      logger.info(`Certification ${req.params.certificationId} removed by user: ${currentUser.id}`);
+
+      res.status(204).send();
+    } catch (error) {
+      logger.error(`Error removing certification: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/volunteers/{id}/availability:
+ *   get:
+ *     summary: Get a volunteer's weekly availability
+ *     tags: [Volunteers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The volunteer's availability windows.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AvailabilityWindow'
+ *       401:
+ *         description: Unauthorized. User lacks the volunteers:read permission.
+ *       404:
+ *         description: Volunteer not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.getAvailability = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const volunteer = await findVolunteer(req.user, req.params.id);
+      if (!volunteer) {
+        return res.status(404).send("Volunteer not found.");
+      }
+
+      const availability = await VolunteerAvailability.findAll({
+        where: { volunteer_id: volunteer.id },
+        order: [["dayOfWeek", "asc"], ["startTime", "asc"]],
+      });
+
+      res.status(200).json(availability);
+    } catch (error) {
+      logger.error(`Error fetching volunteer availability: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
+
+/**
+ * @swagger
+ * /api/volunteers/{id}/availability:
+ *   put:
+ *     summary: Set a volunteer's weekly availability
+ *     tags: [Volunteers]
+ *     description: Replaces the volunteer's availability with the given windows. Times are HH:MM in the server's time zone.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - availability
+ *             properties:
+ *               availability:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/AvailabilityWindow'
+ *     responses:
+ *       200:
+ *         description: The volunteer's availability windows.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AvailabilityWindow'
+ *       400:
+ *         description: Invalid input.
+ *       401:
+ *         description: Unauthorized. User lacks the volunteers:write permission.
+ *       404:
+ *         description: Volunteer not found.
+ *       500:
+ *         description: Internal server error.
+ */
+exports.setAvailability = [
+  param("id").isInt().withMessage("ID must be an integer"),
+  body("availability").isArray().withMessage("availability must be an array"),
+  body("availability.*.dayOfWeek").isInt({ min: 0, max: 6 }).withMessage("dayOfWeek must be 0 (Sunday) to 6"),
+  body("availability.*.startTime")
+    .custom((value) => parseTime(value) !== null)
+    .withMessage("startTime must be HH:MM"),
+  body("availability.*.endTime")
+    .custom((value) => parseTime(value) !== null)
+    .withMessage("endTime must be HH:MM"),
+  body("availability").custom((windows) =>
+    windows.every((window) => parseTime(window.endTime) > parseTime(window.startTime))
+  ).withMessage("Each window must end after it starts"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentUser = req.user;
+
+    try {
+      const volunteer = await findVolunteer(currentUser, req.params.id);
+      if (!volunteer) {
+        return res.status(404).send("Volunteer not found.");
+      }
+
+      const availability = await sequelize.transaction(async (transaction) => {
+        await VolunteerAvailability.destroy({ where: { volunteer_id: volunteer.id }, transaction });
+        return VolunteerAvailability.bulkCreate(
+          req.body.availability.map((window) => ({
+            volunteer_id: volunteer.id,
+            dayOfWeek: Number(window.dayOfWeek),
+            startTime: window.startTime,
+            endTime: window.endTime,
+          })),
+          { transaction }
+        );
+      });
+
+      logger.info(`Availability of volunteer ${volunteer.id} updated by user: ${currentUser.id}`);
+
+      res.status(200).json(availability);
+    } catch (error) {
+      logger.error(`Error updating volunteer availability: ${error.message}`);
+      res.status(500).json({
+        error: "Internal server error",
+        details: [error.message],
+      });
+    }
+  },
+];
@@ -0,0 +1,70 @@
+// Year-end batch job: write a PDF and CSV giving statement for every donor
+// who gave in a fiscal year, plus a consolidated summary.csv per NGO.
+//
+// Usage: node jobs/annualStatements.js <year> [ngoId]
+//   year   calendar year in which the fiscal year starts
+//   ngoId  limit the run to one NGO (defaults to every active NGO)
+//
+// Files are written to $STATEMENTS_DIR/<ngoId>/<fiscal year>/ (default ./statements).
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const sequelize = require("../config/db");
+const NGO = require("../models/NGO");
+const logger = require("../utils/logger");
+const { fiscalYearLabel } = require("../utils/fiscalYear");
+const { buildStatement, findDonorsWhoGave, statementToCsv, summaryToCsv } = require("../utils/statements");
+const { renderStatementPdf } = require("../utils/pdf");
+
+const outputRoot = process.env.STATEMENTS_DIR || path.join(__dirname, "..", "statements");
+
+const generateForNgo = async (ngo, year) => {
+  const dir = path.join(outputRoot, String(ngo.id), fiscalYearLabel(year));
+  fs.mkdirSync(dir, { recursive: true });
+
+  const donors = await findDonorsWhoGave({ ngo_id: ngo.id }, year);
+  const statements = [];
+
+  for (const donor of donors) {
+    const statement = await buildStatement(donor, year);
+    const pdf = await renderStatementPdf({ statement, ngo });
+
+    fs.writeFileSync(path.join(dir, `donor-${donor.id}.pdf`), pdf);
+    fs.writeFileSync(path.join(dir, `donor-${donor.id}.csv`), statementToCsv(statement));
+    statements.push(statement);
+  }
+
+  fs.writeFileSync(path.join(dir, "summary.csv"), summaryToCsv(statements));
+  logger.info(`Wrote ${statements.length} giving statements for NGO ${ngo.id} to ${dir}`);
+
+  return statements.length;
+};
+
+const run = async () => {
+  const year = parseInt(process.argv[2], 10);
+  const ngoId = process.argv[3] ? parseInt(process.argv[3], 10) : null;
+
+  if (isNaN(year)) {
+    console.error("Usage: node jobs/annualStatements.js <year> [ngoId]");
+    process.exitCode = 1;
+    return;
+  }
+
+  const ngos = await NGO.findAll({
+    where: ngoId ? { id: ngoId } : { status: "active" },
+  });
+
+  let total = 0;
+  for (const ngo of ngos) {
+    total += await generateForNgo(ngo, year);
+  }
+
+  logger.info(`Annual statements job finished: ${total} statements for ${ngos.length} NGO(s)`);
+};
+
+run()
+  .catch((error) => {
+    logger.error(`Annual statements job failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
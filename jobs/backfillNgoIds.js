@@ -0,0 +1,141 @@
+// One-off upgrade for databases created before records belonged to an NGO.
+// The server only runs sequelize.sync(), which creates missing tables but
+// never alters existing ones, so their rows have no ngo_id and the scoped
+// queries fail. This adds the column where it is missing, assigns every row
+// without an NGO to the one given, and then makes the column required.
+// Platform admins (users with role "admin") are left without an NGO. The
+// global unique email index of donors and volunteers is replaced with the
+// per-NGO one.
+//
+// Run it once, with the server stopped, before starting the upgraded code,
+// and only on a database whose existing data belongs to a single
+// organization: every unassigned row goes to the same NGO. Take a backup
+// first; MySQL cannot roll back schema changes.
+//
+// Usage: node jobs/backfillNgoIds.js <ngoId> [--apply]
+//   ngoId    NGO that owns the existing records; it must already exist
+//   --apply  make the changes; without it the job only reports what it would do
+require("dotenv").config();
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+const NGO = require("../models/NGO");
+const logger = require("../utils/logger");
+
+// Tables given an ngo_id. nullable keeps the column optional, where limits
+// the rows assigned and uniqueEmail scopes the email index to the NGO.
+const TABLES = [
+  { table: "Projects" },
+  { table: "Events" },
+  { table: "Volunteers", uniqueEmail: true },
+  { table: "VolunteerAttendance" },
+  { table: "Beneficiaries" },
+  { table: "Donors", uniqueEmail: true },
+  { table: "Employees" },
+  { table: "users", nullable: true, where: "role <> 'admin'" },
+];
+
+const queryInterface = sequelize.getQueryInterface();
+
+const describe = async (table) => {
+  try {
+    return await queryInterface.describeTable(table);
+  } catch (error) {
+    return null; // The table does not exist yet; sync() will create it
+  }
+};
+
+const unassignedCount = async ({ table, where }, hasColumn) => {
+  const conditions = [hasColumn ? "ngo_id IS NULL" : null, where].filter(Boolean);
+  const [[row]] = await sequelize.query(
+    `SELECT COUNT(*) AS count FROM \`${table}\`${conditions.length ? ` WHERE ${conditions.join(" AND ")}` : ""}`
+  );
+  return parseInt(row.count, 10);
+};
+
+// Swap a unique index on email alone for one on (ngo_id, email).
+const scopeEmailIndex = async (table, apply) => {
+  const indexes = await queryInterface.showIndex(table);
+  const fieldsOf = (index) => index.fields.map((field) => field.attribute);
+  const global = indexes.filter((index) => index.unique && fieldsOf(index).join() === "email");
+  const scoped = indexes.some((index) => index.unique && fieldsOf(index).join() === "ngo_id,email");
+
+  if (!scoped) {
+    logger.info(`${table}: adding unique index on (ngo_id, email)`);
+    if (apply) {
+      await queryInterface.addIndex(table, ["ngo_id", "email"], { unique: true });
+    }
+  }
+  for (const index of global) {
+    logger.info(`${table}: dropping unique index ${index.name} on email`);
+    if (apply) {
+      await queryInterface.removeIndex(table, index.name);
+    }
+  }
+};
+
+const backfillTable = async (entry, ngoId, apply) => {
+  const { table, nullable, where, uniqueEmail } = entry;
+  const columns = await describe(table);
+  if (!columns) {
+    logger.info(`${table}: no such table, skipped`);
+    return;
+  }
+
+  const hasColumn = Boolean(columns.ngo_id);
+  const count = await unassignedCount(entry, hasColumn);
+  logger.info(`${table}: ${hasColumn ? "has" : "adding"} ngo_id; ${count} row(s) to assign to NGO ${ngoId}`);
+
+  if (apply) {
+    if (!hasColumn) {
+      await queryInterface.addColumn(table, "ngo_id", {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: NGO.getTableName(), key: "id" },
+      });
+    }
+    await sequelize.query(
+      `UPDATE \`${table}\` SET ngo_id = :ngoId WHERE ngo_id IS NULL${where ? ` AND ${where}` : ""}`,
+      { replacements: { ngoId } }
+    );
+    if (!nullable && (!hasColumn || columns.ngo_id.allowNull)) {
+      await queryInterface.changeColumn(table, "ngo_id", { type: DataTypes.INTEGER, allowNull: false });
+    }
+  }
+
+  if (uniqueEmail) {
+    await scopeEmailIndex(table, apply);
+  }
+};
+
+const run = async () => {
+  const ngoId = parseInt(process.argv[2], 10);
+  const apply = process.argv.includes("--apply");
+
+  if (!ngoId) {
+    console.error("Usage: node jobs/backfillNgoIds.js <ngoId> [--apply]");
+    process.exitCode = 1;
+    return;
+  }
+
+  const ngo = await NGO.findByPk(ngoId);
+  if (!ngo) {
+    console.error(`NGO ${ngoId} not found. Create it first, then run the job again.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  logger.info(`${apply ? "Assigning" : "Dry run: would assign"} existing records to NGO ${ngo.id} (${ngo.name})`);
+  for (const entry of TABLES) {
+    await backfillTable(entry, ngo.id, apply);
+  }
+  if (!apply) {
+    logger.info("Nothing changed. Run again with --apply to make these changes.");
+  }
+};
+
+run()
+  .catch((error) => {
+    logger.error(`NGO backfill failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
@@ -0,0 +1,135 @@
+// One-off upgrade for databases created before event registrations,
+// volunteer sign-ups, check-in passes and attendance were kept per
+// occurrence. sequelize.sync() does not alter existing tables, so this adds
+// the occurrence column where it is missing, fills it in and swaps the
+// unique indexes for per-occurrence ones. Registrations, sign-ups and passes
+// are given the first occurrence starting after they were made (the event's
+// own date for one-off events), which is the one they were taken for;
+// attendance is given the occurrence starting on the day it was recorded for.
+//
+// Run it once, with the server stopped, before starting the upgraded code.
+// Take a backup first; MySQL cannot roll back schema changes.
+//
+// Usage: node jobs/backfillOccurrences.js [--apply]
+//   --apply  make the changes; without it the job only reports what it would do
+require("dotenv").config();
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+const Event = require("../models/Event");
+const EventException = require("../models/EventException");
+const logger = require("../utils/logger");
+const { occurrenceKey, occurrenceStartingOn, nextOccurrence } = require("../utils/recurrence");
+
+// madeAt is the column saying when the row was made, or, with onDay, the
+// day it is for. Each of indexes names a unique index (old) and the one
+// that replaces it (new).
+const TABLES = [
+  {
+    table: "EventRegistrations",
+    madeAt: "registeredAt",
+    indexes: [{ old: "event_id,email", new: ["event_id", "occurrence", "email"] }],
+  },
+  {
+    table: "EventSignups",
+    madeAt: "signedUpAt",
+    indexes: [{ old: "volunteer_id,event_id", new: ["volunteer_id", "event_id", "occurrence"] }],
+  },
+  {
+    table: "CheckInTokens",
+    madeAt: "createdAt",
+    indexes: [
+      { old: "event_id,registration_id", new: ["event_id", "occurrence", "registration_id"] },
+      { old: "event_id,volunteer_id", new: ["event_id", "occurrence", "volunteer_id"] },
+    ],
+  },
+  {
+    table: "VolunteerAttendance",
+    madeAt: "date",
+    onDay: true,
+    indexes: [],
+  },
+];
+
+const queryInterface = sequelize.getQueryInterface();
+
+// The occurrence a row made at madeAt was for, or with onDay, the one
+// starting that day.
+const occurrenceFor = (event, madeAt, onDay) => {
+  const found = onDay
+    ? occurrenceStartingOn(event, event.exceptions, new Date(madeAt))
+    : nextOccurrence(event, event.exceptions, new Date(madeAt));
+  return found ? found.occurrence : occurrenceKey(new Date(event.date));
+};
+
+const backfillTable = async ({ table, madeAt, onDay, indexes: replacements }, events, apply) => {
+  let columns;
+  try {
+    columns = await queryInterface.describeTable(table);
+  } catch (error) {
+    logger.info(`${table}: no such table, skipped`);
+    return;
+  }
+
+  // Attendance outside an event has no occurrence
+  const hasColumn = Boolean(columns.occurrence);
+  const conditions = [hasColumn ? "occurrence IS NULL" : null, "event_id IS NOT NULL"].filter(Boolean);
+  const [rows] = await sequelize.query(
+    `SELECT id, event_id, ${madeAt} AS madeAt FROM \`${table}\` WHERE ${conditions.join(" AND ")}`
+  );
+  logger.info(`${table}: ${hasColumn ? "has" : "adding"} occurrence; ${rows.length} row(s) to fill in`);
+
+  if (apply) {
+    if (!hasColumn) {
+      await queryInterface.addColumn(table, "occurrence", { type: DataTypes.DATEONLY, allowNull: true });
+    }
+    for (const row of rows) {
+      const event = events.get(row.event_id);
+      if (!event || !event.date) {
+        logger.warn(`${table}: row ${row.id} belongs to event ${row.event_id}, which has no date; left empty`);
+        continue;
+      }
+      await sequelize.query(`UPDATE \`${table}\` SET occurrence = :occurrence WHERE id = :id`, {
+        replacements: { occurrence: occurrenceFor(event, row.madeAt, onDay), id: row.id },
+      });
+    }
+  }
+
+  const indexes = await queryInterface.showIndex(table);
+  const fieldsOf = (index) => index.fields.map((field) => field.attribute).join();
+  for (const replacement of replacements) {
+    if (!indexes.some((index) => index.unique && fieldsOf(index) === replacement.new.join())) {
+      logger.info(`${table}: adding unique index on (${replacement.new.join(", ")})`);
+      if (apply) {
+        await queryInterface.addIndex(table, replacement.new, { unique: true });
+      }
+    }
+    for (const index of indexes.filter((entry) => entry.unique && fieldsOf(entry) === replacement.old)) {
+      logger.info(`${table}: dropping unique index ${index.name} on (${replacement.old})`);
+      if (apply) {
+        await queryInterface.removeIndex(table, index.name);
+      }
+    }
+  }
+};
+
+const run = async () => {
+  const apply = process.argv.includes("--apply");
+
+  const events = await Event.findAll({ include: [{ model: EventException, as: "exceptions" }] });
+  const byId = new Map(events.map((event) => [event.id, event]));
+
+  logger.info(apply ? "Filling in occurrences" : "Dry run: no changes will be made");
+  for (const entry of TABLES) {
+    await backfillTable(entry, byId, apply);
+  }
+  if (!apply) {
+    logger.info("Nothing changed. Run again with --apply to make these changes.");
+  }
+};
+
+run()
+  .catch((error) => {
+    logger.error(`Occurrence backfill failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
@@ -0,0 +1,35 @@
+// Pledge scheduler: create the upcoming installments of active pledges,
+// apply gifts recorded since the last run and mark unpaid installments
+// overdue once their grace period has passed. The server runs the same pass
+// daily; this entry point is for cron or a manual catch-up.
+//
+// Usage: node jobs/pledgeScheduler.js [date]
+//   date  treat this YYYY-MM-DD date as today (defaults to the current date)
+require("dotenv").config();
+const sequelize = require("../config/db");
+const logger = require("../utils/logger");
+const { runPledgeScheduler } = require("../utils/pledges");
+
+const run = async () => {
+  const now = process.argv[2] ? new Date(process.argv[2]) : new Date();
+
+  if (isNaN(now.getTime())) {
+    console.error("Usage: node jobs/pledgeScheduler.js [date]");
+    process.exitCode = 1;
+    return;
+  }
+
+  const result = await runPledgeScheduler(now);
+
+  logger.info(
+    `Pledge scheduler finished: ${result.pledges} active pledge(s), ${result.scheduled} installment(s) scheduled, ` +
+      `${result.matched} gift(s) matched, ${result.overdue} installment(s) overdue`
+  );
+};
+
+run()
+  .catch((error) => {
+    logger.error(`Pledge scheduler failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
@@ -1,10 +1,41 @@
 require("dotenv").config(); // Load environment variables
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const NGO = require("../models/NGO");
+const { isAccessTokenActive } = require("../utils/sessions");
+const { authenticateApiKey } = require("../utils/apiKeys");
+
+// Integrations send an API key instead of a user's token. The key acts for
+// its NGO with only the permissions in its scopes.
+const apiKeyAuth = async (key, req, res, next) => {
+  try {
+    const { apiKey, error } = await authenticateApiKey(key, req.ip);
+    if (error) return res.status(401).json({ message: error });
+
+    const ngo = await NGO.findByPk(apiKey.ngo_id);
+    if (!ngo || ngo.status === "suspended") {
+      return res.status(403).json({ message: "Your NGO account is suspended." });
+    }
+
+    req.user = {
+      id: apiKey.createdBy, // Changes made with the key are recorded against the user who issued it
+      role: "api_key",
+      ngo_id: apiKey.ngo_id,
+      apiKeyId: apiKey.id,
+      scopes: apiKey.scopes,
+    };
+
+    next();
+  } catch (error) {
+    res.status(500).send("Error on the server.");
+  }
+};
 
 module.exports = async (req, res, next) => {
   // Extract token from the Authorization header
   const token = req.header("Authorization");
+  const apiKey = req.header("X-API-Key");
+  if (!token && apiKey) return apiKeyAuth(apiKey, req, res, next);
   if (!token) return res.status(401).send("Access denied. No token provided.");
 
   // Check token format (assuming 'Bearer <token>')
@@ -15,20 +46,35 @@ module.exports = async (req, res, next) => {
     // Verify and decode the token using the secret key from .env
     const decoded = jwt.verify(tokenValue, process.env.SECRET);
 
+    // Reject tokens whose session was logged out, revoked or refreshed since
+    if (!(await isAccessTokenActive(decoded))) {
+      return res.status(401).json({ message: "Token has been revoked." });
+    }
+
     // Find the user in the database
     const user = await User.findByPk(decoded.id);
     if (!user) return res.status(404).json({ message: "User not found." });
 
+    // Users of a suspended NGO are locked out until it is reactivated
+    if (user.ngo_id) {
+      const ngo = await NGO.findByPk(user.ngo_id);
+      if (!ngo || ngo.status === "suspended") {
+        return res.status(403).json({ message: "Your NGO account is suspended." });
+      }
+    }
+
     // Attach user info to request object
     req.user = {
       id: decoded.id,
-      type: user.type, // assuming 'type' is a field in your User model
+      role: user.role, // Checked against the permission registry by requirePermission
+      ngo_id: user.ngo_id, // NGO the user belongs to; null for platform admins
+      sessionId: decoded.sid, // Session the token was issued for
     };
 
     // Proceed to the next middleware or route handler
     next();
   } catch (error) {
     // Catch and handle errors (token expired, invalid signature, etc.)
-    res.status(400).json({ message: "Invalid token.", error: error.message });
+    res.status(401).json({ message: "Invalid token.", error: error.message });
   }
 };
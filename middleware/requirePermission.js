@@ -0,0 +1,26 @@
+const logger = require("../utils/logger");
+const { hasPermission } = require("../utils/permissions");
+
+// Route guard: requirePermission("donors:write") lets the request through
+// only if the user's role holds every listed permission. Use after
+// authMiddleware.
+module.exports = (...permissions) => async (req, res, next) => {
+  const currentUser = req.user;
+  if (!currentUser) return res.status(401).send("Access denied. No token provided.");
+
+  try {
+    for (const permission of permissions) {
+      if (!(await hasPermission(currentUser, permission))) {
+        logger.warn(`User ${currentUser.id} (${currentUser.role}) lacks permission ${permission} for ${req.method} ${req.originalUrl}`);
+        return res.status(401).send(`Unauthorized. This action requires the ${permission} permission.`);
+      }
+    }
+    next();
+  } catch (error) {
+    logger.error(`Error checking permissions: ${error.message}`);
+    res.status(500).json({
+      error: "Internal server error",
+      details: [error.message],
+    });
+  }
+};
@@ -0,0 +1,9 @@
+// Route guard for actions on the caller's own account (logout, 2FA, email
+// verification). API keys have no account of their own, so they are refused.
+// Use after authMiddleware.
+module.exports = (req, res, next) => {
+  if (req.user && req.user.apiKeyId) {
+    return res.status(401).json({ message: "This action requires a user login, not an API key." });
+  }
+  next();
+};
@@ -0,0 +1,42 @@
+const User = require("../models/User");
+const NGO = require("../models/NGO");
+const authMiddleware = require("./authMiddleware");
+const { verifyChallenge } = require("../utils/twoFactor");
+
+// 2FA setup can be reached two ways: by a logged-in user, or in the middle
+// of a login by an admin who must enroll before getting a session. The
+// latter sends the mfaToken from the login response instead of a Bearer token.
+module.exports = async (req, res, next) => {
+  if (!req.body || !req.body.mfaToken) {
+    return authMiddleware(req, res, next);
+  }
+
+  const userId = verifyChallenge(req.body.mfaToken, "enroll");
+  if (!userId) {
+    return res.status(401).json({ message: "Invalid or expired mfaToken." });
+  }
+
+  try {
+    const user = await User.findByPk(userId);
+    if (!user) return res.status(401).json({ message: "Invalid or expired mfaToken." });
+
+    // As in authMiddleware, users of a suspended NGO are locked out
+    if (user.ngo_id) {
+      const ngo = await NGO.findByPk(user.ngo_id);
+      if (!ngo || ngo.status === "suspended") {
+        return res.status(403).json({ message: "Your NGO account is suspended." });
+      }
+    }
+
+    req.user = {
+      id: user.id,
+      role: user.role,
+      ngo_id: user.ngo_id,
+      enrolling: true, // No session yet; one is opened once enrollment is confirmed
+    };
+
+    next();
+  } catch (error) {
+    res.status(500).send("Error on the server.");
+  }
+};
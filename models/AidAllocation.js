@@ -0,0 +1,96 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+const NGO = require("./NGO");
+const Beneficiary = require("./Beneficiary");
+const Project = require("./Project");
+const User = require("./User");
+
+const AidAllocation = sequelize.define(
+  "AidAllocation",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    ngo_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: NGO,
+        key: "id",
+      },
+    },
+    beneficiary_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Beneficiary,
+        key: "id",
+      },
+    },
+    project_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Project funding the aid, if any
+      references: {
+        model: Project,
+        key: "id",
+      },
+    },
+    approvedAmount: {
+      type: DataTypes.DECIMAL(12, 2), // Most that may be disbursed under this allocation
+      allowNull: false,
+      validate: {
+        min: 0.01,
+      },
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: "INR",
+    },
+    periodStart: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    periodEnd: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    purpose: {
+      type: DataTypes.STRING,
+    },
+    status: {
+      type: DataTypes.ENUM("approved", "revoked"),
+      allowNull: false,
+      defaultValue: "approved",
+    },
+    approvedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: User,
+        key: "id",
+      },
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "AidAllocations",
+    timestamps: true,
+  }
+);
+
+AidAllocation.belongsTo(NGO, { foreignKey: "ngo_id" });
+AidAllocation.belongsTo(Beneficiary, { foreignKey: "beneficiary_id" });
+AidAllocation.belongsTo(Project, { foreignKey: "project_id" });
+Beneficiary.hasMany(AidAllocation, { foreignKey: "beneficiary_id", as: "aidAllocations" });
+
+module.exports = AidAllocation;
@@ -0,0 +1,96 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+const NGO = require("./NGO");
+const User = require("./User");
+
+// A key for machine access to the API, sent in the X-API-Key header. Keys
+// act for one NGO with a fixed set of permissions (scopes). Only a hash of
+// the key is stored; the key itself is shown once when it is issued.
+const ApiKey = sequelize.define(
+  "ApiKey",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    ngo_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: NGO,
+        key: "id",
+      },
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false, // e.g. "Accounting sync"
+    },
+    prefix: {
+      type: DataTypes.STRING(16),
+      allowNull: false, // Start of the key, so admins can tell keys apart
+    },
+    keyHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true, // SHA-256 of the key
+    },
+    scopes: {
+      type: DataTypes.JSON,
+      allowNull: false, // Permissions the key holds, e.g. ["donors:read", "donations:write"]
+    },
+    allowedIps: {
+      type: DataTypes.JSON,
+      allowNull: true, // IPv4/IPv6 addresses or IPv4 CIDR ranges; null allows any address
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true, // null means the key does not expire
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    lastUsedIp: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // User who issued the key; changes made with the key are recorded as theirs
+      references: {
+        model: User,
+        key: "id",
+      },
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    revokedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: User,
+        key: "id",
+      },
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "ApiKeys",
+    timestamps: true,
+  }
+);
+
+ApiKey.belongsTo(NGO, { foreignKey: "ngo_id" });
+ApiKey.belongsTo(User, { foreignKey: "createdBy", as: "creator" });
+
+module.exports = ApiKey;
@@ -1,5 +1,6 @@
 const { DataTypes } = require("sequelize");
 const sequelize = require("../config/db");
+const NGO = require("./NGO");
 
 const Beneficiary = sequelize.define(
   "Beneficiary",
@@ -9,6 +10,14 @@ const Beneficiary = sequelize.define(
       primaryKey: true,
       autoIncrement: true,
     },
+    ngo_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: NGO,
+        key: "id",
+      },
+    },
     name: {
       type: DataTypes.STRING,
       allowNull: false,
@@ -40,4 +49,6 @@ const Beneficiary = sequelize.define(
   }
 );
 
+Beneficiary.belongsTo(NGO, { foreignKey: "ngo_id" });
+
 module.exports = Beneficiary;
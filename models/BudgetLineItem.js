@@ -0,0 +1,53 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+const Project = require("./Project");
+
+const BudgetLineItem = sequelize.define(
+  "BudgetLineItem",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    project_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Project,
+        key: "id",
+      },
+    },
+    category: {
+      type: DataTypes.STRING, // Expenses are compared against budget by category
+      allowNull: false,
+    },
+    description: {
+      type: DataTypes.STRING,
+    },
+    amount: {
+      type: DataTypes.DECIMAL(12, 2), // In the project's currency
+      allowNull: false,
+      validate: {
+        min: 0,
+      },
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "BudgetLineItems",
+    timestamps: true,
+  }
+);
+
+BudgetLineItem.belongsTo(Project, { foreignKey: "project_id" });
+Project.hasMany(BudgetLineItem, { foreignKey: "project_id", as: "budgetLineItems" });
+
+module.exports = BudgetLineItem;
@@ -0,0 +1,51 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+const Volunteer = require("./Volunteer");
+
+// Secret for a volunteer's personal shift calendar feed. Calendar apps
+// cannot send credentials, so the token in the feed URL is the only
+// check; only its hash is stored and issuing a new one replaces the old.
+const CalendarFeedToken = sequelize.define(
+  "CalendarFeedToken",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    volunteer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: Volunteer,
+        key: "id",
+      },
+    },
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true, // SHA-256 of the token in the feed URL
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "CalendarFeedTokens",
+    timestamps: true,
+  }
+);
+
+CalendarFeedToken.belongsTo(Volunteer, { foreignKey: "volunteer_id", as: "volunteer" });
+
+module.exports = CalendarFeedToken;
@@ -0,0 +1,114 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+const NGO = require("./NGO");
+const Event = require("./Event");
+const EventRegistration = require("./EventRegistration");
+const Volunteer = require("./Volunteer");
+const User = require("./User");
+
+// A single-use check-in pass for one occurrence of an event, held by either
+// a public registrant or a volunteer. The signed token in the QR code carries the
+// nonce; redeemedAt records when it was scanned so it cannot be used twice.
+const CheckInToken = sequelize.define(
+  "CheckInToken",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    ngo_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: NGO,
+        key: "id",
+      },
+    },
+    event_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Event,
+        key: "id",
+      },
+    },
+    occurrence: {
+      type: DataTypes.DATEONLY,
+      allowNull: false, // Original date of the occurrence the pass admits to (see utils/recurrence)
+    },
+    registration_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Set for registrants
+      references: {
+        model: EventRegistration,
+        key: "id",
+      },
+    },
+    volunteer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Set for volunteers
+      references: {
+        model: Volunteer,
+        key: "id",
+      },
+    },
+    nonce: {
+      type: DataTypes.STRING(32),
+      allowNull: false,
+      unique: true,
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false, // Whole seconds; part of the signed token
+    },
+    issuedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: User,
+        key: "id",
+      },
+    },
+    redeemedAt: {
+      type: DataTypes.DATE,
+      allowNull: true, // When the pass was scanned, which may be before an offline upload
+    },
+    redeemedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: User,
+        key: "id",
+      },
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "CheckInTokens",
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ["event_id", "occurrence", "registration_id"],
+      },
+      {
+        unique: true,
+        fields: ["event_id", "occurrence", "volunteer_id"],
+      },
+    ],
+  }
+);
+
+CheckInToken.belongsTo(Event, { foreignKey: "event_id", as: "event" });
+CheckInToken.belongsTo(EventRegistration, { foreignKey: "registration_id", as: "registration" });
+CheckInToken.belongsTo(Volunteer, { foreignKey: "volunteer_id", as: "volunteer" });
+
+module.exports = CheckInToken;
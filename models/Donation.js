@@ -0,0 +1,88 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+const NGO = require("./NGO");
+const Donor = require("./Donor");
+const Project = require("./Project");
+
+const Donation = sequelize.define(
+  "Donation",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    ngo_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: NGO,
+        key: "id",
+      },
+    },
+    donor_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Donor,
+        key: "id",
+      },
+    },
+    project_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Optional designation of the gift to a project
+      references: {
+        model: Project,
+        key: "id",
+      },
+    },
+    amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      validate: {
+        min: 0.01,
+      },
+    },
+    currency: {
+      type: DataTypes.STRING(3), // ISO 4217 code, e.g. "INR"
+      allowNull: false,
+      defaultValue: "INR",
+    },
+    donationDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    paymentMethod: {
+      type: DataTypes.ENUM("cash", "cheque", "bank_transfer", "card", "upi", "online", "other"),
+      allowNull: false,
+    },
+    referenceNumber: {
+      type: DataTypes.STRING, // Cheque number, transaction ID, etc.
+      allowNull: true,
+    },
+    notes: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "Donations",
+    timestamps: true,
+  }
+);
+
+Donation.belongsTo(NGO, { foreignKey: "ngo_id" });
+Donation.belongsTo(Donor, { foreignKey: "donor_id" });
+Donation.belongsTo(Project, { foreignKey: "project_id" });
+Donor.hasMany(Donation, { foreignKey: "donor_id", as: "donations" });
+
+module.exports = Donation;
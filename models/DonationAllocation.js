@@ -0,0 +1,63 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+const Donation = require("./Donation");
+const Project = require("./Project");
+
+const DonationAllocation = sequelize.define(
+  "DonationAllocation",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    donation_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Donation,
+        key: "id",
+      },
+    },
+    project_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Project,
+        key: "id",
+      },
+    },
+    amount: {
+      type: DataTypes.DECIMAL(12, 2), // Part of the gift restricted to the project
+      allowNull: false,
+      validate: {
+        min: 0.01,
+      },
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "DonationAllocations",
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ["donation_id", "project_id"],
+      },
+    ],
+  }
+);
+
+DonationAllocation.belongsTo(Donation, { foreignKey: "donation_id" });
+DonationAllocation.belongsTo(Project, { foreignKey: "project_id" });
+Donation.hasMany(DonationAllocation, { foreignKey: "donation_id", as: "allocations" });
+Project.hasMany(DonationAllocation, { foreignKey: "project_id", as: "allocations" });
+
+module.exports = DonationAllocation;
@@ -1,5 +1,6 @@
 const { DataTypes } = require("sequelize");
 const sequelize = require("../config/db");
+const NGO = require("./NGO");
 
 const Donor = sequelize.define(
   "Donor",
@@ -9,6 +10,14 @@ const Donor = sequelize.define(
       primaryKey: true,
       autoIncrement: true,
     },
+    ngo_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: NGO,
+        key: "id",
+      },
+    },
     name: {
       type: DataTypes.STRING,
       allowNull: false,
@@ -16,14 +25,16 @@ const Donor = sequelize.define(
     email: {
       type: DataTypes.STRING,
       allowNull: false,
-      unique: true,
     },
     contact: {
       type: DataTypes.STRING,
     },
+    address: {
+      type: DataTypes.STRING, // Printed on donation receipts
+    },
     donationAmount: {
       type: DataTypes.FLOAT,
-      allowNull: false,
+      allowNull: true, // Legacy single-gift amount; gifts are now recorded as Donations
     },
     createdAt: {
       type: DataTypes.DATE,
@@ -37,7 +48,15 @@ const Donor = sequelize.define(
   {
     tableName: "Donors",
     timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ["ngo_id", "email"], // Email is unique within an NGO
+      },
+    ],
   }
 );
 
+Donor.belongsTo(NGO, { foreignKey: "ngo_id" });
+
 module.exports = Donor;
@@ -1,5 +1,6 @@
 const { DataTypes } = require("sequelize");
 const sequelize = require("../config/db");
+const NGO = require("./NGO");
 const User = require("./User");
 
 const Employee = sequelize.define(
@@ -10,6 +11,14 @@ const Employee = sequelize.define(
       primaryKey: true,
       autoIncrement: true,
     },
+    ngo_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: NGO,
+        key: "id",
+      },
+    },
     user_id: {
       type: DataTypes.INTEGER,
       references: {
@@ -45,4 +54,6 @@ const Employee = sequelize.define(
   }
 );
 
+Employee.belongsTo(NGO, { foreignKey: "ngo_id" });
+
 module.exports = Employee;
@@ -1,5 +1,7 @@
 const { DataTypes } = require("sequelize");
 const sequelize = require("../config/db");
+const NGO = require("./NGO");
+const Project = require("./Project");
 
 const Event = sequelize.define(
   "Event",
@@ -9,6 +11,22 @@ const Event = sequelize.define(
       primaryKey: true,
       autoIncrement: true,
     },
+    ngo_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: NGO,
+        key: "id",
+      },
+    },
+    project_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Project the event is run under; volunteer hours roll up to it
+      references: {
+        model: Project,
+        key: "id",
+      },
+    },
     name: {
       type: DataTypes.STRING,
       allowNull: false,
@@ -19,6 +37,27 @@ const Event = sequelize.define(
     date: {
       type: DataTypes.DATE,
     },
+    endDate: {
+      type: DataTypes.DATE,
+      allowNull: true, // When the event finishes; used to check volunteer availability
+    },
+    recurrence: {
+      type: DataTypes.STRING,
+      allowNull: true, // RRULE such as "FREQ=WEEKLY;BYDAY=SA"; date and endDate are the first occurrence
+    },
+    volunteersNeeded: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Total volunteers wanted, whatever their skills
+    },
+    published: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false, // Published events are listed publicly and open for registration
+    },
+    capacity: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Public registrations accepted before new ones are waitlisted; null for no limit
+    },
     location: {
       type: DataTypes.STRING,
     },
@@ -37,4 +76,7 @@ const Event = sequelize.define(
   }
 );
 
+Event.belongsTo(NGO, { foreignKey: "ngo_id" });
+Event.belongsTo(Project, { foreignKey: "project_id", as: "project" });
+
 module.exports = Event;
@@ -0,0 +1,86 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+const NGO = require("./NGO");
+const Event = require("./Event");
+
+// A change to one occurrence of a recurring event, identified by the date
+// the occurrence would originally have fallen on. It either cancels the
+// occurrence or overrides its time, name, location or description.
+const EventException = sequelize.define(
+  "EventException",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    ngo_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: NGO,
+        key: "id",
+      },
+    },
+    event_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Event,
+        key: "id",
+      },
+    },
+    originalDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    cancelled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    date: {
+      type: DataTypes.DATE,
+      allowNull: true, // New start; the occurrence keeps the event's duration unless endDate is set
+    },
+    endDate: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    location: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    description: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "EventExceptions",
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ["event_id", "originalDate"],
+      },
+    ],
+  }
+);
+
+EventException.belongsTo(Event, { foreignKey: "event_id", as: "event" });
+Event.hasMany(EventException, { foreignKey: "event_id", as: "exceptions" });
+
+module.exports = EventException;
@@ -0,0 +1,103 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+const NGO = require("./NGO");
+const Event = require("./Event");
+
+// A member of the public registered for one occurrence of a published
+// event. Capacity applies to each occurrence: once it is full new
+// registrations join its waitlist, which is served in registeredAt order
+// as places free up.
+const EventRegistration = sequelize.define(
+  "EventRegistration",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    ngo_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: NGO,
+        key: "id",
+      },
+    },
+    event_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Event,
+        key: "id",
+      },
+    },
+    occurrence: {
+      type: DataTypes.DATEONLY,
+      allowNull: false, // Original date of the occurrence (see utils/recurrence); for one-off events, the event's date
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false, // Stored lower-cased
+    },
+    phone: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    status: {
+      type: DataTypes.ENUM("registered", "waitlisted", "cancelled"),
+      allowNull: false,
+    },
+    registeredAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    promotedAt: {
+      type: DataTypes.DATE,
+      allowNull: true, // When the registration moved off the waitlist
+    },
+    cancelledAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    checkedInAt: {
+      type: DataTypes.DATE,
+      allowNull: true, // When the registrant's check-in pass was scanned at the event
+    },
+    cancelTokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false, // SHA-256 of the token emailed to the registrant for cancelling
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "EventRegistrations",
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ["event_id", "occurrence", "email"],
+      },
+      {
+        unique: true,
+        fields: ["cancelTokenHash"],
+      },
+    ],
+  }
+);
+
+EventRegistration.belongsTo(Event, { foreignKey: "event_id", as: "event" });
+Event.hasMany(EventRegistration, { foreignKey: "event_id", as: "registrations" });
+
+module.exports = EventRegistration;
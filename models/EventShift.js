@@ -0,0 +1,70 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+const NGO = require("./NGO");
+const Event = require("./Event");
+
+// A block of time at an event with a role to fill, e.g. "Registration desk,
+// 09:00-12:00, 4 volunteers".
+const EventShift = sequelize.define(
+  "EventShift",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    ngo_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: NGO,
+        key: "id",
+      },
+    },
+    event_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Event,
+        key: "id",
+      },
+    },
+    role: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    startTime: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    endTime: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    capacity: {
+      type: DataTypes.INTEGER,
+      allowNull: false, // Volunteers the shift needs; assignments beyond this are refused
+    },
+    notes: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "EventShifts",
+    timestamps: true,
+  }
+);
+
+EventShift.belongsTo(Event, { foreignKey: "event_id", as: "event" });
+Event.hasMany(EventShift, { foreignKey: "event_id", as: "shifts" });
+
+module.exports = EventShift;
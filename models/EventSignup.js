@@ -0,0 +1,85 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+const NGO = require("./NGO");
+const Volunteer = require("./Volunteer");
+const Event = require("./Event");
+
+// A volunteer signed up to help at one occurrence of an event. Withdrawing keeps the row so
+// coordinators can see who dropped out; signing up again reopens it.
+const EventSignup = sequelize.define(
+  "EventSignup",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    ngo_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: NGO,
+        key: "id",
+      },
+    },
+    volunteer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Volunteer,
+        key: "id",
+      },
+    },
+    event_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Event,
+        key: "id",
+      },
+    },
+    occurrence: {
+      type: DataTypes.DATEONLY,
+      allowNull: false, // Original date of the occurrence (see utils/recurrence); for one-off events, the event's date
+    },
+    status: {
+      type: DataTypes.ENUM("signed_up", "withdrawn"),
+      allowNull: false,
+      defaultValue: "signed_up",
+    },
+    signedUpAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    withdrawnAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "EventSignups",
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ["volunteer_id", "event_id", "occurrence"],
+      },
+    ],
+  }
+);
+
+EventSignup.belongsTo(Volunteer, { foreignKey: "volunteer_id", as: "volunteer" });
+EventSignup.belongsTo(Event, { foreignKey: "event_id", as: "event" });
+Volunteer.hasMany(EventSignup, { foreignKey: "volunteer_id", as: "signups" });
+Event.hasMany(EventSignup, { foreignKey: "event_id", as: "signups" });
+
+module.exports = EventSignup;
@@ -0,0 +1,91 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+const Project = require("./Project");
+const User = require("./User");
+
+const Expense = sequelize.define(
+  "Expense",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    project_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Project,
+        key: "id",
+      },
+    },
+    amount: {
+      type: DataTypes.DECIMAL(12, 2), // In the project's currency
+      allowNull: false,
+      validate: {
+        min: 0.01,
+      },
+    },
+    category: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    vendor: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    unrestrictedAmount: {
+      // Part of the expense paid from the NGO's unrestricted funds; the rest
+      // is drawn from gifts restricted to the project.
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+    },
+    expenseDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    description: {
+      type: DataTypes.STRING,
+    },
+    referenceNumber: {
+      type: DataTypes.STRING, // Invoice or bill number
+    },
+    approvedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: User,
+        key: "id",
+      },
+    },
+    recordedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: User,
+        key: "id",
+      },
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "Expenses",
+    timestamps: true,
+  }
+);
+
+Expense.belongsTo(Project, { foreignKey: "project_id" });
+Expense.belongsTo(User, { foreignKey: "approvedBy", as: "approver" });
+Expense.belongsTo(User, { foreignKey: "recordedBy", as: "recorder" });
+Project.hasMany(Expense, { foreignKey: "project_id", as: "expenses" });
+
+module.exports = Expense;
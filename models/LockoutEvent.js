@@ -0,0 +1,72 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+const User = require("./User");
+
+// Record of a username or IP address being locked out after repeated failed
+// logins, kept for review.
+const LockoutEvent = sequelize.define(
+  "LockoutEvent",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    scope: {
+      type: DataTypes.ENUM("account", "ip"),
+      allowNull: false,
+    },
+    identifier: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Null when the username does not exist or the lockout is per IP
+      references: {
+        model: User,
+        key: "id",
+      },
+    },
+    ipAddress: {
+      type: DataTypes.STRING,
+      allowNull: true, // Client that made the attempt that triggered the lockout
+    },
+    failures: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    lockedUntil: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    unlockedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    unlockedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: User,
+        key: "id",
+      },
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "LockoutEvents",
+    timestamps: true,
+  }
+);
+
+LockoutEvent.belongsTo(User, { foreignKey: "user_id", as: "user" });
+
+module.exports = LockoutEvent;
@@ -0,0 +1,59 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+
+// Failed login counter for one username or one client IP.
+const LoginThrottle = sequelize.define(
+  "LoginThrottle",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    scope: {
+      type: DataTypes.ENUM("account", "ip"),
+      allowNull: false,
+    },
+    identifier: {
+      type: DataTypes.STRING,
+      allowNull: false, // Lower-cased username, or the IP address
+    },
+    failures: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    firstFailureAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    nextAttemptAt: {
+      type: DataTypes.DATE,
+      allowNull: true, // Attempts before this are refused without checking the password
+    },
+    lockedUntil: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "LoginThrottles",
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ["scope", "identifier"],
+      },
+    ],
+  }
+);
+
+module.exports = LoginThrottle;
@@ -39,6 +39,16 @@ const NGO = sequelize.define(
       type: DataTypes.STRING,
       allowNull: true,
     },
+    status: {
+      // Users of a suspended NGO are locked out until it is reactivated
+      type: DataTypes.ENUM("active", "suspended"),
+      allowNull: false,
+      defaultValue: "active",
+    },
+    suspendedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
     createdAt: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW,
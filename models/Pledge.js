@@ -0,0 +1,95 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+const NGO = require("./NGO");
+const Donor = require("./Donor");
+const Project = require("./Project");
+
+const Pledge = sequelize.define(
+  "Pledge",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    ngo_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: NGO,
+        key: "id",
+      },
+    },
+    donor_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Donor,
+        key: "id",
+      },
+    },
+    project_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Optional designation of the pledged gifts
+      references: {
+        model: Project,
+        key: "id",
+      },
+    },
+    amount: {
+      type: DataTypes.DECIMAL(12, 2), // Amount per installment
+      allowNull: false,
+      validate: {
+        min: 0.01,
+      },
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: "INR",
+    },
+    frequency: {
+      type: DataTypes.ENUM("monthly", "quarterly", "yearly"),
+      allowNull: false,
+    },
+    startDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    endDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true, // Open-ended when null
+    },
+    status: {
+      type: DataTypes.ENUM("active", "paused", "cancelled"),
+      allowNull: false,
+      defaultValue: "active",
+    },
+    scheduleFrom: {
+      // Installments due before this date are not scheduled. Set to the
+      // start date on creation and moved forward when a pledge is resumed,
+      // so the paused period is not backfilled as overdue.
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "Pledges",
+    timestamps: true,
+  }
+);
+
+Pledge.belongsTo(NGO, { foreignKey: "ngo_id" });
+Pledge.belongsTo(Donor, { foreignKey: "donor_id" });
+Pledge.belongsTo(Project, { foreignKey: "project_id" });
+Donor.hasMany(Pledge, { foreignKey: "donor_id", as: "pledges" });
+
+module.exports = Pledge;
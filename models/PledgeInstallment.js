@@ -0,0 +1,77 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+const Pledge = require("./Pledge");
+const Donation = require("./Donation");
+
+const PledgeInstallment = sequelize.define(
+  "PledgeInstallment",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    pledge_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Pledge,
+        key: "id",
+      },
+    },
+    sequence: {
+      type: DataTypes.INTEGER, // 0 for the installment due on the start date
+      allowNull: false,
+    },
+    dueDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM("expected", "fulfilled", "partial", "overdue", "cancelled"),
+      allowNull: false,
+      defaultValue: "expected",
+    },
+    donation_id: {
+      type: DataTypes.INTEGER, // First donation applied to this installment; PledgePayment has them all
+      allowNull: true,
+      references: {
+        model: Donation,
+        key: "id",
+      },
+    },
+    amountReceived: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "PledgeInstallments",
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ["pledge_id", "sequence"],
+      },
+    ],
+  }
+);
+
+PledgeInstallment.belongsTo(Pledge, { foreignKey: "pledge_id" });
+PledgeInstallment.belongsTo(Donation, { foreignKey: "donation_id" });
+Pledge.hasMany(PledgeInstallment, { foreignKey: "pledge_id", as: "installments" });
+
+module.exports = PledgeInstallment;
@@ -0,0 +1,61 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+const PledgeInstallment = require("./PledgeInstallment");
+const Donation = require("./Donation");
+
+// A donation applied to a pledge installment. An installment paid in parts
+// has one row per gift; its amountReceived is their total.
+const PledgePayment = sequelize.define(
+  "PledgePayment",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    installment_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: PledgeInstallment,
+        key: "id",
+      },
+    },
+    donation_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Donation,
+        key: "id",
+      },
+    },
+    amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "PledgePayments",
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ["donation_id"], // A gift pays one installment
+      },
+    ],
+  }
+);
+
+PledgePayment.belongsTo(PledgeInstallment, { foreignKey: "installment_id" });
+PledgePayment.belongsTo(Donation, { foreignKey: "donation_id" });
+PledgeInstallment.hasMany(PledgePayment, { foreignKey: "installment_id", as: "payments" });
+
+module.exports = PledgePayment;
@@ -1,5 +1,7 @@
 const { DataTypes } = require("sequelize");
 const sequelize = require("../config/db");
+const NGO = require("./NGO");
+const User = require("./User");
 
 const Project = sequelize.define(
   "Project",
@@ -9,6 +11,14 @@ const Project = sequelize.define(
       primaryKey: true,
       autoIncrement: true,
     },
+    ngo_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: NGO,
+        key: "id",
+      },
+    },
     name: {
       type: DataTypes.STRING,
       allowNull: false,
@@ -22,6 +32,19 @@ const Project = sequelize.define(
     endDate: {
       type: DataTypes.DATE,
     },
+    currency: {
+      type: DataTypes.STRING(3), // Currency of the budget and expenses
+      allowNull: false,
+      defaultValue: "INR",
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: User,
+        key: "id",
+      },
+    },
     createdAt: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW,
@@ -37,4 +60,7 @@ const Project = sequelize.define(
   }
 );
 
+Project.belongsTo(NGO, { foreignKey: "ngo_id" });
+Project.belongsTo(User, { foreignKey: "createdBy", as: "creator" });
+
 module.exports = Project;
@@ -0,0 +1,76 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+const Beneficiary = require("./Beneficiary");
+const Project = require("./Project");
+const User = require("./User");
+
+const ProjectEnrollment = sequelize.define(
+  "ProjectEnrollment",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    beneficiary_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Beneficiary,
+        key: "id",
+      },
+    },
+    project_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Project,
+        key: "id",
+      },
+    },
+    enrolledOn: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    exitedOn: {
+      type: DataTypes.DATEONLY,
+      allowNull: true, // Set when the enrollment is completed or withdrawn
+    },
+    status: {
+      type: DataTypes.ENUM("active", "suspended", "completed", "withdrawn"),
+      allowNull: false,
+      defaultValue: "active",
+    },
+    exitReason: {
+      type: DataTypes.STRING,
+    },
+    enrolledBy: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: User,
+        key: "id",
+      },
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "ProjectEnrollments",
+    timestamps: true,
+  }
+);
+
+ProjectEnrollment.belongsTo(Beneficiary, { foreignKey: "beneficiary_id" });
+ProjectEnrollment.belongsTo(Project, { foreignKey: "project_id" });
+Beneficiary.hasMany(ProjectEnrollment, { foreignKey: "beneficiary_id", as: "enrollments" });
+Project.hasMany(ProjectEnrollment, { foreignKey: "project_id", as: "enrollments" });
+
+module.exports = ProjectEnrollment;
@@ -0,0 +1,120 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+const NGO = require("./NGO");
+const Donor = require("./Donor");
+const Donation = require("./Donation");
+const User = require("./User");
+
+const Receipt = sequelize.define(
+  "Receipt",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    ngo_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: NGO,
+        key: "id",
+      },
+    },
+    donor_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Donor,
+        key: "id",
+      },
+    },
+    donation_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Donation,
+        key: "id",
+      },
+    },
+    fiscalYear: {
+      type: DataTypes.STRING, // e.g. "2026-27"
+      allowNull: false,
+    },
+    sequence: {
+      type: DataTypes.INTEGER, // Position within the NGO's fiscal-year series
+      allowNull: false,
+    },
+    receiptNumber: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+    },
+    // Amount and currency are copied from the donation at issue time so a
+    // receipt never changes after it has been handed to the donor.
+    amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM("issued", "void"),
+      allowNull: false,
+      defaultValue: "issued",
+    },
+    issuedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    issuedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: User,
+        key: "id",
+      },
+    },
+    voidedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    voidReason: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    replaces_id: {
+      type: DataTypes.INTEGER, // Voided receipt this one was reissued for
+      allowNull: true,
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "Receipts",
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ["ngo_id", "fiscalYear", "sequence"],
+      },
+    ],
+  }
+);
+
+Receipt.belongsTo(NGO, { foreignKey: "ngo_id" });
+Receipt.belongsTo(Donor, { foreignKey: "donor_id" });
+Receipt.belongsTo(Donation, { foreignKey: "donation_id" });
+Receipt.belongsTo(Receipt, { foreignKey: "replaces_id", as: "replaces" });
+Donation.hasMany(Receipt, { foreignKey: "donation_id", as: "receipts" });
+
+module.exports = Receipt;
@@ -0,0 +1,56 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+const Receipt = require("./Receipt");
+const User = require("./User");
+
+const ReceiptAuditLog = sequelize.define(
+  "ReceiptAuditLog",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    receipt_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Receipt,
+        key: "id",
+      },
+    },
+    action: {
+      type: DataTypes.ENUM("issued", "downloaded", "voided", "reissued"),
+      allowNull: false,
+    },
+    performedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: User,
+        key: "id",
+      },
+    },
+    details: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "ReceiptAuditLogs",
+    timestamps: true,
+  }
+);
+
+ReceiptAuditLog.belongsTo(Receipt, { foreignKey: "receipt_id" });
+Receipt.hasMany(ReceiptAuditLog, { foreignKey: "receipt_id", as: "auditTrail" });
+
+module.exports = ReceiptAuditLog;
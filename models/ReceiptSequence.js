@@ -0,0 +1,53 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+const NGO = require("./NGO");
+
+// Last receipt number handed out per NGO and fiscal year. Rows are locked
+// while a number is allocated so numbers are sequential and never reused.
+const ReceiptSequence = sequelize.define(
+  "ReceiptSequence",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    ngo_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: NGO,
+        key: "id",
+      },
+    },
+    fiscalYear: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    lastNumber: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "ReceiptSequences",
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ["ngo_id", "fiscalYear"],
+      },
+    ],
+  }
+);
+
+module.exports = ReceiptSequence;
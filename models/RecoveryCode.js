@@ -0,0 +1,47 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+const User = require("./User");
+
+// Single-use two-factor recovery codes. Only a hash of each code is stored.
+const RecoveryCode = sequelize.define(
+  "RecoveryCode",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: User,
+        key: "id",
+      },
+    },
+    codeHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+    },
+    usedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "RecoveryCodes",
+    timestamps: true,
+  }
+);
+
+RecoveryCode.belongsTo(User, { foreignKey: "user_id" });
+
+module.exports = RecoveryCode;
@@ -1,6 +1,11 @@
 const { DataTypes } = require("sequelize");
 const sequelize = require("../config/db");
+const NGO = require("./NGO");
+const Beneficiary = require("./Beneficiary");
+const AidAllocation = require("./AidAllocation");
+const User = require("./User");
 
+// An aid disbursement: money paid out to a beneficiary under an approved allocation.
 const Report = sequelize.define(
   "Report",
   {
@@ -9,14 +14,57 @@ const Report = sequelize.define(
       primaryKey: true,
       autoIncrement: true,
     },
-    title: {
-      type: DataTypes.STRING,
+    ngo_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: NGO,
+        key: "id",
+      },
+    },
+    beneficiary_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Beneficiary,
+        key: "id",
+      },
+    },
+    aid_allocation_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: AidAllocation,
+        key: "id",
+      },
+    },
+    aid_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      validate: {
+        min: 0.01,
+      },
+    },
+    currency: {
+      type: DataTypes.STRING(3), // Copied from the allocation
       allowNull: false,
+      defaultValue: "INR",
     },
-    content: {
-      type: DataTypes.TEXT,
+    aid_date: {
+      type: DataTypes.DATEONLY,
       allowNull: false,
     },
+    notes: {
+      type: DataTypes.STRING,
+    },
+    disbursedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: User,
+        key: "id",
+      },
+    },
     createdAt: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW,
@@ -32,4 +80,10 @@ const Report = sequelize.define(
   }
 );
 
+Report.belongsTo(NGO, { foreignKey: "ngo_id" });
+Report.belongsTo(Beneficiary, { foreignKey: "beneficiary_id", as: "beneficiary" });
+Report.belongsTo(AidAllocation, { foreignKey: "aid_allocation_id", as: "allocation" });
+Beneficiary.hasMany(Report, { foreignKey: "beneficiary_id", as: "disbursements" });
+AidAllocation.hasMany(Report, { foreignKey: "aid_allocation_id", as: "disbursements" });
+
 module.exports = Report;
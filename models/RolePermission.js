@@ -0,0 +1,43 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+
+// A permission granted to a role. Managed through /api/roles; see
+// utils/permissions for the catalogue and defaults.
+const RolePermission = sequelize.define(
+  "RolePermission",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    role: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    permission: {
+      type: DataTypes.STRING,
+      allowNull: false, // "resource:action", e.g. "donors:write"
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "RolePermissions",
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ["role", "permission"],
+      },
+    ],
+  }
+);
+
+module.exports = RolePermission;
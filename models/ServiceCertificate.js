@@ -0,0 +1,116 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+const NGO = require("./NGO");
+const Volunteer = require("./Volunteer");
+const Project = require("./Project");
+const User = require("./User");
+
+// Proof of a volunteer's hours over a period. Hours are copied in at issue
+// time and signed, so a certificate never changes after it is handed out
+// and anyone holding the verification code can check it.
+const ServiceCertificate = sequelize.define(
+  "ServiceCertificate",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    ngo_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: NGO,
+        key: "id",
+      },
+    },
+    volunteer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Volunteer,
+        key: "id",
+      },
+    },
+    project_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Set when the certificate only covers one project
+      references: {
+        model: Project,
+        key: "id",
+      },
+    },
+    verificationCode: {
+      type: DataTypes.STRING(16),
+      allowNull: false,
+      unique: true,
+    },
+    periodStart: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    periodEnd: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    totalHours: {
+      type: DataTypes.DECIMAL(8, 2),
+      allowNull: false,
+    },
+    breakdown: {
+      type: DataTypes.JSON,
+      allowNull: false, // Hours per project, e.g. [{ project_id, project, hours }]
+    },
+    signature: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+    },
+    issuedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    issuedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: User,
+        key: "id",
+      },
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    revokedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: User,
+        key: "id",
+      },
+    },
+    revokeReason: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "ServiceCertificates",
+    timestamps: true,
+  }
+);
+
+ServiceCertificate.belongsTo(NGO, { foreignKey: "ngo_id", as: "ngo" });
+ServiceCertificate.belongsTo(Volunteer, { foreignKey: "volunteer_id", as: "volunteer" });
+ServiceCertificate.belongsTo(Project, { foreignKey: "project_id", as: "project" });
+Volunteer.hasMany(ServiceCertificate, { foreignKey: "volunteer_id", as: "certificates" });
+
+module.exports = ServiceCertificate;
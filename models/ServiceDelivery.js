@@ -0,0 +1,88 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+const Beneficiary = require("./Beneficiary");
+const Project = require("./Project");
+const Event = require("./Event");
+const User = require("./User");
+
+const ServiceDelivery = sequelize.define(
+  "ServiceDelivery",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    beneficiary_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Beneficiary,
+        key: "id",
+      },
+    },
+    project_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Project under which the service was delivered
+      references: {
+        model: Project,
+        key: "id",
+      },
+    },
+    event_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Event at which the service was delivered
+      references: {
+        model: Event,
+        key: "id",
+      },
+    },
+    serviceType: {
+      type: DataTypes.STRING, // e.g. "food ration", "medical checkup", "tuition"
+      allowNull: false,
+    },
+    description: {
+      type: DataTypes.STRING,
+    },
+    quantity: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+    },
+    unit: {
+      type: DataTypes.STRING, // e.g. "kg", "sessions"
+      allowNull: true,
+    },
+    deliveredOn: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    recordedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: User,
+        key: "id",
+      },
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "ServiceDeliveries",
+    timestamps: true,
+  }
+);
+
+ServiceDelivery.belongsTo(Beneficiary, { foreignKey: "beneficiary_id" });
+ServiceDelivery.belongsTo(Project, { foreignKey: "project_id" });
+ServiceDelivery.belongsTo(Event, { foreignKey: "event_id" });
+Beneficiary.hasMany(ServiceDelivery, { foreignKey: "beneficiary_id", as: "services" });
+
+module.exports = ServiceDelivery;
@@ -0,0 +1,75 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+const User = require("./User");
+
+// A login session. Holds the hash of the session's current refresh token;
+// every refresh replaces it and bumps the generation, so access tokens and
+// refresh tokens issued before the rotation stop working.
+const Session = sequelize.define(
+  "Session",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: User,
+        key: "id",
+      },
+    },
+    refreshTokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false, // SHA-256 of the current refresh token; the token itself is never stored
+    },
+    generation: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false, // The refresh token stops working after this
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    revokedReason: {
+      type: DataTypes.ENUM("logout", "logout_all", "admin", "token_reuse", "password_reset"),
+      allowNull: true,
+    },
+    ipAddress: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    userAgent: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "Sessions",
+    timestamps: true,
+  }
+);
+
+Session.belongsTo(User, { foreignKey: "user_id" });
+User.hasMany(Session, { foreignKey: "user_id", as: "sessions" });
+
+module.exports = Session;
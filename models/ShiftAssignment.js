@@ -0,0 +1,85 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+const NGO = require("./NGO");
+const EventShift = require("./EventShift");
+const Volunteer = require("./Volunteer");
+const User = require("./User");
+
+// A volunteer rostered onto a shift. Cancelling keeps the row; assigning
+// the volunteer again reopens it.
+const ShiftAssignment = sequelize.define(
+  "ShiftAssignment",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    ngo_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: NGO,
+        key: "id",
+      },
+    },
+    shift_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: EventShift,
+        key: "id",
+      },
+    },
+    volunteer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Volunteer,
+        key: "id",
+      },
+    },
+    status: {
+      type: DataTypes.ENUM("assigned", "cancelled"),
+      allowNull: false,
+      defaultValue: "assigned",
+    },
+    assignedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: User,
+        key: "id",
+      },
+    },
+    cancelledAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "ShiftAssignments",
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ["shift_id", "volunteer_id"],
+      },
+    ],
+  }
+);
+
+ShiftAssignment.belongsTo(EventShift, { foreignKey: "shift_id", as: "shift" });
+ShiftAssignment.belongsTo(Volunteer, { foreignKey: "volunteer_id", as: "volunteer" });
+EventShift.hasMany(ShiftAssignment, { foreignKey: "shift_id", as: "assignments" });
+Volunteer.hasMany(ShiftAssignment, { foreignKey: "volunteer_id", as: "shiftAssignments" });
+
+module.exports = ShiftAssignment;
@@ -0,0 +1,64 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+const NGO = require("./NGO");
+
+// An entry in an NGO's skills taxonomy, e.g. "First aid" under "Medical".
+// Skills that need a certificate only count for a volunteer while they
+// hold a current certification for them.
+const Skill = sequelize.define(
+  "Skill",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    ngo_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: NGO,
+        key: "id",
+      },
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    category: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    description: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    requiresCertification: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "Skills",
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ["ngo_id", "name"],
+      },
+    ],
+  }
+);
+
+Skill.belongsTo(NGO, { foreignKey: "ngo_id" });
+
+module.exports = Skill;
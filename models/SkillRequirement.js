@@ -0,0 +1,79 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+const NGO = require("./NGO");
+const Event = require("./Event");
+const Project = require("./Project");
+const Skill = require("./Skill");
+
+// How many volunteers with a skill an event or project needs. Exactly one
+// of event_id and project_id is set.
+const SkillRequirement = sequelize.define(
+  "SkillRequirement",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    ngo_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: NGO,
+        key: "id",
+      },
+    },
+    event_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: Event,
+        key: "id",
+      },
+    },
+    project_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: Project,
+        key: "id",
+      },
+    },
+    skill_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Skill,
+        key: "id",
+      },
+    },
+    headcount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+    },
+    minLevel: {
+      type: DataTypes.ENUM("beginner", "intermediate", "expert"),
+      allowNull: false,
+      defaultValue: "beginner",
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "SkillRequirements",
+    timestamps: true,
+  }
+);
+
+SkillRequirement.belongsTo(Skill, { foreignKey: "skill_id", as: "skill" });
+Event.hasMany(SkillRequirement, { foreignKey: "event_id", as: "skillRequirements" });
+Project.hasMany(SkillRequirement, { foreignKey: "project_id", as: "skillRequirements" });
+
+module.exports = SkillRequirement;
@@ -0,0 +1,54 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+const User = require("./User");
+
+// A user's TOTP authenticator. Kept off the User model so the secret can
+// never be returned or mass-assigned through the user endpoints.
+const TwoFactorCredential = sequelize.define(
+  "TwoFactorCredential",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: User,
+        key: "id",
+      },
+    },
+    secret: {
+      type: DataTypes.TEXT,
+      allowNull: false, // Encrypted with utils/totp encryptSecret
+    },
+    enabledAt: {
+      type: DataTypes.DATE,
+      allowNull: true, // Null while enrollment is pending confirmation
+    },
+    lastUsedStep: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Time step of the last accepted code, to stop replays
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "TwoFactorCredentials",
+    timestamps: true,
+  }
+);
+
+TwoFactorCredential.belongsTo(User, { foreignKey: "user_id" });
+User.hasOne(TwoFactorCredential, { foreignKey: "user_id", as: "twoFactor" });
+
+module.exports = TwoFactorCredential;
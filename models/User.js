@@ -1,5 +1,6 @@
 const { DataTypes } = require("sequelize");
 const sequelize = require("../config/db");
+const NGO = require("./NGO");
 
 const User = sequelize.define(
   "User",
@@ -9,6 +10,14 @@ const User = sequelize.define(
       primaryKey: true,
       autoIncrement: true,
     },
+    ngo_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Platform admins do not belong to an NGO
+      references: {
+        model: NGO,
+        key: "id",
+      },
+    },
     username: {
       type: DataTypes.STRING,
       unique: true,
@@ -18,14 +27,17 @@ const User = sequelize.define(
       type: DataTypes.STRING,
       allowNull: false, // Mandatory password
     },
-    role: { // Role adapted for NGO use
+    role: { // Permissions per role live in utils/permissions; "admin" is the platform admin
       type: DataTypes.ENUM(
         "admin",
-        "donor",
+        "ngo_admin",
+        "coordinator",
+        "employee",
         "volunteer",
-        "beneficiary",
-        "employee"
+        "donor",
+        "beneficiary"
       ),
+      allowNull: false,
       defaultValue: "volunteer",
     },
     email: {
@@ -33,6 +45,10 @@ const User = sequelize.define(
       unique: true,
       allowNull: true,
     },
+    emailVerifiedAt: {
+      type: DataTypes.DATE,
+      allowNull: true, // Cleared whenever the email address changes
+    },
     phone: {
       type: DataTypes.STRING,
     },
@@ -96,4 +112,6 @@ const User = sequelize.define(
   }
 );
 
+User.belongsTo(NGO, { foreignKey: "ngo_id" });
+
 module.exports = User;
@@ -0,0 +1,61 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+const User = require("./User");
+
+// Single-use tokens sent to a user by email. Only a SHA-256 hash of the
+// token is stored.
+const UserToken = sequelize.define(
+  "UserToken",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: User,
+        key: "id",
+      },
+    },
+    purpose: {
+      type: DataTypes.ENUM("password_reset", "email_verification"),
+      allowNull: false,
+    },
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false, // Address the token was sent to; a verification only counts for this address
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    usedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "UserTokens",
+    timestamps: true,
+  }
+);
+
+UserToken.belongsTo(User, { foreignKey: "user_id" });
+
+module.exports = UserToken;
@@ -1,5 +1,7 @@
 const { DataTypes } = require("sequelize");
 const sequelize = require("../config/db");
+const NGO = require("./NGO");
+const User = require("./User");
 
 const Volunteer = sequelize.define(
   "Volunteer",
@@ -9,6 +11,23 @@ const Volunteer = sequelize.define(
       primaryKey: true,
       autoIncrement: true,
     },
+    ngo_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: NGO,
+        key: "id",
+      },
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Login account of the volunteer, for the /api/me/volunteer portal
+      unique: true,
+      references: {
+        model: User,
+        key: "id",
+      },
+    },
     name: {
       type: DataTypes.STRING,
       allowNull: false,
@@ -16,11 +35,14 @@ const Volunteer = sequelize.define(
     email: {
       type: DataTypes.STRING,
       allowNull: false,
-      unique: true,
     },
     contact: {
       type: DataTypes.STRING,
     },
+    languages: {
+      type: DataTypes.JSON,
+      allowNull: true, // Languages spoken, e.g. ["English", "Hindi"]
+    },
     createdAt: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW,
@@ -33,7 +55,16 @@ const Volunteer = sequelize.define(
   {
     tableName: "Volunteers",
     timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ["ngo_id", "email"], // Email is unique within an NGO
+      },
+    ],
   }
 );
 
+Volunteer.belongsTo(NGO, { foreignKey: "ngo_id" });
+Volunteer.belongsTo(User, { foreignKey: "user_id", as: "user" });
+
 module.exports = Volunteer;
@@ -0,0 +1,52 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+const Volunteer = require("./Volunteer");
+
+// A weekly window in which a volunteer is free, e.g. Saturdays 09:00-13:00.
+// Times are in the server's time zone (set TZ to the NGO's zone).
+const VolunteerAvailability = sequelize.define(
+  "VolunteerAvailability",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    volunteer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Volunteer,
+        key: "id",
+      },
+    },
+    dayOfWeek: {
+      type: DataTypes.INTEGER,
+      allowNull: false, // 0 = Sunday ... 6 = Saturday
+    },
+    startTime: {
+      type: DataTypes.STRING(5),
+      allowNull: false, // "HH:MM"
+    },
+    endTime: {
+      type: DataTypes.STRING(5),
+      allowNull: false, // "HH:MM", after startTime
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "VolunteerAvailability",
+    timestamps: true,
+  }
+);
+
+Volunteer.hasMany(VolunteerAvailability, { foreignKey: "volunteer_id", as: "availability" });
+
+module.exports = VolunteerAvailability;
@@ -0,0 +1,68 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+const Volunteer = require("./Volunteer");
+const Skill = require("./Skill");
+
+const VolunteerCertification = sequelize.define(
+  "VolunteerCertification",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    volunteer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Volunteer,
+        key: "id",
+      },
+    },
+    skill_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Skill the certification qualifies the volunteer for, if any
+      references: {
+        model: Skill,
+        key: "id",
+      },
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false, // e.g. "Red Cross First Aid"
+    },
+    issuer: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    certificateNumber: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    issuedOn: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+    },
+    expiresOn: {
+      type: DataTypes.DATEONLY,
+      allowNull: true, // null means the certification does not expire
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "VolunteerCertifications",
+    timestamps: true,
+  }
+);
+
+VolunteerCertification.belongsTo(Skill, { foreignKey: "skill_id", as: "skill" });
+Volunteer.hasMany(VolunteerCertification, { foreignKey: "volunteer_id", as: "certifications" });
+
+module.exports = VolunteerCertification;
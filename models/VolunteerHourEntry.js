@@ -0,0 +1,113 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+const NGO = require("./NGO");
+const Volunteer = require("./Volunteer");
+const Project = require("./Project");
+const Event = require("./Event");
+const User = require("./User");
+
+// Hours logged by hand for work that had no check-in, e.g. remote tasks.
+// They only count toward a volunteer's totals once a coordinator approves
+// them.
+const VolunteerHourEntry = sequelize.define(
+  "VolunteerHourEntry",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    ngo_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: NGO,
+        key: "id",
+      },
+    },
+    volunteer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Volunteer,
+        key: "id",
+      },
+    },
+    project_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: Project,
+        key: "id",
+      },
+    },
+    event_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: Event,
+        key: "id",
+      },
+    },
+    date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    hours: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+    },
+    description: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM("pending", "approved", "rejected"),
+      allowNull: false,
+      defaultValue: "pending",
+    },
+    submittedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: User,
+        key: "id",
+      },
+    },
+    reviewedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: User,
+        key: "id",
+      },
+    },
+    reviewedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    reviewNote: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "VolunteerHourEntries",
+    timestamps: true,
+  }
+);
+
+VolunteerHourEntry.belongsTo(Volunteer, { foreignKey: "volunteer_id", as: "volunteer" });
+VolunteerHourEntry.belongsTo(Project, { foreignKey: "project_id", as: "project" });
+VolunteerHourEntry.belongsTo(Event, { foreignKey: "event_id", as: "event" });
+Volunteer.hasMany(VolunteerHourEntry, { foreignKey: "volunteer_id", as: "hourEntries" });
+
+module.exports = VolunteerHourEntry;
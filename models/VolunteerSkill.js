@@ -0,0 +1,59 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/db");
+const Volunteer = require("./Volunteer");
+const Skill = require("./Skill");
+
+const VolunteerSkill = sequelize.define(
+  "VolunteerSkill",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    volunteer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Volunteer,
+        key: "id",
+      },
+    },
+    skill_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Skill,
+        key: "id",
+      },
+    },
+    level: {
+      type: DataTypes.ENUM("beginner", "intermediate", "expert"),
+      allowNull: false,
+      defaultValue: "beginner",
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "VolunteerSkills",
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ["volunteer_id", "skill_id"],
+      },
+    ],
+  }
+);
+
+VolunteerSkill.belongsTo(Skill, { foreignKey: "skill_id", as: "skill" });
+Volunteer.hasMany(VolunteerSkill, { foreignKey: "volunteer_id", as: "skills" });
+
+module.exports = VolunteerSkill;
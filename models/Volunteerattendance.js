@@ -1,7 +1,9 @@
 const { DataTypes } = require("sequelize");
 const sequelize = require("../config/db");
+const NGO = require("./NGO");
 const Volunteer = require("./Volunteer");
 const Event = require("./Event");
+const EventShift = require("./EventShift");
 
 const VolunteerAttendance = sequelize.define(
   "VolunteerAttendance",
@@ -11,6 +13,14 @@ const VolunteerAttendance = sequelize.define(
       primaryKey: true,
       autoIncrement: true,
     },
+    ngo_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: NGO,
+        key: "id",
+      },
+    },
     volunteer_id: {
       type: DataTypes.INTEGER,
       references: {
@@ -25,12 +35,36 @@ const VolunteerAttendance = sequelize.define(
         key: "id",
       },
     },
+    shift_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Shift the volunteer checked in to
+      references: {
+        model: EventShift,
+        key: "id",
+      },
+    },
+    occurrence: {
+      type: DataTypes.DATEONLY,
+      allowNull: true, // Original date of the event occurrence attended; null for records outside an event
+    },
     status: {
-      type: DataTypes.BOOLEAN,
+      type: DataTypes.BOOLEAN, // Whether the volunteer attended; set on check-in
     },
     date: {
       type: DataTypes.DATE,
     },
+    checkInAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    checkOutAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    hours: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: true, // Hours served; worked out from check-in and check-out when both are recorded
+    },
     createdAt: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW,
@@ -43,7 +77,18 @@ const VolunteerAttendance = sequelize.define(
   {
     tableName: "VolunteerAttendance",
     timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ["shift_id", "volunteer_id"], // One check-in per volunteer per shift
+      },
+    ],
   }
 );
 
+VolunteerAttendance.belongsTo(NGO, { foreignKey: "ngo_id" });
+VolunteerAttendance.belongsTo(Volunteer, { foreignKey: "volunteer_id", as: "volunteer" });
+VolunteerAttendance.belongsTo(Event, { foreignKey: "event_id", as: "event" });
+VolunteerAttendance.belongsTo(EventShift, { foreignKey: "shift_id", as: "shift" });
+
 module.exports = VolunteerAttendance;
@@ -1,12 +1,22 @@
 const express = require("express");
 const router = express.Router();
 const authMiddleware = require('../middleware/authMiddleware');
+const requirePermission = require('../middleware/requirePermission');
 const volunteerAttendanceController = require("../controllers/VolunteerattendanceController");
+const attendanceAnalyticsController = require("../controllers/attendanceAnalyticsController");
 
-router.get("/", authMiddleware, volunteerAttendanceController.getAllVolunteerAttendance);
-router.get("/:id", authMiddleware, volunteerAttendanceController.getVolunteerAttendanceById);
-router.post("/", authMiddleware, volunteerAttendanceController.createVolunteerAttendance);
-router.put("/:id", authMiddleware, volunteerAttendanceController.updateVolunteerAttendance);
-router.delete("/:id", authMiddleware, volunteerAttendanceController.deleteVolunteerAttendance);
+router.get("/", authMiddleware, requirePermission("attendance:read"), volunteerAttendanceController.getAllVolunteerAttendance);
+router.post("/bulk", authMiddleware, requirePermission("attendance:write"), volunteerAttendanceController.bulkMarkAttendance);
+
+router.get("/analytics/volunteers", authMiddleware, requirePermission("attendance:read"), attendanceAnalyticsController.getVolunteerRates);
+router.get("/analytics/events", authMiddleware, requirePermission("attendance:read"), attendanceAnalyticsController.getEventRates);
+router.get("/analytics/months", authMiddleware, requirePermission("attendance:read"), attendanceAnalyticsController.getMonthlyRates);
+router.get("/analytics/no-show-streaks", authMiddleware, requirePermission("attendance:read"), attendanceAnalyticsController.getNoShowStreaks);
+router.get("/analytics/reliable-volunteers", authMiddleware, requirePermission("attendance:read"), attendanceAnalyticsController.getReliableVolunteers);
+
+router.get("/:id", authMiddleware, requirePermission("attendance:read"), volunteerAttendanceController.getVolunteerAttendanceById);
+router.post("/", authMiddleware, requirePermission("attendance:write"), volunteerAttendanceController.createVolunteerAttendance);
+router.put("/:id", authMiddleware, requirePermission("attendance:write"), volunteerAttendanceController.updateVolunteerAttendance);
+router.delete("/:id", authMiddleware, requirePermission("attendance:write"), volunteerAttendanceController.deleteVolunteerAttendance);
 
 module.exports = router;
@@ -2,15 +2,17 @@ const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
 const authenticateToken = require('../middleware/authMiddleware');
+const requirePermission = require('../middleware/requirePermission');
  // Correct import
 
 // Apply authentication middleware
 router.use(authenticateToken);
+router.use(requirePermission('admins:manage'));
 
-router.get('/admins', adminController.getAllAdmins);
-router.get('/admins/:id', adminController.getAdminById);
-router.post('/admins', adminController.createAdmin);
-router.put('/admins/:id', adminController.updateAdmin);
-router.delete('/admins/:id', adminController.deleteAdmin);
+router.get('/', adminController.getAllAdmins);
+router.get('/:id', adminController.getAdminById);
+router.post('/', adminController.createAdmin);
+router.put('/:id', adminController.updateAdmin);
+router.delete('/:id', adminController.deleteAdmin);
 
 module.exports = router;
@@ -0,0 +1,13 @@
+const express = require("express");
+const authMiddleware = require("../middleware/authMiddleware");
+const requirePermission = require("../middleware/requirePermission");
+const apiKeyController = require("../controllers/apiKeyController");
+const router = express.Router();
+
+router.get("/", authMiddleware, requirePermission("api_keys:manage"), apiKeyController.getApiKeys);
+router.get("/:id", authMiddleware, requirePermission("api_keys:manage"), apiKeyController.getApiKeyById);
+router.post("/", authMiddleware, requirePermission("api_keys:manage"), apiKeyController.createApiKey);
+router.put("/:id", authMiddleware, requirePermission("api_keys:manage"), apiKeyController.updateApiKey);
+router.delete("/:id", authMiddleware, requirePermission("api_keys:manage"), apiKeyController.revokeApiKey);
+
+module.exports = router;
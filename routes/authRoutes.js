@@ -2,10 +2,26 @@
 const express = require("express");
 const router = express.Router();
 const authController = require("../controllers/authController");
+const twoFactorController = require("../controllers/twoFactorController");
 const authMiddleware = require("../middleware/authMiddleware");
+const twoFactorEnrollmentMiddleware = require("../middleware/twoFactorEnrollmentMiddleware");
+const requireUserLogin = require("../middleware/requireUserLogin");
+const requirePermission = require("../middleware/requirePermission");
 
-router.post("/register/admin", authController.adminRegister);
-router.post("/register/ngoadmin", authMiddleware, authController.ngoAdminRegister);
+router.post("/register/admin", authMiddleware, requirePermission("admins:manage"), authController.adminRegister);
+router.post("/register/ngoadmin", authMiddleware, requirePermission("ngos:manage"), authController.ngoAdminRegister);
 router.post("/login", authController.login);
+router.post("/login/2fa", twoFactorController.verifyLogin);
+router.post("/refresh", authController.refresh);
+router.post("/logout", authMiddleware, requireUserLogin, authController.logout);
+router.post("/logout-all", authMiddleware, requireUserLogin, authController.logoutAll);
+router.post("/forgot-password", authController.forgotPassword);
+router.post("/reset-password", authController.resetPassword);
+router.post("/verify-email", authController.verifyEmail);
+router.post("/verify-email/resend", authMiddleware, requireUserLogin, authController.resendVerification);
+router.post("/2fa/setup", twoFactorEnrollmentMiddleware, requireUserLogin, twoFactorController.setup);
+router.post("/2fa/enable", twoFactorEnrollmentMiddleware, requireUserLogin, twoFactorController.enable);
+router.post("/2fa/disable", authMiddleware, requireUserLogin, twoFactorController.disable);
+router.post("/2fa/recovery-codes", authMiddleware, requireUserLogin, twoFactorController.regenerateRecoveryCodes);
 
 module.exports = router;
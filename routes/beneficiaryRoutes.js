@@ -1,21 +1,36 @@
 const express = require('express');
 const router = express.Router();
 const beneficiaryController = require('../controllers/beneficiaryController');
+const aidAllocationController = require('../controllers/aidAllocationController');
+const serviceDeliveryController = require('../controllers/serviceDeliveryController');
 const authMiddleware = require('../middleware/authMiddleware');
+const requirePermission = require('../middleware/requirePermission');
 
 // Route to get all beneficiaries
-router.get('/', authMiddleware, beneficiaryController.getAllBeneficiaries);
+router.get('/', authMiddleware, requirePermission('beneficiaries:read'), beneficiaryController.getAllBeneficiaries);
 
 // Route to get a beneficiary by ID
-router.get('/:id', authMiddleware, beneficiaryController.getBeneficiaryById);
+router.get('/:id', authMiddleware, requirePermission('beneficiaries:read'), beneficiaryController.getBeneficiaryById);
 
 // Route to create a new beneficiary
-router.post('/', authMiddleware, beneficiaryController.createBeneficiary);
+router.post('/', authMiddleware, requirePermission('beneficiaries:write'), beneficiaryController.createBeneficiary);
 
 // Route to update a beneficiary by ID
-router.put('/:id', authMiddleware, beneficiaryController.updateBeneficiary);
+router.put('/:id', authMiddleware, requirePermission('beneficiaries:write'), beneficiaryController.updateBeneficiary);
 
 // Route to delete a beneficiary by ID
-router.delete('/:id', authMiddleware, beneficiaryController.deleteBeneficiary);
+router.delete('/:id', authMiddleware, requirePermission('beneficiaries:write'), beneficiaryController.deleteBeneficiary);
+
+// Route to get a beneficiary's enrollments and service history
+router.get('/:id/history', authMiddleware, requirePermission('beneficiaries:read'), serviceDeliveryController.getBeneficiaryHistory);
+
+// Routes to record and delete services delivered to a beneficiary
+router.post('/:id/services', authMiddleware, requirePermission('beneficiaries:write'), serviceDeliveryController.recordService);
+router.delete('/:id/services/:serviceId', authMiddleware, requirePermission('beneficiaries:write'), serviceDeliveryController.deleteService);
+
+// Routes to list, approve and update a beneficiary's aid allocations
+router.get('/:id/aid-allocations', authMiddleware, requirePermission('aid:read'), aidAllocationController.getAidAllocations);
+router.post('/:id/aid-allocations', authMiddleware, requirePermission('aid:write'), aidAllocationController.createAidAllocation);
+router.put('/:id/aid-allocations/:allocationId', authMiddleware, requirePermission('aid:write'), aidAllocationController.updateAidAllocation);
 
 module.exports = router;
@@ -1,12 +1,31 @@
 const express = require("express");
 const router = express.Router();
 const donorController = require("../controllers/donorController");
+const donationController = require("../controllers/donationController");
+const pledgeController = require("../controllers/pledgeController");
+const statementController = require("../controllers/statementController");
 const authMiddleware = require("../middleware/authMiddleware");
+const requirePermission = require("../middleware/requirePermission");
 
-router.get("/", authMiddleware, donorController.getAllDonors);
-router.get("/:id", authMiddleware, donorController.getDonorById);
-router.post("/", authMiddleware, donorController.createDonor);
-router.put("/:id", authMiddleware, donorController.updateDonor);
-router.delete("/:id", authMiddleware, donorController.deleteDonor);
+router.get("/", authMiddleware, requirePermission("donors:read"), donorController.getAllDonors);
+router.get("/statements/:year", authMiddleware, requirePermission("donations:read"), statementController.getStatementSummary);
+router.get("/:id", authMiddleware, requirePermission("donors:read"), donorController.getDonorById);
+router.post("/", authMiddleware, requirePermission("donors:write"), donorController.createDonor);
+router.put("/:id", authMiddleware, requirePermission("donors:write"), donorController.updateDonor);
+router.delete("/:id", authMiddleware, requirePermission("donors:write"), donorController.deleteDonor);
+
+router.get("/:id/donations", authMiddleware, requirePermission("donations:read"), donationController.getDonationsByDonor);
+router.post("/:id/donations", authMiddleware, requirePermission("donations:write"), donationController.createDonation);
+router.put("/:id/donations/:donationId", authMiddleware, requirePermission("donations:write"), donationController.updateDonation);
+router.delete("/:id/donations/:donationId", authMiddleware, requirePermission("donations:write"), donationController.deleteDonation);
+router.get("/:id/donations/:donationId/allocations", authMiddleware, requirePermission("donations:read"), donationController.getDonationAllocations);
+router.put("/:id/donations/:donationId/allocations", authMiddleware, requirePermission("donations:write"), donationController.updateDonationAllocations);
+
+router.get("/:id/pledges", authMiddleware, requirePermission("donations:read"), pledgeController.getPledgesByDonor);
+router.post("/:id/pledges", authMiddleware, requirePermission("donations:write"), pledgeController.createPledge);
+router.get("/:id/pledges/:pledgeId", authMiddleware, requirePermission("donations:read"), pledgeController.getPledgeById);
+router.put("/:id/pledges/:pledgeId", authMiddleware, requirePermission("donations:write"), pledgeController.updatePledge);
+
+router.get("/:id/statements/:year", authMiddleware, requirePermission("donations:read"), statementController.getDonorStatement);
 
 module.exports = router;
@@ -1,11 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const employeeController = require('../controllers/employeeController');
+const authMiddleware = require('../middleware/authMiddleware');
+const requirePermission = require('../middleware/requirePermission');
 
-router.get('/', employeeController.getAllEmployees);
-router.get('/:id', employeeController.getEmployeeById);
-router.post('/', employeeController.createEmployee);
-router.put('/:id', employeeController.updateEmployee); // Ensure this handler is defined
-router.delete('/:id', employeeController.deleteEmployee); // Ensure this handler is defined
+router.get('/', authMiddleware, requirePermission('employees:read'), employeeController.getAllEmployees);
+router.get('/:id', authMiddleware, requirePermission('employees:read'), employeeController.getEmployeeById);
+router.post('/', authMiddleware, requirePermission('employees:write'), employeeController.createEmployee);
+router.put('/:id', authMiddleware, requirePermission('employees:write'), employeeController.updateEmployee);
+router.delete('/:id', authMiddleware, requirePermission('employees:write'), employeeController.deleteEmployee);
 
 module.exports = router;
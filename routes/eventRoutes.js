@@ -1,20 +1,43 @@
 const express = require("express");
 const authMiddleware = require("../middleware/authMiddleware");
+const requirePermission = require("../middleware/requirePermission");
 const eventController = require("../controllers/eventController");
+const staffingController = require("../controllers/staffingController");
+const shiftController = require("../controllers/shiftController");
+const eventRegistrationController = require("../controllers/eventRegistrationController");
+const calendarController = require("../controllers/calendarController");
+const checkInController = require("../controllers/checkInController");
 const router = express.Router();
 
-const adminMiddleware = (req, res, next) => {
-    const currentUser = req.user;
-    if (currentUser.type === "admin") {
-        return next();
-    }
-    return res.status(401).send("Unauthorized. Only admin users can access this resource.");
-};
+router.get("/", authMiddleware, requirePermission("events:read"), eventController.getAllEvents);
+router.get("/:id", authMiddleware, requirePermission("events:read"), eventController.getEventById);
+router.post("/", authMiddleware, requirePermission("events:write"), eventController.createEvent);
+router.put("/:id", authMiddleware, requirePermission("events:write"), eventController.updateEvent);
+router.delete("/:id", authMiddleware, requirePermission("events:write"), eventController.deleteEvent);
 
-router.get("/", authMiddleware, adminMiddleware, eventController.getAllEvents);
-router.get("/:id", authMiddleware, adminMiddleware, eventController.getEventById);
-router.post("/", authMiddleware, adminMiddleware, eventController.createEvent);
-router.put("/:id", authMiddleware, adminMiddleware, eventController.updateEvent);
-router.delete("/:id", authMiddleware, adminMiddleware, eventController.deleteEvent);
+router.get("/:id/occurrences", authMiddleware, requirePermission("events:read"), calendarController.getOccurrences);
+router.put("/:id/occurrences/:occurrence", authMiddleware, requirePermission("events:write"), calendarController.updateOccurrence);
+router.delete("/:id/occurrences/:occurrence", authMiddleware, requirePermission("events:write"), calendarController.restoreOccurrence);
+
+router.get("/:id/skill-requirements", authMiddleware, requirePermission("events:read"), staffingController.getEventRequirements);
+router.put("/:id/skill-requirements", authMiddleware, requirePermission("events:write"), staffingController.setEventRequirements);
+router.get("/:id/matches", authMiddleware, requirePermission("events:read", "volunteers:read"), staffingController.getEventMatches);
+
+router.get("/:id/shifts", authMiddleware, requirePermission("events:read"), shiftController.getShifts);
+router.post("/:id/shifts", authMiddleware, requirePermission("events:write"), shiftController.createShift);
+router.put("/:id/shifts/:shiftId", authMiddleware, requirePermission("events:write"), shiftController.updateShift);
+router.delete("/:id/shifts/:shiftId", authMiddleware, requirePermission("events:write"), shiftController.deleteShift);
+router.post("/:id/shifts/:shiftId/assignments", authMiddleware, requirePermission("events:read", "volunteers:write"), shiftController.assignVolunteer);
+router.delete("/:id/shifts/:shiftId/assignments/:volunteerId", authMiddleware, requirePermission("events:read", "volunteers:write"), shiftController.unassignVolunteer);
+router.post("/:id/shifts/:shiftId/check-in", authMiddleware, requirePermission("attendance:write"), shiftController.checkIn);
+router.post("/:id/shifts/:shiftId/check-out", authMiddleware, requirePermission("attendance:write"), shiftController.checkOut);
+
+router.get("/:id/registrations", authMiddleware, requirePermission("events:read"), eventRegistrationController.getRegistrations);
+router.delete("/:id/registrations/:registrationId", authMiddleware, requirePermission("events:write"), eventRegistrationController.cancelRegistrant);
+
+router.get("/:id/check-in-passes", authMiddleware, requirePermission("attendance:read"), checkInController.getPasses);
+router.post("/:id/check-in-passes", authMiddleware, requirePermission("attendance:write"), checkInController.issuePasses);
+router.post("/:id/check-ins", authMiddleware, requirePermission("attendance:write"), checkInController.checkIn);
+router.post("/:id/check-ins/batch", authMiddleware, requirePermission("attendance:write"), checkInController.uploadCheckIns);
 
 module.exports = router;
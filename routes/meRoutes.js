@@ -0,0 +1,29 @@
+const express = require("express");
+const authMiddleware = require("../middleware/authMiddleware");
+const requireUserLogin = require("../middleware/requireUserLogin");
+const volunteerPortalController = require("../controllers/volunteerPortalController");
+const router = express.Router();
+
+// Self-service for the logged-in user. No permission is needed: each
+// handler only reaches the caller's own records.
+router.use(authMiddleware, requireUserLogin);
+
+router.get("/volunteer", volunteerPortalController.getMyProfile);
+router.put("/volunteer", volunteerPortalController.updateMyProfile);
+router.get("/volunteer/events", volunteerPortalController.getUpcomingEvents);
+router.get("/volunteer/assignments", volunteerPortalController.getMyAssignments);
+router.get("/volunteer/shifts", volunteerPortalController.getMyShifts);
+router.post("/volunteer/calendar-feed", volunteerPortalController.createMyCalendarFeed);
+router.delete("/volunteer/calendar-feed", volunteerPortalController.deleteMyCalendarFeed);
+router.post("/volunteer/events/:eventId/signup", volunteerPortalController.signUpForEvent);
+router.delete("/volunteer/events/:eventId/signup", volunteerPortalController.withdrawFromEvent);
+router.get("/volunteer/events/:eventId/check-in-pass", volunteerPortalController.getMyCheckInPass);
+router.get("/volunteer/attendance", volunteerPortalController.getMyAttendance);
+router.get("/volunteer/hours", volunteerPortalController.getMyHours);
+router.get("/volunteer/hours/entries", volunteerPortalController.getMyHourEntries);
+router.post("/volunteer/hours/entries", volunteerPortalController.logMyHours);
+router.get("/volunteer/certificates", volunteerPortalController.getMyCertificates);
+router.post("/volunteer/certificates", volunteerPortalController.requestMyCertificate);
+router.get("/volunteer/certificates/:certificateId/pdf", volunteerPortalController.downloadMyCertificatePdf);
+
+module.exports = router;
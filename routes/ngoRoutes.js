@@ -0,0 +1,16 @@
+const express = require("express");
+const router = express.Router();
+const ngoController = require("../controllers/ngoController");
+const authMiddleware = require("../middleware/authMiddleware");
+const requirePermission = require("../middleware/requirePermission");
+
+router.get("/", authMiddleware, requirePermission("ngos:manage"), ngoController.getAllNgos);
+router.post("/onboard", authMiddleware, requirePermission("ngos:manage"), ngoController.onboardNgo);
+router.get("/:id", authMiddleware, requirePermission("ngos:read"), ngoController.getNgoById);
+router.post("/", authMiddleware, requirePermission("ngos:manage"), ngoController.createNgo);
+router.put("/:id", authMiddleware, requirePermission("ngos:write"), ngoController.updateNgo);
+router.post("/:id/suspend", authMiddleware, requirePermission("ngos:manage"), ngoController.suspendNgo);
+router.post("/:id/reactivate", authMiddleware, requirePermission("ngos:manage"), ngoController.reactivateNgo);
+router.delete("/:id", authMiddleware, requirePermission("ngos:manage"), ngoController.deleteNgo);
+
+module.exports = router;
@@ -2,13 +2,37 @@
 
 const express = require("express");
 const router = express.Router();
-const projectController = require("../controllers/ProjectController");
+const projectController = require("../controllers/projectController");
+const projectBudgetController = require("../controllers/projectBudgetController");
+const expenseController = require("../controllers/expenseController");
+const enrollmentController = require("../controllers/enrollmentController");
+const staffingController = require("../controllers/staffingController");
 const authMiddleware = require("../middleware/authMiddleware");
+const requirePermission = require("../middleware/requirePermission");
 
-router.get("/", authMiddleware, projectController.getAllProjects);
-router.get("/:id", authMiddleware, projectController.getProjectById);
-router.post("/", authMiddleware, projectController.createProject);
-router.put("/:id", authMiddleware, projectController.updateProjectById); // Updated method name
-router.delete("/:id", authMiddleware, projectController.deleteProjectById); // Updated method name
+router.get("/", authMiddleware, requirePermission("projects:read"), projectController.getAllProjects);
+router.get("/:id", authMiddleware, requirePermission("projects:read"), projectController.getProjectById);
+router.post("/", authMiddleware, requirePermission("projects:write"), projectController.createProject);
+router.put("/:id", authMiddleware, requirePermission("projects:write"), projectController.updateProjectById); // Updated method name
+router.delete("/:id", authMiddleware, requirePermission("projects:write"), projectController.deleteProjectById); // Updated method name
+
+router.get("/:id/budget", authMiddleware, requirePermission("finances:read"), projectBudgetController.getBudget);
+router.post("/:id/budget", authMiddleware, requirePermission("finances:write"), projectBudgetController.createBudgetLineItem);
+router.put("/:id/budget/:lineItemId", authMiddleware, requirePermission("finances:write"), projectBudgetController.updateBudgetLineItem);
+router.delete("/:id/budget/:lineItemId", authMiddleware, requirePermission("finances:write"), projectBudgetController.deleteBudgetLineItem);
+router.get("/:id/financials", authMiddleware, requirePermission("finances:read"), projectBudgetController.getProjectFinancials);
+router.get("/:id/allocations", authMiddleware, requirePermission("finances:read"), projectBudgetController.getProjectAllocations);
+
+router.get("/:id/expenses", authMiddleware, requirePermission("finances:read"), expenseController.getExpensesByProject);
+router.post("/:id/expenses", authMiddleware, requirePermission("finances:write"), expenseController.createExpense);
+router.put("/:id/expenses/:expenseId", authMiddleware, requirePermission("finances:write"), expenseController.updateExpense);
+router.delete("/:id/expenses/:expenseId", authMiddleware, requirePermission("finances:write"), expenseController.deleteExpense);
+
+router.get("/:id/beneficiaries", authMiddleware, requirePermission("beneficiaries:read"), enrollmentController.getProjectBeneficiaries);
+router.post("/:id/beneficiaries", authMiddleware, requirePermission("beneficiaries:write"), enrollmentController.enrollBeneficiary);
+router.put("/:id/beneficiaries/:enrollmentId", authMiddleware, requirePermission("beneficiaries:write"), enrollmentController.updateEnrollment);
+
+router.get("/:id/skill-requirements", authMiddleware, requirePermission("projects:read"), staffingController.getProjectRequirements);
+router.put("/:id/skill-requirements", authMiddleware, requirePermission("projects:write"), staffingController.setProjectRequirements);
 
 module.exports = router;
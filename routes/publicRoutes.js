@@ -0,0 +1,18 @@
+const express = require("express");
+const certificateController = require("../controllers/certificateController");
+const eventRegistrationController = require("../controllers/eventRegistrationController");
+const calendarController = require("../controllers/calendarController");
+const router = express.Router();
+
+// No authentication: anyone holding a link or code printed on a document
+// can check it here. Handlers must only return what is already public.
+router.get("/certificates/:code", certificateController.verifyCertificate);
+router.get("/events", eventRegistrationController.getPublicEvents);
+router.get("/events/:id", eventRegistrationController.getPublicEvent);
+router.post("/events/:id/registrations", eventRegistrationController.register);
+router.post("/registrations/cancel", eventRegistrationController.cancelByToken);
+router.get("/calendar/ngos/:ngoId.ics", calendarController.getNgoFeed);
+router.get("/calendar/projects/:projectId.ics", calendarController.getProjectFeed);
+router.get("/calendar/shifts/:token.ics", calendarController.getShiftFeed);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require("express");
+const router = express.Router();
+const receiptController = require("../controllers/receiptController");
+const authMiddleware = require("../middleware/authMiddleware");
+const requirePermission = require("../middleware/requirePermission");
+
+router.get("/", authMiddleware, requirePermission("receipts:read"), receiptController.getAllReceipts);
+router.get("/:id", authMiddleware, requirePermission("receipts:read"), receiptController.getReceiptById);
+router.get("/:id/pdf", authMiddleware, requirePermission("receipts:read"), receiptController.downloadReceiptPdf);
+router.post("/", authMiddleware, requirePermission("receipts:write"), receiptController.createReceipt);
+router.post("/:id/reissue", authMiddleware, requirePermission("receipts:write"), receiptController.reissueReceipt);
+router.post("/:id/void", authMiddleware, requirePermission("receipts:write"), receiptController.voidReceipt);
+
+module.exports = router;
@@ -1,22 +1,26 @@
 const express = require("express");
 const authMiddleware = require("../middleware/authMiddleware");
+const requirePermission = require("../middleware/requirePermission");
 const reportController = require("../controllers/reportController");
 
 const router = express.Router();
 
 // Route to get all reports with optional query parameters for pagination and filtering
-router.get("/", authMiddleware, reportController.getAllReports);
+router.get("/", authMiddleware, requirePermission("aid:read"), reportController.getAllReports);
+
+// Route to get aid totals per beneficiary or per period
+router.get("/totals", authMiddleware, requirePermission("aid:read"), reportController.getReportTotals);
 
 // Route to get a specific report by ID
-router.get("/:id", authMiddleware, reportController.getReportById);
+router.get("/:id", authMiddleware, requirePermission("aid:read"), reportController.getReportById);
 
 // Route to create a new report
-router.post("/", authMiddleware, reportController.createReport);
+router.post("/", authMiddleware, requirePermission("aid:write"), reportController.createReport);
 
 // Route to update a specific report by ID
-router.put("/:id", authMiddleware, reportController.updateReportById);
+router.put("/:id", authMiddleware, requirePermission("aid:write"), reportController.updateReportById);
 
 // Route to delete a specific report by ID
-router.delete("/:id", authMiddleware, reportController.deleteReportById);
+router.delete("/:id", authMiddleware, requirePermission("aid:write"), reportController.deleteReportById);
 
 module.exports = router;
@@ -0,0 +1,10 @@
+const express = require("express");
+const authMiddleware = require("../middleware/authMiddleware");
+const requirePermission = require("../middleware/requirePermission");
+const roleController = require("../controllers/roleController");
+const router = express.Router();
+
+router.get("/", authMiddleware, requirePermission("roles:manage"), roleController.getRoles);
+router.put("/:role/permissions", authMiddleware, requirePermission("roles:manage"), roleController.updateRolePermissions);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require("express");
+const authMiddleware = require("../middleware/authMiddleware");
+const requirePermission = require("../middleware/requirePermission");
+const skillController = require("../controllers/skillController");
+const router = express.Router();
+
+router.get("/", authMiddleware, requirePermission("volunteers:read"), skillController.getSkills);
+router.post("/", authMiddleware, requirePermission("volunteers:write"), skillController.createSkill);
+router.put("/:id", authMiddleware, requirePermission("volunteers:write"), skillController.updateSkill);
+router.delete("/:id", authMiddleware, requirePermission("volunteers:write"), skillController.deleteSkill);
+
+module.exports = router;
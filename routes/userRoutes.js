@@ -1,12 +1,17 @@
 const express = require("express");
 const authMiddleware = require("../middleware/authMiddleware");
+const requirePermission = require("../middleware/requirePermission");
 const router = express.Router();
 const userController = require("../controllers/userController");
 
-router.get("/", authMiddleware, userController.getAllUsers);
-router.get("/:id", authMiddleware, userController.getUserById);
-router.post("/", authMiddleware, userController.createUser);
-router.put("/:id", authMiddleware, userController.updateUser);
-router.delete("/:id", authMiddleware, userController.deleteUser)
+router.get("/", authMiddleware, requirePermission("users:read"), userController.getAllUsers);
+router.get("/lockout-events", authMiddleware, requirePermission("users:security"), userController.getLockoutEvents);
+router.get("/:id", authMiddleware, requirePermission("users:read"), userController.getUserById);
+router.post("/", authMiddleware, requirePermission("users:write"), userController.createUser);
+router.put("/:id", authMiddleware, requirePermission("users:write"), userController.updateUser);
+router.delete("/:id", authMiddleware, requirePermission("users:write"), userController.deleteUser)
+router.post("/:id/revoke-sessions", authMiddleware, requirePermission("users:security"), userController.revokeSessions);
+router.post("/:id/unlock", authMiddleware, requirePermission("users:security"), userController.unlockUser);
+router.post("/:id/2fa/reset", authMiddleware, requirePermission("users:security"), userController.resetTwoFactor);
 
 module.exports = router;
\ No newline at end of file
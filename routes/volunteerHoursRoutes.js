@@ -0,0 +1,14 @@
+const express = require("express");
+const authMiddleware = require("../middleware/authMiddleware");
+const requirePermission = require("../middleware/requirePermission");
+const volunteerHoursController = require("../controllers/volunteerHoursController");
+const router = express.Router();
+
+router.get("/entries", authMiddleware, requirePermission("attendance:read"), volunteerHoursController.getHourEntries);
+router.post("/entries", authMiddleware, requirePermission("attendance:write"), volunteerHoursController.createHourEntry);
+router.post("/entries/:id/approve", authMiddleware, requirePermission("attendance:write"), volunteerHoursController.approveHourEntry);
+router.post("/entries/:id/reject", authMiddleware, requirePermission("attendance:write"), volunteerHoursController.rejectHourEntry);
+router.get("/ledger", authMiddleware, requirePermission("attendance:read"), volunteerHoursController.getLedger);
+router.get("/summary", authMiddleware, requirePermission("attendance:read"), volunteerHoursController.getSummary);
+
+module.exports = router;
@@ -1,16 +1,28 @@
 const express = require('express');
 const router = express.Router();
 const { getAllVolunteers, getVolunteerById, createVolunteer, deleteVolunteerById, updateVolunteerById } = require('../controllers/volunteerController');
+const volunteerProfileController = require('../controllers/volunteerProfileController');
+const certificateController = require('../controllers/certificateController');
+const authMiddleware = require('../middleware/authMiddleware');
+const requirePermission = require('../middleware/requirePermission');
 
-// Middleware to authenticate and authorize might be applied here
-// For example:
-// const { authenticate, authorize } = require('../middleware/auth');
+router.get('/', authMiddleware, requirePermission('volunteers:read'), getAllVolunteers);
+router.get('/:id', authMiddleware, requirePermission('volunteers:read'), getVolunteerById);
+router.post('/', authMiddleware, requirePermission('volunteers:write'), createVolunteer);
+router.delete('/:id', authMiddleware, requirePermission('volunteers:write'), deleteVolunteerById);
+router.put('/:id', authMiddleware, requirePermission('volunteers:write'), updateVolunteerById);
 
-router.get('/', getAllVolunteers);
-router.get('/:id', getVolunteerById);
-router.post('/', createVolunteer);
-router.delete('/:id', deleteVolunteerById);
-router.put('/:id', updateVolunteerById);
+router.get('/:id/skills', authMiddleware, requirePermission('volunteers:read'), volunteerProfileController.getVolunteerSkills);
+router.put('/:id/skills', authMiddleware, requirePermission('volunteers:write'), volunteerProfileController.setVolunteerSkills);
+router.get('/:id/certifications', authMiddleware, requirePermission('volunteers:read'), volunteerProfileController.getCertifications);
+router.post('/:id/certifications', authMiddleware, requirePermission('volunteers:write'), volunteerProfileController.createCertification);
+router.put('/:id/certifications/:certificationId', authMiddleware, requirePermission('volunteers:write'), volunteerProfileController.updateCertification);
+router.delete('/:id/certifications/:certificationId', authMiddleware, requirePermission('volunteers:write'), volunteerProfileController.deleteCertification);
+router.get('/:id/availability', authMiddleware, requirePermission('volunteers:read'), volunteerProfileController.getAvailability);
+router.put('/:id/availability', authMiddleware, requirePermission('volunteers:write'), volunteerProfileController.setAvailability);
+router.get('/:id/certificates', authMiddleware, requirePermission('attendance:read'), certificateController.getCertificates);
+router.post('/:id/certificates', authMiddleware, requirePermission('attendance:write'), certificateController.createCertificate);
+router.get('/:id/certificates/:certificateId/pdf', authMiddleware, requirePermission('attendance:read'), certificateController.downloadCertificatePdf);
+router.post('/:id/certificates/:certificateId/revoke', authMiddleware, requirePermission('attendance:write'), certificateController.revokeCertificate);
 
 module.exports = router;
-
@@ -0,0 +1,113 @@
+process.env.APP_URL = "https://ngo.example.org";
+
+const { Op } = require("sequelize");
+const sequelize = require("../config/db");
+const UserToken = require("../models/UserToken");
+const { setTransport } = require("../utils/mailer");
+const { hashToken } = require("../utils/sessions");
+const { consumeToken, sendPasswordResetEmail, sendVerificationEmail } = require("../utils/accountTokens");
+
+const transaction = { LOCK: { UPDATE: "UPDATE" } };
+const user = { id: 7, username: "ana", email: "ana@example.org" };
+
+// UserToken rows and sent mail kept in memory.
+let tokens;
+let sent;
+
+const matches = (row, where) =>
+  Object.entries(where).every(([field, value]) =>
+    value && value[Op.gt] ? row[field] > value[Op.gt] : row[field] === value
+  );
+
+// The plain token from the link in the last email sent.
+const lastToken = () => sent[sent.length - 1].text.match(/token=([0-9a-f]+)/)[1];
+
+beforeEach(() => {
+  tokens = [];
+  sent = [];
+  setTransport({ sendMail: async (message) => sent.push(message) });
+
+  jest.spyOn(UserToken, "create").mockImplementation(async (fields) => {
+    const row = { id: tokens.length + 1, usedAt: null, ...fields, save: jest.fn().mockResolvedValue() };
+    tokens.push(row);
+    return row;
+  });
+  jest.spyOn(UserToken, "update").mockImplementation(async (changes, { where }) => {
+    const rows = tokens.filter((row) => matches(row, where));
+    rows.forEach((row) => Object.assign(row, changes));
+    return [rows.length];
+  });
+  jest
+    .spyOn(UserToken, "findOne")
+    .mockImplementation(async ({ where }) => tokens.find((row) => matches(row, where)) || null);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+afterAll(() => {
+  setTransport(null);
+  return sequelize.close();
+});
+
+describe("sendPasswordResetEmail", () => {
+  it("mails a reset link and stores only the token's hash", async () => {
+    await sendPasswordResetEmail(user);
+
+    expect(sent[0]).toMatchObject({ to: "ana@example.org", subject: "Reset your password" });
+    expect(sent[0].text).toContain("https://ngo.example.org/reset-password?token=");
+    expect(tokens[0]).toMatchObject({ user_id: 7, purpose: "password_reset", tokenHash: hashToken(lastToken()) });
+  });
+
+  it("retires earlier unused tokens for the same purpose only", async () => {
+    await sendPasswordResetEmail(user);
+    const first = lastToken();
+    await sendVerificationEmail(user);
+    const verification = lastToken();
+    await sendPasswordResetEmail(user);
+
+    expect(await consumeToken(first, "password_reset", transaction)).toBeNull();
+    expect(await consumeToken(lastToken(), "password_reset", transaction)).not.toBeNull();
+    expect(await consumeToken(verification, "email_verification", transaction)).not.toBeNull();
+  });
+});
+
+describe("consumeToken", () => {
+  it("works once", async () => {
+    await sendVerificationEmail(user);
+    const token = lastToken();
+
+    const used = await consumeToken(token, "email_verification", transaction);
+    expect(used).toMatchObject({ user_id: 7, email: "ana@example.org" });
+    expect(used.usedAt).toBeInstanceOf(Date);
+    expect(used.save).toHaveBeenCalledWith({ transaction });
+
+    expect(await consumeToken(token, "email_verification", transaction)).toBeNull();
+  });
+
+  it("locks the token row while using it", async () => {
+    await sendVerificationEmail(user);
+    await consumeToken(lastToken(), "email_verification", transaction);
+    expect(UserToken.findOne).toHaveBeenCalledWith(expect.objectContaining({ lock: "UPDATE", transaction }));
+  });
+
+  it("refuses a token for another purpose", async () => {
+    await sendVerificationEmail(user);
+    expect(await consumeToken(lastToken(), "password_reset", transaction)).toBeNull();
+  });
+
+  it("refuses an expired token", async () => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date("2026-04-01T09:00:00Z"));
+    await sendPasswordResetEmail(user);
+
+    jest.setSystemTime(new Date("2026-04-01T10:00:01Z"));
+    expect(await consumeToken(lastToken(), "password_reset", transaction)).toBeNull();
+  });
+
+  it("refuses unknown tokens", async () => {
+    await sendPasswordResetEmail(user);
+    expect(await consumeToken("not-a-token", "password_reset", transaction)).toBeNull();
+  });
+});
@@ -0,0 +1,107 @@
+const { Op } = require("sequelize");
+const sequelize = require("../config/db");
+const AidAllocation = require("../models/AidAllocation");
+const Report = require("../models/Report");
+const {
+  disbursedInCents,
+  attachBalances,
+  lockAllocation,
+  checkDisbursement,
+  periodKey,
+} = require("../utils/aidAllocations");
+
+const transaction = { LOCK: { UPDATE: "UPDATE" } };
+
+const allocation = {
+  id: 6,
+  status: "approved",
+  approvedAmount: "300.00",
+  currency: "USD",
+  periodStart: "2026-01-01",
+  periodEnd: "2026-06-30",
+};
+
+// Disbursements (Reports) against allocation 6, kept in memory.
+let reports;
+
+beforeEach(() => {
+  reports = [
+    { id: 1, aid_allocation_id: 6, aid_amount: "100.10" },
+    { id: 2, aid_allocation_id: 6, aid_amount: "0.20" },
+  ];
+  jest.spyOn(Report, "sum").mockImplementation(async (column, { where }) => {
+    const rows = reports.filter(
+      (report) => report.aid_allocation_id === where.aid_allocation_id && (!where.id || report.id !== where.id[Op.ne])
+    );
+    return rows.length ? rows.reduce((sum, report) => sum + parseFloat(report[column]), 0) : null;
+  });
+});
+
+afterEach(() => jest.restoreAllMocks());
+afterAll(() => sequelize.close());
+
+describe("disbursedInCents", () => {
+  it("adds up the allocation's disbursements", async () => {
+    expect(await disbursedInCents(6)).toBe(10030);
+    expect(await disbursedInCents(7)).toBe(0);
+  });
+
+  it("can leave out the disbursement being corrected", async () => {
+    expect(await disbursedInCents(6, { excludeReportId: 1 })).toBe(20);
+  });
+});
+
+describe("attachBalances", () => {
+  it("adds the disbursed and remaining amounts", async () => {
+    const loaded = { ...allocation, dataValues: {} };
+    await attachBalances([loaded]);
+    expect(loaded.dataValues).toEqual({ disbursedAmount: "100.30", remainingAmount: "199.70" });
+  });
+});
+
+describe("lockAllocation", () => {
+  it("locks the allocation row", async () => {
+    jest.spyOn(AidAllocation, "findOne").mockResolvedValue(allocation);
+    await lockAllocation(6, transaction);
+    expect(AidAllocation.findOne).toHaveBeenCalledWith({ where: { id: 6 }, lock: "UPDATE", transaction });
+  });
+});
+
+describe("checkDisbursement", () => {
+  it("allows a disbursement up to what is left", async () => {
+    expect(await checkDisbursement(allocation, "199.70", "2026-03-01", transaction)).toBeNull();
+  });
+
+  it("refuses one that exceeds what is left", async () => {
+    expect(await checkDisbursement(allocation, "199.71", "2026-03-01", transaction)).toBe(
+      "aid_amount exceeds the remaining approved allocation of 199.70 USD."
+    );
+  });
+
+  it("does not count the disbursement being corrected against itself", async () => {
+    expect(await checkDisbursement(allocation, "299.80", "2026-03-01", transaction, 1)).toBeNull();
+  });
+
+  it("refuses dates outside the allocation period", async () => {
+    expect(await checkDisbursement(allocation, "1.00", "2026-07-01", transaction)).toBe(
+      "aid_date must fall within the allocation period 2026-01-01 to 2026-06-30."
+    );
+    expect(await checkDisbursement(allocation, "1.00", "2026-06-30", transaction)).toBeNull();
+  });
+
+  it("refuses disbursements against a revoked allocation", async () => {
+    expect(await checkDisbursement({ ...allocation, status: "revoked" }, "1.00", "2026-03-01", transaction)).toBe(
+      "The aid allocation has been revoked."
+    );
+  });
+});
+
+describe("periodKey", () => {
+  it.each([
+    ["month", "2026-04"],
+    ["quarter", "2026-Q2"],
+    ["year", "2026"],
+  ])("buckets by %s", (period, key) => {
+    expect(periodKey("2026-04-15", period)).toBe(key);
+  });
+});
@@ -0,0 +1,119 @@
+const request = require("supertest");
+const app = require("../app");
+const sequelize = require("../config/db");
+const ApiKey = require("../models/ApiKey");
+const User = require("../models/User");
+const NGO = require("../models/NGO");
+const { signChallenge } = require("../utils/twoFactor");
+
+// Turn a mounted router's path regexp (e.g. /^\/api\/donors\/?(?=\/|$)/i)
+// back into its mount path.
+const mountPath = (layer) =>
+  layer.regexp.source
+    .replace("\\/?(?=\\/|$)", "")
+    .replace(/^\^/, "")
+    .replace(/\\\//g, "/");
+
+// Every method + path registered under /api, with route params filled in.
+const apiRoutes = () => {
+  const routes = [];
+  for (const layer of app._router.stack) {
+    if (layer.name !== "router") continue;
+
+    const base = mountPath(layer);
+    // /api/public is deliberately open; see the public routes test below
+    if (!base.startsWith("/api/") || base === "/api/public") continue;
+
+    for (const child of layer.handle.stack) {
+      if (!child.route) continue;
+      const path = (base + child.route.path).replace(/\/$/, "").replace(/:\w+/g, "1");
+      for (const method of Object.keys(child.route.methods)) {
+        routes.push([method.toUpperCase(), path]);
+      }
+    }
+  }
+  return routes;
+};
+
+const routes = apiRoutes();
+
+afterAll(() => sequelize.close());
+
+describe("anonymous access to /api", () => {
+  it("finds the API routes", () => {
+    const paths = routes.map(([, path]) => path);
+    expect(routes.length).toBeGreaterThan(50);
+    expect(paths).toEqual(expect.arrayContaining(["/api/admins", "/api/employees", "/api/volunteers"]));
+    expect(paths.some((path) => path.startsWith("/api/public"))).toBe(false);
+  });
+
+  it.each(routes)("%s %s rejects a request without a token", async (method, path) => {
+    const res = await request(app)[method.toLowerCase()](path);
+    expect(res.status).toBe(401);
+  });
+
+  it.each(routes)("%s %s rejects a malformed token", async (method, path) => {
+    const res = await request(app)[method.toLowerCase()](path).set("Authorization", "Bearer not-a-jwt");
+    expect(res.status).toBe(401);
+  });
+
+  describe("with an unknown API key", () => {
+    beforeAll(() => jest.spyOn(ApiKey, "findOne").mockResolvedValue(null));
+    afterAll(() => jest.restoreAllMocks());
+
+    it.each(routes)("%s %s rejects the key", async (method, path) => {
+      const res = await request(app)[method.toLowerCase()](path).set("X-API-Key", "ngo_unknown");
+      expect(res.status).toBe(401);
+    });
+  });
+});
+
+describe("admin registration", () => {
+  beforeAll(() => jest.spyOn(User, "create"));
+  afterAll(() => jest.restoreAllMocks());
+
+  it("rejects a request without a token", async () => {
+    const res = await request(app).post("/auth/register/admin").send({ username: "root", password: "secret" });
+    expect(res.status).toBe(401);
+    expect(User.create).not.toHaveBeenCalled();
+  });
+
+  it("rejects a malformed token", async () => {
+    const res = await request(app)
+      .post("/auth/register/admin")
+      .set("Authorization", "Bearer not-a-jwt")
+      .send({ username: "root", password: "secret" });
+    expect(res.status).toBe(401);
+    expect(User.create).not.toHaveBeenCalled();
+  });
+});
+
+describe("2FA enrollment during login", () => {
+  beforeAll(() => {
+    jest.spyOn(User, "findByPk").mockResolvedValue({ id: 7, role: "ngo_admin", ngo_id: 3 });
+    jest.spyOn(NGO, "findByPk").mockResolvedValue({ id: 3, status: "suspended" });
+  });
+  afterAll(() => jest.restoreAllMocks());
+
+  it("locks out users of a suspended NGO", async () => {
+    const res = await request(app).post("/auth/2fa/setup").send({ mfaToken: signChallenge({ id: 7 }, "enroll") });
+    expect(res.status).toBe(403);
+  });
+});
+
+describe("public routes", () => {
+  it("answers certificate checks without a token", async () => {
+    const res = await request(app).get("/api/public/certificates/not-a-code");
+    expect(res.status).toBe(404);
+  });
+
+  it("validates event registrations without a token", async () => {
+    const res = await request(app).post("/api/public/events/1/registrations").send({ name: "Ana" });
+    expect(res.status).toBe(400);
+  });
+
+  it("serves calendar feeds without a token", async () => {
+    expect((await request(app).get("/api/public/calendar/ngos/abc.ics")).status).toBe(400);
+    expect((await request(app).get("/api/public/calendar/shifts/not-a-token.ics")).status).toBe(404);
+  });
+});
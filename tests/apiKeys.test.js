@@ -0,0 +1,48 @@
+const sequelize = require("../config/db");
+const { generateApiKey, isIpAllowed, isValidIpRule } = require("../utils/apiKeys");
+const { hashToken } = require("../utils/sessions");
+
+afterAll(() => sequelize.close());
+
+describe("generateApiKey", () => {
+  it("returns a prefixed key with its hash", () => {
+    const { key, prefix, keyHash } = generateApiKey();
+    expect(key).toMatch(/^ngo_[A-Za-z0-9_-]{43}$/);
+    expect(key.startsWith(prefix)).toBe(true);
+    expect(keyHash).toBe(hashToken(key));
+  });
+});
+
+describe("isValidIpRule", () => {
+  it.each(["203.0.113.10", "10.0.0.0/8", "2001:db8::1", "2001:db8::/32"])("accepts %s", (rule) => {
+    expect(isValidIpRule(rule)).toBe(true);
+  });
+
+  it.each(["example.com", "10.0.0.0/33", "10.0.0.0/x", "10.0.0.0/8/1"])("rejects %s", (rule) => {
+    expect(isValidIpRule(rule)).toBe(false);
+  });
+});
+
+describe("isIpAllowed", () => {
+  it("allows any address without an allow-list", () => {
+    expect(isIpAllowed(null, "198.51.100.7")).toBe(true);
+    expect(isIpAllowed([], "198.51.100.7")).toBe(true);
+  });
+
+  it("matches addresses and CIDR ranges", () => {
+    const allowed = ["203.0.113.10", "10.0.0.0/8", "2001:db8::/32"];
+    expect(isIpAllowed(allowed, "203.0.113.10")).toBe(true);
+    expect(isIpAllowed(allowed, "10.20.30.40")).toBe(true);
+    expect(isIpAllowed(allowed, "2001:db8::5")).toBe(true);
+    expect(isIpAllowed(allowed, "203.0.113.11")).toBe(false);
+    expect(isIpAllowed(allowed, "2001:db9::5")).toBe(false);
+  });
+
+  it("treats IPv4-mapped IPv6 addresses as IPv4", () => {
+    expect(isIpAllowed(["10.0.0.0/8"], "::ffff:10.1.2.3")).toBe(true);
+  });
+
+  it("rejects a missing address when a list is set", () => {
+    expect(isIpAllowed(["10.0.0.0/8"], undefined)).toBe(false);
+  });
+});
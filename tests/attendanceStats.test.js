@@ -0,0 +1,120 @@
+const {
+  toAppearances,
+  ratesByVolunteer,
+  ratesByEvent,
+  ratesByMonth,
+  noShowStreaks,
+  mostReliable,
+} = require("../utils/attendanceStats");
+
+let nextId = 1;
+const record = (volunteer_id, event_id, date, status) => ({ id: nextId++, volunteer_id, event_id, date: new Date(date), status });
+
+// Volunteer 1 always turns up, 2 has stopped coming, 3 came once.
+const records = [
+  record(1, 10, "2026-01-10T09:00:00", true),
+  record(2, 10, "2026-01-10T09:00:00", true),
+  record(3, 10, "2026-01-10T09:00:00", true),
+  record(1, 11, "2026-02-07T09:00:00", true),
+  record(2, 11, "2026-02-07T09:00:00", false),
+  record(1, 12, "2026-02-21T09:00:00", true),
+  record(2, 12, "2026-02-21T09:00:00", false),
+  record(1, 13, "2026-03-07T09:00:00", true),
+  record(2, 13, "2026-03-07T09:00:00", false),
+];
+
+describe("toAppearances", () => {
+  it("counts a volunteer once per event, attending if any record says so", () => {
+    const appearances = toAppearances([
+      record(1, 20, "2026-04-04T09:00:00", false),
+      record(1, 20, "2026-04-04T13:00:00", true),
+      record(2, 20, "2026-04-04T09:00:00", null),
+    ]);
+    expect(appearances).toEqual([
+      { volunteer_id: 1, event_id: 20, occurrence: null, date: new Date("2026-04-04T09:00:00"), attended: true },
+    ]);
+  });
+
+  it("counts each occurrence of a recurring event apart", () => {
+    const weekly = [
+      { ...record(2, 30, "2026-04-04T09:00:00", true), occurrence: "2026-04-04" },
+      { ...record(2, 30, "2026-04-11T09:00:00", false), occurrence: "2026-04-11" },
+      { ...record(2, 30, "2026-04-18T09:00:00", false), occurrence: "2026-04-18" },
+    ];
+    const appearances = toAppearances(weekly);
+    expect(appearances.map(({ occurrence, attended }) => [occurrence, attended])).toEqual([
+      ["2026-04-04", true],
+      ["2026-04-11", false],
+      ["2026-04-18", false],
+    ]);
+    expect(ratesByEvent(appearances)).toEqual([expect.objectContaining({ event_id: 30, expected: 3, attended: 1 })]);
+    expect(noShowStreaks(appearances, 2)[0]).toMatchObject({ volunteer_id: 2, currentStreak: 2 });
+  });
+
+  it("keeps records without an event apart", () => {
+    expect(
+      toAppearances([record(1, null, "2026-04-04T09:00:00", true), record(1, null, "2026-04-05T09:00:00", true)])
+    ).toHaveLength(2);
+  });
+});
+
+describe("rates", () => {
+  const appearances = toAppearances(records);
+
+  it("per volunteer, highest rate first", () => {
+    expect(ratesByVolunteer(appearances)).toEqual([
+      { volunteer_id: 1, expected: 4, attended: 4, noShows: 0, rate: 1 },
+      { volunteer_id: 3, expected: 1, attended: 1, noShows: 0, rate: 1 },
+      { volunteer_id: 2, expected: 4, attended: 1, noShows: 3, rate: 0.25 },
+    ]);
+  });
+
+  it("per event, in date order", () => {
+    expect(ratesByEvent(appearances).map(({ event_id, rate }) => [event_id, rate])).toEqual([
+      [10, 1],
+      [11, 0.5],
+      [12, 0.5],
+      [13, 0.5],
+    ]);
+  });
+
+  it("per month", () => {
+    expect(ratesByMonth(appearances)).toEqual([
+      { month: "2026-01", expected: 3, attended: 3, noShows: 0, rate: 1 },
+      { month: "2026-02", expected: 4, attended: 2, noShows: 2, rate: 0.5 },
+      { month: "2026-03", expected: 2, attended: 1, noShows: 1, rate: 0.5 },
+    ]);
+  });
+});
+
+describe("noShowStreaks", () => {
+  it("lists volunteers on a current run of no-shows", () => {
+    expect(noShowStreaks(toAppearances(records))).toEqual([
+      {
+        volunteer_id: 2,
+        currentStreak: 3,
+        longestStreak: 3,
+        lastNoShow: new Date("2026-03-07T09:00:00"),
+        lastEventId: 13,
+      },
+    ]);
+  });
+
+  it("drops volunteers who have since turned up, but remembers their longest run", () => {
+    const comeback = [...records, record(2, 14, "2026-03-21T09:00:00", true), record(2, 15, "2026-04-04T09:00:00", false)];
+    expect(noShowStreaks(toAppearances(comeback))).toEqual([]);
+    expect(noShowStreaks(toAppearances(comeback), 1)[0]).toMatchObject({
+      volunteer_id: 2,
+      currentStreak: 1,
+      longestStreak: 3,
+    });
+  });
+});
+
+describe("mostReliable", () => {
+  it("needs enough events to rank a volunteer", () => {
+    const appearances = toAppearances(records);
+    expect(mostReliable(appearances).map((entry) => entry.volunteer_id)).toEqual([1, 2]);
+    expect(mostReliable(appearances, { minEvents: 1, limit: 2 }).map((entry) => entry.volunteer_id)).toEqual([1, 3]);
+  });
+});
@@ -0,0 +1,67 @@
+process.env.CERTIFICATE_SIGNING_KEY = "test-signing-key";
+
+const {
+  generateVerificationCode,
+  normalizeVerificationCode,
+  signCertificate,
+  certificateStatus,
+} = require("../utils/certificates");
+
+const issued = () => {
+  const certificate = {
+    verificationCode: "7K2M-QX9D-4RTA",
+    ngo_id: 1,
+    volunteer_id: 42,
+    project_id: null,
+    periodStart: "2026-01-01",
+    periodEnd: "2026-06-30",
+    totalHours: 36.5,
+    issuedAt: new Date("2026-07-01T10:00:00Z"),
+    revokedAt: null,
+  };
+  certificate.signature = signCertificate(certificate);
+  return certificate;
+};
+
+describe("verification codes", () => {
+  it("generates grouped codes from the unambiguous alphabet", () => {
+    const code = generateVerificationCode();
+    expect(code).toMatch(/^[0-9A-HJKMNP-TV-Z]{4}-[0-9A-HJKMNP-TV-Z]{4}-[0-9A-HJKMNP-TV-Z]{4}$/);
+  });
+
+  it("normalises codes as people type them", () => {
+    expect(normalizeVerificationCode("7k2m qx9d 4rta")).toBe("7K2M-QX9D-4RTA");
+    expect(normalizeVerificationCode("7K2MQX9D4RTA")).toBe("7K2M-QX9D-4RTA");
+    expect(normalizeVerificationCode("IL0O-0000-0000")).toBe("1100-0000-0000");
+  });
+
+  it("rejects malformed codes", () => {
+    expect(normalizeVerificationCode("not-a-code")).toBeNull();
+    expect(normalizeVerificationCode("7K2M-QX9D")).toBeNull();
+  });
+});
+
+describe("certificateStatus", () => {
+  it("accepts an untouched certificate", () => {
+    expect(certificateStatus(issued())).toBe("valid");
+  });
+
+  it("survives the database dropping milliseconds and returning strings", () => {
+    const certificate = issued();
+    expect(
+      certificateStatus({ ...certificate, totalHours: "36.50", issuedAt: new Date("2026-07-01T10:00:00.000Z") })
+    ).toBe("valid");
+  });
+
+  it("reports a revoked certificate", () => {
+    expect(certificateStatus({ ...issued(), revokedAt: new Date() })).toBe("revoked");
+  });
+
+  it("flags a certificate whose hours were changed after signing", () => {
+    expect(certificateStatus({ ...issued(), totalHours: 136.5 })).toBe("invalid");
+  });
+
+  it("flags a missing signature", () => {
+    expect(certificateStatus({ ...issued(), signature: null })).toBe("invalid");
+  });
+});
@@ -0,0 +1,58 @@
+process.env.CHECK_IN_SIGNING_KEY = "test-signing-key";
+
+const { newNonce, signToken, verifyToken, defaultExpiry } = require("../utils/checkInTokens");
+
+const fields = () => ({ eventId: 12, nonce: newNonce(), expiresAt: new Date("2026-05-01T20:00:00.750Z") });
+
+describe("signToken / verifyToken", () => {
+  it("round-trips the event, nonce and expiry (to the second)", () => {
+    const issued = fields();
+    expect(verifyToken(signToken(issued))).toEqual({
+      eventId: 12,
+      nonce: issued.nonce,
+      expiresAt: new Date("2026-05-01T20:00:00Z"),
+    });
+  });
+
+  it("is stable, so a stored pass always yields the same token", () => {
+    const issued = fields();
+    expect(signToken(issued)).toBe(signToken({ ...issued }));
+  });
+
+  it("rejects tokens with any part changed", () => {
+    const token = signToken(fields());
+    const [eventId, nonce, expiry, signature] = token.split(".");
+
+    expect(verifyToken([13, nonce, expiry, signature].join("."))).toBeNull();
+    expect(verifyToken([eventId, nonce, Number(expiry) + 3600, signature].join("."))).toBeNull();
+    expect(verifyToken([eventId, newNonce(), expiry, signature].join("."))).toBeNull();
+  });
+
+  it("rejects tokens signed with another key", () => {
+    const token = signToken(fields());
+    process.env.CHECK_IN_SIGNING_KEY = "another-key";
+    try {
+      expect(verifyToken(token)).toBeNull();
+    } finally {
+      process.env.CHECK_IN_SIGNING_KEY = "test-signing-key";
+    }
+  });
+
+  it.each(["", "garbage", "12.abc.1.sig", null])("rejects malformed input %p", (token) => {
+    expect(verifyToken(token)).toBeNull();
+  });
+});
+
+describe("defaultExpiry", () => {
+  it("allows 12 hours after the occurrence ends", () => {
+    expect(
+      defaultExpiry({ start: new Date("2026-05-01T09:00:00Z"), end: new Date("2026-05-01T17:00:00Z") })
+    ).toEqual(new Date("2026-05-02T05:00:00Z"));
+  });
+
+  it("falls back to the start of an occurrence without an end", () => {
+    expect(defaultExpiry({ start: new Date("2026-05-01T09:00:00Z"), end: null })).toEqual(
+      new Date("2026-05-01T21:00:00Z")
+    );
+  });
+});
@@ -0,0 +1,105 @@
+process.env.CHECK_IN_SIGNING_KEY = "test-signing-key";
+
+const sequelize = require("../config/db");
+const CheckInToken = require("../models/CheckInToken");
+const Event = require("../models/Event");
+const ShiftAssignment = require("../models/ShiftAssignment");
+const Volunteer = require("../models/Volunteer");
+const VolunteerAttendance = require("../models/Volunteerattendance");
+const { signToken } = require("../utils/checkInTokens");
+const { currentOccurrence, redeemScan } = require("../utils/checkIns");
+
+// Saturday mornings, 10:00 to 12:00, since January 2024.
+const series = {
+  id: 8,
+  ngo_id: 2,
+  name: "Park clean-up",
+  date: new Date(2024, 0, 6, 10, 0),
+  endDate: new Date(2024, 0, 6, 12, 0),
+  recurrence: "FREQ=WEEKLY",
+  exceptions: [],
+};
+
+afterEach(() => jest.restoreAllMocks());
+afterAll(() => sequelize.close());
+
+describe("currentOccurrence", () => {
+  it("picks the occurrence under way or just ended", () => {
+    expect(currentOccurrence(series, new Date(2026, 2, 7, 11, 0)).occurrence).toBe("2026-03-07");
+    expect(currentOccurrence(series, new Date(2026, 2, 7, 23, 0)).occurrence).toBe("2026-03-07");
+  });
+
+  it("moves on to the next occurrence once passes would have expired", () => {
+    expect(currentOccurrence(series, new Date(2026, 2, 8, 1, 0)).occurrence).toBe("2026-03-14");
+  });
+
+  it("skips cancelled occurrences", () => {
+    const event = { ...series, exceptions: [{ originalDate: "2026-03-14", cancelled: true }] };
+    expect(currentOccurrence(event, new Date(2026, 2, 10)).occurrence).toBe("2026-03-21");
+  });
+
+  it("is null for a one-off event that is over or has no date", () => {
+    const single = { ...series, recurrence: null };
+    expect(currentOccurrence(single, new Date(2024, 0, 6, 9, 0)).occurrence).toBe("2024-01-06");
+    expect(currentOccurrence(single, new Date(2024, 0, 7, 1, 0))).toBeNull();
+    expect(currentOccurrence({ ...single, date: null }, new Date())).toBeNull();
+  });
+});
+
+describe("redeemScan", () => {
+  const transaction = { LOCK: { UPDATE: "UPDATE" } };
+
+  const passFor = (occurrence) => ({
+    id: 40,
+    event_id: series.id,
+    occurrence,
+    volunteer_id: 5,
+    registration_id: null,
+    nonce: "0123456789abcdef0123456789abcdef",
+    expiresAt: new Date(2026, 2, 14, 23, 59, 59),
+    redeemedAt: null,
+    save: jest.fn().mockResolvedValue(),
+  });
+  const tokenOf = (pass) => signToken({ eventId: pass.event_id, nonce: pass.nonce, expiresAt: pass.expiresAt });
+
+  beforeEach(() => {
+    jest.spyOn(sequelize, "transaction").mockImplementation((callback) => callback(transaction));
+    jest.spyOn(Volunteer, "findByPk").mockResolvedValue({ id: 5, name: "Ana", email: "ana@example.org" });
+    jest.spyOn(ShiftAssignment, "findAll").mockResolvedValue([]);
+    jest.spyOn(Event, "findOne").mockResolvedValue(series);
+    jest.spyOn(VolunteerAttendance, "findOne").mockResolvedValue(null);
+    jest.spyOn(VolunteerAttendance, "create").mockImplementation(async (fields) => fields);
+  });
+
+  it("records the volunteer's arrival at the pass's occurrence", async () => {
+    const pass = passFor("2026-03-14");
+    jest.spyOn(CheckInToken, "findOne").mockResolvedValue(pass);
+
+    const scannedAt = new Date(2026, 2, 14, 9, 50);
+    const result = await redeemScan({ event: series, token: tokenOf(pass), scannedAt, redeemedBy: 1 });
+
+    expect(result.outcome).toBe("checked_in");
+    expect(result.pass.occurrence).toBe("2026-03-14");
+    expect(VolunteerAttendance.findOne).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: { event_id: 8, occurrence: "2026-03-14", volunteer_id: 5, shift_id: null },
+      })
+    );
+    expect(result.attendance).toMatchObject({ occurrence: "2026-03-14", status: true, checkInAt: scannedAt });
+  });
+
+  it("refuses a pass for a later occurrence", async () => {
+    const pass = passFor("2026-03-14");
+    jest.spyOn(CheckInToken, "findOne").mockResolvedValue(pass);
+
+    const result = await redeemScan({
+      event: series,
+      token: tokenOf(pass),
+      scannedAt: new Date(2026, 2, 7, 10, 0),
+      redeemedBy: 1,
+    });
+
+    expect(result).toMatchObject({ outcome: "invalid", message: "This check-in code is for 2026-03-14." });
+    expect(pass.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,52 @@
+const sequelize = require("../config/db");
+const Donation = require("../models/Donation");
+const { getDonationTotals, attachDonationTotals } = require("../utils/donationTotals");
+
+afterEach(() => jest.restoreAllMocks());
+afterAll(() => sequelize.close());
+
+// Rows as the grouped SUM/COUNT/MAX query returns them.
+const grouped = [
+  { donor_id: 1, currency: "EUR", total: "250.5", count: "2", lastDate: "2026-03-01" },
+  { donor_id: 1, currency: "USD", total: "100", count: "1", lastDate: "2026-05-20" },
+  { donor_id: 2, currency: "EUR", total: "0.1", count: "1", lastDate: "2025-12-24" },
+];
+
+describe("getDonationTotals", () => {
+  it("keeps lifetime totals per currency and counts every gift", async () => {
+    jest.spyOn(Donation, "findAll").mockResolvedValue(grouped);
+
+    expect(await getDonationTotals([1, 2, 3])).toEqual({
+      1: { lifetimeTotals: { EUR: "250.50", USD: "100.00" }, donationCount: 3, lastDonationDate: "2026-05-20" },
+      2: { lifetimeTotals: { EUR: "0.10" }, donationCount: 1, lastDonationDate: "2025-12-24" },
+      3: { lifetimeTotals: {}, donationCount: 0, lastDonationDate: null },
+    });
+    expect(Donation.findAll).toHaveBeenCalledWith(
+      expect.objectContaining({ where: { donor_id: [1, 2, 3] }, group: ["donor_id", "currency"] })
+    );
+  });
+
+  it("skips the query for no donors", async () => {
+    jest.spyOn(Donation, "findAll");
+    expect(await getDonationTotals([])).toEqual({});
+    expect(Donation.findAll).not.toHaveBeenCalled();
+  });
+});
+
+describe("attachDonationTotals", () => {
+  it("adds the totals to each donor's serialized fields", async () => {
+    jest
+      .spyOn(Donation, "findAll")
+      .mockImplementation(async ({ where }) => grouped.filter((row) => where.donor_id.includes(row.donor_id)));
+    const donors = [{ id: 2, dataValues: { id: 2, name: "Ana" } }];
+
+    await attachDonationTotals(donors);
+    expect(donors[0].dataValues).toEqual({
+      id: 2,
+      name: "Ana",
+      lifetimeTotals: { EUR: "0.10" },
+      donationCount: 1,
+      lastDonationDate: "2025-12-24",
+    });
+  });
+});
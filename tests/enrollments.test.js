@@ -0,0 +1,151 @@
+const { Op } = require("sequelize");
+const sequelize = require("../config/db");
+const Beneficiary = require("../models/Beneficiary");
+const Project = require("../models/Project");
+const ProjectEnrollment = require("../models/ProjectEnrollment");
+const ServiceDelivery = require("../models/ServiceDelivery");
+const { enrollBeneficiary, updateEnrollment } = require("../controllers/enrollmentController");
+const { recordService } = require("../controllers/serviceDeliveryController");
+
+const ngoAdmin = { id: 2, role: "ngo_admin", ngo_id: 4 };
+
+beforeEach(() => {
+  jest.spyOn(Project, "findOne").mockResolvedValue({ id: 3, ngo_id: 4 });
+  jest.spyOn(Beneficiary, "findOne").mockResolvedValue({ id: 11, ngo_id: 4 });
+});
+
+afterEach(() => jest.restoreAllMocks());
+afterAll(() => sequelize.close());
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.send = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// Run a handler array: its validators, then the handler itself.
+const call = async (handlers, req) => {
+  const res = response();
+  for (const validator of handlers.slice(0, -1)) {
+    await validator.run(req);
+  }
+  await handlers[handlers.length - 1](req, res);
+  return res;
+};
+
+describe("enrollBeneficiary", () => {
+  const enroll = (body) => call(enrollBeneficiary, { user: ngoAdmin, params: { id: "3" }, body });
+
+  it("enrolls a beneficiary of the project's NGO", async () => {
+    jest.spyOn(ProjectEnrollment, "findOne").mockResolvedValue(null);
+    jest.spyOn(ProjectEnrollment, "create").mockImplementation(async (fields) => fields);
+
+    const res = await enroll({ beneficiary_id: 11, enrolledOn: "2026-02-01T10:00:00Z" });
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(Beneficiary.findOne).toHaveBeenCalledWith({ where: { id: 11, ngo_id: 4 } });
+    expect(ProjectEnrollment.create).toHaveBeenCalledWith({
+      project_id: 3,
+      beneficiary_id: 11,
+      enrolledOn: "2026-02-01",
+      enrolledBy: 2,
+    });
+  });
+
+  it("refuses a second open enrollment in the same project", async () => {
+    jest.spyOn(ProjectEnrollment, "findOne").mockResolvedValue({ id: 7, status: "suspended" });
+    jest.spyOn(ProjectEnrollment, "create");
+
+    expect((await enroll({ beneficiary_id: 11 })).status).toHaveBeenCalledWith(409);
+    expect(ProjectEnrollment.findOne.mock.calls[0][0].where.status).toEqual(["active", "suspended"]);
+    expect(ProjectEnrollment.create).not.toHaveBeenCalled();
+  });
+
+  it("404s for a beneficiary of another NGO", async () => {
+    Beneficiary.findOne.mockResolvedValue(null);
+    expect((await enroll({ beneficiary_id: 12 })).status).toHaveBeenCalledWith(404);
+  });
+});
+
+describe("updateEnrollment", () => {
+  let enrollment;
+
+  beforeEach(() => {
+    enrollment = { id: 7, status: "active", enrolledOn: "2026-02-01", exitedOn: null, save: jest.fn() };
+    jest.spyOn(ProjectEnrollment, "findOne").mockImplementation(async () => enrollment);
+  });
+
+  const update = (body) => call(updateEnrollment, { user: ngoAdmin, params: { id: "3", enrollmentId: "7" }, body });
+
+  it("records today as the exit date when closing", async () => {
+    await update({ status: "completed", exitReason: "Graduated" });
+
+    expect(enrollment).toMatchObject({ status: "completed", exitReason: "Graduated" });
+    expect(enrollment.exitedOn).toBe(new Date().toISOString().slice(0, 10));
+    expect(enrollment.save).toHaveBeenCalled();
+  });
+
+  it("refuses an exit before the enrollment date", async () => {
+    const res = await update({ status: "withdrawn", exitedOn: "2026-01-15" });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(enrollment.save).not.toHaveBeenCalled();
+  });
+
+  it("allows suspending and resuming", async () => {
+    await update({ status: "suspended" });
+    expect(enrollment.status).toBe("suspended");
+    await update({ status: "active" });
+    expect(enrollment).toMatchObject({ status: "active", exitedOn: null });
+  });
+
+  it("never reopens a closed enrollment", async () => {
+    enrollment.status = "completed";
+    const res = await update({ status: "active" });
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.send).toHaveBeenCalledWith("A completed enrollment cannot be changed to active.");
+  });
+});
+
+describe("recordService", () => {
+  const record = (body) => call(recordService, { user: ngoAdmin, params: { id: "11" }, body });
+
+  beforeEach(() => {
+    jest.spyOn(ServiceDelivery, "create").mockImplementation(async (fields) => ({ id: 1, ...fields }));
+  });
+
+  it("logs a service under the enrollment open on its date", async () => {
+    jest.spyOn(ProjectEnrollment, "findOne").mockResolvedValue({ id: 7 });
+
+    const res = await record({
+      serviceType: "food parcel",
+      quantity: "2",
+      unit: "boxes",
+      deliveredOn: "2026-03-04",
+      project_id: 3,
+    });
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    const { where } = ProjectEnrollment.findOne.mock.calls[0][0];
+    expect(where).toMatchObject({ beneficiary_id: 11, project_id: 3 });
+    expect(where.enrolledOn[Op.lte]).toBe("2026-03-04");
+    expect(ServiceDelivery.create).toHaveBeenCalledWith(
+      expect.objectContaining({ beneficiary_id: 11, project_id: 3, deliveredOn: "2026-03-04", recordedBy: 2 })
+    );
+  });
+
+  it("refuses a project service outside any enrollment", async () => {
+    jest.spyOn(ProjectEnrollment, "findOne").mockResolvedValue(null);
+
+    const res = await record({ serviceType: "food parcel", deliveredOn: "2025-12-01", project_id: 3 });
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(ServiceDelivery.create).not.toHaveBeenCalled();
+  });
+
+  it("rejects a non-positive quantity", async () => {
+    expect((await record({ serviceType: "food parcel", quantity: "0" })).status).toHaveBeenCalledWith(400);
+  });
+});
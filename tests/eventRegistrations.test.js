@@ -0,0 +1,195 @@
+const sequelize = require("../config/db");
+const Event = require("../models/Event");
+const EventException = require("../models/EventException");
+const EventRegistration = require("../models/EventRegistration");
+const { setTransport } = require("../utils/mailer");
+const { spotsLeft, promoteWaitlist } = require("../utils/eventRegistrations");
+const { register, cancelByToken } = require("../controllers/eventRegistrationController");
+
+const transaction = { LOCK: { UPDATE: "UPDATE" } };
+
+// A published one-off event next week with two places.
+let event;
+// EventRegistration rows and sent mail kept in memory.
+let registrations;
+let sent;
+
+const matches = (row, where) => Object.entries(where).every(([field, value]) => row[field] === value);
+
+const stored = (fields) => {
+  const row = {
+    id: registrations.length + 1,
+    ...fields,
+    save: jest.fn(async () => row),
+    update: jest.fn(async (changes) => Object.assign(row, changes)),
+    reload: jest.fn(async () => row),
+  };
+  registrations.push(row);
+  return row;
+};
+
+beforeEach(() => {
+  const date = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+  event = { id: 5, ngo_id: 2, name: "Beach clean-up", date, endDate: null, capacity: 2, recurrence: null };
+  registrations = [];
+  sent = [];
+  setTransport({ sendMail: async (message) => sent.push(message) });
+
+  jest.spyOn(sequelize, "transaction").mockImplementation((callback) => callback(transaction));
+  jest.spyOn(Event, "findOne").mockImplementation(async () => event);
+  jest.spyOn(EventException, "findAll").mockResolvedValue([]);
+  jest.spyOn(EventRegistration, "create").mockImplementation(async (fields) => stored(fields));
+  jest
+    .spyOn(EventRegistration, "findOne")
+    .mockImplementation(async ({ where }) => registrations.find((row) => matches(row, where)) || null);
+  jest
+    .spyOn(EventRegistration, "count")
+    .mockImplementation(async ({ where }) => registrations.filter((row) => matches(row, where)).length);
+  jest.spyOn(EventRegistration, "findAll").mockImplementation(async ({ where, limit }) =>
+    registrations
+      .filter((row) => matches(row, where))
+      .sort((a, b) => a.registeredAt - b.registeredAt || a.id - b.id)
+      .slice(0, limit)
+  );
+});
+
+afterEach(() => jest.restoreAllMocks());
+afterAll(() => {
+  setTransport(null);
+  return sequelize.close();
+});
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.send = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// Run a handler array: its validators, then the handler itself.
+const call = async (handlers, req) => {
+  const res = response();
+  for (const validator of handlers.slice(0, -1)) {
+    await validator.run(req);
+  }
+  await handlers[handlers.length - 1](req, res);
+  return res;
+};
+
+const signUp = async (name) => {
+  const res = await call(register, {
+    params: { id: "5" },
+    body: { name, email: `${name.toLowerCase()}@example.org` },
+  });
+  return { status: res.status.mock.calls[0][0], body: res.json.mock.calls.length ? res.json.mock.calls[0][0] : null };
+};
+
+describe("spotsLeft", () => {
+  it("is null without a capacity and never negative", () => {
+    expect(spotsLeft({ capacity: null }, 40)).toBeNull();
+    expect(spotsLeft({ capacity: 2 }, 1)).toBe(1);
+    expect(spotsLeft({ capacity: 2 }, 3)).toBe(0);
+  });
+});
+
+describe("register", () => {
+  it("fills the places, then waitlists in order", async () => {
+    expect((await signUp("Ana")).body).toMatchObject({ status: "registered", waitlistPosition: null });
+    expect((await signUp("Ben")).body).toMatchObject({ status: "registered" });
+    expect((await signUp("Caro")).body).toMatchObject({ status: "waitlisted", waitlistPosition: 1 });
+    expect((await signUp("Dev")).body).toMatchObject({ status: "waitlisted", waitlistPosition: 2 });
+
+    expect(sent.map((message) => message.subject)).toEqual([
+      "You're registered: Beach clean-up",
+      "You're registered: Beach clean-up",
+      "You're on the waitlist: Beach clean-up",
+      "You're on the waitlist: Beach clean-up",
+    ]);
+  });
+
+  it("locks the event row while counting places", async () => {
+    await signUp("Ana");
+    expect(Event.findOne).toHaveBeenCalledWith(expect.objectContaining({ lock: "UPDATE", transaction }));
+  });
+
+  it("refuses the same email twice", async () => {
+    await signUp("Ana");
+    expect((await signUp("Ana")).status).toBe(409);
+    expect(registrations).toHaveLength(1);
+  });
+
+  it("closes registration once the event has started", async () => {
+    event.date = new Date(Date.now() - 60 * 1000);
+    expect((await signUp("Ana")).status).toBe(409);
+  });
+});
+
+describe("cancelByToken", () => {
+  const cancel = async (cancelToken) => call(cancelByToken, { body: { token: cancelToken } });
+
+  it("hands a freed place to the first person on the waitlist", async () => {
+    const ana = await signUp("Ana");
+    await signUp("Ben");
+    await signUp("Caro");
+    await signUp("Dev");
+
+    expect((await cancel(ana.body.cancelToken)).status).toHaveBeenCalledWith(200);
+    expect(registrations.map((row) => [row.name, row.status])).toEqual([
+      ["Ana", "cancelled"],
+      ["Ben", "registered"],
+      ["Caro", "registered"],
+      ["Dev", "waitlisted"],
+    ]);
+    expect(registrations[2].promotedAt).toBeInstanceOf(Date);
+    expect(sent[sent.length - 1]).toMatchObject({ to: "caro@example.org", subject: "A place opened up: Beach clean-up" });
+  });
+
+  it("promotes nobody when a waitlisted person cancels", async () => {
+    await signUp("Ana");
+    await signUp("Ben");
+    const caro = await signUp("Caro");
+    await signUp("Dev");
+
+    await cancel(caro.body.cancelToken);
+    expect(registrations.map((row) => row.status)).toEqual(["registered", "registered", "cancelled", "waitlisted"]);
+  });
+
+  it("refuses to cancel twice or with an unknown token", async () => {
+    const ana = await signUp("Ana");
+    await cancel(ana.body.cancelToken);
+
+    expect((await cancel(ana.body.cancelToken)).status).toHaveBeenCalledWith(409);
+    expect((await cancel("not-a-token")).status).toHaveBeenCalledWith(404);
+  });
+});
+
+describe("promoteWaitlist", () => {
+  const waitlisted = (name, occurrence) =>
+    stored({ event_id: 5, occurrence, name, status: "waitlisted", registeredAt: new Date() });
+
+  it("fills only the occurrence's free places", async () => {
+    stored({ event_id: 5, occurrence: "2026-06-06", name: "Ana", status: "registered", registeredAt: new Date() });
+    waitlisted("Ben", "2026-06-06");
+    waitlisted("Caro", "2026-06-06");
+    waitlisted("Dev", "2026-06-13");
+
+    const promoted = await promoteWaitlist(event, "2026-06-06", transaction);
+    expect(promoted.map((row) => row.name)).toEqual(["Ben"]);
+    expect(registrations.map((row) => row.status)).toEqual(["registered", "registered", "waitlisted", "waitlisted"]);
+  });
+
+  it("promotes everyone when the event has no capacity", async () => {
+    waitlisted("Ben", "2026-06-06");
+    waitlisted("Caro", "2026-06-06");
+
+    expect(await promoteWaitlist({ ...event, capacity: null }, "2026-06-06", transaction)).toHaveLength(2);
+  });
+
+  it("promotes nobody into a full occurrence", async () => {
+    event.capacity = 0;
+    waitlisted("Ben", "2026-06-06");
+
+    expect(await promoteWaitlist(event, "2026-06-06", transaction)).toEqual([]);
+  });
+});
@@ -0,0 +1,100 @@
+const { periodKey, buildLedger, summarize, rollup } = require("../utils/hoursLedger");
+
+const attendance = (id, volunteer, date, hours, project) => ({
+  id,
+  volunteer_id: volunteer.id,
+  volunteer,
+  event_id: 100 + id,
+  event: { name: `Event ${id}`, project_id: project ? project.id : null, project },
+  date,
+  checkInAt: null,
+  hours: String(hours),
+});
+
+const manual = (id, volunteer, date, hours, status, project) => ({
+  id,
+  volunteer_id: volunteer.id,
+  volunteer,
+  project_id: project ? project.id : null,
+  project,
+  date,
+  hours: String(hours),
+  status,
+  description: "Remote work",
+});
+
+const ana = { id: 1, name: "Ana" };
+const ben = { id: 2, name: "Ben" };
+const garden = { id: 7, name: "Community garden" };
+
+const ledger = buildLedger(
+  [
+    attendance(1, ana, "2026-01-10T09:00:00", 3, garden),
+    attendance(2, ben, "2026-02-03T09:00:00", 2.5, null),
+  ],
+  [
+    manual(1, ana, "2026-02-20", 1.25, "approved", null),
+    manual(2, ana, "2026-04-02", 4, "pending", garden),
+    manual(3, ben, "2026-04-05", 8, "rejected", garden),
+  ]
+);
+
+describe("periodKey", () => {
+  it("buckets by month, quarter and year", () => {
+    expect(periodKey("2026-05-31", "month")).toBe("2026-05");
+    expect(periodKey("2026-05-31", "quarter")).toBe("2026-Q2");
+    expect(periodKey("2026-12-01", "quarter")).toBe("2026-Q4");
+    expect(periodKey("2026-05-31", "year")).toBe("2026");
+  });
+});
+
+describe("buildLedger", () => {
+  it("lists attendance and manual entries newest first", () => {
+    expect(ledger.map((entry) => `${entry.source}:${entry.id}`)).toEqual([
+      "manual:3",
+      "manual:2",
+      "manual:1",
+      "attendance:2",
+      "attendance:1",
+    ]);
+  });
+
+  it("takes the project of an attended event", () => {
+    const entry = ledger.find((e) => e.source === "attendance" && e.id === 1);
+    expect(entry).toMatchObject({ project_id: 7, project: "Community garden", date: "2026-01-10", hours: 3 });
+  });
+});
+
+describe("summarize", () => {
+  it("counts approved hours and reports pending ones separately", () => {
+    expect(summarize(ledger)).toEqual({
+      totalHours: 6.75,
+      attendanceHours: 5.5,
+      manualHours: 1.25,
+      pendingHours: 4,
+    });
+  });
+});
+
+describe("rollup", () => {
+  it("totals per volunteer, most hours first", () => {
+    expect(rollup(ledger, "volunteer").map((row) => [row.label, row.totalHours, row.pendingHours])).toEqual([
+      ["Ana", 4.25, 4],
+      ["Ben", 2.5, 0],
+    ]);
+  });
+
+  it("totals per project, with a null key for hours outside any project", () => {
+    expect(rollup(ledger, "project").map((row) => [row.key, row.totalHours])).toEqual([
+      [null, 3.75],
+      [7, 3],
+    ]);
+  });
+
+  it("totals per period in order", () => {
+    expect(rollup(ledger, "period", "quarter").map((row) => [row.key, row.totalHours, row.pendingHours])).toEqual([
+      ["2026-Q1", 6.75, 0],
+      ["2026-Q2", 0, 4],
+    ]);
+  });
+});
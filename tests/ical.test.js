@@ -0,0 +1,57 @@
+const { escapeText, formatDateTime, foldLine, buildCalendar } = require("../utils/ical");
+
+describe("escapeText", () => {
+  it("escapes separators and newlines", () => {
+    expect(escapeText("Hall; room 2, floor 1\nBring ID\\passport")).toBe(
+      "Hall\\; room 2\\, floor 1\\nBring ID\\\\passport"
+    );
+  });
+});
+
+describe("formatDateTime", () => {
+  it("writes UTC basic format", () => {
+    expect(formatDateTime("2026-03-14T09:05:00.250Z")).toBe("20260314T090500Z");
+  });
+});
+
+describe("foldLine", () => {
+  it("leaves short lines alone", () => {
+    expect(foldLine("SUMMARY:Short")).toBe("SUMMARY:Short");
+  });
+
+  it("folds long lines at 75 octets without splitting characters", () => {
+    const line = `DESCRIPTION:${"é".repeat(60)}`;
+    const parts = foldLine(line).split("\r\n");
+    expect(parts.length).toBeGreaterThan(1);
+    parts.forEach((part) => expect(Buffer.byteLength(part)).toBeLessThanOrEqual(75));
+    expect(parts.map((part, i) => (i === 0 ? part : part.slice(1))).join("")).toBe(line);
+  });
+});
+
+describe("buildCalendar", () => {
+  it("writes one VEVENT per entry with CRLF line endings", () => {
+    const ics = buildCalendar({
+      name: "Food bank",
+      stamp: new Date("2026-01-01T00:00:00Z"),
+      entries: [
+        {
+          uid: "event-1-20260314@ngo",
+          start: new Date("2026-03-14T09:00:00Z"),
+          end: new Date("2026-03-14T12:00:00Z"),
+          summary: "Food distribution",
+          location: "Community hall",
+        },
+        { uid: "event-2-20260315@ngo", start: new Date("2026-03-15T09:00:00Z"), summary: "Health camp" },
+      ],
+    });
+
+    const lines = ics.split("\r\n");
+    expect(lines[0]).toBe("BEGIN:VCALENDAR");
+    expect(lines).toContain("X-WR-CALNAME:Food bank");
+    expect(lines).toContain("DTSTART:20260314T090000Z");
+    expect(lines).toContain("DTEND:20260314T120000Z");
+    expect(lines.filter((line) => line === "BEGIN:VEVENT")).toHaveLength(2);
+    expect(lines.filter((line) => line.startsWith("DTEND"))).toHaveLength(1);
+    expect(ics.endsWith("END:VCALENDAR\r\n")).toBe(true);
+  });
+});
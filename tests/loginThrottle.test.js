@@ -0,0 +1,166 @@
+process.env.LOGIN_FREE_ATTEMPTS = "3";
+process.env.LOGIN_MAX_ACCOUNT_FAILURES = "5";
+process.env.LOGIN_MAX_IP_FAILURES = "8";
+process.env.LOGIN_LOCKOUT_MINUTES = "15";
+process.env.LOGIN_WINDOW_MINUTES = "15";
+
+const { Op, UniqueConstraintError } = require("sequelize");
+const sequelize = require("../config/db");
+const LoginThrottle = require("../models/LoginThrottle");
+const LockoutEvent = require("../models/LockoutEvent");
+const { retryAfter, recordFailure, recordSuccess, unlockAccount } = require("../utils/loginThrottle");
+
+const START = new Date("2026-04-01T09:00:00Z").getTime();
+const at = (seconds) => jest.setSystemTime(START + seconds * 1000);
+
+const transaction = { LOCK: { UPDATE: "UPDATE" } };
+
+// LoginThrottle rows kept in memory, keyed by scope and identifier.
+let rows;
+const row = (scope, identifier) => rows.get(`${scope}:${identifier}`);
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  at(0);
+  rows = new Map();
+
+  jest.spyOn(sequelize, "transaction").mockImplementation((callback) => callback(transaction));
+  jest
+    .spyOn(LoginThrottle, "findOne")
+    .mockImplementation(async ({ where }) => row(where.scope, where.identifier) || null);
+  jest.spyOn(LoginThrottle, "create").mockImplementation(async (fields) => {
+    const created = { ...fields, save: jest.fn().mockResolvedValue() };
+    rows.set(`${fields.scope}:${fields.identifier}`, created);
+    return created;
+  });
+  jest
+    .spyOn(LoginThrottle, "findAll")
+    .mockImplementation(async ({ where }) => where[Op.or].map((key) => row(key.scope, key.identifier)).filter(Boolean));
+  jest.spyOn(LoginThrottle, "destroy").mockImplementation(async ({ where }) => {
+    rows.delete(`${where.scope}:${where.identifier}`);
+    return 1;
+  });
+  jest.spyOn(LockoutEvent, "create").mockResolvedValue({});
+  jest.spyOn(LockoutEvent, "update").mockResolvedValue([1]);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+afterAll(() => sequelize.close());
+
+const fail = async (times, username = "Ana", ip = "10.0.0.1", user = { id: 7 }) => {
+  for (let i = 0; i < times; i += 1) {
+    await recordFailure(username, ip, user);
+  }
+};
+
+describe("recordFailure / retryAfter", () => {
+  it("lets the first few failures through without a wait", async () => {
+    await fail(2);
+    expect(await retryAfter("Ana", "10.0.0.1")).toBe(0);
+  });
+
+  it("doubles the wait with each failure after the free ones", async () => {
+    await fail(3);
+    expect(await retryAfter("ana", "10.0.0.1")).toBe(1);
+    await fail(1);
+    expect(await retryAfter("ana", "10.0.0.1")).toBe(2);
+  });
+
+  it("counts usernames case-insensitively and per IP", async () => {
+    await fail(1, " ANA ");
+    await fail(1, "ana", "10.0.0.2");
+    expect(row("account", "ana").failures).toBe(2);
+    expect(row("ip", "10.0.0.1").failures).toBe(1);
+    expect(row("ip", "10.0.0.2").failures).toBe(1);
+  });
+
+  it("locks the account out at its limit and records the lockout", async () => {
+    await fail(5);
+
+    expect(row("account", "ana").lockedUntil).toEqual(new Date(START + 15 * 60 * 1000));
+    expect(await retryAfter("ana", "10.0.0.9")).toBe(15 * 60);
+    expect(LockoutEvent.create).toHaveBeenCalledTimes(1);
+    expect(LockoutEvent.create).toHaveBeenCalledWith(
+      expect.objectContaining({ scope: "account", identifier: "ana", user_id: 7, failures: 5 }),
+      { transaction }
+    );
+  });
+
+  it("locks an IP out across usernames", async () => {
+    for (const username of ["a", "b", "c", "d", "e", "f", "g", "h"]) {
+      await fail(1, username);
+    }
+    expect(row("ip", "10.0.0.1").lockedUntil).toEqual(new Date(START + 15 * 60 * 1000));
+    expect(await retryAfter("someone-else", "10.0.0.1")).toBe(15 * 60);
+    expect(LockoutEvent.create).toHaveBeenCalledWith(expect.objectContaining({ scope: "ip", user_id: null }), {
+      transaction,
+    });
+  });
+
+  it("forgets failures older than the window", async () => {
+    await fail(4);
+    at(16 * 60);
+    await fail(1);
+    expect(row("account", "ana").failures).toBe(1);
+    expect(await retryAfter("ana", "10.0.0.3")).toBe(0);
+  });
+
+  it("starts counting afresh once a lockout has passed", async () => {
+    await fail(5);
+    at(15 * 60);
+    expect(await retryAfter("ana", "10.0.0.3")).toBe(0);
+    await fail(1);
+    expect(row("account", "ana")).toMatchObject({ failures: 1, lockedUntil: null });
+  });
+});
+
+describe("recordFailure under concurrency", () => {
+  it("reads each counter under a row lock", async () => {
+    await fail(1);
+    expect(LoginThrottle.findOne).toHaveBeenCalledWith(
+      expect.objectContaining({ where: { scope: "account", identifier: "ana" }, lock: "UPDATE", transaction })
+    );
+    expect(row("account", "ana").save).toHaveBeenCalledWith({ transaction });
+  });
+
+  it("counts onto the row another failure created first", async () => {
+    const theirs = { scope: "account", identifier: "ana", failures: 1, firstFailureAt: new Date(START), save: jest.fn() };
+    LoginThrottle.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(theirs);
+    LoginThrottle.create.mockRejectedValueOnce(new UniqueConstraintError({}));
+
+    await fail(1);
+    expect(theirs.failures).toBe(2);
+    expect(theirs.save).toHaveBeenCalled();
+  });
+
+  it("passes on other errors", async () => {
+    LoginThrottle.create.mockRejectedValueOnce(new Error("connection lost"));
+    await expect(recordFailure("ana", "10.0.0.1")).rejects.toThrow("connection lost");
+  });
+});
+
+describe("recordSuccess", () => {
+  it("clears the username's counter but not the IP's", async () => {
+    await fail(4);
+    await recordSuccess(" Ana ");
+    expect(row("account", "ana")).toBeUndefined();
+    expect(row("ip", "10.0.0.1").failures).toBe(4);
+  });
+});
+
+describe("unlockAccount", () => {
+  it("clears the counter and closes the open lockout events", async () => {
+    await fail(5);
+    const count = await unlockAccount({ username: "Ana" }, 1);
+
+    expect(count).toBe(1);
+    expect(row("account", "ana")).toBeUndefined();
+    expect(LockoutEvent.update).toHaveBeenCalledWith(
+      expect.objectContaining({ unlockedBy: 1 }),
+      expect.objectContaining({ where: expect.objectContaining({ scope: "account", identifier: "ana", unlockedAt: null }) })
+    );
+  });
+});
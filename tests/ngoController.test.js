@@ -0,0 +1,133 @@
+const bcrypt = require("bcryptjs");
+const sequelize = require("../config/db");
+const NGO = require("../models/NGO");
+const User = require("../models/User");
+const { getAllNgos, getNgoById, onboardNgo, updateNgo, suspendNgo } = require("../controllers/ngoController");
+
+const transaction = { LOCK: { UPDATE: "UPDATE" } };
+const admin = { id: 1, role: "admin", ngo_id: null };
+const ngoAdmin = { id: 2, role: "ngo_admin", ngo_id: 4 };
+
+afterEach(() => jest.restoreAllMocks());
+afterAll(() => sequelize.close());
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.send = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// Run a handler array: its validators, then the handler itself.
+const call = async (handlers, req) => {
+  const res = response();
+  for (const validator of handlers.slice(0, -1)) {
+    await validator.run(req);
+  }
+  await handlers[handlers.length - 1](req, res);
+  return res;
+};
+
+const ngoRow = (fields) => ({ id: 4, name: "Green Hands", status: "active", ...fields, save: jest.fn().mockResolvedValue() });
+
+describe("getAllNgos", () => {
+  it("pages and sorts like the other list endpoints, falling back on unknown columns", async () => {
+    jest.spyOn(NGO, "findAndCountAll").mockResolvedValue({ rows: [ngoRow()], count: 21 });
+
+    const res = await call(getAllNgos, { user: admin, query: { page: "3", limit: "10", sortBy: "password" } });
+
+    expect(NGO.findAndCountAll).toHaveBeenCalledWith(
+      expect.objectContaining({ order: [["createdAt", "asc"]], limit: 10, offset: 20 })
+    );
+    expect(res.json).toHaveBeenCalledWith({
+      data: [expect.objectContaining({ id: 4 })],
+      meta: { totalItems: 21, totalPages: 3, currentPage: 3 },
+    });
+  });
+});
+
+describe("getNgoById / updateNgo", () => {
+  it("lets an NGO admin see and update only their own NGO", async () => {
+    const ngo = ngoRow();
+    jest.spyOn(NGO, "findByPk").mockResolvedValue(ngo);
+
+    expect((await call(getNgoById, { user: ngoAdmin, params: { id: "4" } })).status).toHaveBeenCalledWith(200);
+    expect((await call(getNgoById, { user: ngoAdmin, params: { id: "5" } })).status).toHaveBeenCalledWith(401);
+
+    const denied = await call(updateNgo, { user: ngoAdmin, params: { id: "5" }, body: { name: "Taken over" } });
+    expect(denied.status).toHaveBeenCalledWith(401);
+
+    await call(updateNgo, { user: ngoAdmin, params: { id: "4" }, body: { name: "Green Hands Trust" } });
+    expect(ngo).toMatchObject({ name: "Green Hands Trust" });
+    expect(ngo.save).toHaveBeenCalledTimes(1);
+  });
+
+  it("404s for a missing NGO", async () => {
+    jest.spyOn(NGO, "findByPk").mockResolvedValue(null);
+    expect((await call(getNgoById, { user: admin, params: { id: "9" } })).status).toHaveBeenCalledWith(404);
+  });
+});
+
+describe("onboardNgo", () => {
+  const body = {
+    ngo: {
+      name: "Green Hands",
+      registrationNumber: "REG-1",
+      address: "1 Main St",
+      contactEmail: "hello@greenhands.org",
+      contactPhone: "555-0100",
+    },
+    admin: { username: "lead", password: "long-enough", email: "lead@greenhands.org" },
+  };
+
+  beforeEach(() => {
+    jest.spyOn(sequelize, "transaction").mockImplementation((callback) => callback(transaction));
+  });
+
+  it("creates the NGO and its first admin together", async () => {
+    jest.spyOn(NGO, "create").mockResolvedValue({ id: 4, name: "Green Hands" });
+    jest.spyOn(User, "create").mockImplementation(async (fields) => ({ ...fields, dataValues: { ...fields } }));
+
+    const res = await call(onboardNgo, { user: admin, body });
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(NGO.create).toHaveBeenCalledWith(expect.objectContaining({ name: "Green Hands" }), { transaction });
+    const [fields, options] = User.create.mock.calls[0];
+    expect(fields).toMatchObject({ username: "lead", role: "ngo_admin", ngo_id: 4 });
+    expect(bcrypt.compareSync("long-enough", fields.password)).toBe(true);
+    expect(options).toEqual({ transaction });
+
+    const { admin: created } = res.json.mock.calls[0][0];
+    expect(created.dataValues.password).toBeUndefined();
+  });
+
+  it("fails as a whole when the admin cannot be created", async () => {
+    jest.spyOn(NGO, "create").mockResolvedValue({ id: 4 });
+    jest.spyOn(User, "create").mockRejectedValue(new Error("Duplicate username"));
+
+    const res = await call(onboardNgo, { user: admin, body });
+    expect(res.status).toHaveBeenCalledWith(500);
+    // The NGO was created in the transaction the failure rolls back
+    expect(NGO.create).toHaveBeenCalledWith(expect.any(Object), { transaction });
+  });
+
+  it("rejects a short admin password", async () => {
+    jest.spyOn(NGO, "create");
+    const res = await call(onboardNgo, { user: admin, body: { ...body, admin: { ...body.admin, password: "short" } } });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(NGO.create).not.toHaveBeenCalled();
+  });
+});
+
+describe("suspendNgo", () => {
+  it("marks the NGO suspended and when", async () => {
+    const ngo = ngoRow();
+    jest.spyOn(NGO, "findByPk").mockResolvedValue(ngo);
+
+    await call(suspendNgo, { user: admin, params: { id: "4" } });
+    expect(ngo.status).toBe("suspended");
+    expect(ngo.suspendedAt).toBeInstanceOf(Date);
+  });
+});
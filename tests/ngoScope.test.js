@@ -0,0 +1,92 @@
+process.env.SECRET = "test-secret";
+
+const jwt = require("jsonwebtoken");
+const sequelize = require("../config/db");
+const NGO = require("../models/NGO");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const authMiddleware = require("../middleware/authMiddleware");
+const { isPlatformAdmin, scopeWhere, ownsRecord, resolveNgoId } = require("../utils/ngoScope");
+
+const admin = { id: 1, role: "admin", ngo_id: null };
+const ngoAdmin = { id: 2, role: "ngo_admin", ngo_id: 4 };
+
+afterEach(() => jest.restoreAllMocks());
+afterAll(() => sequelize.close());
+
+describe("scopeWhere", () => {
+  it("confines NGO users to their own NGO", () => {
+    expect(scopeWhere(ngoAdmin, { id: 9 })).toEqual({ id: 9, ngo_id: 4 });
+    expect(scopeWhere(ngoAdmin)).toEqual({ ngo_id: 4 });
+  });
+
+  it("cannot be widened by a requested ngo_id", () => {
+    expect(scopeWhere(ngoAdmin, { ngo_id: 5 })).toEqual({ ngo_id: 4 });
+  });
+
+  it("leaves the platform admin unscoped", () => {
+    expect(isPlatformAdmin(admin)).toBe(true);
+    expect(scopeWhere(admin, { id: 9 })).toEqual({ id: 9 });
+  });
+});
+
+describe("ownsRecord", () => {
+  it("matches the record's NGO", () => {
+    expect(ownsRecord(ngoAdmin, { ngo_id: 4 })).toBe(true);
+    expect(ownsRecord(ngoAdmin, { ngo_id: 5 })).toBe(false);
+    expect(ownsRecord(ngoAdmin, null)).toBeFalsy();
+    expect(ownsRecord(admin, { ngo_id: 5 })).toBe(true);
+  });
+});
+
+describe("resolveNgoId", () => {
+  it("stamps an NGO user's records with their own NGO whatever they ask for", () => {
+    expect(resolveNgoId(ngoAdmin, "5")).toBe(4);
+    expect(resolveNgoId(ngoAdmin, undefined)).toBe(4);
+  });
+
+  it("lets the platform admin choose, and requires them to", () => {
+    expect(resolveNgoId(admin, "5")).toBe(5);
+    expect(resolveNgoId(admin, undefined)).toBeNull();
+  });
+});
+
+describe("authMiddleware", () => {
+  const response = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.send = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  const requestAs = (user) => {
+    const token = jwt.sign({ id: user.id, role: user.role, sid: 3, gen: 0 }, "test-secret");
+    return { header: (name) => (name === "Authorization" ? `Bearer ${token}` : undefined) };
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Session, "findByPk").mockResolvedValue({ id: 3, user_id: 2, generation: 0, revokedAt: null });
+    jest.spyOn(User, "findByPk").mockResolvedValue(ngoAdmin);
+  });
+
+  it("loads the user's NGO onto the request", async () => {
+    jest.spyOn(NGO, "findByPk").mockResolvedValue({ id: 4, status: "active" });
+    const req = requestAs(ngoAdmin);
+    const next = jest.fn();
+
+    await authMiddleware(req, response(), next);
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toEqual({ id: 2, role: "ngo_admin", ngo_id: 4, sessionId: 3 });
+  });
+
+  it("locks out users of a suspended NGO", async () => {
+    jest.spyOn(NGO, "findByPk").mockResolvedValue({ id: 4, status: "suspended" });
+    const res = response();
+    const next = jest.fn();
+
+    await authMiddleware(requestAs(ngoAdmin), res, next);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
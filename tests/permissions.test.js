@@ -0,0 +1,155 @@
+const sequelize = require("../config/db");
+const NGO = require("../models/NGO");
+const RolePermission = require("../models/RolePermission");
+const User = require("../models/User");
+const requirePermission = require("../middleware/requirePermission");
+const { ngoAdminRegister } = require("../controllers/authController");
+const {
+  PERMISSIONS,
+  PLATFORM_PERMISSIONS,
+  hasPermission,
+  invalidatePermissionCache,
+  permissionsForRole,
+} = require("../utils/permissions");
+
+// RolePermission rows kept in memory.
+let rows;
+
+beforeEach(() => {
+  invalidatePermissionCache();
+  rows = [
+    { role: "coordinator", permission: "volunteers:read" },
+    { role: "coordinator", permission: "attendance:write" },
+    { role: "ngo_admin", permission: "donors:write" },
+    { role: "ngo_admin", permission: "ngos:manage" },
+  ];
+  jest.spyOn(RolePermission, "count").mockImplementation(async () => rows.length);
+  jest.spyOn(RolePermission, "findAll").mockImplementation(async () => rows);
+  jest.spyOn(RolePermission, "bulkCreate").mockImplementation(async (records) => {
+    rows.push(...records);
+    return records;
+  });
+});
+
+afterEach(() => jest.restoreAllMocks());
+afterAll(() => sequelize.close());
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.send = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe("permissionsForRole", () => {
+  it("grants a role what the table assigns it", async () => {
+    const coordinator = await permissionsForRole("coordinator");
+    expect([...coordinator].sort()).toEqual(["attendance:write", "volunteers:read"]);
+  });
+
+  it("gives the platform admin every permission", async () => {
+    expect([...(await permissionsForRole("admin"))].sort()).toEqual(Object.keys(PERMISSIONS).sort());
+  });
+
+  it("never lets an NGO role hold a platform permission", async () => {
+    const ngoAdmin = await permissionsForRole("ngo_admin");
+    expect(ngoAdmin.has("donors:write")).toBe(true);
+    PLATFORM_PERMISSIONS.forEach((permission) => expect(ngoAdmin.has(permission)).toBe(false));
+  });
+
+  it("grants unknown roles nothing", async () => {
+    expect((await permissionsForRole("api_key")).size).toBe(0);
+  });
+
+  it("seeds the defaults into an empty table", async () => {
+    rows = [];
+    expect((await permissionsForRole("ngo_admin")).has("receipts:write")).toBe(true);
+    expect(RolePermission.bulkCreate).toHaveBeenCalledWith(expect.any(Array), { ignoreDuplicates: true });
+  });
+
+  it("caches the table until invalidated", async () => {
+    await permissionsForRole("coordinator");
+    rows.push({ role: "coordinator", permission: "events:write" });
+
+    expect((await permissionsForRole("coordinator")).has("events:write")).toBe(false);
+    invalidatePermissionCache();
+    expect((await permissionsForRole("coordinator")).has("events:write")).toBe(true);
+  });
+});
+
+describe("hasPermission", () => {
+  it("checks an API key against its scopes, not a role", async () => {
+    const key = { apiKeyId: 3, role: "api_key", scopes: ["donors:read"] };
+    expect(await hasPermission(key, "donors:read")).toBe(true);
+    expect(await hasPermission(key, "donors:write")).toBe(false);
+    expect(await hasPermission({ ...key, scopes: null }, "donors:read")).toBe(false);
+  });
+});
+
+describe("requirePermission", () => {
+  it("lets through a user holding every listed permission", async () => {
+    const next = jest.fn();
+    const guard = requirePermission("volunteers:read", "attendance:write");
+    await guard({ user: { id: 1, role: "coordinator" } }, response(), next);
+    expect(next).toHaveBeenCalled();
+  });
+
+  it("refuses a user missing any of them", async () => {
+    const next = jest.fn();
+    const res = response();
+    await requirePermission("volunteers:read", "events:write")(
+      { user: { id: 1, role: "coordinator" }, method: "POST", originalUrl: "/api/events" },
+      res,
+      next
+    );
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.send).toHaveBeenCalledWith("Unauthorized. This action requires the events:write permission.");
+  });
+
+  it("refuses a request without a user", async () => {
+    const res = response();
+    await requirePermission("donors:read")({}, res, jest.fn());
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
+
+describe("NGO admin registration", () => {
+  const route = require("../routes/authRoutes").stack.find((layer) => layer.route.path === "/register/ngoadmin");
+
+  it("is guarded by ngos:manage, which an NGO admin cannot hold", async () => {
+    const [, guard] = route.route.stack.map((layer) => layer.handle);
+    const next = jest.fn();
+    const res = response();
+
+    await guard({ user: { id: 2, role: "ngo_admin" }, method: "POST", originalUrl: "/auth/register/ngoadmin" }, res, next);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.send).toHaveBeenCalledWith("Unauthorized. This action requires the ngos:manage permission.");
+
+    await guard({ user: { id: 1, role: "admin" } }, response(), next);
+    expect(next).toHaveBeenCalled();
+  });
+
+  it("rejects an ngo_id that is not an NGO", async () => {
+    jest.spyOn(NGO, "findByPk").mockResolvedValue(null);
+    jest.spyOn(User, "create");
+    const res = response();
+
+    await ngoAdminRegister({ body: { username: "lead", password: "secret", ngo_id: 99 } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith("NGO not found for ngo_id.");
+    expect(User.create).not.toHaveBeenCalled();
+  });
+
+  it("creates an ngo_admin for an existing NGO", async () => {
+    jest.spyOn(NGO, "findByPk").mockResolvedValue({ id: 4 });
+    jest.spyOn(User, "create").mockResolvedValue({});
+    const res = response();
+
+    await ngoAdminRegister({ body: { username: "lead", password: "secret", ngo_id: 4 } }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(User.create).toHaveBeenCalledWith(expect.objectContaining({ username: "lead", role: "ngo_admin", ngo_id: 4 }));
+  });
+});
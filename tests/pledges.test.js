@@ -0,0 +1,251 @@
+process.env.PLEDGE_GRACE_DAYS = "7";
+
+const { Op } = require("sequelize");
+const sequelize = require("../config/db");
+const Pledge = require("../models/Pledge");
+const PledgeInstallment = require("../models/PledgeInstallment");
+const PledgePayment = require("../models/PledgePayment");
+const {
+  addDays,
+  addMonths,
+  dueDateFor,
+  scheduleInstallments,
+  matchDonation,
+  markOverdue,
+  fulfilmentFor,
+} = require("../utils/pledges");
+
+afterEach(() => jest.restoreAllMocks());
+afterAll(() => sequelize.close());
+
+describe("addDays", () => {
+  it("crosses month and year ends", () => {
+    expect(addDays("2026-01-31", 1)).toBe("2026-02-01");
+    expect(addDays("2026-01-05", -15)).toBe("2025-12-21");
+  });
+});
+
+describe("addMonths", () => {
+  it("keeps the day of the month", () => {
+    expect(addMonths("2026-01-15", 1)).toBe("2026-02-15");
+    expect(addMonths("2026-11-15", 3)).toBe("2027-02-15");
+  });
+
+  it("clamps to the end of shorter months", () => {
+    expect(addMonths("2026-01-31", 1)).toBe("2026-02-28");
+    expect(addMonths("2028-01-31", 1)).toBe("2028-02-29");
+    expect(addMonths("2026-03-31", 1)).toBe("2026-04-30");
+  });
+});
+
+describe("dueDateFor", () => {
+  it("anchors every installment to the start date", () => {
+    const pledge = { startDate: "2026-01-31", frequency: "monthly" };
+    expect([1, 2, 3].map((sequence) => dueDateFor(pledge, sequence))).toEqual([
+      "2026-02-28",
+      "2026-03-31",
+      "2026-04-30",
+    ]);
+  });
+
+  it("spaces quarterly and yearly pledges", () => {
+    expect(dueDateFor({ startDate: "2026-01-10", frequency: "quarterly" }, 2)).toBe("2026-07-10");
+    expect(dueDateFor({ startDate: "2026-01-10", frequency: "yearly" }, 2)).toBe("2028-01-10");
+  });
+});
+
+describe("scheduleInstallments", () => {
+  const pledge = {
+    id: 3,
+    amount: "50.00",
+    startDate: "2026-01-10",
+    scheduleFrom: "2026-01-10",
+    endDate: null,
+    frequency: "monthly",
+  };
+
+  beforeEach(() => {
+    jest.spyOn(PledgeInstallment, "create").mockImplementation(async (fields) => fields);
+  });
+
+  it("creates the installments due up to the date given", async () => {
+    jest.spyOn(PledgeInstallment, "max").mockResolvedValue(null);
+
+    const created = await scheduleInstallments(pledge, "2026-03-31");
+
+    expect(created.map((installment) => [installment.sequence, installment.dueDate])).toEqual([
+      [0, "2026-01-10"],
+      [1, "2026-02-10"],
+      [2, "2026-03-10"],
+    ]);
+    expect(created[0]).toMatchObject({ pledge_id: 3, amount: "50.00" });
+  });
+
+  it("continues after the last scheduled installment", async () => {
+    jest.spyOn(PledgeInstallment, "max").mockResolvedValue(1);
+
+    const created = await scheduleInstallments(pledge, "2026-03-31");
+
+    expect(created.map((installment) => installment.sequence)).toEqual([2]);
+  });
+
+  it("stops at the end date and skips dates before scheduleFrom", async () => {
+    jest.spyOn(PledgeInstallment, "max").mockResolvedValue(null);
+
+    const created = await scheduleInstallments(
+      { ...pledge, scheduleFrom: "2026-02-01", endDate: "2026-04-01" },
+      "2026-12-31"
+    );
+
+    expect(created.map((installment) => installment.dueDate)).toEqual(["2026-02-10", "2026-03-10"]);
+  });
+});
+
+describe("matchDonation", () => {
+  // PledgePayment rows kept in memory.
+  let payments;
+  let installment;
+
+  const donation = (id, amount) => ({
+    id,
+    amount,
+    donor_id: 9,
+    currency: "EUR",
+    project_id: null,
+    donationDate: "2026-02-08",
+  });
+
+  beforeEach(() => {
+    payments = [];
+    installment = {
+      id: 21,
+      amount: "100.00",
+      amountReceived: "0.00",
+      donation_id: null,
+      status: "expected",
+      save: jest.fn(function save() {
+        return Promise.resolve(this);
+      }),
+    };
+
+    jest.spyOn(PledgePayment, "findOne").mockImplementation(async ({ where }) =>
+      payments.find((payment) => payment.donation_id === where.donation_id) || null
+    );
+    jest.spyOn(PledgePayment, "findOrCreate").mockImplementation(async ({ where, defaults }) => {
+      const found = payments.find((payment) => payment.donation_id === where.donation_id);
+      if (found) {
+        return [found, false];
+      }
+      const payment = { ...where, ...defaults, save: jest.fn().mockResolvedValue() };
+      payments.push(payment);
+      return [payment, true];
+    });
+    jest.spyOn(PledgePayment, "findAll").mockImplementation(async ({ where }) =>
+      payments.filter((payment) => payment.installment_id === where.installment_id)
+    );
+    jest.spyOn(PledgeInstallment, "findByPk").mockImplementation(async () => installment);
+    jest.spyOn(PledgeInstallment, "findOne").mockImplementation(async ({ where }) =>
+      where.status ? installment : null
+    );
+  });
+
+  it("marks an installment partly paid", async () => {
+    await matchDonation(donation(1, "40.00"));
+
+    expect(installment).toMatchObject({ status: "partial", amountReceived: "40.00", donation_id: 1 });
+  });
+
+  it("adds later gifts to a partly paid installment until it is fulfilled", async () => {
+    await matchDonation(donation(1, "40.00"));
+    await matchDonation(donation(2, "35.00"));
+    expect(installment).toMatchObject({ status: "partial", amountReceived: "75.00" });
+
+    await matchDonation(donation(3, "25.00"));
+    expect(installment).toMatchObject({ status: "fulfilled", amountReceived: "100.00", donation_id: 1 });
+    expect(payments.map((payment) => payment.donation_id)).toEqual([1, 2, 3]);
+  });
+
+  it("looks for open installments, partly paid ones included", async () => {
+    await matchDonation(donation(1, "40.00"));
+
+    expect(PledgeInstallment.findOne).toHaveBeenCalledWith(
+      expect.objectContaining({ where: expect.objectContaining({ status: ["expected", "partial", "overdue"] }) })
+    );
+  });
+
+  it("replaces the amount when a donation is applied again", async () => {
+    await matchDonation(donation(1, "40.00"));
+    await matchDonation(donation(1, "60.00"));
+
+    expect(payments).toHaveLength(1);
+    expect(installment).toMatchObject({ status: "partial", amountReceived: "60.00" });
+  });
+
+  it("keeps an overdue installment overdue until it is paid in full", async () => {
+    installment.status = "overdue";
+
+    await matchDonation(donation(1, "40.00"));
+    expect(installment.status).toBe("overdue");
+
+    await matchDonation(donation(2, "60.00"));
+    expect(installment.status).toBe("fulfilled");
+  });
+
+  it("counts the gift of an installment paid before payments were recorded", async () => {
+    Object.assign(installment, { donation_id: 7, amountReceived: "30.00", status: "partial" });
+
+    await matchDonation(donation(8, "70.00"));
+
+    expect(payments.map((payment) => [payment.donation_id, payment.amount])).toEqual([
+      [7, "30.00"],
+      [8, "70.00"],
+    ]);
+    expect(installment).toMatchObject({ status: "fulfilled", amountReceived: "100.00", donation_id: 7 });
+  });
+
+  it("returns null when no installment matches", async () => {
+    PledgeInstallment.findOne.mockResolvedValue(null);
+
+    expect(await matchDonation(donation(1, "40.00"))).toBeNull();
+    expect(payments).toHaveLength(0);
+  });
+});
+
+describe("markOverdue", () => {
+  it("flags unpaid and partly paid installments past the grace period", async () => {
+    jest.spyOn(Pledge, "findAll").mockResolvedValue([{ id: 3 }, { id: 4 }]);
+    jest.spyOn(PledgeInstallment, "update").mockResolvedValue([2]);
+
+    expect(await markOverdue("2026-03-20")).toBe(2);
+
+    const [values, { where }] = PledgeInstallment.update.mock.calls[0];
+    expect(values).toEqual({ status: "overdue" });
+    expect(where).toMatchObject({ pledge_id: [3, 4], status: ["expected", "partial"] });
+    expect(where.dueDate[Op.lt]).toBe("2026-03-13");
+  });
+});
+
+describe("fulfilmentFor", () => {
+  const installments = [
+    { dueDate: "2026-01-10", amount: "50.00", amountReceived: "50.00", status: "fulfilled" },
+    { dueDate: "2026-02-10", amount: "50.00", amountReceived: "20.00", status: "overdue" },
+    { dueDate: "2026-03-10", amount: "50.00", amountReceived: "80.00", status: "fulfilled" },
+    { dueDate: "2026-04-10", amount: "50.00", amountReceived: "0.00", status: "cancelled" },
+    { dueDate: "2026-05-10", amount: "50.00", amountReceived: "0.00", status: "expected" },
+  ];
+
+  it("counts installments already due and caps each at the amount pledged", () => {
+    expect(fulfilmentFor(installments, "2026-04-30")).toEqual({
+      installmentsDue: 3,
+      installmentsFulfilled: 2,
+      installmentsOverdue: 1,
+      amountDue: "150.00",
+      amountReceived: "120.00",
+      fulfilmentPercent: 80,
+    });
+  });
+
+  it("has no percentage before anything is due", () => {
+    expect(fulfilmentFor(installments, "2025-12-31")).toMatchObject({ installmentsDue: 0, fulfilmentPercent: null });
+  });
+});
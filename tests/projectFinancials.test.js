@@ -0,0 +1,66 @@
+const sequelize = require("../config/db");
+const BudgetLineItem = require("../models/BudgetLineItem");
+const DonationAllocation = require("../models/DonationAllocation");
+const Expense = require("../models/Expense");
+const { buildFinancials } = require("../utils/projectFinancials");
+
+const project = { id: 3, name: "Clean water", currency: "EUR" };
+
+// Rows as the grouped SUM(amount) query returns them, per model.
+const mockTotals = (model, totals) =>
+  jest
+    .spyOn(model, "findAll")
+    .mockResolvedValue(Object.entries(totals).map(([category, total]) => ({ category, total })));
+
+beforeEach(() => {
+  jest.spyOn(DonationAllocation, "sum").mockResolvedValue("500.00");
+  jest.spyOn(Expense, "sum").mockImplementation(async (column) => (column === "amount" ? "350.10" : "50.00"));
+});
+
+afterEach(() => jest.restoreAllMocks());
+afterAll(() => sequelize.close());
+
+describe("buildFinancials", () => {
+  it("compares budget with spending category by category", async () => {
+    mockTotals(BudgetLineItem, { equipment: "1000.00", travel: "200.00" });
+    mockTotals(Expense, { equipment: "250.10", travel: "100.00" });
+
+    const financials = await buildFinancials(project);
+
+    const columns = ["category", "budgeted", "spent", "remaining", "percentUsed", "overspent"];
+    expect(financials.categories.map((line) => columns.map((column) => line[column]))).toEqual([
+      ["equipment", "1000.00", "250.10", "749.90", 25.01, false],
+      ["travel", "200.00", "100.00", "100.00", 50, false],
+    ]);
+    expect(financials.totals).toEqual({
+      budgeted: "1200.00",
+      spent: "350.10",
+      remaining: "849.90",
+      percentUsed: 29.18,
+      overspent: false,
+    });
+    expect(financials).toMatchObject({ project: { id: 3, name: "Clean water" }, currency: "EUR", overspentCategories: [] });
+  });
+
+  it("flags spending over budget, and in categories with no budget line", async () => {
+    mockTotals(BudgetLineItem, { travel: "200.00" });
+    mockTotals(Expense, { catering: "40.00", travel: "210.00" });
+
+    const financials = await buildFinancials(project);
+
+    expect(financials.overspentCategories).toEqual(["catering", "travel"]);
+    expect(financials.categories[0]).toMatchObject({ category: "catering", budgeted: "0.00", percentUsed: null });
+    expect(financials.categories[1]).toMatchObject({ remaining: "-10.00", overspent: true });
+    expect(financials.totals.overspent).toBe(true);
+  });
+
+  it("reports the restricted funds received and spent", async () => {
+    mockTotals(BudgetLineItem, {});
+    mockTotals(Expense, {});
+
+    const financials = await buildFinancials(project);
+
+    expect(financials.restrictedFunds).toEqual({ received: "500.00", spent: "300.10", remaining: "199.90" });
+    expect(financials.totals).toMatchObject({ budgeted: "0.00", percentUsed: null });
+  });
+});
@@ -0,0 +1,129 @@
+const sequelize = require("../config/db");
+const Receipt = require("../models/Receipt");
+const ReceiptSequence = require("../models/ReceiptSequence");
+const ReceiptAuditLog = require("../models/ReceiptAuditLog");
+const { formatReceiptNumber, issueReceipt, voidReceipt } = require("../utils/receipts");
+
+// Stands in for a Sequelize transaction; only LOCK is read.
+const transaction = { LOCK: { UPDATE: "UPDATE" } };
+
+const donation = {
+  id: 31,
+  ngo_id: 4,
+  donor_id: 9,
+  donationDate: "2026-05-10",
+  amount: "250.00",
+  currency: "EUR",
+};
+
+// ReceiptSequence rows kept in memory, keyed by NGO and fiscal year.
+let sequences;
+
+beforeEach(() => {
+  sequences = new Map();
+  const key = ({ ngo_id, fiscalYear }) => `${ngo_id}:${fiscalYear}`;
+  const row = (fields) => ({ ...fields, save: jest.fn().mockResolvedValue() });
+
+  jest.spyOn(ReceiptSequence, "findOne").mockImplementation(async ({ where }) => sequences.get(key(where)) || null);
+  jest.spyOn(ReceiptSequence, "bulkCreate").mockImplementation(async (records) => {
+    records.filter((fields) => !sequences.has(key(fields))).forEach((fields) => sequences.set(key(fields), row(fields)));
+    return records;
+  });
+  jest.spyOn(Receipt, "create").mockImplementation(async (fields) => ({ id: 100 + fields.sequence, ...fields }));
+  jest.spyOn(ReceiptAuditLog, "create").mockResolvedValue({});
+});
+
+afterEach(() => jest.restoreAllMocks());
+afterAll(() => sequelize.close());
+
+describe("formatReceiptNumber", () => {
+  it("prefixes the NGO and fiscal year and pads the sequence", () => {
+    expect(formatReceiptNumber(4, "2026-27", 17)).toBe("R4/2026-27/000017");
+  });
+});
+
+describe("issueReceipt", () => {
+  it("numbers receipts consecutively within the NGO's fiscal year", async () => {
+    const first = await issueReceipt(donation, 2, transaction);
+    const second = await issueReceipt({ ...donation, id: 32 }, 2, transaction);
+
+    expect(first).toMatchObject({ receiptNumber: "R4/2026-27/000001", fiscalYear: "2026-27", sequence: 1 });
+    expect(second.receiptNumber).toBe("R4/2026-27/000002");
+  });
+
+  it("starts a new series for another fiscal year or NGO", async () => {
+    await issueReceipt(donation, 2, transaction);
+    const earlierYear = await issueReceipt({ ...donation, donationDate: "2026-03-31" }, 2, transaction);
+    const otherNgo = await issueReceipt({ ...donation, ngo_id: 5 }, 2, transaction);
+
+    expect(earlierYear.receiptNumber).toBe("R4/2025-26/000001");
+    expect(otherNgo.receiptNumber).toBe("R5/2026-27/000001");
+  });
+
+  it("locks the sequence row inside the transaction", async () => {
+    await issueReceipt(donation, 2, transaction);
+    expect(ReceiptSequence.findOne).toHaveBeenCalledWith(expect.objectContaining({ lock: "UPDATE", transaction }));
+  });
+
+  it("inserts a new series' row ignoring duplicates before locking it", async () => {
+    await issueReceipt(donation, 2, transaction);
+    await issueReceipt({ ...donation, id: 32 }, 2, transaction);
+
+    expect(ReceiptSequence.bulkCreate).toHaveBeenCalledWith([{ ngo_id: 4, fiscalYear: "2026-27", lastNumber: 0 }], {
+      ignoreDuplicates: true,
+      transaction,
+    });
+    expect(ReceiptSequence.bulkCreate.mock.invocationCallOrder[0]).toBeLessThan(
+      ReceiptSequence.findOne.mock.invocationCallOrder[0]
+    );
+    expect(sequences.get("4:2026-27").lastNumber).toBe(2);
+  });
+
+  it("copies the gift onto the receipt", async () => {
+    const receipt = await issueReceipt(donation, 2, transaction);
+    expect(receipt).toMatchObject({
+      ngo_id: 4,
+      donor_id: 9,
+      donation_id: 31,
+      amount: "250.00",
+      currency: "EUR",
+      issuedBy: 2,
+      replaces_id: null,
+    });
+  });
+
+  it("records the issue in the audit log", async () => {
+    const receipt = await issueReceipt(donation, 2, transaction);
+    expect(ReceiptAuditLog.create).toHaveBeenCalledWith(
+      { receipt_id: receipt.id, action: "issued", performedBy: 2, details: null },
+      { transaction }
+    );
+  });
+
+  it("links a reissue to the receipt it replaces", async () => {
+    const replaced = { id: 55, receiptNumber: "R4/2026-27/000001" };
+    const receipt = await issueReceipt(donation, 2, transaction, replaced);
+
+    expect(receipt.replaces_id).toBe(55);
+    expect(ReceiptAuditLog.create).toHaveBeenCalledWith(
+      { receipt_id: receipt.id, action: "reissued", performedBy: 2, details: "Replaces receipt R4/2026-27/000001" },
+      { transaction }
+    );
+  });
+});
+
+describe("voidReceipt", () => {
+  it("voids the receipt with the reason and logs it", async () => {
+    const receipt = { id: 101, status: "issued", save: jest.fn().mockResolvedValue() };
+
+    await voidReceipt(receipt, 3, "Refunded", transaction);
+
+    expect(receipt).toMatchObject({ status: "void", voidReason: "Refunded" });
+    expect(receipt.voidedAt).toBeInstanceOf(Date);
+    expect(receipt.save).toHaveBeenCalledWith({ transaction });
+    expect(ReceiptAuditLog.create).toHaveBeenCalledWith(
+      { receipt_id: 101, action: "voided", performedBy: 3, details: "Refunded" },
+      { transaction }
+    );
+  });
+});
@@ -0,0 +1,243 @@
+const {
+  MAX_OCCURRENCES,
+  parseRRule,
+  expandRule,
+  expandEvent,
+  occurrenceKey,
+  occurrenceOn,
+  occurrenceStartingOn,
+  upcomingOccurrences,
+  nextOccurrence,
+} = require("../utils/recurrence");
+
+const keys = (dates) => dates.map(occurrenceKey);
+
+describe("parseRRule", () => {
+  it("parses a weekly rule", () => {
+    expect(parseRRule("RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=SA,SU;COUNT=6")).toMatchObject({
+      freq: "WEEKLY",
+      interval: 2,
+      count: 6,
+      byDay: [
+        { weekday: 6, ordinal: null },
+        { weekday: 0, ordinal: null },
+      ],
+    });
+  });
+
+  it.each([
+    ["FREQ=HOURLY", /FREQ/],
+    ["FREQ=WEEKLY;COUNT=3;UNTIL=20260101", /COUNT and UNTIL/],
+    ["FREQ=WEEKLY;BYDAY=1SA", /ordinals/],
+    ["FREQ=MONTHLY;BYMONTHDAY=0", /BYMONTHDAY/],
+    ["FREQ=DAILY;BYSETPOS=1", /Unsupported/],
+    ["FREQ=DAILY;INTERVAL=0", /INTERVAL/],
+  ])("rejects %s", (text, message) => {
+    expect(() => parseRRule(text)).toThrow(message);
+  });
+});
+
+describe("expandRule", () => {
+  it("repeats weekly on the start's weekday", () => {
+    const start = new Date(2026, 0, 3, 9, 0); // Saturday
+    expect(keys(expandRule(parseRRule("FREQ=WEEKLY;COUNT=3"), start))).toEqual([
+      "2026-01-03",
+      "2026-01-10",
+      "2026-01-17",
+    ]);
+  });
+
+  it("keeps the wall-clock time", () => {
+    const start = new Date(2026, 2, 1, 9, 30);
+    const dates = expandRule(parseRRule("FREQ=WEEKLY;COUNT=10"), start);
+    expect(dates.every((date) => date.getHours() === 9 && date.getMinutes() === 30)).toBe(true);
+  });
+
+  it("handles several weekdays every other week", () => {
+    const start = new Date(2026, 0, 5, 18, 0); // Monday
+    expect(keys(expandRule(parseRRule("FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=4"), start))).toEqual([
+      "2026-01-05",
+      "2026-01-08",
+      "2026-01-19",
+      "2026-01-22",
+    ]);
+  });
+
+  it("finds the first Saturday of each month", () => {
+    const start = new Date(2026, 0, 3, 10, 0);
+    expect(keys(expandRule(parseRRule("FREQ=MONTHLY;BYDAY=1SA;COUNT=3"), start))).toEqual([
+      "2026-01-03",
+      "2026-02-07",
+      "2026-03-07",
+    ]);
+  });
+
+  it("finds the last Friday of each month", () => {
+    const start = new Date(2026, 0, 30, 10, 0);
+    expect(keys(expandRule(parseRRule("FREQ=MONTHLY;BYDAY=-1FR;COUNT=3"), start))).toEqual([
+      "2026-01-30",
+      "2026-02-27",
+      "2026-03-27",
+    ]);
+  });
+
+  it("skips months without the day", () => {
+    const start = new Date(2026, 0, 31, 10, 0);
+    expect(keys(expandRule(parseRRule("FREQ=MONTHLY;COUNT=3"), start))).toEqual([
+      "2026-01-31",
+      "2026-03-31",
+      "2026-05-31",
+    ]);
+  });
+
+  it("stops at UNTIL", () => {
+    const start = new Date(2026, 0, 1, 8, 0);
+    expect(expandRule(parseRRule("FREQ=DAILY;UNTIL=20260105"), start)).toHaveLength(5);
+  });
+
+  it("counts from the first occurrence even when the window starts later", () => {
+    const start = new Date(2026, 0, 3, 9, 0);
+    const dates = expandRule(parseRRule("FREQ=WEEKLY;COUNT=4"), start, { from: new Date(2026, 0, 15) });
+    expect(keys(dates)).toEqual(["2026-01-17", "2026-01-24"]);
+  });
+
+  it("expands an old open-ended series in a recent window", () => {
+    const daily = expandRule(parseRRule("FREQ=DAILY"), new Date(2019, 0, 1, 9, 0), {
+      from: new Date(2026, 2, 1),
+      to: new Date(2026, 2, 4),
+    });
+    expect(keys(daily)).toEqual(["2026-03-01", "2026-03-02", "2026-03-03"]);
+
+    const weekly = expandRule(parseRRule("FREQ=WEEKLY;BYDAY=SA"), new Date(2000, 0, 1, 9, 0), {
+      from: new Date(2026, 2, 1),
+      to: new Date(2026, 2, 31),
+    });
+    expect(keys(weekly)).toEqual(["2026-03-07", "2026-03-14", "2026-03-21", "2026-03-28"]);
+
+    const monthly = expandRule(parseRRule("FREQ=MONTHLY;INTERVAL=3;BYDAY=-1FR"), new Date(1990, 0, 26, 9, 0), {
+      from: new Date(2026, 0, 1),
+      to: new Date(2026, 11, 31),
+    });
+    expect(keys(monthly)).toEqual(["2026-01-30", "2026-04-24", "2026-07-31", "2026-10-30"]);
+  });
+
+  it("still counts COUNT from the series start", () => {
+    const start = new Date(2020, 0, 1, 9, 0);
+    const dates = expandRule(parseRRule("FREQ=DAILY;COUNT=2000"), start, {
+      from: new Date(2025, 5, 20),
+      to: new Date(2025, 6, 1),
+    });
+    // The 2000th day from 2020-01-01 is 2025-06-22
+    expect(keys(dates)).toEqual(["2025-06-20", "2025-06-21", "2025-06-22"]);
+  });
+
+  it("caps occurrences inside the window only", () => {
+    const dates = expandRule(parseRRule("FREQ=DAILY"), new Date(2000, 0, 1, 9, 0), {
+      from: new Date(2020, 0, 1),
+      to: new Date(2026, 0, 1),
+    });
+    expect(dates).toHaveLength(MAX_OCCURRENCES);
+    expect(occurrenceKey(dates[0])).toBe("2020-01-01");
+  });
+
+  it("needs a window end for an open-ended rule", () => {
+    expect(() => expandRule(parseRRule("FREQ=DAILY"), new Date(2026, 0, 1))).toThrow(/window end/);
+  });
+});
+
+describe("expandEvent", () => {
+  const event = {
+    id: 9,
+    name: "Food distribution",
+    location: "Community hall",
+    date: new Date(2026, 0, 3, 9, 0),
+    endDate: new Date(2026, 0, 3, 12, 0),
+    recurrence: "FREQ=WEEKLY;COUNT=4",
+  };
+
+  it("applies cancellations and overrides", () => {
+    const occurrences = expandEvent(event, [
+      { originalDate: "2026-01-10", cancelled: true },
+      { originalDate: "2026-01-17", date: new Date(2026, 0, 18, 10, 0), location: "School yard" },
+    ]);
+
+    expect(occurrences.map((o) => [o.occurrence, o.cancelled, o.location])).toEqual([
+      ["2026-01-03", false, "Community hall"],
+      ["2026-01-10", true, "Community hall"],
+      ["2026-01-17", false, "School yard"],
+      ["2026-01-24", false, "Community hall"],
+    ]);
+    const moved = occurrences[2];
+    expect(moved.start).toEqual(new Date(2026, 0, 18, 10, 0));
+    expect(moved.end).toEqual(new Date(2026, 0, 18, 13, 0));
+  });
+
+  it("returns a one-off event once, if it falls in the window", () => {
+    const single = { ...event, recurrence: null };
+    expect(expandEvent(single)).toHaveLength(1);
+    expect(expandEvent(single, [], { from: new Date(2026, 1, 1), to: new Date(2026, 2, 1) })).toHaveLength(0);
+  });
+});
+
+describe("upcoming occurrences", () => {
+  const event = {
+    id: 8,
+    name: "Park clean-up",
+    location: "North gate",
+    date: new Date(2024, 0, 6, 10, 0),
+    endDate: new Date(2024, 0, 6, 12, 0),
+    recurrence: "FREQ=WEEKLY",
+  };
+
+  it("finds the next occurrence of an old series", () => {
+    const next = nextOccurrence(event, [], new Date(2026, 2, 4, 12, 0));
+    expect(next.occurrence).toBe("2026-03-07");
+    expect(next.start).toEqual(new Date(2026, 2, 7, 10, 0));
+  });
+
+  it("skips cancelled occurrences and those already started", () => {
+    const exceptions = [{ originalDate: "2026-03-07", cancelled: true }];
+    const occurrences = upcomingOccurrences(event, exceptions, { after: new Date(2026, 2, 7, 10, 0), limit: 2 });
+    expect(keys(occurrences.map((o) => o.start))).toEqual(["2026-03-14", "2026-03-21"]);
+  });
+
+  it("finds an occurrence moved after the search start", () => {
+    const exceptions = [{ originalDate: "2026-02-28", date: new Date(2026, 2, 8, 10, 0) }];
+    const next = nextOccurrence(event, exceptions, new Date(2026, 2, 4));
+    expect(next.occurrence).toBe("2026-03-07");
+    expect(upcomingOccurrences(event, exceptions, { after: new Date(2026, 2, 7, 11, 0) })[0].occurrence).toBe("2026-02-28");
+  });
+
+  it("stops at until", () => {
+    const until = new Date(2026, 2, 20);
+    const occurrences = upcomingOccurrences(event, [], { after: new Date(2026, 2, 1), until, limit: 10 });
+    expect(occurrences.map((o) => o.occurrence)).toEqual(["2026-03-07", "2026-03-14"]);
+  });
+
+  it("returns nothing once a series has ended", () => {
+    expect(nextOccurrence({ ...event, recurrence: "FREQ=WEEKLY;COUNT=3" }, [], new Date(2026, 0, 1))).toBeNull();
+  });
+
+  it("finds a one-off event however far ahead", () => {
+    const single = { ...event, date: new Date(2028, 5, 1, 10, 0), recurrence: null };
+    expect(nextOccurrence(single, [], new Date(2026, 0, 1)).occurrence).toBe("2028-06-01");
+    expect(nextOccurrence(single, [], new Date(2028, 5, 2))).toBeNull();
+  });
+
+  it("finds the occurrence originally on a date, cancelled or not", () => {
+    const exceptions = [{ originalDate: "2026-03-07", cancelled: true }];
+    expect(occurrenceOn(event, exceptions, "2026-03-07")).toMatchObject({ occurrence: "2026-03-07", cancelled: true });
+    expect(occurrenceOn(event, exceptions, "2026-03-08")).toBeUndefined();
+  });
+
+  it("finds the occurrence starting on a day, wherever it was moved from", () => {
+    const exceptions = [
+      { originalDate: "2026-03-07", date: new Date(2026, 2, 10, 18, 0) },
+      { originalDate: "2026-03-14", cancelled: true },
+    ];
+    expect(occurrenceStartingOn(event, exceptions, new Date(2026, 2, 10, 7, 0)).occurrence).toBe("2026-03-07");
+    expect(occurrenceStartingOn(event, exceptions, new Date(2026, 2, 7, 10, 0))).toBeUndefined();
+    expect(occurrenceStartingOn(event, exceptions, new Date(2026, 2, 14, 10, 0))).toBeUndefined();
+    expect(occurrenceStartingOn(event, [], new Date(2026, 2, 21, 23, 0)).occurrence).toBe("2026-03-21");
+  });
+});
@@ -0,0 +1,206 @@
+const { Op } = require("sequelize");
+const sequelize = require("../config/db");
+const DonationAllocation = require("../models/DonationAllocation");
+const Expense = require("../models/Expense");
+const Project = require("../models/Project");
+const {
+  restrictedFundsInCents,
+  checkExpenseFunding,
+  validateAllocations,
+  replaceAllocations,
+} = require("../utils/restrictedFunds");
+
+// Stands in for a Sequelize transaction; only LOCK is read.
+const transaction = { LOCK: { UPDATE: "UPDATE" } };
+
+// Sums per project, as Model.sum would return them (null when there are no rows).
+let allocated;
+let expenses;
+let unrestricted;
+
+beforeEach(() => {
+  allocated = {};
+  expenses = {};
+  unrestricted = {};
+
+  jest
+    .spyOn(DonationAllocation, "sum")
+    .mockImplementation(async (column, { where }) => allocated[where.project_id] || null);
+  jest.spyOn(Expense, "sum").mockImplementation(async (column, { where }) => {
+    const sums = column === "amount" ? expenses : unrestricted;
+    return sums[where.project_id] || null;
+  });
+  jest.spyOn(Project, "findOne").mockResolvedValue({});
+});
+
+afterEach(() => jest.restoreAllMocks());
+afterAll(() => sequelize.close());
+
+describe("restrictedFundsInCents", () => {
+  it("subtracts restricted spending from the gifts allocated", async () => {
+    allocated[1] = "1000.00";
+    expenses[1] = "600.50";
+    unrestricted[1] = "100.25";
+
+    expect(await restrictedFundsInCents(1)).toEqual({ received: 100000, spent: 50025, remaining: 49975 });
+  });
+
+  it("is zero for a project with no gifts or expenses", async () => {
+    expect(await restrictedFundsInCents(2)).toEqual({ received: 0, spent: 0, remaining: 0 });
+  });
+
+  it("leaves out the expense being corrected", async () => {
+    await restrictedFundsInCents(1, { transaction, excludeExpenseId: 8 });
+
+    const [, { where }] = Expense.sum.mock.calls[0];
+    expect(where.project_id).toBe(1);
+    expect(where.id[Op.ne]).toBe(8);
+  });
+});
+
+describe("checkExpenseFunding", () => {
+  const project = { id: 1 };
+
+  beforeEach(() => {
+    allocated[1] = "500.00";
+    expenses[1] = "300.00";
+  });
+
+  it("passes an expense the restricted balance covers", async () => {
+    expect(await checkExpenseFunding(project, "200.00", null, transaction)).toBeNull();
+  });
+
+  it("counts only the part not paid from unrestricted funds", async () => {
+    expect(await checkExpenseFunding(project, "350.00", "150.00", transaction)).toBeNull();
+  });
+
+  it("reports the balance and shortfall of an expense it does not cover", async () => {
+    expect(await checkExpenseFunding(project, "250.00", "20.00", transaction)).toEqual({
+      restrictedBalance: "200.00",
+      shortfall: "30.00",
+    });
+  });
+
+  it("counts the whole restricted part as short when the balance is already negative", async () => {
+    expenses[1] = "550.00";
+
+    expect(await checkExpenseFunding(project, "40.00", null, transaction)).toEqual({
+      restrictedBalance: "-50.00",
+      shortfall: "40.00",
+    });
+  });
+});
+
+describe("validateAllocations", () => {
+  const donation = { id: 5, ngo_id: 2, amount: "300.00", currency: "EUR" };
+  const projects = (...ids) => ids.map((id) => ({ id, currency: "EUR" }));
+
+  it("accepts allocations within the donation", async () => {
+    jest.spyOn(Project, "findAll").mockResolvedValue(projects(1, 2));
+
+    const allocations = [
+      { project_id: 1, amount: "100.00" },
+      { project_id: 2, amount: "200.00" },
+    ];
+    expect(await validateAllocations(donation, allocations, transaction)).toBeNull();
+    expect(Project.findAll).toHaveBeenCalledWith(expect.objectContaining({ where: { id: [1, 2], ngo_id: 2 } }));
+  });
+
+  it("rejects a project listed twice", async () => {
+    jest.spyOn(Project, "findAll").mockResolvedValue([]);
+
+    const allocations = [
+      { project_id: 1, amount: "100.00" },
+      { project_id: "1", amount: "50.00" },
+    ];
+    expect(await validateAllocations(donation, allocations, transaction)).toMatch(/only appear once/);
+    expect(Project.findAll).not.toHaveBeenCalled();
+  });
+
+  it("rejects a project of another NGO", async () => {
+    jest.spyOn(Project, "findAll").mockResolvedValue(projects(1));
+
+    const allocations = [
+      { project_id: 1, amount: "100.00" },
+      { project_id: 9, amount: "100.00" },
+    ];
+    expect(await validateAllocations(donation, allocations, transaction)).toBe(
+      "Allocated project not found for this NGO."
+    );
+  });
+
+  it("rejects a project budgeted in another currency", async () => {
+    jest.spyOn(Project, "findAll").mockResolvedValue([{ id: 1, currency: "USD" }]);
+
+    expect(await validateAllocations(donation, [{ project_id: 1, amount: "100.00" }], transaction)).toBe(
+      "Project 1 is budgeted in USD; the donation is in EUR."
+    );
+  });
+
+  it("rejects allocations adding up to more than the donation", async () => {
+    jest.spyOn(Project, "findAll").mockResolvedValue(projects(1, 2));
+
+    const allocations = [
+      { project_id: 1, amount: "200.00" },
+      { project_id: 2, amount: "100.01" },
+    ];
+    expect(await validateAllocations(donation, allocations, transaction)).toBe(
+      "Allocations exceed the donation amount."
+    );
+  });
+});
+
+describe("replaceAllocations", () => {
+  const donation = { id: 5 };
+
+  beforeEach(() => {
+    jest.spyOn(DonationAllocation, "findAll").mockResolvedValue([
+      { project_id: 1, amount: "200.00" },
+      { project_id: 2, amount: "100.00" },
+    ]);
+    jest.spyOn(DonationAllocation, "destroy").mockResolvedValue(2);
+    jest.spyOn(DonationAllocation, "bulkCreate").mockResolvedValue([]);
+
+    allocated[1] = "500.00";
+    expenses[1] = "350.00";
+    allocated[2] = "100.00";
+  });
+
+  it("replaces the allocations when no project is overdrawn", async () => {
+    const allocations = [
+      { project_id: 1, amount: "100.00" },
+      { project_id: 3, amount: "200.00" },
+    ];
+
+    expect(await replaceAllocations(donation, allocations, transaction)).toEqual([]);
+    expect(DonationAllocation.destroy).toHaveBeenCalledWith({ where: { donation_id: 5 }, transaction });
+    expect(DonationAllocation.bulkCreate).toHaveBeenCalledWith(
+      [
+        { donation_id: 5, project_id: 1, amount: "100.00" },
+        { donation_id: 5, project_id: 3, amount: "200.00" },
+      ],
+      { transaction }
+    );
+  });
+
+  it("locks and checks only the projects losing funds", async () => {
+    const allocations = [
+      { project_id: 1, amount: "250.00" },
+      { project_id: 2, amount: "50.00" },
+    ];
+    await replaceAllocations(donation, allocations, transaction);
+
+    expect(Project.findOne).toHaveBeenCalledTimes(1);
+    expect(Project.findOne).toHaveBeenCalledWith({ where: { id: 2 }, lock: "UPDATE", transaction });
+  });
+
+  it("changes nothing and names the projects that would be overdrawn", async () => {
+    expenses[2] = "80.00";
+
+    const overdrawn = await replaceAllocations(donation, [{ project_id: 1, amount: "40.00" }], transaction);
+
+    expect(overdrawn).toEqual([1, 2]);
+    expect(DonationAllocation.destroy).not.toHaveBeenCalled();
+    expect(DonationAllocation.bulkCreate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,124 @@
+process.env.SECRET = "test-secret";
+
+const jwt = require("jsonwebtoken");
+const sequelize = require("../config/db");
+const Session = require("../models/Session");
+const {
+  hashToken,
+  createSession,
+  rotateSession,
+  revokeUserSessions,
+  isAccessTokenActive,
+} = require("../utils/sessions");
+
+const transaction = { LOCK: { UPDATE: "UPDATE" } };
+const req = { ip: "10.0.0.1", get: () => "jest" };
+const user = { id: 7, role: "ngo_admin" };
+
+// Session rows kept in memory, keyed by id.
+let sessions;
+
+beforeEach(() => {
+  sessions = new Map();
+  jest.spyOn(sequelize, "transaction").mockImplementation((callback) => callback(transaction));
+  jest.spyOn(Session, "create").mockImplementation(async (fields) => {
+    const session = {
+      id: sessions.size + 1,
+      generation: 0,
+      revokedAt: null,
+      ...fields,
+      save: jest.fn().mockResolvedValue(),
+    };
+    sessions.set(session.id, session);
+    return session;
+  });
+  jest.spyOn(Session, "findOne").mockImplementation(async ({ where }) => sessions.get(where.id) || null);
+  jest.spyOn(Session, "findByPk").mockImplementation(async (id) => sessions.get(id) || null);
+});
+
+afterEach(() => jest.restoreAllMocks());
+afterAll(() => sequelize.close());
+
+describe("createSession", () => {
+  it("stores only the hash of a refresh token naming the session", async () => {
+    const response = await createSession(user, req);
+    const session = sessions.get(1);
+
+    expect(response.refreshToken).toMatch(/^1\.[0-9a-f]{64}$/);
+    expect(session.refreshTokenHash).toBe(hashToken(response.refreshToken));
+    expect(session).toMatchObject({ user_id: 7, ipAddress: "10.0.0.1", userAgent: "jest" });
+  });
+
+  it("issues an access token bound to the session and its generation", async () => {
+    const { token } = await createSession(user, req);
+    expect(jwt.verify(token, "test-secret")).toMatchObject({ id: 7, role: "ngo_admin", sid: 1, gen: 0 });
+  });
+});
+
+describe("rotateSession", () => {
+  it("swaps the refresh token and moves the session on a generation", async () => {
+    const { refreshToken } = await createSession(user, req);
+    const result = await rotateSession(refreshToken, req);
+
+    expect(result.refreshToken).not.toBe(refreshToken);
+    expect(result.session.generation).toBe(1);
+    expect(result.session.refreshTokenHash).toBe(hashToken(result.refreshToken));
+    expect(Session.findOne).toHaveBeenCalledWith(expect.objectContaining({ lock: "UPDATE", transaction }));
+  });
+
+  it("revokes the session when a rotated-out token is presented again", async () => {
+    const { refreshToken } = await createSession(user, req);
+    const { refreshToken: current } = await rotateSession(refreshToken, req);
+
+    const reuse = await rotateSession(refreshToken, req);
+    expect(reuse).toMatchObject({ error: "Invalid refresh token.", reused: true });
+    expect(sessions.get(1)).toMatchObject({ revokedReason: "token_reuse" });
+    expect(sessions.get(1).revokedAt).toBeInstanceOf(Date);
+
+    // The token the thief or the user still holds is dead as well.
+    expect(await rotateSession(current, req)).toEqual({ error: "Invalid refresh token." });
+  });
+
+  it("refuses expired sessions and malformed tokens", async () => {
+    const { refreshToken } = await createSession(user, req);
+    sessions.get(1).expiresAt = new Date(Date.now() - 1000);
+
+    expect(await rotateSession(refreshToken, req)).toEqual({ error: "Invalid refresh token." });
+    expect(await rotateSession("garbage", req)).toEqual({ error: "Invalid refresh token." });
+    expect(await rotateSession("99.abc", req)).toEqual({ error: "Invalid refresh token." });
+  });
+});
+
+describe("isAccessTokenActive", () => {
+  it("accepts only tokens of the session's current generation", async () => {
+    const { token, refreshToken } = await createSession(user, req);
+    const decoded = jwt.verify(token, "test-secret");
+    expect(await isAccessTokenActive(decoded)).toBe(true);
+
+    await rotateSession(refreshToken, req);
+    expect(await isAccessTokenActive(decoded)).toBe(false);
+  });
+
+  it("rejects tokens of revoked sessions, other users or without a session", async () => {
+    const { token } = await createSession(user, req);
+    const decoded = jwt.verify(token, "test-secret");
+
+    expect(await isAccessTokenActive({ ...decoded, id: 8 })).toBe(false);
+    expect(await isAccessTokenActive({ id: 7 })).toBe(false);
+
+    sessions.get(1).revokedAt = new Date();
+    expect(await isAccessTokenActive(decoded)).toBe(false);
+  });
+});
+
+describe("revokeUserSessions", () => {
+  it("revokes the user's open sessions", async () => {
+    jest.spyOn(Session, "update").mockResolvedValue([2]);
+
+    expect(await revokeUserSessions(7, "logout_all")).toBe(2);
+    expect(Session.update).toHaveBeenCalledWith(
+      expect.objectContaining({ revokedReason: "logout_all" }),
+      { where: expect.objectContaining({ user_id: 7, revokedAt: null }) }
+    );
+  });
+});
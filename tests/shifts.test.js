@@ -0,0 +1,44 @@
+const { overlaps, findConflicts, workedHours } = require("../utils/shifts");
+
+const shift = (id, start, end) => ({
+  id,
+  startTime: `2026-03-14T${start}:00Z`,
+  endTime: `2026-03-14T${end}:00Z`,
+});
+
+describe("overlaps", () => {
+  it("detects partially overlapping shifts", () => {
+    expect(overlaps(shift(1, "09:00", "12:00"), shift(2, "11:00", "14:00"))).toBe(true);
+  });
+
+  it("detects a shift contained in another", () => {
+    expect(overlaps(shift(1, "09:00", "17:00"), shift(2, "12:00", "13:00"))).toBe(true);
+  });
+
+  it("allows back-to-back shifts", () => {
+    expect(overlaps(shift(1, "09:00", "12:00"), shift(2, "12:00", "15:00"))).toBe(false);
+  });
+
+  it("allows shifts on different days", () => {
+    const nextDay = { id: 2, startTime: "2026-03-15T09:00:00Z", endTime: "2026-03-15T12:00:00Z" };
+    expect(overlaps(shift(1, "09:00", "12:00"), nextDay)).toBe(false);
+  });
+});
+
+describe("findConflicts", () => {
+  it("returns the clashing shifts and skips the target itself", () => {
+    const target = shift(1, "10:00", "12:00");
+    const others = [target, shift(2, "08:00", "10:30"), shift(3, "12:00", "13:00"), shift(4, "11:59", "18:00")];
+    expect(findConflicts(target, others).map((s) => s.id)).toEqual([2, 4]);
+  });
+});
+
+describe("workedHours", () => {
+  it("rounds to two decimals", () => {
+    expect(workedHours("2026-03-14T09:00:00Z", "2026-03-14T11:20:00Z")).toBe(2.33);
+  });
+
+  it("is zero for an immediate check-out", () => {
+    expect(workedHours("2026-03-14T09:00:00Z", "2026-03-14T09:00:00Z")).toBe(0);
+  });
+});
@@ -0,0 +1,95 @@
+const sequelize = require("../config/db");
+const Donation = require("../models/Donation");
+const Donor = require("../models/Donor");
+const { fiscalYearRange } = require("../utils/fiscalYear");
+const {
+  buildStatement,
+  findDonorsWhoGave,
+  receiptNumberOf,
+  statementToCsv,
+  summaryToCsv,
+} = require("../utils/statements");
+
+const donor = { id: 9, name: "Ana Silva, PhD", email: "ana@example.org" };
+
+const gift = (fields) => ({
+  donationDate: "2026-05-10",
+  amount: "0.10",
+  currency: "EUR",
+  paymentMethod: "card",
+  referenceNumber: null,
+  Project: null,
+  receipts: [],
+  ...fields,
+});
+
+afterEach(() => jest.restoreAllMocks());
+afterAll(() => sequelize.close());
+
+describe("fiscalYearRange", () => {
+  it("runs from April to March by default", () => {
+    expect(fiscalYearRange(2026)).toEqual({ label: "2026-27", from: "2026-04-01", to: "2027-03-31" });
+  });
+});
+
+describe("buildStatement", () => {
+  it("collects the fiscal year's gifts and totals them exactly per currency", async () => {
+    const donations = [
+      gift({ amount: "0.10" }),
+      gift({ amount: "0.20" }),
+      gift({ amount: "15.00", currency: "USD", donationDate: "2027-03-31" }),
+    ];
+    jest.spyOn(Donation, "findAll").mockResolvedValue(donations);
+
+    const statement = await buildStatement(donor, 2026);
+
+    expect(statement).toMatchObject({ fiscalYear: "2026-27", from: "2026-04-01", to: "2027-03-31" });
+    expect(statement.totals).toEqual({ EUR: "0.30", USD: "15.00" });
+    const { where } = Donation.findAll.mock.calls[0][0];
+    expect(where.donor_id).toBe(9);
+  });
+});
+
+describe("findDonorsWhoGave", () => {
+  it("loads each donor who gave in the year once, by name", async () => {
+    jest.spyOn(Donation, "findAll").mockResolvedValue([{ donor_id: 9 }, { donor_id: 12 }]);
+    jest.spyOn(Donor, "findAll").mockResolvedValue([]);
+
+    await findDonorsWhoGave({ ngo_id: 4 }, 2026);
+    expect(Donation.findAll.mock.calls[0][0].where).toMatchObject({ ngo_id: 4 });
+    expect(Donor.findAll).toHaveBeenCalledWith({ where: { id: [9, 12] }, order: [["name", "asc"]] });
+  });
+});
+
+describe("receiptNumberOf", () => {
+  it("is the issued receipt's number, or blank", () => {
+    expect(receiptNumberOf(gift({ receipts: [{ receiptNumber: "R4/2026-27/000001" }] }))).toBe("R4/2026-27/000001");
+    expect(receiptNumberOf(gift({ receipts: [] }))).toBe("");
+  });
+});
+
+describe("CSV exports", () => {
+  const statement = {
+    donor,
+    fiscalYear: "2026-27",
+    donations: [
+      gift({ donationDate: "2026-05-10", amount: "0.10", Project: { name: "Wells" } }),
+      gift({ donationDate: "2026-09-01", amount: "0.20" }),
+    ],
+    totals: { EUR: "0.30" },
+  };
+
+  it("writes one line per gift, quoting awkward fields", () => {
+    const lines = statementToCsv(statement).trim().split("\r\n");
+
+    expect(lines).toHaveLength(3);
+    expect(lines[1]).toBe('9,"Ana Silva, PhD",2026-27,2026-05-10,,0.10,EUR,card,,Wells');
+  });
+
+  it("summarises one line per donor and currency", () => {
+    const lines = summaryToCsv([statement]).trim().split("\r\n");
+
+    expect(lines[0]).toBe("Donor ID,Donor Name,Email,Fiscal Year,Currency,Total,Gifts,First Gift,Last Gift");
+    expect(lines[1]).toBe('9,"Ana Silva, PhD",ana@example.org,2026-27,EUR,0.30,2,2026-05-10,2026-09-01');
+  });
+});
@@ -0,0 +1,115 @@
+process.env.TOTP_ENCRYPTION_KEY = "test-encryption-key";
+
+const { generateSecret, verifyCode, provisioningUri, encryptSecret, decryptSecret } = require("../utils/totp");
+
+// The RFC 6238 SHA-1 seed, "12345678901234567890", in base32.
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+// Appendix B test vectors; the codes are the last six of the RFC's eight digits.
+const VECTORS = [
+  [59, "287082"],
+  [1111111109, "081804"],
+  [1111111111, "050471"],
+  [1234567890, "005924"],
+  [2000000000, "279037"],
+  [20000000000, "353130"],
+];
+
+const at = (seconds) => jest.setSystemTime(seconds * 1000);
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+describe("verifyCode", () => {
+  it.each(VECTORS)("accepts the RFC 6238 code at %i", (seconds, code) => {
+    at(seconds);
+    expect(verifyCode(RFC_SECRET, code)).toBe(Math.floor(seconds / 30));
+  });
+
+  it("rejects a wrong code", () => {
+    at(59);
+    expect(verifyCode(RFC_SECRET, "287083")).toBeNull();
+  });
+
+  it.each(["28708", "2870820", "abcdef", ""])("rejects the malformed code %p", (code) => {
+    at(59);
+    expect(verifyCode(RFC_SECRET, code)).toBeNull();
+  });
+
+  it("ignores spaces in the code", () => {
+    at(59);
+    expect(verifyCode(RFC_SECRET, "287 082")).toBe(1);
+  });
+
+  it("accepts the codes one step either side for clock drift", () => {
+    const step = Math.floor(1111111109 / 30);
+    at(1111111109 + 30);
+    expect(verifyCode(RFC_SECRET, "081804")).toBe(step);
+    at(1111111109 - 30);
+    expect(verifyCode(RFC_SECRET, "081804")).toBe(step);
+  });
+
+  it("rejects codes further off", () => {
+    at(59 + 60);
+    expect(verifyCode(RFC_SECRET, "287082")).toBeNull();
+    at(1111111111 - 60);
+    expect(verifyCode(RFC_SECRET, "050471")).toBeNull();
+  });
+
+  it("refuses a step already used, so a code cannot be replayed", () => {
+    at(59);
+    expect(verifyCode(RFC_SECRET, "287082", 1)).toBeNull();
+    expect(verifyCode(RFC_SECRET, "287082", 0)).toBe(1);
+  });
+});
+
+describe("generateSecret", () => {
+  it("generates 160-bit base32 secrets", () => {
+    const secret = generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(generateSecret()).not.toBe(secret);
+  });
+});
+
+describe("provisioningUri", () => {
+  it("describes the account for authenticator apps", () => {
+    const uri = provisioningUri("ana@example.org", RFC_SECRET);
+    expect(uri).toMatch(/^otpauth:\/\/totp\/.+%3Aana%40example\.org\?/);
+    expect(uri).toContain(`secret=${RFC_SECRET}`);
+    expect(uri).toContain("algorithm=SHA1&digits=6&period=30");
+  });
+});
+
+describe("encryptSecret / decryptSecret", () => {
+  it("round-trips a secret", () => {
+    const secret = generateSecret();
+    expect(decryptSecret(encryptSecret(secret))).toBe(secret);
+  });
+
+  it("uses a fresh IV each time", () => {
+    expect(encryptSecret(RFC_SECRET)).not.toBe(encryptSecret(RFC_SECRET));
+  });
+
+  it("does not store the secret in the clear", () => {
+    const stored = encryptSecret(RFC_SECRET);
+    expect(stored).not.toContain(RFC_SECRET);
+    expect(Buffer.from(stored.split(".")[2], "base64").toString("utf8")).not.toBe(RFC_SECRET);
+  });
+
+  it("rejects a tampered ciphertext", () => {
+    const [iv, tag, encrypted] = encryptSecret(RFC_SECRET).split(".");
+    const bytes = Buffer.from(encrypted, "base64");
+    bytes[0] ^= 1;
+    expect(() => decryptSecret([iv, tag, bytes.toString("base64")].join("."))).toThrow();
+  });
+
+  it("cannot be decrypted with another key", () => {
+    const stored = encryptSecret(RFC_SECRET);
+    process.env.TOTP_ENCRYPTION_KEY = "another-key";
+    try {
+      expect(() => decryptSecret(stored)).toThrow();
+    } finally {
+      process.env.TOTP_ENCRYPTION_KEY = "test-encryption-key";
+    }
+  });
+});
@@ -0,0 +1,109 @@
+const { isAvailable, usableSkills, rankVolunteers, staffingGaps } = require("../utils/volunteerMatching");
+
+// Saturday 10:00-12:00 local time
+const event = {
+  id: 1,
+  date: new Date(2026, 5, 6, 10, 0),
+  endDate: new Date(2026, 5, 6, 12, 0),
+  volunteersNeeded: 3,
+};
+
+const firstAid = { id: 1, name: "First aid", requiresCertification: true };
+const cooking = { id: 2, name: "Cooking", requiresCertification: false };
+
+const requirements = [
+  { skill_id: 1, skill: firstAid, headcount: 1, minLevel: "beginner" },
+  { skill_id: 2, skill: cooking, headcount: 2, minLevel: "intermediate" },
+];
+
+const saturdayMorning = [{ dayOfWeek: 6, startTime: "09:00", endTime: "13:00" }];
+
+const volunteer = (id, name, fields) => ({
+  id,
+  name,
+  email: `${name.toLowerCase()}@example.org`,
+  languages: [],
+  skills: [],
+  certifications: [],
+  availability: saturdayMorning,
+  ...fields,
+});
+
+describe("isAvailable", () => {
+  it("needs a window covering the whole event", () => {
+    expect(isAvailable(saturdayMorning, event.date, event.endDate)).toBe(true);
+    expect(isAvailable([{ dayOfWeek: 6, startTime: "10:30", endTime: "13:00" }], event.date, event.endDate)).toBe(false);
+    expect(isAvailable([{ dayOfWeek: 0, startTime: "09:00", endTime: "13:00" }], event.date, event.endDate)).toBe(false);
+  });
+
+  it("checks only the start when the event has no end", () => {
+    expect(isAvailable([{ dayOfWeek: 6, startTime: "10:00", endTime: "10:30" }], event.date, null)).toBe(true);
+  });
+});
+
+describe("usableSkills", () => {
+  it("drops certified skills without a valid certification", () => {
+    const expired = volunteer(1, "Asha", {
+      skills: [
+        { skill_id: 1, skill: firstAid, level: "expert" },
+        { skill_id: 2, skill: cooking, level: "beginner" },
+      ],
+      certifications: [{ skill_id: 1, expiresOn: "2026-01-31" }],
+    });
+    expect([...usableSkills(expired, event.date).keys()]).toEqual([2]);
+
+    const current = { ...expired, certifications: [{ skill_id: 1, expiresOn: "2026-06-06" }] };
+    expect([...usableSkills(current, event.date).keys()]).toEqual([1, 2]);
+  });
+});
+
+describe("rankVolunteers", () => {
+  const volunteers = [
+    volunteer(1, "Asha", {
+      skills: [{ skill_id: 2, skill: cooking, level: "expert" }],
+      languages: ["Hindi"],
+    }),
+    volunteer(2, "Ben", {
+      skills: [
+        { skill_id: 1, skill: firstAid, level: "beginner" },
+        { skill_id: 2, skill: cooking, level: "intermediate" },
+      ],
+      certifications: [{ skill_id: 1, expiresOn: null }],
+    }),
+    volunteer(3, "Chen", {
+      skills: [{ skill_id: 2, skill: cooking, level: "beginner" }],
+    }),
+    volunteer(4, "Dara", {
+      skills: [{ skill_id: 2, skill: cooking, level: "expert" }],
+      availability: [],
+    }),
+  ];
+
+  it("ranks eligible volunteers by score", () => {
+    const ranked = rankVolunteers(event, requirements, volunteers);
+    expect(ranked.map((candidate) => [candidate.name, candidate.eligible, candidate.score])).toEqual([
+      ["Ben", true, 2],
+      ["Asha", true, 1.5],
+      ["Dara", false, 1.5],
+      ["Chen", false, 0],
+    ]);
+  });
+
+  it("filters on language", () => {
+    const ranked = rankVolunteers(event, requirements, volunteers, { language: "hindi" });
+    expect(ranked.filter((candidate) => candidate.eligible).map((candidate) => candidate.name)).toEqual(["Asha"]);
+  });
+
+  it("reports staffing gaps", () => {
+    const ranked = rankVolunteers(event, requirements, volunteers, { signedUpIds: new Set([2]) });
+    const staffing = staffingGaps(event, requirements, ranked);
+
+    expect(staffing.signedUp).toBe(1);
+    expect(staffing.gap).toBe(2);
+    expect(staffing.requirements).toEqual([
+      expect.objectContaining({ skill_id: 1, filled: 1, gap: 0, availableCandidates: 0, shortfall: 0 }),
+      expect.objectContaining({ skill_id: 2, filled: 1, gap: 1, availableCandidates: 1, shortfall: 0 }),
+    ]);
+    expect(staffing.understaffed).toBe(true);
+  });
+});
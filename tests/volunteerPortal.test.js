@@ -0,0 +1,150 @@
+const sequelize = require("../config/db");
+const Event = require("../models/Event");
+const EventException = require("../models/EventException");
+const EventSignup = require("../models/EventSignup");
+const User = require("../models/User");
+const Volunteer = require("../models/Volunteer");
+const { occurrenceKey } = require("../utils/recurrence");
+const { updateMyProfile, signUpForEvent, withdrawFromEvent } = require("../controllers/volunteerPortalController");
+
+const transaction = { LOCK: { UPDATE: "UPDATE" } };
+const me = { id: 20, role: "volunteer", ngo_id: 4 };
+
+const DAY = 24 * 60 * 60 * 1000;
+const daysFromNow = (days) => new Date(Date.now() + days * DAY);
+
+let volunteer;
+
+beforeEach(() => {
+  volunteer = { id: 5, ngo_id: 4, user_id: 20, name: "Ana", save: jest.fn().mockResolvedValue() };
+  jest.spyOn(sequelize, "transaction").mockImplementation((callback) => callback(transaction));
+  jest.spyOn(Volunteer, "findOne").mockImplementation(async ({ where }) => (where.user_id === 20 ? volunteer : null));
+  jest.spyOn(EventException, "findAll").mockResolvedValue([]);
+});
+
+afterEach(() => jest.restoreAllMocks());
+afterAll(() => sequelize.close());
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.send = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// Run a handler array: its validators, then the handler itself.
+const call = async (handlers, req) => {
+  const res = response();
+  for (const validator of handlers.slice(0, -1)) {
+    await validator.run(req);
+  }
+  await handlers[handlers.length - 1](req, res);
+  return res;
+};
+
+describe("updateMyProfile", () => {
+  it("changes only the volunteer's own editable fields", async () => {
+    const res = await call(updateMyProfile, {
+      user: me,
+      body: { name: "Ana Silva", languages: ["pt", "en"], ngo_id: 9, user_id: 99 },
+    });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(volunteer).toMatchObject({ name: "Ana Silva", languages: ["pt", "en"], ngo_id: 4, user_id: 20 });
+  });
+
+  it("links a volunteer record by verified email on first use", async () => {
+    const unlinked = { id: 6, ngo_id: 4, user_id: null, save: jest.fn().mockResolvedValue() };
+    Volunteer.findOne.mockImplementation(async ({ where }) => (where.email === "ben@example.org" ? unlinked : null));
+    jest.spyOn(User, "findByPk").mockResolvedValue({ id: 21, email: "ben@example.org", emailVerifiedAt: new Date() });
+
+    await call(updateMyProfile, { user: { ...me, id: 21 }, body: { name: "Ben" } });
+    expect(Volunteer.findOne).toHaveBeenLastCalledWith({
+      where: { ngo_id: 4, email: "ben@example.org", user_id: null },
+    });
+    expect(unlinked).toMatchObject({ user_id: 21, name: "Ben" });
+  });
+
+  it("does not link by an unverified email", async () => {
+    jest.spyOn(User, "findByPk").mockResolvedValue({ id: 21, email: "ben@example.org", emailVerifiedAt: null });
+
+    const res = await call(updateMyProfile, { user: { ...me, id: 21 }, body: { name: "Ben" } });
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
+
+describe("signUpForEvent", () => {
+  const event = { id: 8, ngo_id: 4, name: "Food drive", date: daysFromNow(3), endDate: null, recurrence: null };
+  const signUp = (body = {}) => call(signUpForEvent, { user: me, params: { eventId: "8" }, body });
+
+  beforeEach(() => {
+    jest.spyOn(Event, "findOne").mockResolvedValue(event);
+    jest.spyOn(EventSignup, "create").mockImplementation(async (fields) => fields);
+  });
+
+  it("signs the volunteer up for the event's next occurrence", async () => {
+    jest.spyOn(EventSignup, "findOne").mockResolvedValue(null);
+
+    const res = await signUp();
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(Event.findOne).toHaveBeenCalledWith(expect.objectContaining({ where: { id: "8", ngo_id: 4 } }));
+    expect(EventSignup.create).toHaveBeenCalledWith(
+      { ngo_id: 4, volunteer_id: 5, event_id: 8, occurrence: expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/) },
+      { transaction }
+    );
+  });
+
+  it("refuses a second sign-up, and reuses a withdrawn one", async () => {
+    const signup = { status: "signed_up", save: jest.fn() };
+    jest.spyOn(EventSignup, "findOne").mockResolvedValue(signup);
+    expect((await signUp()).status).toHaveBeenCalledWith(409);
+
+    signup.status = "withdrawn";
+    signup.withdrawnAt = new Date();
+    expect((await signUp()).status).toHaveBeenCalledWith(201);
+    expect(signup).toMatchObject({ status: "signed_up", withdrawnAt: null });
+    expect(EventSignup.create).not.toHaveBeenCalled();
+  });
+
+  it("404s for an event of another NGO", async () => {
+    Event.findOne.mockResolvedValue(null);
+    expect((await signUp()).status).toHaveBeenCalledWith(404);
+  });
+
+  it("refuses events that have taken place", async () => {
+    Event.findOne.mockResolvedValue({ ...event, date: daysFromNow(-3) });
+    expect((await signUp()).status).toHaveBeenCalledWith(409);
+  });
+});
+
+describe("withdrawFromEvent", () => {
+  const signupFor = (date) => {
+    const event = { id: 8, name: "Food drive", date, endDate: null, recurrence: null, exceptions: [] };
+    return { occurrence: occurrenceKey(date), status: "signed_up", event, save: jest.fn() };
+  };
+  const withdraw = () => call(withdrawFromEvent, { user: me, params: { eventId: "8" }, query: {} });
+
+  it("withdraws from an occurrence still to come", async () => {
+    const signup = signupFor(daysFromNow(2));
+    jest.spyOn(EventSignup, "findAll").mockResolvedValue([signup]);
+
+    expect((await withdraw()).status).toHaveBeenCalledWith(200);
+    expect(signup.status).toBe("withdrawn");
+    expect(EventSignup.findAll.mock.calls[0][0].where).toEqual({ volunteer_id: 5, event_id: "8", status: "signed_up" });
+  });
+
+  it("refuses once the event has taken place", async () => {
+    const signup = signupFor(daysFromNow(-2));
+    jest.spyOn(EventSignup, "findAll").mockResolvedValue([signup]);
+
+    expect((await withdraw()).status).toHaveBeenCalledWith(409);
+    expect(signup.save).not.toHaveBeenCalled();
+  });
+
+  it("404s when the volunteer is not signed up", async () => {
+    jest.spyOn(EventSignup, "findAll").mockResolvedValue([]);
+    expect((await withdraw()).status).toHaveBeenCalledWith(404);
+  });
+});
@@ -0,0 +1,77 @@
+const crypto = require("crypto");
+const { Op } = require("sequelize");
+const UserToken = require("../models/UserToken");
+const { hashToken } = require("./sessions");
+const { sendMail } = require("./mailer");
+const { APP_URL } = require("../config/app");
+
+const RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+const VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48;
+
+// Issue a token for a user and return it in plain text. Earlier unused
+// tokens for the same purpose stop working, so only the latest email counts.
+const issueToken = async (user, purpose, ttlMs) => {
+  await UserToken.update(
+    { usedAt: new Date() },
+    { where: { user_id: user.id, purpose, usedAt: null } }
+  );
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await UserToken.create({
+    user_id: user.id,
+    purpose,
+    tokenHash: hashToken(token),
+    email: user.email,
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+  return token;
+};
+
+// Use up a token. Resolves to the token row, or null if the token is
+// unknown, expired or already used. Must run inside a transaction.
+const consumeToken = async (token, purpose, transaction) => {
+  const userToken = await UserToken.findOne({
+    where: {
+      tokenHash: hashToken(String(token)),
+      purpose,
+      usedAt: null,
+      expiresAt: { [Op.gt]: new Date() },
+    },
+    lock: transaction.LOCK.UPDATE,
+    transaction,
+  });
+
+  if (!userToken) {
+    return null;
+  }
+
+  userToken.usedAt = new Date();
+  await userToken.save({ transaction });
+  return userToken;
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await issueToken(user, "password_reset", RESET_TTL_MINUTES * 60 * 1000);
+  await sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text:
+      `We received a request to reset the password for ${user.username}.\n\n` +
+      `Reset it here within ${RESET_TTL_MINUTES} minutes:\n${APP_URL}/reset-password?token=${token}\n\n` +
+      "If you did not ask for this, you can ignore this email.",
+  });
+};
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueToken(user, "email_verification", VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text:
+      `Confirm that ${user.email} belongs to ${user.username}:\n` +
+      `${APP_URL}/verify-email?token=${token}\n\n` +
+      `This link expires in ${VERIFICATION_TTL_HOURS} hours.`,
+  });
+};
+
+module.exports = { consumeToken, sendPasswordResetEmail, sendVerificationEmail };
@@ -0,0 +1,64 @@
+const { Op } = require("sequelize");
+const AidAllocation = require("../models/AidAllocation");
+const Report = require("../models/Report");
+const { toCents, fromCents } = require("./money");
+
+// Amount disbursed under an allocation, in cents. Pass excludeReportId to
+// leave out a disbursement that is being corrected.
+const disbursedInCents = async (allocationId, { transaction, excludeReportId } = {}) => {
+  const where = { aid_allocation_id: allocationId };
+  if (excludeReportId) {
+    where.id = { [Op.ne]: excludeReportId };
+  }
+  const total = await Report.sum("aid_amount", { where, transaction });
+  return toCents(total || 0);
+};
+
+// Attach disbursed and remaining amounts to loaded allocations.
+const attachBalances = async (allocations) => {
+  for (const allocation of allocations) {
+    const disbursed = await disbursedInCents(allocation.id);
+    allocation.dataValues.disbursedAmount = fromCents(disbursed);
+    allocation.dataValues.remainingAmount = fromCents(toCents(allocation.approvedAmount) - disbursed);
+  }
+  return allocations;
+};
+
+// Lock an allocation row so concurrent disbursements against it are checked
+// one at a time. Must run inside a transaction.
+const lockAllocation = (allocationId, transaction) =>
+  AidAllocation.findOne({ where: { id: allocationId }, lock: transaction.LOCK.UPDATE, transaction });
+
+// Check that a disbursement fits its allocation: the allocation is approved,
+// the date falls in its period and the amount does not exceed what is left.
+// Resolves to an error message, or null when the disbursement is allowed.
+const checkDisbursement = async (allocation, amount, date, transaction, excludeReportId) => {
+  if (allocation.status !== "approved") {
+    return "The aid allocation has been revoked.";
+  }
+  if (date < allocation.periodStart || date > allocation.periodEnd) {
+    return `aid_date must fall within the allocation period ${allocation.periodStart} to ${allocation.periodEnd}.`;
+  }
+
+  const disbursed = await disbursedInCents(allocation.id, { transaction, excludeReportId });
+  const remaining = toCents(allocation.approvedAmount) - disbursed;
+  if (toCents(amount) > remaining) {
+    return `aid_amount exceeds the remaining approved allocation of ${fromCents(remaining)} ${allocation.currency}.`;
+  }
+
+  return null;
+};
+
+// Bucket key for a YYYY-MM-DD date: "2026-04", "2026-Q2" or "2026".
+const periodKey = (date, period) => {
+  const [year, month] = date.split("-");
+  if (period === "year") {
+    return year;
+  }
+  if (period === "quarter") {
+    return `${year}-Q${Math.ceil(Number(month) / 3)}`;
+  }
+  return `${year}-${month}`;
+};
+
+module.exports = { disbursedInCents, attachBalances, lockAllocation, checkDisbursement, periodKey };
@@ -0,0 +1,94 @@
+const crypto = require("crypto");
+const net = require("net");
+const ApiKey = require("../models/ApiKey");
+const { hashToken } = require("./sessions");
+
+const KEY_PREFIX = "ngo_";
+const LAST_USED_INTERVAL_MS = 60 * 1000; // Record use at most once a minute per key
+
+// Keys look like "ngo_<random>"; the prefix makes leaked keys easy to spot
+// in logs and code scans.
+const generateApiKey = () => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+  return { key, prefix: key.slice(0, 12), keyHash: hashToken(key) };
+};
+
+// "::ffff:10.0.0.1" is how IPv4 clients show up on a dual-stack socket.
+const normalizeIp = (ip) => {
+  const address = String(ip || "");
+  return address.startsWith("::ffff:") && net.isIPv4(address.slice(7)) ? address.slice(7) : address;
+};
+
+const parseIpRule = (rule) => {
+  const [address, bits, extra] = String(rule).split("/");
+  const family = net.isIP(address);
+  if (!family || extra !== undefined) {
+    return null;
+  }
+  if (bits === undefined) {
+    return { address, prefix: family === 4 ? 32 : 128, type: `ipv${family}` };
+  }
+  const prefix = Number(bits);
+  const max = family === 4 ? 32 : 128;
+  if (!/^\d+$/.test(bits) || prefix > max) {
+    return null;
+  }
+  return { address, prefix, type: `ipv${family}` };
+};
+
+// Whether an allow-list entry is an IP address or CIDR range.
+const isValidIpRule = (rule) => parseIpRule(rule) !== null;
+
+const isIpAllowed = (allowedIps, ip) => {
+  if (!allowedIps || allowedIps.length === 0) {
+    return true;
+  }
+
+  const address = normalizeIp(ip);
+  const family = net.isIP(address);
+  if (!family) {
+    return false;
+  }
+
+  const list = new net.BlockList();
+  for (const rule of allowedIps) {
+    const parsed = parseIpRule(rule);
+    if (parsed) {
+      list.addSubnet(parsed.address, parsed.prefix, parsed.type);
+    }
+  }
+  return list.check(address, `ipv${family}`);
+};
+
+// Look up the key presented by a client and check it can be used from this
+// address. Resolves to { apiKey } or { error }.
+const authenticateApiKey = async (key, ip) => {
+  const apiKey = await ApiKey.findOne({ where: { keyHash: hashToken(String(key)) } });
+
+  if (!apiKey || apiKey.revokedAt) {
+    return { error: "Invalid API key." };
+  }
+  if (apiKey.expiresAt && apiKey.expiresAt < new Date()) {
+    return { error: "API key has expired." };
+  }
+  if (!isIpAllowed(apiKey.allowedIps, ip)) {
+    return { error: "API key is not allowed from this address." };
+  }
+
+  const now = Date.now();
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt.getTime() > LAST_USED_INTERVAL_MS) {
+    await ApiKey.update(
+      { lastUsedAt: new Date(now), lastUsedIp: normalizeIp(ip) || null },
+      { where: { id: apiKey.id } }
+    );
+  }
+
+  return { apiKey };
+};
+
+module.exports = {
+  generateApiKey,
+  isValidIpRule,
+  isIpAllowed,
+  authenticateApiKey,
+};
@@ -0,0 +1,121 @@
+// Attendance analytics over recorded attendance. A volunteer counts once
+// per event occurrence: someone checked in to two shifts of one event, or
+// marked both per shift and for the whole event, made one appearance,
+// while each week of a weekly series is an appearance of its own. They
+// attended if any of their records for the occurrence says so; a record
+// with status false is a no-show. Records without a status are ignored.
+const { periodKey } = require("./hoursLedger");
+
+const rate = (attended, expected) => (expected === 0 ? null : Math.round((attended / expected) * 10000) / 10000);
+
+const tally = (key, appearances) => {
+  const attended = appearances.filter((appearance) => appearance.attended).length;
+  return {
+    ...key,
+    expected: appearances.length,
+    attended,
+    noShows: appearances.length - attended,
+    rate: rate(attended, appearances.length),
+  };
+};
+
+// One { volunteer_id, event_id, occurrence, date, attended } per volunteer
+// and event occurrence, oldest first. date is the earliest record's.
+// Records from before occurrences were kept count once per event.
+const toAppearances = (records) => {
+  const byKey = new Map();
+  for (const record of records) {
+    if (record.status === null || record.status === undefined || !record.volunteer_id || !record.date) {
+      continue;
+    }
+    // Records outside an event stand alone
+    const key = record.event_id
+      ? `${record.volunteer_id}:${record.event_id}:${record.occurrence || ""}`
+      : `${record.volunteer_id}:record-${record.id}`;
+    const date = new Date(record.date);
+    const appearance = byKey.get(key);
+    if (appearance) {
+      appearance.attended = appearance.attended || Boolean(record.status);
+      appearance.date = date < appearance.date ? date : appearance.date;
+    } else {
+      byKey.set(key, {
+        volunteer_id: record.volunteer_id,
+        event_id: record.event_id || null,
+        occurrence: record.occurrence || null,
+        date,
+        attended: Boolean(record.status),
+      });
+    }
+  }
+  return [...byKey.values()].sort((a, b) => a.date - b.date || a.volunteer_id - b.volunteer_id);
+};
+
+const groupBy = (appearances, keyOf) => {
+  const groups = new Map();
+  for (const appearance of appearances) {
+    const key = keyOf(appearance);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(appearance);
+  }
+  return groups;
+};
+
+// Attendance rate per volunteer, highest first.
+const ratesByVolunteer = (appearances) =>
+  [...groupBy(appearances, (appearance) => appearance.volunteer_id)]
+    .map(([volunteerId, group]) => tally({ volunteer_id: volunteerId }, group))
+    .sort((a, b) => b.rate - a.rate || b.attended - a.attended || a.volunteer_id - b.volunteer_id);
+
+// Attendance rate per event, in event order.
+const ratesByEvent = (appearances) =>
+  [...groupBy(appearances.filter((appearance) => appearance.event_id), (appearance) => appearance.event_id)]
+    .map(([eventId, group]) => ({ ...tally({ event_id: eventId }, group), date: group[0].date }))
+    .sort((a, b) => a.date - b.date || a.event_id - b.event_id);
+
+// Attendance rate per calendar month ("2026-03"), oldest first.
+const ratesByMonth = (appearances) =>
+  [...groupBy(appearances, (appearance) => periodKey(appearance.date, "month"))]
+    .map(([month, group]) => tally({ month }, group))
+    .sort((a, b) => a.month.localeCompare(b.month));
+
+// Consecutive no-shows per volunteer: the run they are on now (their most
+// recent appearances) and the longest they have had. Only volunteers
+// currently on a run of at least minStreak are listed, longest first.
+const noShowStreaks = (appearances, minStreak = 2) =>
+  [...groupBy(appearances, (appearance) => appearance.volunteer_id)]
+    .map(([volunteerId, group]) => {
+      let current = 0;
+      let longest = 0;
+      for (const appearance of group) {
+        current = appearance.attended ? 0 : current + 1;
+        longest = Math.max(longest, current);
+      }
+      const last = group[group.length - 1];
+      return {
+        volunteer_id: volunteerId,
+        currentStreak: current,
+        longestStreak: longest,
+        lastNoShow: current > 0 ? last.date : null,
+        lastEventId: last.event_id,
+      };
+    })
+    .filter((streak) => streak.currentStreak >= minStreak)
+    .sort((a, b) => b.currentStreak - a.currentStreak || b.longestStreak - a.longestStreak || a.volunteer_id - b.volunteer_id);
+
+// Volunteers with the best attendance rate among those expected at least
+// minEvents times; ties go to whoever turned up more often.
+const mostReliable = (appearances, { minEvents = 3, limit = 10 } = {}) =>
+  ratesByVolunteer(appearances)
+    .filter((entry) => entry.expected >= minEvents)
+    .slice(0, limit);
+
+module.exports = {
+  toAppearances,
+  ratesByVolunteer,
+  ratesByEvent,
+  ratesByMonth,
+  noShowStreaks,
+  mostReliable,
+};
@@ -0,0 +1,60 @@
+const crypto = require("crypto");
+const { hashToken } = require("./sessions");
+const { expandEvent } = require("./recurrence");
+const { APP_URL } = require("../config/app");
+
+const UID_DOMAIN = new URL(APP_URL).hostname;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Feeds cover the recent past and the coming year, so calendar apps keep
+// recent history without a weekly series growing the feed forever.
+const feedWindow = (now = new Date()) => ({
+  from: new Date(now.getTime() - 90 * DAY),
+  to: new Date(now.getTime() + 365 * DAY),
+});
+
+// Token for a volunteer's personal shift feed. Only its hash is stored.
+const newFeedToken = () => {
+  const token = crypto.randomBytes(32).toString("hex");
+  return { token, hash: hashToken(token) };
+};
+
+const shiftFeedUrl = (token) => `${APP_URL}/api/public/calendar/shifts/${token}.ics`;
+
+// Calendar entries for events (with their exceptions loaded as
+// "exceptions"). Cancelled occurrences are left out. UIDs stay the same
+// when an occurrence is moved, so calendar apps update it in place.
+const eventEntries = (events, window) =>
+  events.flatMap((event) =>
+    expandEvent(event, event.exceptions || [], window)
+      .filter((occurrence) => !occurrence.cancelled)
+      .map((occurrence) => ({
+        uid: `event-${event.id}-${occurrence.occurrence}@${UID_DOMAIN}`,
+        start: occurrence.start,
+        end: occurrence.end,
+        summary: occurrence.name,
+        location: occurrence.location,
+        description: occurrence.description,
+        url: `${APP_URL}/api/public/events/${event.id}`,
+      }))
+  );
+
+// Calendar entries for shift assignments, with shift and shift.event loaded.
+const shiftEntries = (assignments) =>
+  assignments.map(({ shift }) => ({
+    uid: `shift-${shift.id}@${UID_DOMAIN}`,
+    start: shift.startTime,
+    end: shift.endTime,
+    summary: shift.event ? `${shift.role} - ${shift.event.name}` : shift.role,
+    location: shift.event ? shift.event.location : null,
+    description: shift.notes,
+  }));
+
+module.exports = {
+  feedWindow,
+  newFeedToken,
+  shiftFeedUrl,
+  eventEntries,
+  shiftEntries,
+};
@@ -0,0 +1,71 @@
+const crypto = require("crypto");
+const { APP_URL } = require("../config/app");
+
+// Crockford base32: no I, L, O or U, so codes survive being read aloud or
+// retyped from paper.
+const CODE_ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+
+const signingKey = () => process.env.CERTIFICATE_SIGNING_KEY || process.env.SECRET;
+
+// Random code printed on the certificate, e.g. "7K2M-QX9D-4RTA".
+const generateVerificationCode = () => {
+  const chars = Array.from({ length: 12 }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]);
+  return [0, 4, 8].map((start) => chars.slice(start, start + 4).join("")).join("-");
+};
+
+// Accept codes typed in lower case, without dashes or with look-alike
+// letters, and return them in the printed form (or null if malformed).
+const normalizeVerificationCode = (code) => {
+  const chars = String(code)
+    .toUpperCase()
+    .replace(/[\s-]/g, "")
+    .replace(/[IL]/g, "1")
+    .replace(/O/g, "0");
+  if (!new RegExp(`^[${CODE_ALPHABET}]{12}$`).test(chars)) {
+    return null;
+  }
+  return chars.match(/.{4}/g).join("-");
+};
+
+// Everything a certificate asserts, in a fixed order. The timestamp is
+// truncated to seconds because that is all the database keeps.
+const certificatePayload = (certificate) =>
+  [
+    certificate.verificationCode,
+    certificate.ngo_id,
+    certificate.volunteer_id,
+    certificate.project_id || "",
+    certificate.periodStart,
+    certificate.periodEnd,
+    Number(certificate.totalHours).toFixed(2),
+    Math.floor(new Date(certificate.issuedAt).getTime() / 1000),
+  ].join("|");
+
+const signCertificate = (certificate) =>
+  crypto.createHmac("sha256", signingKey()).update(certificatePayload(certificate)).digest("hex");
+
+const hasValidSignature = (certificate) => {
+  const expected = Buffer.from(signCertificate(certificate), "hex");
+  const actual = Buffer.from(String(certificate.signature || ""), "hex");
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+// "valid", "revoked", or "invalid" when the stored record no longer
+// matches its signature.
+const certificateStatus = (certificate) => {
+  if (!hasValidSignature(certificate)) {
+    return "invalid";
+  }
+  return certificate.revokedAt ? "revoked" : "valid";
+};
+
+const verificationUrl = (code) => `${APP_URL}/api/public/certificates/${code}`;
+
+module.exports = {
+  generateVerificationCode,
+  normalizeVerificationCode,
+  signCertificate,
+  hasValidSignature,
+  certificateStatus,
+  verificationUrl,
+};
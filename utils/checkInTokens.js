@@ -0,0 +1,58 @@
+const crypto = require("crypto");
+const { APP_URL } = require("../config/app");
+
+// Tokens stay valid this long after their occurrence ends unless an expiry
+// is given when they are issued.
+const DEFAULT_GRACE_HOURS = 12;
+
+const signingKey = () => process.env.CHECK_IN_SIGNING_KEY || process.env.SECRET;
+
+const newNonce = () => crypto.randomBytes(16).toString("hex");
+
+const payloadOf = ({ eventId, nonce, expiresAt }) =>
+  `${eventId}.${nonce}.${Math.floor(new Date(expiresAt).getTime() / 1000)}`;
+
+const sign = (payload) => crypto.createHmac("sha256", signingKey()).update(payload).digest("base64url");
+
+// The text encoded in the QR code: "<event>.<nonce>.<expiry>.<signature>".
+// Expiry is in whole seconds, as the database keeps it.
+const signToken = (fields) => {
+  const payload = payloadOf(fields);
+  return `${payload}.${sign(payload)}`;
+};
+
+// { eventId, nonce, expiresAt } of a well-formed token with a valid
+// signature, otherwise null. Whether it has been used or has expired is
+// for the caller to decide.
+const verifyToken = (token) => {
+  const match = /^(\d+)\.([0-9a-f]{32})\.(\d+)\.([A-Za-z0-9_-]{43})$/.exec(String(token).trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, eventId, nonce, expiry, signature] = match;
+  const expected = Buffer.from(sign(`${eventId}.${nonce}.${expiry}`));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+  return { eventId: Number(eventId), nonce, expiresAt: new Date(Number(expiry) * 1000) };
+};
+
+// Default expiry for the tokens of one occurrence of an event (as expanded
+// by utils/recurrence): DEFAULT_GRACE_HOURS after it ends, or after it
+// starts when it has no end.
+const defaultExpiry = (occurrence) =>
+  new Date(new Date(occurrence.end || occurrence.start).getTime() + DEFAULT_GRACE_HOURS * 60 * 60 * 1000);
+
+// Page that shows the holder their token as a QR code.
+const passUrl = (token) => `${APP_URL}/events/check-in-pass?token=${encodeURIComponent(token)}`;
+
+module.exports = {
+  DEFAULT_GRACE_HOURS,
+  newNonce,
+  signToken,
+  verifyToken,
+  defaultExpiry,
+  passUrl,
+};
@@ -0,0 +1,259 @@
+const sequelize = require("../config/db");
+const CheckInToken = require("../models/CheckInToken");
+const Event = require("../models/Event");
+const EventRegistration = require("../models/EventRegistration");
+const EventShift = require("../models/EventShift");
+const ShiftAssignment = require("../models/ShiftAssignment");
+const Volunteer = require("../models/Volunteer");
+const VolunteerAttendance = require("../models/Volunteerattendance");
+const { newNonce, signToken, verifyToken, defaultExpiry, passUrl } = require("./checkInTokens");
+const { shiftWhere, rosteredVolunteers } = require("./eventRoster");
+const {
+  MAX_OCCURRENCES,
+  OCCURRENCE_LOOK_BACK_MS,
+  expandEvent,
+  occurrenceOn,
+  upcomingOccurrences,
+  nextOccurrence,
+} = require("./recurrence");
+const { sendMail } = require("./mailer");
+const logger = require("./logger");
+
+// Whole seconds, as signed into the token.
+const toSeconds = (date) => new Date(Math.floor(new Date(date).getTime() / 1000) * 1000);
+
+const tokenFor = (row) => signToken({ eventId: row.event_id, nonce: row.nonce, expiresAt: row.expiresAt });
+
+// A pass as shown to organizers and holders.
+const describePass = (row, holder) => ({
+  id: row.id,
+  event_id: row.event_id,
+  occurrence: row.occurrence,
+  type: row.registration_id ? "registrant" : "volunteer",
+  registration_id: row.registration_id,
+  volunteer_id: row.volunteer_id,
+  name: holder ? holder.name : null,
+  email: holder ? holder.email : null,
+  token: tokenFor(row),
+  expiresAt: row.expiresAt,
+  redeemedAt: row.redeemedAt,
+});
+
+// The occurrence passes are issued for when none is named: the earliest
+// one, not cancelled, whose passes would still be valid now. Occurrences of
+// a series that started more than OCCURRENCE_LOOK_BACK_MS ago are not
+// considered. Null when the event has no date or is over.
+const currentOccurrence = (event, now = new Date()) => {
+  const exceptions = event.exceptions || [];
+  const candidates = event.recurrence
+    ? [
+        ...upcomingOccurrences(event, exceptions, {
+          after: new Date(now.getTime() - OCCURRENCE_LOOK_BACK_MS),
+          until: now,
+          limit: MAX_OCCURRENCES,
+        }),
+        nextOccurrence(event, exceptions, now),
+      ]
+    : expandEvent(event, exceptions).filter((occurrence) => !occurrence.cancelled);
+  return candidates.find((occurrence) => occurrence && defaultExpiry(occurrence) > now) || null;
+};
+
+// Everyone expected at one occurrence of the event: its confirmed
+// registrants and the volunteers rostered on or signed up for it.
+const eventHolders = async (event, occurrence) => {
+  const [registrations, volunteers] = await Promise.all([
+    EventRegistration.findAll({
+      where: { event_id: event.id, occurrence: occurrence.occurrence, status: "registered" },
+    }),
+    rosteredVolunteers(event.id, { occurrence }),
+  ]);
+  return { registrations, volunteers };
+};
+
+// Make sure every holder has a pass for the occurrence. Existing passes are
+// kept, so codes already handed out keep working, unless reissue is set;
+// used passes are never replaced. Resolves to [{ row, holder, issued }].
+const issuePasses = async ({ event, occurrence, expiresAt, reissue, issuedBy }) => {
+  const { registrations, volunteers } = await eventHolders(event, occurrence);
+  const existing = await CheckInToken.findAll({ where: { event_id: event.id, occurrence: occurrence.occurrence } });
+  const byRegistration = new Map(existing.filter((row) => row.registration_id).map((row) => [row.registration_id, row]));
+  const byVolunteer = new Map(existing.filter((row) => row.volunteer_id).map((row) => [row.volunteer_id, row]));
+
+  const fields = () => ({ nonce: newNonce(), expiresAt: toSeconds(expiresAt), issuedBy });
+  const passes = [];
+
+  const issue = async (row, holder, link) => {
+    if (row && (row.redeemedAt || !reissue)) {
+      passes.push({ row, holder, issued: false });
+      return;
+    }
+    if (row) {
+      await row.update(fields());
+    } else {
+      row = await CheckInToken.create({
+        ngo_id: event.ngo_id,
+        event_id: event.id,
+        occurrence: occurrence.occurrence,
+        ...link,
+        ...fields(),
+      });
+    }
+    passes.push({ row, holder, issued: true });
+  };
+
+  for (const registration of registrations) {
+    await issue(byRegistration.get(registration.id), registration, { registration_id: registration.id });
+  }
+  for (const volunteer of volunteers) {
+    await issue(byVolunteer.get(volunteer.id), volunteer, { volunteer_id: volunteer.id });
+  }
+  return passes;
+};
+
+// Emails are best effort: a mail failure is logged but the pass stays valid.
+const sendPassEmails = (passes, event) =>
+  Promise.all(
+    passes
+      .filter(({ holder }) => holder.email)
+      .map(async ({ row, holder }) => {
+        const token = tokenFor(row);
+        try {
+          await sendMail({
+            to: holder.email,
+            subject: `Your check-in pass: ${event.name}`,
+            text:
+              `Hi ${holder.name},\n\nShow this QR code at the entrance of ${event.name} on ${row.occurrence} to check in:\n` +
+              `${passUrl(token)}\n\nThe code can be used once and is personal to you.`,
+          });
+        } catch (error) {
+          logger.error(`Error emailing check-in pass ${row.id}: ${error.message}`);
+        }
+      })
+  );
+
+// Record that the volunteer arrived at the occurrence. Volunteers rostered
+// on its shifts are checked in to the shift starting closest to the scan;
+// others get an attendance record for the occurrence as a whole.
+const recordVolunteerArrival = async (event, occurrence, volunteerId, scannedAt, transaction) => {
+  const assignments = await ShiftAssignment.findAll({
+    where: { volunteer_id: volunteerId, status: "assigned" },
+    include: [{ model: EventShift, as: "shift", where: shiftWhere(event.id, occurrence) }],
+    transaction,
+  });
+  const distance = (assignment) => Math.abs(new Date(assignment.shift.startTime) - scannedAt);
+  const nearest = assignments.sort((a, b) => distance(a) - distance(b))[0];
+  const shiftId = nearest ? nearest.shift_id : null;
+
+  // The unique index does not stop two event-wide records (NULL shift), so
+  // serialise those on the event row, as bulk marking does
+  if (shiftId === null) {
+    await Event.findOne({ where: { id: event.id }, lock: transaction.LOCK.UPDATE, transaction });
+  }
+
+  const existing = await VolunteerAttendance.findOne({
+    where: { event_id: event.id, occurrence: occurrence.occurrence, volunteer_id: volunteerId, shift_id: shiftId },
+    lock: transaction.LOCK.UPDATE,
+    transaction,
+  });
+  if (existing && existing.checkInAt) {
+    return existing; // Already checked in by hand
+  }
+
+  const fields = { status: true, date: scannedAt, checkInAt: scannedAt };
+  if (existing) {
+    await existing.update(fields, { transaction });
+    return existing;
+  }
+  return VolunteerAttendance.create(
+    {
+      ngo_id: event.ngo_id,
+      event_id: event.id,
+      occurrence: occurrence.occurrence,
+      volunteer_id: volunteerId,
+      shift_id: shiftId,
+      ...fields,
+    },
+    { transaction }
+  );
+};
+
+// Validate a scanned token and check its holder in to the pass's
+// occurrence. Resolves to { outcome, message, ... } where outcome is
+// "checked_in", "duplicate", "expired" or "invalid". Expiry is judged at
+// scannedAt, so scans made offline before the deadline still count when
+// uploaded later. event.exceptions should be loaded.
+const redeemScan = async ({ event, token, scannedAt, redeemedBy }) => {
+  const parsed = verifyToken(token);
+  if (!parsed) {
+    return { outcome: "invalid", message: "Invalid check-in code." };
+  }
+  if (parsed.eventId !== event.id) {
+    return { outcome: "invalid", message: "This check-in code is for a different event." };
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    const pass = await CheckInToken.findOne({
+      where: { event_id: event.id, nonce: parsed.nonce },
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+    if (!pass) {
+      return { outcome: "invalid", message: "This check-in code has been replaced." };
+    }
+    if (pass.redeemedAt) {
+      return { outcome: "duplicate", message: "This check-in code has already been used.", redeemedAt: pass.redeemedAt };
+    }
+    if (scannedAt > pass.expiresAt) {
+      return { outcome: "expired", message: "This check-in code has expired.", expiresAt: pass.expiresAt };
+    }
+
+    // A pass only opens on the day of its occurrence, so one issued ahead
+    // for a later date in a series cannot be used today
+    const occurrence = occurrenceOn(event, event.exceptions || [], pass.occurrence) || {
+      occurrence: pass.occurrence,
+      start: new Date(`${pass.occurrence}T00:00:00`),
+    };
+    const opens = new Date(occurrence.start);
+    opens.setHours(0, 0, 0, 0);
+    if (scannedAt < opens) {
+      return { outcome: "invalid", message: `This check-in code is for ${pass.occurrence}.` };
+    }
+
+    let holder;
+    let attendance = null;
+    if (pass.registration_id) {
+      holder = await EventRegistration.findOne({
+        where: { id: pass.registration_id },
+        lock: transaction.LOCK.UPDATE,
+        transaction,
+      });
+      if (holder.status !== "registered") {
+        return { outcome: "invalid", message: "The registration is no longer confirmed." };
+      }
+      holder.checkedInAt = scannedAt;
+      await holder.save({ transaction });
+    } else {
+      holder = await Volunteer.findByPk(pass.volunteer_id, { transaction });
+      attendance = await recordVolunteerArrival(event, occurrence, pass.volunteer_id, scannedAt, transaction);
+    }
+
+    pass.redeemedAt = scannedAt;
+    pass.redeemedBy = redeemedBy;
+    await pass.save({ transaction });
+
+    return {
+      outcome: "checked_in",
+      message: "Checked in.",
+      pass: describePass(pass, holder),
+      attendance,
+    };
+  });
+};
+
+module.exports = {
+  describePass,
+  currentOccurrence,
+  issuePasses,
+  sendPassEmails,
+  redeemScan,
+};
@@ -0,0 +1,14 @@
+// Minimal CSV writer (RFC 4180): quote fields containing separators,
+// quotes or line breaks, and double any embedded quotes.
+const escapeField = (value) => {
+  if (value === undefined || value === null) {
+    return "";
+  }
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Turn an array of rows (arrays of values) into CSV text.
+const toCsv = (rows) => rows.map((row) => row.map(escapeField).join(",")).join("\r\n") + "\r\n";
+
+module.exports = { toCsv };
@@ -0,0 +1,51 @@
+const { fn, col } = require("sequelize");
+const Donation = require("../models/Donation");
+
+// Compute giving totals for a set of donors from the Donation ledger.
+// Totals are kept per currency since gifts may arrive in more than one.
+// Resolves to a map of donor ID -> { lifetimeTotals, donationCount, lastDonationDate }.
+const getDonationTotals = async (donorIds) => {
+  const totals = {};
+  donorIds.forEach((id) => {
+    totals[id] = { lifetimeTotals: {}, donationCount: 0, lastDonationDate: null };
+  });
+
+  if (donorIds.length === 0) {
+    return totals;
+  }
+
+  const rows = await Donation.findAll({
+    attributes: [
+      "donor_id",
+      "currency",
+      [fn("SUM", col("amount")), "total"],
+      [fn("COUNT", col("id")), "count"],
+      [fn("MAX", col("donationDate")), "lastDate"],
+    ],
+    where: { donor_id: donorIds },
+    group: ["donor_id", "currency"],
+    raw: true,
+  });
+
+  rows.forEach((row) => {
+    const entry = totals[row.donor_id];
+    entry.lifetimeTotals[row.currency] = parseFloat(row.total).toFixed(2);
+    entry.donationCount += parseInt(row.count, 10);
+    if (!entry.lastDonationDate || row.lastDate > entry.lastDonationDate) {
+      entry.lastDonationDate = row.lastDate;
+    }
+  });
+
+  return totals;
+};
+
+// Attach giving totals to loaded Donor instances so they are serialized with them.
+const attachDonationTotals = async (donors) => {
+  const totals = await getDonationTotals(donors.map((donor) => donor.id));
+  donors.forEach((donor) => {
+    Object.assign(donor.dataValues, totals[donor.id]);
+  });
+  return donors;
+};
+
+module.exports = { getDonationTotals, attachDonationTotals };
@@ -0,0 +1,136 @@
+const crypto = require("crypto");
+const EventRegistration = require("../models/EventRegistration");
+const { occurrenceOn } = require("./recurrence");
+const { hashToken } = require("./sessions");
+const { sendMail } = require("./mailer");
+const logger = require("./logger");
+const { APP_URL } = require("../config/app");
+
+// Waitlist order: first come, first served.
+const WAITLIST_ORDER = [["registeredAt", "asc"], ["id", "asc"]];
+
+// Token for cancelling without an account. Only its hash is stored.
+const newCancelToken = () => {
+  const token = crypto.randomBytes(32).toString("hex");
+  return { token, hash: hashToken(token) };
+};
+
+const findByCancelToken = (token, options = {}) =>
+  EventRegistration.findOne({ where: { cancelTokenHash: hashToken(String(token)) }, ...options });
+
+const countRegistered = (eventId, occurrence, transaction) =>
+  EventRegistration.count({ where: { event_id: eventId, occurrence, status: "registered" }, transaction });
+
+// Places left in an occurrence, or null when the event has no capacity
+// limit.
+const spotsLeft = (event, registered) =>
+  event.capacity === null || event.capacity === undefined ? null : Math.max(0, event.capacity - registered);
+
+// 1-based place in the waitlist of the registration's occurrence.
+const waitlistPosition = async (registration, transaction) => {
+  const waitlisted = await EventRegistration.findAll({
+    where: { event_id: registration.event_id, occurrence: registration.occurrence, status: "waitlisted" },
+    attributes: ["id"],
+    order: WAITLIST_ORDER,
+    transaction,
+  });
+  return waitlisted.findIndex((entry) => entry.id === registration.id) + 1;
+};
+
+// Move people off an occurrence's waitlist into any free places. Call
+// inside a transaction that holds a lock on the event row so two
+// cancellations cannot promote into the same place. Resolves to the
+// promoted registrations.
+const promoteWaitlist = async (event, occurrence, transaction) => {
+  const free = spotsLeft(event, await countRegistered(event.id, occurrence, transaction));
+  if (free === 0) {
+    return [];
+  }
+
+  const promoted = await EventRegistration.findAll({
+    where: { event_id: event.id, occurrence, status: "waitlisted" },
+    order: WAITLIST_ORDER,
+    limit: free === null ? undefined : free,
+    lock: transaction.LOCK.UPDATE,
+    transaction,
+  });
+
+  const now = new Date();
+  for (const registration of promoted) {
+    registration.status = "registered";
+    registration.promotedAt = now;
+    await registration.save({ transaction });
+  }
+  return promoted;
+};
+
+// promoteWaitlist for every occurrence that has a waitlist, e.g. after the
+// event's capacity changed.
+const promoteWaitlists = async (event, transaction) => {
+  const waitlisted = await EventRegistration.findAll({
+    where: { event_id: event.id, status: "waitlisted" },
+    attributes: ["occurrence"],
+    group: ["occurrence"],
+    transaction,
+  });
+  const promoted = [];
+  for (const { occurrence } of waitlisted) {
+    promoted.push(...(await promoteWaitlist(event, occurrence, transaction)));
+  }
+  return promoted;
+};
+
+// The registration's occurrence as expanded from the event, with
+// exceptions applied, falling back to the event itself.
+const describeEvent = (event, exceptions, registration) => {
+  const occurrence = occurrenceOn(event, exceptions, registration.occurrence);
+  const { name, start, location } = occurrence || { name: event.name, start: event.date, location: event.location };
+  return [name, start ? new Date(start).toUTCString() : null, location].filter(Boolean).join("\n");
+};
+
+// Emails are best effort: a mail failure is logged but never undoes the
+// registration.
+const notify = async (registration, subject, text) => {
+  try {
+    await sendMail({ to: registration.email, subject, text });
+  } catch (error) {
+    logger.error(`Error emailing event registration ${registration.id}: ${error.message}`);
+  }
+};
+
+const sendRegistrationEmail = (registration, event, { exceptions = [], cancelToken, position }) =>
+  notify(
+    registration,
+    registration.status === "registered" ? `You're registered: ${event.name}` : `You're on the waitlist: ${event.name}`,
+    (registration.status === "registered"
+      ? `Hi ${registration.name},\n\nYour place is confirmed for:\n${describeEvent(event, exceptions, registration)}\n\n`
+      : `Hi ${registration.name},\n\n${event.name} is full, so you are number ${position} on the waitlist. ` +
+        "We will email you if a place opens up.\n\n") +
+      `If you can no longer attend, please cancel so someone else can have your place:\n` +
+      `${APP_URL}/events/cancel-registration?token=${cancelToken}`
+  );
+
+const sendPromotionEmails = (registrations, event, exceptions = []) =>
+  Promise.all(
+    registrations.map((registration) =>
+      notify(
+        registration,
+        `A place opened up: ${event.name}`,
+        `Hi ${registration.name},\n\nGood news: a place opened up and you are now registered for:\n` +
+          `${describeEvent(event, exceptions, registration)}\n\nUse the cancellation link from your first email if you can no longer attend.`
+      )
+    )
+  );
+
+module.exports = {
+  WAITLIST_ORDER,
+  newCancelToken,
+  findByCancelToken,
+  countRegistered,
+  spotsLeft,
+  waitlistPosition,
+  promoteWaitlist,
+  promoteWaitlists,
+  sendRegistrationEmail,
+  sendPromotionEmails,
+};
@@ -0,0 +1,65 @@
+const { Op } = require("sequelize");
+const EventShift = require("../models/EventShift");
+const EventSignup = require("../models/EventSignup");
+const ShiftAssignment = require("../models/ShiftAssignment");
+const Volunteer = require("../models/Volunteer");
+const { occurrenceKey, occurrenceStartingOn } = require("./recurrence");
+
+// Where clause for an event's shifts, limited to one occurrence (as
+// expanded by utils/recurrence) when given. A shift belongs to the
+// occurrence starting on the day the shift starts.
+const shiftWhere = (eventId, occurrence) => {
+  if (!occurrence) {
+    return { event_id: eventId };
+  }
+  const dayStart = new Date(occurrence.start);
+  dayStart.setHours(0, 0, 0, 0);
+  const dayEnd = new Date(dayStart);
+  dayEnd.setHours(23, 59, 59, 999);
+  return { event_id: eventId, startTime: { [Op.between]: [dayStart, dayEnd] } };
+};
+
+// Volunteers expected at an event, or at one occurrence of it: rostered on
+// one of its shifts or signed up for it. Each volunteer appears once.
+const rosteredVolunteers = async (eventId, { occurrence, transaction } = {}) => {
+  const signupWhere = { event_id: eventId, status: "signed_up" };
+  if (occurrence) {
+    signupWhere.occurrence = occurrence.occurrence;
+  }
+
+  const [assignments, signups] = await Promise.all([
+    ShiftAssignment.findAll({
+      where: { status: "assigned" },
+      include: [
+        { model: EventShift, as: "shift", where: shiftWhere(eventId, occurrence), attributes: [] },
+        { model: Volunteer, as: "volunteer" },
+      ],
+      transaction,
+    }),
+    EventSignup.findAll({
+      where: signupWhere,
+      include: [{ model: Volunteer, as: "volunteer" }],
+      transaction,
+    }),
+  ]);
+
+  const volunteers = new Map();
+  [...assignments, ...signups].forEach(({ volunteer }) => volunteers.set(volunteer.id, volunteer));
+  return [...volunteers.values()];
+};
+
+// Original date of the occurrence that attendance at the event on date is
+// for: a one-off event's only one, otherwise the one starting that day.
+// Null when the event has no date or no occurrence starts that day.
+const attendanceOccurrence = (event, exceptions, date) => {
+  if (!event.date) {
+    return null;
+  }
+  if (!event.recurrence) {
+    return occurrenceKey(new Date(event.date));
+  }
+  const occurrence = occurrenceStartingOn(event, exceptions, date);
+  return occurrence ? occurrence.occurrence : null;
+};
+
+module.exports = { shiftWhere, rosteredVolunteers, attendanceOccurrence };
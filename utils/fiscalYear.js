@@ -0,0 +1,34 @@
+// Month (1-12) in which the fiscal year starts. Defaults to April.
+const FISCAL_YEAR_START_MONTH = parseInt(process.env.FISCAL_YEAR_START_MONTH, 10) || 4;
+
+// Label for the fiscal year starting in startYear: "2026-27" for a year
+// starting in April, or just "2026" when the fiscal year is the calendar year.
+const fiscalYearLabel = (startYear) => {
+  if (FISCAL_YEAR_START_MONTH === 1) {
+    return String(startYear);
+  }
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, "0")}`;
+};
+
+// Calendar year in which the fiscal year containing date started.
+const fiscalYearStart = (date) => {
+  const d = new Date(date);
+  const month = d.getUTCMonth() + 1;
+  return month >= FISCAL_YEAR_START_MONTH ? d.getUTCFullYear() : d.getUTCFullYear() - 1;
+};
+
+// Fiscal year label for a date.
+const fiscalYearFor = (date) => fiscalYearLabel(fiscalYearStart(date));
+
+// First and last day (YYYY-MM-DD) of the fiscal year starting in startYear.
+const fiscalYearRange = (startYear) => {
+  const from = new Date(Date.UTC(startYear, FISCAL_YEAR_START_MONTH - 1, 1));
+  const to = new Date(Date.UTC(startYear + 1, FISCAL_YEAR_START_MONTH - 1, 0));
+  return {
+    label: fiscalYearLabel(startYear),
+    from: from.toISOString().slice(0, 10),
+    to: to.toISOString().slice(0, 10),
+  };
+};
+
+module.exports = { fiscalYearFor, fiscalYearStart, fiscalYearLabel, fiscalYearRange };
@@ -0,0 +1,129 @@
+// Volunteer hours as a single ledger: checked-in attendance plus manual
+// entries, normalised to one shape so they can be listed and rolled up
+// together.
+
+const PERIODS = ["month", "quarter", "year"];
+const GROUPINGS = ["volunteer", "project", "period"];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// "YYYY-MM-DD" for a DATEONLY string or a timestamp (in server local time).
+const toDateOnly = (value) => {
+  if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return value;
+  }
+  const date = new Date(value);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Bucket a date falls into: "2026-03", "2026-Q1" or "2026".
+const periodKey = (value, period = "month") => {
+  const day = toDateOnly(value);
+  const year = day.slice(0, 4);
+  if (period === "year") {
+    return year;
+  }
+  if (period === "quarter") {
+    return `${year}-Q${Math.ceil(Number(day.slice(5, 7)) / 3)}`;
+  }
+  return day.slice(0, 7);
+};
+
+// Attendance only reaches the ledger once it has hours, so it is always
+// approved.
+const fromAttendance = (record) => {
+  const event = record.event || null;
+  const project = event && event.project ? event.project : null;
+  return {
+    source: "attendance",
+    id: record.id,
+    volunteer_id: record.volunteer_id,
+    volunteer: record.volunteer ? record.volunteer.name : null,
+    event_id: record.event_id,
+    event: event ? event.name : null,
+    project_id: event ? event.project_id || null : null,
+    project: project ? project.name : null,
+    date: toDateOnly(record.checkInAt || record.date),
+    hours: round(Number(record.hours) || 0),
+    status: "approved",
+    description: null,
+  };
+};
+
+const fromManualEntry = (entry) => ({
+  source: "manual",
+  id: entry.id,
+  volunteer_id: entry.volunteer_id,
+  volunteer: entry.volunteer ? entry.volunteer.name : null,
+  event_id: entry.event_id || null,
+  event: entry.event ? entry.event.name : null,
+  project_id: entry.project_id || null,
+  project: entry.project ? entry.project.name : null,
+  date: toDateOnly(entry.date),
+  hours: round(Number(entry.hours) || 0),
+  status: entry.status,
+  description: entry.description,
+});
+
+// Newest first, attendance before manual entries on the same day.
+const buildLedger = (attendance, manualEntries) =>
+  [...attendance.map(fromAttendance), ...manualEntries.map(fromManualEntry)].sort(
+    (a, b) => b.date.localeCompare(a.date) || a.source.localeCompare(b.source) || b.id - a.id
+  );
+
+// Approved hours count toward totals; pending hours are reported on their
+// own and rejected entries are ignored.
+const summarize = (entries) => {
+  const totals = { totalHours: 0, attendanceHours: 0, manualHours: 0, pendingHours: 0 };
+  for (const entry of entries) {
+    if (entry.status === "pending") {
+      totals.pendingHours += entry.hours;
+    } else if (entry.status === "approved") {
+      totals.totalHours += entry.hours;
+      totals[entry.source === "attendance" ? "attendanceHours" : "manualHours"] += entry.hours;
+    }
+  }
+  return Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, round(value)]));
+};
+
+const groupKeys = {
+  volunteer: (entry) => [entry.volunteer_id, entry.volunteer],
+  project: (entry) => [entry.project_id, entry.project],
+  period: (entry, period) => [periodKey(entry.date, period), periodKey(entry.date, period)],
+};
+
+// Totals per volunteer, project or period. Periods are listed in order;
+// volunteers and projects by most hours. Entries without a project are
+// grouped under a null key.
+const rollup = (entries, groupBy, period = "month") => {
+  const groups = new Map();
+  for (const entry of entries) {
+    const [key, label] = groupKeys[groupBy](entry, period);
+    if (!groups.has(key)) {
+      groups.set(key, { key, label, entries: [] });
+    }
+    groups.get(key).entries.push(entry);
+  }
+
+  const rows = [...groups.values()].map((group) => ({
+    key: group.key,
+    label: group.label,
+    ...summarize(group.entries),
+  }));
+
+  return groupBy === "period"
+    ? rows.sort((a, b) => a.key.localeCompare(b.key))
+    : rows.sort((a, b) => b.totalHours - a.totalHours || String(a.label).localeCompare(String(b.label)));
+};
+
+module.exports = {
+  PERIODS,
+  GROUPINGS,
+  toDateOnly,
+  periodKey,
+  buildLedger,
+  summarize,
+  rollup,
+};
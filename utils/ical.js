@@ -0,0 +1,76 @@
+// Minimal iCalendar (RFC 5545) writer for subscribable .ics feeds.
+
+const PRODID = "-//NGO Management System//Calendar//EN";
+
+// Escape TEXT values: backslash, semicolon, comma and newlines.
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// UTC date-time, e.g. 20260314T090000Z.
+const formatDateTime = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Lines longer than 75 octets continue on the next line after a space,
+// without splitting a multi-byte character.
+const foldLine = (line) => {
+  const lines = [];
+  let current = "";
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = lines.length === 0 ? 75 : 74;
+    if (octets + size > limit) {
+      lines.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  lines.push(current);
+  return lines.join("\r\n ");
+};
+
+const property = (name, value) => (value === undefined || value === null || value === "" ? null : `${name}:${value}`);
+
+// Build a calendar. Each entry needs uid and start; end, summary,
+// location, description and url are optional.
+const buildCalendar = ({ name, entries, stamp = new Date() }) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    property("X-WR-CALNAME", name && escapeText(name)),
+  ];
+
+  for (const entry of entries) {
+    lines.push(
+      "BEGIN:VEVENT",
+      property("UID", entry.uid),
+      property("DTSTAMP", formatDateTime(stamp)),
+      property("DTSTART", formatDateTime(entry.start)),
+      property("DTEND", entry.end && formatDateTime(entry.end)),
+      property("SUMMARY", entry.summary && escapeText(entry.summary)),
+      property("LOCATION", entry.location && escapeText(entry.location)),
+      property("DESCRIPTION", entry.description && escapeText(entry.description)),
+      property("URL", entry.url),
+      "END:VEVENT"
+    );
+  }
+  lines.push("END:VCALENDAR");
+
+  return lines.filter(Boolean).map(foldLine).join("\r\n") + "\r\n";
+};
+
+module.exports = {
+  escapeText,
+  formatDateTime,
+  foldLine,
+  buildCalendar,
+};
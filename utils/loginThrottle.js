@@ -0,0 +1,135 @@
+const { Op, UniqueConstraintError } = require("sequelize");
+const sequelize = require("../config/db");
+const LoginThrottle = require("../models/LoginThrottle");
+const LockoutEvent = require("../models/LockoutEvent");
+
+// Failures are counted per username and per client IP. The first few are
+// free; after that each failure makes the caller wait twice as long before
+// the next attempt, and reaching the limit locks the username or IP out.
+const FREE_ATTEMPTS = parseInt(process.env.LOGIN_FREE_ATTEMPTS, 10) || 3;
+const MAX_ACCOUNT_FAILURES = parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES, 10) || 10;
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_IP_FAILURES, 10) || 50;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const WINDOW_MINUTES = parseInt(process.env.LOGIN_WINDOW_MINUTES, 10) || 15; // Failures older than this are forgotten
+const MAX_DELAY_SECONDS = 60;
+
+const MINUTE = 60 * 1000;
+
+const throttleKeys = (username, ip) => [
+  { scope: "account", identifier: String(username).trim().toLowerCase(), limit: MAX_ACCOUNT_FAILURES },
+  { scope: "ip", identifier: ip || "unknown", limit: MAX_IP_FAILURES },
+];
+
+const delayFor = (failures) => {
+  if (failures < FREE_ATTEMPTS) {
+    return 0;
+  }
+  return Math.min(2 ** (failures - FREE_ATTEMPTS), MAX_DELAY_SECONDS);
+};
+
+// Seconds the caller must wait before trying this username from this IP,
+// or 0 if the attempt may go ahead.
+const retryAfter = async (username, ip) => {
+  const now = Date.now();
+  const rows = await LoginThrottle.findAll({
+    where: { [Op.or]: throttleKeys(username, ip).map(({ scope, identifier }) => ({ scope, identifier })) },
+  });
+
+  let wait = 0;
+  for (const row of rows) {
+    for (const until of [row.lockedUntil, row.nextAttemptAt]) {
+      if (until && until.getTime() > now) {
+        wait = Math.max(wait, Math.ceil((until.getTime() - now) / 1000));
+      }
+    }
+  }
+  return wait;
+};
+
+// A key's counter row, locked for the rest of the transaction. The first
+// failures for a key may arrive together and both try to create the row;
+// the one that loses on the unique key waits for the winner's row instead.
+const lockedRow = async (scope, identifier, transaction) => {
+  const where = { scope, identifier };
+  const row = await LoginThrottle.findOne({ where, lock: transaction.LOCK.UPDATE, transaction });
+  if (row) {
+    return row;
+  }
+  try {
+    return await LoginThrottle.create({ ...where, failures: 0 }, { transaction });
+  } catch (error) {
+    if (!(error instanceof UniqueConstraintError)) {
+      throw error;
+    }
+    return LoginThrottle.findOne({ where, lock: transaction.LOCK.UPDATE, transaction });
+  }
+};
+
+// Count a failed login against the username and the IP. Locks out whichever
+// reaches its limit and records a LockoutEvent for it. Each counter is read
+// and written under a row lock, so failures arriving together all count.
+const recordFailure = (username, ip, user) =>
+  sequelize.transaction(async (transaction) => {
+    const now = new Date();
+
+    for (const { scope, identifier, limit } of throttleKeys(username, ip)) {
+      const row = await lockedRow(scope, identifier, transaction);
+
+      const expired = row.firstFailureAt && now - row.firstFailureAt > WINDOW_MINUTES * MINUTE;
+      const lockExpired = row.lockedUntil && row.lockedUntil <= now;
+      if (expired || lockExpired) {
+        row.failures = 0;
+        row.lockedUntil = null;
+      }
+      if (row.failures === 0) {
+        row.firstFailureAt = now;
+      }
+
+      row.failures += 1;
+      row.nextAttemptAt = new Date(now.getTime() + delayFor(row.failures) * 1000);
+
+      if (row.failures >= limit && !row.lockedUntil) {
+        row.lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * MINUTE);
+        await LockoutEvent.create(
+          {
+            scope,
+            identifier,
+            user_id: scope === "account" && user ? user.id : null,
+            ipAddress: ip || null,
+            failures: row.failures,
+            lockedUntil: row.lockedUntil,
+          },
+          { transaction }
+        );
+      }
+
+      await row.save({ transaction });
+    }
+  });
+
+// A successful login clears the username's counter. The IP counter is left
+// alone so one valid account cannot be used to reset it.
+const recordSuccess = (username) =>
+  LoginThrottle.destroy({ where: { scope: "account", identifier: String(username).trim().toLowerCase() } });
+
+// Lift a lockout on a user's account. Resolves to the number of lockout
+// events closed.
+const unlockAccount = async (user, unlockedBy) => {
+  const identifier = user.username.toLowerCase();
+  await LoginThrottle.destroy({ where: { scope: "account", identifier } });
+
+  const [count] = await LockoutEvent.update(
+    { unlockedAt: new Date(), unlockedBy },
+    {
+      where: {
+        scope: "account",
+        identifier,
+        unlockedAt: null,
+        lockedUntil: { [Op.gt]: new Date() },
+      },
+    }
+  );
+  return count;
+};
+
+module.exports = { retryAfter, recordFailure, recordSuccess, unlockAccount };
@@ -0,0 +1,42 @@
+const nodemailer = require("nodemailer");
+const logger = require("./logger");
+
+// MAIL_TRANSPORT picks where mail goes:
+//   smtp - an SMTP server; point SMTP_HOST/SMTP_PORT at a local catcher such
+//          as Mailpit (localhost:1025) in development
+//   json - nothing is delivered; only the recipient and subject are logged
+//          (default)
+const createTransport = () => {
+  if (process.env.MAIL_TRANSPORT === "smtp") {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST || "localhost",
+      port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return nodemailer.createTransport({ jsonTransport: true });
+};
+
+let transport = createTransport();
+
+// Swap the transport, e.g. for a stub in tests. Any object with a
+// nodemailer-style sendMail(message) works.
+const setTransport = (next) => {
+  transport = next || createTransport();
+};
+
+const sendMail = async ({ to, subject, text }) => {
+  const info = await transport.sendMail({
+    from: process.env.MAIL_FROM || "no-reply@ngo.local",
+    to,
+    subject,
+    text,
+  });
+  logger.info(`Mail "${subject}" sent to ${to}`);
+  return info;
+};
+
+module.exports = { sendMail, setTransport };
@@ -0,0 +1,6 @@
+// Money is added up in integer minor units (cents, paise) so that sums of
+// DECIMAL amounts are exact, and converted back to decimal strings for output.
+const toCents = (value) => Math.round(parseFloat(value) * 100);
+const fromCents = (cents) => (cents / 100).toFixed(2);
+
+module.exports = { toCents, fromCents };
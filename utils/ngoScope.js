@@ -0,0 +1,28 @@
+// Helpers for scoping records to the NGO that owns them.
+// Platform admins ("admin") can see every NGO; every other user is
+// confined to the ngo_id loaded onto req.user by authMiddleware.
+
+const isPlatformAdmin = (user) => user.role === "admin";
+
+// Merge the caller's NGO into a where clause.
+const scopeWhere = (user, where = {}) => {
+  if (isPlatformAdmin(user)) {
+    return where;
+  }
+  return { ...where, ngo_id: user.ngo_id };
+};
+
+// Whether a loaded record belongs to the caller's NGO.
+const ownsRecord = (user, record) =>
+  isPlatformAdmin(user) || (record && record.ngo_id === user.ngo_id);
+
+// NGO a new record should be stamped with. Platform admins choose the NGO
+// explicitly; everyone else always writes into their own.
+const resolveNgoId = (user, requestedNgoId) => {
+  if (isPlatformAdmin(user)) {
+    return requestedNgoId ? parseInt(requestedNgoId, 10) : null;
+  }
+  return user.ngo_id;
+};
+
+module.exports = { isPlatformAdmin, scopeWhere, ownsRecord, resolveNgoId };
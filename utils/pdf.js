@@ -0,0 +1,198 @@
+const PDFDocument = require("pdfkit");
+
+// Render a PDF by calling draw(doc) and resolve with the finished bytes.
+const renderPdf = (draw, options = {}) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50, ...options });
+    const chunks = [];
+
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    try {
+      draw(doc);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+
+const formatAmount = (amount, currency) => `${currency} ${Number(amount).toFixed(2)}`;
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Letterhead shared by every document an NGO issues.
+const drawNgoHeader = (doc, ngo) => {
+  doc.fontSize(18).text(ngo.name, { align: "center" });
+  doc.fontSize(9).text(ngo.address, { align: "center" });
+  doc.text(`Registration No: ${ngo.registrationNumber}`, { align: "center" });
+  doc.text([ngo.contactEmail, ngo.contactPhone, ngo.website].filter(Boolean).join(" | "), { align: "center" });
+  doc.moveDown();
+  doc.moveTo(doc.page.margins.left, doc.y).lineTo(doc.page.width - doc.page.margins.right, doc.y).stroke();
+  doc.moveDown();
+};
+
+const drawField = (doc, label, value) => {
+  doc.font("Helvetica-Bold").text(`${label}: `, { continued: true });
+  doc.font("Helvetica").text(value === undefined || value === null || value === "" ? "-" : String(value));
+};
+
+// Tax-deductible donation receipt.
+const renderReceiptPdf = ({ receipt, donor, donation, ngo, project, replaces }) =>
+  renderPdf((doc) => {
+    drawNgoHeader(doc, ngo);
+
+    doc.fontSize(14).text("Donation Receipt", { align: "center" });
+    doc.moveDown();
+
+    doc.fontSize(10);
+    drawField(doc, "Receipt No", receipt.receiptNumber);
+    drawField(doc, "Fiscal Year", receipt.fiscalYear);
+    drawField(doc, "Issued On", formatDate(receipt.issuedAt));
+    doc.moveDown();
+
+    drawField(doc, "Received From", donor.name);
+    drawField(doc, "Address", donor.address);
+    drawField(doc, "Email", donor.email);
+    doc.moveDown();
+
+    drawField(doc, "Amount", formatAmount(receipt.amount, receipt.currency));
+    drawField(doc, "Date of Donation", formatDate(donation.donationDate));
+    drawField(doc, "Payment Method", donation.paymentMethod.replace("_", " "));
+    drawField(doc, "Reference No", donation.referenceNumber);
+    if (project) {
+      drawField(doc, "Designated To", project.name);
+    }
+    doc.moveDown();
+
+    if (replaces) {
+      doc.text(`This receipt replaces receipt ${replaces.receiptNumber}, which has been voided.`);
+      doc.moveDown();
+    }
+
+    doc.fontSize(9).text(
+      "This receipt acknowledges a voluntary contribution for tax deduction purposes. " +
+        "No goods or services were provided in exchange for this donation."
+    );
+
+    if (receipt.status === "void") {
+      doc.save();
+      doc.rotate(-30, { origin: [doc.page.width / 2, doc.page.height / 2] });
+      doc.fontSize(96).fillColor("red").opacity(0.3)
+        .text("VOID", 0, doc.page.height / 2 - 48, { align: "center", width: doc.page.width });
+      doc.restore();
+    }
+  });
+
+// Annual giving statement listing every gift a donor made in a fiscal year.
+const renderStatementPdf = ({ statement, ngo }) =>
+  renderPdf((doc) => {
+    drawNgoHeader(doc, ngo);
+
+    doc.fontSize(14).text(`Annual Giving Statement ${statement.fiscalYear}`, { align: "center" });
+    doc.fontSize(9).text(`${formatDate(statement.from)} to ${formatDate(statement.to)}`, { align: "center" });
+    doc.moveDown();
+
+    doc.fontSize(10);
+    drawField(doc, "Donor", statement.donor.name);
+    drawField(doc, "Address", statement.donor.address);
+    drawField(doc, "Email", statement.donor.email);
+    doc.moveDown();
+
+    const columns = [
+      { title: "Date", x: 50 },
+      { title: "Receipt No", x: 130 },
+      { title: "Method", x: 270 },
+      { title: "Designation", x: 350 },
+      { title: "Amount", x: 460 },
+    ];
+    const drawRow = (values, font) => {
+      if (doc.y > doc.page.height - doc.page.margins.bottom - 20) {
+        doc.addPage();
+      }
+      const y = doc.y;
+      doc.font(font);
+      values.forEach((value, index) => {
+        doc.text(value, columns[index].x, y, { width: 100, lineBreak: false });
+      });
+      doc.moveDown();
+    };
+
+    drawRow(columns.map((column) => column.title), "Helvetica-Bold");
+    statement.donations.forEach((donation) => {
+      const receipt = donation.receipts && donation.receipts[0];
+      drawRow(
+        [
+          formatDate(donation.donationDate),
+          receipt ? receipt.receiptNumber : "-",
+          donation.paymentMethod.replace("_", " "),
+          donation.Project ? donation.Project.name : "General",
+          formatAmount(donation.amount, donation.currency),
+        ],
+        "Helvetica"
+      );
+    });
+    doc.moveDown();
+
+    doc.x = doc.page.margins.left;
+    Object.entries(statement.totals).forEach(([currency, total]) => {
+      drawField(doc, `Total (${currency})`, formatAmount(total, currency));
+    });
+    doc.moveDown();
+
+    doc.fontSize(9).text(
+      "Thank you for your support. Individual receipts were issued for each gift listed above; " +
+        "this statement summarises them for your records."
+    );
+  });
+
+// Certificate of volunteer service. The verification code and signature
+// let a school or employer confirm it at the verify URL.
+const renderCertificatePdf = ({ certificate, volunteer, ngo, verifyUrl }) =>
+  renderPdf((doc) => {
+    drawNgoHeader(doc, ngo);
+
+    doc.fontSize(20).text("Certificate of Volunteer Service", { align: "center" });
+    doc.moveDown(2);
+
+    doc.fontSize(12).text(
+      `This is to certify that ${volunteer.name} contributed ` +
+        `${Number(certificate.totalHours).toFixed(2)} hours of volunteer service to ${ngo.name} ` +
+        `between ${certificate.periodStart} and ${certificate.periodEnd}.`,
+      { align: "center" }
+    );
+    doc.moveDown(2);
+
+    doc.fontSize(10);
+    certificate.breakdown.forEach((row) => {
+      drawField(doc, row.project || "General", `${Number(row.hours).toFixed(2)} hours`);
+    });
+    doc.moveDown();
+
+    drawField(doc, "Issued On", formatDate(certificate.issuedAt));
+    drawField(doc, "Verification Code", certificate.verificationCode);
+    drawField(doc, "Verify At", verifyUrl);
+    doc.moveDown();
+
+    doc.fontSize(7).font("Helvetica").text(`Signature: ${certificate.signature}`);
+
+    if (certificate.revokedAt) {
+      doc.save();
+      doc.rotate(-30, { origin: [doc.page.width / 2, doc.page.height / 2] });
+      doc.fontSize(96).fillColor("red").opacity(0.3)
+        .text("REVOKED", 0, doc.page.height / 2 - 48, { align: "center", width: doc.page.width });
+      doc.restore();
+    }
+  });
+
+module.exports = {
+  renderPdf,
+  formatAmount,
+  formatDate,
+  drawNgoHeader,
+  drawField,
+  renderReceiptPdf,
+  renderStatementPdf,
+  renderCertificatePdf,
+};
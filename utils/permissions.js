@@ -0,0 +1,120 @@
+const RolePermission = require("../models/RolePermission");
+
+// Every role a user can hold. "admin" is the platform admin; all other roles
+// are scoped to the user's NGO (see utils/ngoScope).
+const ROLES = ["admin", "ngo_admin", "coordinator", "employee", "volunteer", "donor", "beneficiary"];
+
+// Every permission the API checks, as "resource:action".
+const PERMISSIONS = {
+  "users:read": "View user accounts",
+  "users:write": "Create, update and delete user accounts",
+  "users:security": "Revoke sessions, unlock accounts, reset 2FA and review lockouts",
+  "donors:read": "View donors",
+  "donors:write": "Create, update and delete donors",
+  "donations:read": "View donations, pledges, allocations and giving statements",
+  "donations:write": "Record donations and pledges and allocate them to projects",
+  "receipts:read": "View and download donation receipts",
+  "receipts:write": "Issue, reissue and void donation receipts",
+  "projects:read": "View projects",
+  "projects:write": "Create, update and delete projects",
+  "finances:read": "View project budgets, expenses and financials",
+  "finances:write": "Manage project budgets and record expenses",
+  "beneficiaries:read": "View beneficiaries, enrollments and service history",
+  "beneficiaries:write": "Manage beneficiaries, enroll them in projects and record services",
+  "aid:read": "View aid allocations and disbursements",
+  "aid:write": "Approve aid allocations and record disbursements",
+  "employees:read": "View employees",
+  "employees:write": "Create, update and delete employees",
+  "volunteers:read": "View volunteers",
+  "volunteers:write": "Create, update and delete volunteers",
+  "attendance:read": "View volunteer attendance",
+  "attendance:write": "Record volunteer attendance",
+  "events:read": "View events",
+  "events:write": "Create, update and delete events",
+  "ngos:read": "View the user's own NGO",
+  "ngos:write": "Update the user's own NGO",
+  "ngos:manage": "Create, onboard, suspend and delete any NGO",
+  "admins:manage": "Manage platform admin accounts",
+  "roles:manage": "Assign permissions to roles",
+  "api_keys:manage": "Issue and revoke API keys for integrations",
+};
+
+// Cross-tenant permissions. Only the platform admin role may hold them.
+const PLATFORM_PERMISSIONS = ["ngos:manage", "admins:manage", "roles:manage"];
+
+// Assignments used to seed an empty RolePermissions table. The admin role
+// is not listed: it always holds every permission.
+const DEFAULT_ROLE_PERMISSIONS = {
+  ngo_admin: Object.keys(PERMISSIONS).filter((permission) => !PLATFORM_PERMISSIONS.includes(permission)),
+  coordinator: ["volunteers:read", "volunteers:write", "attendance:read", "attendance:write", "events:read"],
+  employee: ["attendance:read", "events:read"],
+  volunteer: [],
+  donor: [],
+  beneficiary: [],
+};
+
+const CACHE_TTL_MS = 60 * 1000;
+let cache = null;
+let cachedAt = 0;
+
+const seedDefaults = async () => {
+  const rows = [];
+  for (const [role, permissions] of Object.entries(DEFAULT_ROLE_PERMISSIONS)) {
+    for (const permission of permissions) {
+      rows.push({ role, permission });
+    }
+  }
+  await RolePermission.bulkCreate(rows, { ignoreDuplicates: true });
+};
+
+// Map of role -> Set of permissions, cached briefly so every request does
+// not hit the database.
+const loadRolePermissions = async () => {
+  if (cache && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cache;
+  }
+
+  // An empty table means the defaults were never seeded
+  if ((await RolePermission.count()) === 0) {
+    await seedDefaults();
+  }
+
+  const next = new Map(ROLES.map((role) => [role, new Set()]));
+  for (const { role, permission } of await RolePermission.findAll()) {
+    if (next.has(role) && !PLATFORM_PERMISSIONS.includes(permission)) {
+      next.get(role).add(permission);
+    }
+  }
+  next.set("admin", new Set(Object.keys(PERMISSIONS)));
+
+  cache = next;
+  cachedAt = Date.now();
+  return cache;
+};
+
+const invalidatePermissionCache = () => {
+  cache = null;
+};
+
+const permissionsForRole = async (role) => {
+  const roles = await loadRolePermissions();
+  return roles.get(role) || new Set();
+};
+
+// API keys hold the permissions in their scopes rather than a role's.
+const hasPermission = async (user, permission) => {
+  if (user.apiKeyId) {
+    return Array.isArray(user.scopes) && user.scopes.includes(permission);
+  }
+  return (await permissionsForRole(user.role)).has(permission);
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  PLATFORM_PERMISSIONS,
+  loadRolePermissions,
+  invalidatePermissionCache,
+  permissionsForRole,
+  hasPermission,
+};
@@ -0,0 +1,278 @@
+const { Op } = require("sequelize");
+const Donation = require("../models/Donation");
+const Pledge = require("../models/Pledge");
+const PledgeInstallment = require("../models/PledgeInstallment");
+const PledgePayment = require("../models/PledgePayment");
+const { toCents } = require("./money");
+
+const MONTHS_BETWEEN = { monthly: 1, quarterly: 3, yearly: 12 };
+
+// Days after the due date before an unpaid installment is marked overdue.
+const GRACE_DAYS = parseInt(process.env.PLEDGE_GRACE_DAYS, 10) || 7;
+// How far ahead expected installments are created.
+const LOOKAHEAD_DAYS = parseInt(process.env.PLEDGE_LOOKAHEAD_DAYS, 10) || 30;
+// A gift made up to this many days before the due date still counts for it.
+const EARLY_PAYMENT_DAYS = 15;
+
+// Installments still waiting for (some of) their money.
+const OPEN_STATUSES = ["expected", "partial", "overdue"];
+
+const toDateOnly = (date) => new Date(date).toISOString().slice(0, 10);
+
+const addDays = (dateOnly, days) => {
+  const date = new Date(`${dateOnly}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateOnly(date);
+};
+
+// Add months to a YYYY-MM-DD date, clamping to the end of shorter months
+// so a pledge starting on the 31st falls due on the 30th or 28th.
+const addMonths = (dateOnly, months) => {
+  const [year, month, day] = dateOnly.split("-").map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return toDateOnly(target);
+};
+
+// Installments are anchored to the start date rather than to each other,
+// so clamping in short months does not drift the schedule.
+const dueDateFor = (pledge, sequence) => addMonths(pledge.startDate, sequence * MONTHS_BETWEEN[pledge.frequency]);
+
+// Create the expected installments of a pledge falling due up to `until`.
+// Safe to run repeatedly: it continues after the last scheduled installment.
+const scheduleInstallments = async (pledge, until, transaction) => {
+  const last = await PledgeInstallment.max("sequence", { where: { pledge_id: pledge.id }, transaction });
+  let sequence = typeof last === "number" && !isNaN(last) ? last + 1 : 0;
+  const created = [];
+
+  for (;;) {
+    const dueDate = dueDateFor(pledge, sequence);
+    if (dueDate > until || (pledge.endDate && dueDate > pledge.endDate)) {
+      break;
+    }
+    if (dueDate >= pledge.scheduleFrom) {
+      created.push(
+        await PledgeInstallment.create(
+          { pledge_id: pledge.id, sequence, dueDate, amount: pledge.amount },
+          { transaction }
+        )
+      );
+    }
+    sequence += 1;
+  }
+
+  return created;
+};
+
+// Record the donation as a payment of the installment, then total every
+// payment towards it. Re-applying a donation updates its payment, so a
+// corrected amount replaces the old one rather than adding to it.
+const applyDonation = async (installment, donation, transaction) => {
+  // Installments paid before payments were recorded carry their one gift
+  // in donation_id and amountReceived
+  if (installment.donation_id && installment.donation_id !== donation.id) {
+    await PledgePayment.findOrCreate({
+      where: { donation_id: installment.donation_id },
+      defaults: { installment_id: installment.id, amount: installment.amountReceived },
+      transaction,
+    });
+  }
+
+  const [payment, created] = await PledgePayment.findOrCreate({
+    where: { donation_id: donation.id },
+    defaults: { installment_id: installment.id, amount: donation.amount },
+    transaction,
+  });
+  if (!created) {
+    payment.amount = donation.amount;
+    await payment.save({ transaction });
+  }
+
+  const payments = await PledgePayment.findAll({ where: { installment_id: installment.id }, transaction });
+  const receivedCents = payments.reduce((sum, entry) => sum + toCents(entry.amount), 0);
+
+  installment.donation_id = installment.donation_id || donation.id;
+  installment.amountReceived = (receivedCents / 100).toFixed(2);
+  if (receivedCents >= toCents(installment.amount)) {
+    installment.status = "fulfilled";
+  } else if (installment.status !== "overdue") {
+    installment.status = "partial";
+  }
+  return installment.save({ transaction });
+};
+
+// Apply a donation to the earliest open installment of the donor's pledges
+// that it can pay, topping up one already partly paid. A donation already
+// applied to an installment refreshes it instead, so corrected amounts carry
+// through. Returns the installment, or null if nothing matched.
+const matchDonation = async (donation, transaction) => {
+  const payment = await PledgePayment.findOne({ where: { donation_id: donation.id }, transaction });
+  const existing = payment
+    ? await PledgeInstallment.findByPk(payment.installment_id, { transaction })
+    : await PledgeInstallment.findOne({ where: { donation_id: donation.id }, transaction });
+  if (existing) {
+    return applyDonation(existing, donation, transaction);
+  }
+
+  const installment = await PledgeInstallment.findOne({
+    where: {
+      status: OPEN_STATUSES,
+      dueDate: { [Op.lte]: addDays(donation.donationDate, EARLY_PAYMENT_DAYS) },
+    },
+    include: [
+      {
+        model: Pledge,
+        required: true,
+        where: {
+          donor_id: donation.donor_id,
+          currency: donation.currency,
+          status: { [Op.ne]: "cancelled" },
+          [Op.or]: [{ project_id: null }, { project_id: donation.project_id }],
+        },
+      },
+    ],
+    order: [["dueDate", "asc"]],
+    transaction,
+  });
+
+  if (!installment) {
+    return null;
+  }
+
+  return applyDonation(installment, donation, transaction);
+};
+
+// Match gifts recorded since the pledge's oldest open installment that have
+// not been applied to any installment yet.
+const matchOpenDonations = async (pledge) => {
+  const oldestOpen = await PledgeInstallment.findOne({
+    where: { pledge_id: pledge.id, status: OPEN_STATUSES },
+    order: [["dueDate", "asc"]],
+  });
+  if (!oldestOpen) {
+    return 0;
+  }
+
+  const [firstPayments, payments] = await Promise.all([
+    PledgeInstallment.findAll({
+      attributes: ["donation_id"],
+      where: { donation_id: { [Op.ne]: null } },
+      include: [{ model: Pledge, attributes: [], where: { donor_id: pledge.donor_id } }],
+      raw: true,
+    }),
+    PledgePayment.findAll({
+      attributes: ["donation_id"],
+      include: [{ model: Donation, attributes: [], where: { donor_id: pledge.donor_id } }],
+      raw: true,
+    }),
+  ]);
+  const matched = [...firstPayments, ...payments].map((row) => row.donation_id);
+
+  const donations = await Donation.findAll({
+    where: {
+      donor_id: pledge.donor_id,
+      currency: pledge.currency,
+      donationDate: { [Op.gte]: addDays(oldestOpen.dueDate, -EARLY_PAYMENT_DAYS) },
+      id: { [Op.notIn]: matched.concat([0]) },
+    },
+    order: [["donationDate", "asc"]],
+  });
+
+  let count = 0;
+  for (const donation of donations) {
+    if (await matchDonation(donation)) {
+      count += 1;
+    }
+  }
+  return count;
+};
+
+// Mark unpaid and part-paid installments of active pledges overdue once the
+// grace period has passed.
+const markOverdue = async (today) => {
+  const activePledges = await Pledge.findAll({ attributes: ["id"], where: { status: "active" } });
+
+  const [count] = await PledgeInstallment.update(
+    { status: "overdue" },
+    {
+      where: {
+        pledge_id: activePledges.map((pledge) => pledge.id),
+        status: ["expected", "partial"],
+        dueDate: { [Op.lt]: addDays(today, -GRACE_DAYS) },
+      },
+    }
+  );
+  return count;
+};
+
+// Schedule the installments falling due within the lookahead window.
+const scheduleUpcoming = (pledge, transaction, now = new Date()) =>
+  scheduleInstallments(pledge, addDays(toDateOnly(now), LOOKAHEAD_DAYS), transaction);
+
+// Drop the projected installments due on or after a date, e.g. when a pledge
+// is paused. They are recreated from the schedule if it is resumed.
+const removeUpcomingInstallments = (pledge, fromDate, transaction) =>
+  PledgeInstallment.destroy({
+    where: { pledge_id: pledge.id, status: "expected", dueDate: { [Op.gte]: fromDate } },
+    transaction,
+  });
+
+// Close every unpaid installment of a cancelled pledge so it no longer counts as due.
+const cancelOpenInstallments = (pledge, transaction) =>
+  PledgeInstallment.update(
+    { status: "cancelled" },
+    { where: { pledge_id: pledge.id, status: OPEN_STATUSES }, transaction }
+  );
+
+// One scheduler pass: create upcoming installments, apply new gifts to them
+// and flag the ones whose grace period has run out.
+const runPledgeScheduler = async (now = new Date()) => {
+  const today = toDateOnly(now);
+  const pledges = await Pledge.findAll({ where: { status: "active" } });
+
+  let scheduled = 0;
+  let matched = 0;
+  for (const pledge of pledges) {
+    scheduled += (await scheduleUpcoming(pledge, undefined, now)).length;
+    matched += await matchOpenDonations(pledge);
+  }
+  const overdue = await markOverdue(today);
+
+  return { pledges: pledges.length, scheduled, matched, overdue };
+};
+
+// Fulfilment figures for a pledge from its installments, counting only
+// installments already due and capping each at the amount pledged.
+const fulfilmentFor = (installments, today = toDateOnly(new Date())) => {
+  const due = installments.filter((installment) => installment.status !== "cancelled" && installment.dueDate <= today);
+  const dueCents = due.reduce((sum, installment) => sum + toCents(installment.amount), 0);
+  const receivedCents = due.reduce(
+    (sum, installment) => sum + Math.min(toCents(installment.amountReceived), toCents(installment.amount)),
+    0
+  );
+
+  return {
+    installmentsDue: due.length,
+    installmentsFulfilled: due.filter((installment) => installment.status === "fulfilled").length,
+    installmentsOverdue: due.filter((installment) => installment.status === "overdue").length,
+    amountDue: (dueCents / 100).toFixed(2),
+    amountReceived: (receivedCents / 100).toFixed(2),
+    fulfilmentPercent: dueCents > 0 ? Math.round((receivedCents * 10000) / dueCents) / 100 : null,
+  };
+};
+
+module.exports = {
+  toDateOnly,
+  addDays,
+  addMonths,
+  dueDateFor,
+  scheduleInstallments,
+  matchDonation,
+  scheduleUpcoming,
+  markOverdue,
+  removeUpcomingInstallments,
+  cancelOpenInstallments,
+  runPledgeScheduler,
+  fulfilmentFor,
+};
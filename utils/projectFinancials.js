@@ -0,0 +1,74 @@
+const { fn, col } = require("sequelize");
+const BudgetLineItem = require("../models/BudgetLineItem");
+const Expense = require("../models/Expense");
+const { toCents, fromCents } = require("./money");
+const { restrictedFundsInCents } = require("./restrictedFunds");
+
+const percentOf = (part, whole) => (whole > 0 ? Math.round((part * 10000) / whole) / 100 : null);
+
+// Resolve to a map of category -> total in cents for a project's rows of a model.
+const sumByCategory = async (model, projectId) => {
+  const rows = await model.findAll({
+    attributes: ["category", [fn("SUM", col("amount")), "total"]],
+    where: { project_id: projectId },
+    group: ["category"],
+    raw: true,
+  });
+
+  const totals = {};
+  rows.forEach((row) => {
+    totals[row.category] = toCents(row.total);
+  });
+  return totals;
+};
+
+// Compare a project's budget with its recorded expenses, category by category.
+// Spending in a category with no budget line counts as overspent.
+const buildFinancials = async (project) => {
+  const [budgeted, spent, restricted] = await Promise.all([
+    sumByCategory(BudgetLineItem, project.id),
+    sumByCategory(Expense, project.id),
+    restrictedFundsInCents(project.id),
+  ]);
+
+  const categories = Array.from(new Set([...Object.keys(budgeted), ...Object.keys(spent)])).sort();
+
+  let budgetedTotal = 0;
+  let spentTotal = 0;
+  const lines = categories.map((category) => {
+    const budget = budgeted[category] || 0;
+    const actual = spent[category] || 0;
+    budgetedTotal += budget;
+    spentTotal += actual;
+
+    return {
+      category,
+      budgeted: fromCents(budget),
+      spent: fromCents(actual),
+      remaining: fromCents(budget - actual),
+      percentUsed: percentOf(actual, budget),
+      overspent: actual > budget,
+    };
+  });
+
+  return {
+    project: { id: project.id, name: project.name },
+    currency: project.currency,
+    categories: lines,
+    totals: {
+      budgeted: fromCents(budgetedTotal),
+      spent: fromCents(spentTotal),
+      remaining: fromCents(budgetedTotal - spentTotal),
+      percentUsed: percentOf(spentTotal, budgetedTotal),
+      overspent: spentTotal > budgetedTotal,
+    },
+    overspentCategories: lines.filter((line) => line.overspent).map((line) => line.category),
+    restrictedFunds: {
+      received: fromCents(restricted.received),
+      spent: fromCents(restricted.spent),
+      remaining: fromCents(restricted.remaining),
+    },
+  };
+};
+
+module.exports = { buildFinancials };
@@ -0,0 +1,86 @@
+const Receipt = require("../models/Receipt");
+const ReceiptSequence = require("../models/ReceiptSequence");
+const ReceiptAuditLog = require("../models/ReceiptAuditLog");
+const { fiscalYearFor } = require("./fiscalYear");
+
+const formatReceiptNumber = (ngoId, fiscalYear, sequence) =>
+  `R${ngoId}/${fiscalYear}/${String(sequence).padStart(6, "0")}`;
+
+// Allocate the next number in an NGO's fiscal-year series. The sequence row
+// is locked for the rest of the transaction, so concurrent issues queue up
+// and a number is never handed out twice, even if the receipt is later voided.
+// The row is inserted first if the series is new; when two first issues race,
+// the second insert is ignored and it queues on the winner's row instead.
+const nextSequence = async (ngoId, fiscalYear, transaction) => {
+  await ReceiptSequence.bulkCreate([{ ngo_id: ngoId, fiscalYear, lastNumber: 0 }], {
+    ignoreDuplicates: true,
+    transaction,
+  });
+
+  const sequence = await ReceiptSequence.findOne({
+    where: { ngo_id: ngoId, fiscalYear },
+    lock: transaction.LOCK.UPDATE,
+    transaction,
+  });
+
+  sequence.lastNumber += 1;
+  await sequence.save({ transaction });
+
+  return sequence.lastNumber;
+};
+
+// Issue a receipt for a donation. Must run inside a transaction.
+const issueReceipt = async (donation, userId, transaction, replaces = null) => {
+  const fiscalYear = fiscalYearFor(donation.donationDate);
+  const sequence = await nextSequence(donation.ngo_id, fiscalYear, transaction);
+
+  const receipt = await Receipt.create(
+    {
+      ngo_id: donation.ngo_id,
+      donor_id: donation.donor_id,
+      donation_id: donation.id,
+      fiscalYear,
+      sequence,
+      receiptNumber: formatReceiptNumber(donation.ngo_id, fiscalYear, sequence),
+      amount: donation.amount,
+      currency: donation.currency,
+      issuedBy: userId,
+      replaces_id: replaces ? replaces.id : null,
+    },
+    { transaction }
+  );
+
+  await ReceiptAuditLog.create(
+    {
+      receipt_id: receipt.id,
+      action: replaces ? "reissued" : "issued",
+      performedBy: userId,
+      details: replaces ? `Replaces receipt ${replaces.receiptNumber}` : null,
+    },
+    { transaction }
+  );
+
+  return receipt;
+};
+
+// Void an issued receipt. Its number stays allocated. Must run inside a transaction.
+const voidReceipt = async (receipt, userId, reason, transaction) => {
+  receipt.status = "void";
+  receipt.voidedAt = new Date();
+  receipt.voidReason = reason;
+  await receipt.save({ transaction });
+
+  await ReceiptAuditLog.create(
+    {
+      receipt_id: receipt.id,
+      action: "voided",
+      performedBy: userId,
+      details: reason,
+    },
+    { transaction }
+  );
+
+  return receipt;
+};
+
+module.exports = { formatReceiptNumber, issueReceipt, voidReceipt };
@@ -0,0 +1,393 @@
+// RRULE-style recurrence for events (a subset of RFC 5545): FREQ of DAILY,
+// WEEKLY, MONTHLY or YEARLY with INTERVAL, COUNT or UNTIL, BYDAY (with an
+// ordinal such as 1SA or -1FR for monthly rules) and BYMONTHDAY.
+// Occurrences keep the wall-clock time of the first one in server local
+// time, so a 09:00 distribution stays at 09:00 across daylight saving.
+
+const FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY", "YEARLY"];
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+// Stop runaway rules (e.g. a daily rule with no end) from expanding forever.
+// Both caps count from the start of the requested window.
+const MAX_OCCURRENCES = 1000;
+const MAX_PERIODS = 10000;
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// Local "YYYY-MM-DD" of a date; identifies an occurrence within its series.
+const occurrenceKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+  if (!match) {
+    throw new Error(`Invalid UNTIL: ${value}`);
+  }
+  const [, y, mo, d, h = "23", mi = "59", s = "59", utc] = match;
+  return utc
+    ? new Date(Date.UTC(y, mo - 1, d, h, mi, s))
+    : new Date(Number(y), mo - 1, Number(d), Number(h), Number(mi), Number(s));
+};
+
+const parseByDay = (value, freq) =>
+  value.split(",").map((item) => {
+    const match = /^([+-]?[1-5])?(SU|MO|TU|WE|TH|FR|SA)$/.exec(item);
+    if (!match) {
+      throw new Error(`Invalid BYDAY: ${item}`);
+    }
+    if (match[1] && freq !== "MONTHLY") {
+      throw new Error("BYDAY ordinals (e.g. 1SA) are only supported for MONTHLY rules");
+    }
+    return { weekday: WEEKDAYS.indexOf(match[2]), ordinal: match[1] ? Number(match[1]) : null };
+  });
+
+const parseByMonthDay = (value) =>
+  value.split(",").map((item) => {
+    const day = Number(item);
+    if (!Number.isInteger(day) || day === 0 || day < -31 || day > 31) {
+      throw new Error(`Invalid BYMONTHDAY: ${item}`);
+    }
+    return day;
+  });
+
+// Parse "FREQ=WEEKLY;BYDAY=SA;COUNT=10" (an "RRULE:" prefix is allowed).
+// Throws an Error describing the first problem found.
+const parseRRule = (text) => {
+  const parts = {};
+  for (const part of String(text).trim().replace(/^RRULE:/i, "").split(";").filter(Boolean)) {
+    const [key, value] = part.split("=");
+    if (!key || value === undefined || value === "") {
+      throw new Error(`Invalid rule part: ${part}`);
+    }
+    parts[key.toUpperCase()] = value.toUpperCase();
+  }
+
+  const rule = { freq: parts.FREQ, interval: 1, count: null, until: null, byDay: null, byMonthDay: null };
+  if (!FREQUENCIES.includes(rule.freq)) {
+    throw new Error(`FREQ must be one of ${FREQUENCIES.join(", ")}`);
+  }
+
+  for (const [key, value] of Object.entries(parts)) {
+    switch (key) {
+      case "FREQ":
+        break;
+      case "INTERVAL":
+        rule.interval = Number(value);
+        if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+          throw new Error("INTERVAL must be a positive integer");
+        }
+        break;
+      case "COUNT":
+        rule.count = Number(value);
+        if (!Number.isInteger(rule.count) || rule.count < 1) {
+          throw new Error("COUNT must be a positive integer");
+        }
+        break;
+      case "UNTIL":
+        rule.until = parseUntil(value);
+        break;
+      case "BYDAY":
+        rule.byDay = parseByDay(value, rule.freq);
+        break;
+      case "BYMONTHDAY":
+        if (rule.freq !== "MONTHLY") {
+          throw new Error("BYMONTHDAY is only supported for MONTHLY rules");
+        }
+        rule.byMonthDay = parseByMonthDay(value);
+        break;
+      default:
+        throw new Error(`Unsupported rule part: ${key}`);
+    }
+  }
+
+  if (rule.count && rule.until) {
+    throw new Error("COUNT and UNTIL cannot both be set");
+  }
+  if (rule.freq === "DAILY" || rule.freq === "YEARLY") {
+    if (rule.byDay || rule.byMonthDay) {
+      throw new Error(`BYDAY and BYMONTHDAY are not supported for ${rule.freq} rules`);
+    }
+  }
+  return rule;
+};
+
+const atTimeOf = (start, year, month, day) =>
+  new Date(year, month, day, start.getHours(), start.getMinutes(), start.getSeconds());
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+// Days of a month matching a monthly rule, ascending.
+const monthDays = (rule, start, year, month) => {
+  const last = daysInMonth(year, month);
+  const days = new Set();
+
+  if (rule.byMonthDay) {
+    for (const day of rule.byMonthDay) {
+      const date = day > 0 ? day : last + day + 1;
+      if (date >= 1 && date <= last) {
+        days.add(date);
+      }
+    }
+  }
+  if (rule.byDay) {
+    for (const { weekday, ordinal } of rule.byDay) {
+      const first = ((weekday - new Date(year, month, 1).getDay() + 7) % 7) + 1;
+      const matches = [];
+      for (let date = first; date <= last; date += 7) {
+        matches.push(date);
+      }
+      if (ordinal === null) {
+        matches.forEach((date) => days.add(date));
+      } else {
+        const date = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+        if (date) {
+          days.add(date);
+        }
+      }
+    }
+  }
+  if (!rule.byMonthDay && !rule.byDay && start.getDate() <= last) {
+    days.add(start.getDate());
+  }
+  return [...days].sort((a, b) => a - b);
+};
+
+// Candidate starts for the n-th period of the rule (the n-th day, week,
+// month or year counted in INTERVAL steps), ascending.
+const periodCandidates = (rule, start, n) => {
+  const step = n * rule.interval;
+
+  switch (rule.freq) {
+    case "DAILY":
+      return [atTimeOf(start, start.getFullYear(), start.getMonth(), start.getDate() + step)];
+    case "WEEKLY": {
+      // Weeks start on Monday, as RFC 5545 assumes by default
+      const monday = start.getDate() - ((start.getDay() + 6) % 7) + step * 7;
+      const weekdays = rule.byDay ? rule.byDay.map((entry) => entry.weekday) : [start.getDay()];
+      return [...new Set(weekdays)]
+        .map((weekday) => (weekday + 6) % 7)
+        .sort((a, b) => a - b)
+        .map((offset) => atTimeOf(start, start.getFullYear(), start.getMonth(), monday + offset));
+    }
+    case "MONTHLY": {
+      const first = new Date(start.getFullYear(), start.getMonth() + step, 1);
+      return monthDays(rule, start, first.getFullYear(), first.getMonth()).map((day) =>
+        atTimeOf(start, first.getFullYear(), first.getMonth(), day)
+      );
+    }
+    default: {
+      const year = start.getFullYear() + step;
+      // Skip years without the date (29 February)
+      return start.getDate() <= daysInMonth(year, start.getMonth())
+        ? [atTimeOf(start, year, start.getMonth(), start.getDate())]
+        : [];
+    }
+  }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// An exception can move an occurrence off its original date, and a moved
+// occurrence is found by expanding from its original date. Searches by
+// date therefore start a month early, so occurrences moved up to a month
+// later are not missed; a month covers rescheduling within a monthly series.
+const OCCURRENCE_LOOK_BACK_MS = 31 * DAY_MS;
+
+// A period index no later than the first period that can reach date, so
+// expansion can skip straight to a window in a long-running series. It
+// errs early by one period to stay clear of daylight-saving shifts.
+const periodsBefore = (rule, start, date) => {
+  if (date <= start) {
+    return 0;
+  }
+  let units;
+  switch (rule.freq) {
+    case "DAILY":
+      units = Math.floor((date - start) / DAY_MS);
+      break;
+    case "WEEKLY":
+      units = Math.floor((date - start) / (7 * DAY_MS));
+      break;
+    case "MONTHLY":
+      units = (date.getFullYear() - start.getFullYear()) * 12 + date.getMonth() - start.getMonth();
+      break;
+    default:
+      units = date.getFullYear() - start.getFullYear();
+  }
+  return Math.max(0, Math.floor(units / rule.interval) - 1);
+};
+
+// Occurrence starts of a rule beginning at start, limited to [from, to].
+// COUNT and UNTIL are measured from the first occurrence, whatever the
+// window. The first occurrence is always start itself. The caps apply to
+// the window only, so an old open-ended series still expands today.
+const expandRule = (rule, start, { from, to } = {}) => {
+  const first = new Date(start);
+  first.setMilliseconds(0);
+  const windowStart = from ? new Date(from) : first;
+  const windowEnd = to ? new Date(to) : null;
+  if (!windowEnd && !rule.count && !rule.until) {
+    throw new Error("A window end is needed to expand a rule without COUNT or UNTIL");
+  }
+
+  // COUNT needs every occurrence since the start counted; otherwise skip
+  // the periods that end before the window
+  const windowPeriod = periodsBefore(rule, first, windowStart);
+  const firstPeriod = rule.count ? 0 : windowPeriod;
+
+  const starts = [];
+  let produced = 0;
+  for (let n = firstPeriod; n - windowPeriod < MAX_PERIODS && starts.length < MAX_OCCURRENCES; n += 1) {
+    const candidates = periodCandidates(rule, first, n).filter((date) => date >= first);
+    if (n === 0 && !candidates.some((date) => date.getTime() === first.getTime())) {
+      candidates.unshift(first);
+    }
+
+    for (const date of candidates) {
+      if ((rule.until && date > rule.until) || (windowEnd && date > windowEnd)) {
+        return starts;
+      }
+      produced += 1;
+      if (date >= windowStart) {
+        starts.push(date);
+      }
+      if ((rule.count && produced >= rule.count) || starts.length >= MAX_OCCURRENCES) {
+        return starts;
+      }
+    }
+  }
+  return starts;
+};
+
+// The occurrences of an event in a window, with exceptions applied. A
+// non-recurring event has one occurrence. Exceptions are keyed by the
+// occurrence's original date and may cancel it or override its time,
+// name, location or description.
+const expandEvent = (event, exceptions = [], window = {}) => {
+  if (!event.date) {
+    return [];
+  }
+  const start = new Date(event.date);
+  const duration = event.endDate ? new Date(event.endDate) - start : null;
+
+  let starts;
+  if (event.recurrence) {
+    starts = expandRule(parseRRule(event.recurrence), start, window);
+  } else {
+    const inWindow =
+      (!window.from || start >= new Date(window.from)) && (!window.to || start <= new Date(window.to));
+    starts = inWindow ? [start] : [];
+  }
+
+  const byKey = new Map(exceptions.map((exception) => [exception.originalDate, exception]));
+  return starts.map((originalStart) => {
+    const key = occurrenceKey(originalStart);
+    const exception = byKey.get(key);
+    const occurrence = {
+      event_id: event.id,
+      occurrence: key,
+      originalStart,
+      start: originalStart,
+      end: duration === null ? null : new Date(originalStart.getTime() + duration),
+      name: event.name,
+      location: event.location,
+      description: event.description,
+      cancelled: false,
+      overridden: false,
+    };
+    if (!exception) {
+      return occurrence;
+    }
+
+    occurrence.cancelled = Boolean(exception.cancelled);
+    occurrence.overridden = true;
+    if (exception.date) {
+      occurrence.start = new Date(exception.date);
+      occurrence.end = duration === null ? null : new Date(occurrence.start.getTime() + duration);
+    }
+    if (exception.endDate) {
+      occurrence.end = new Date(exception.endDate);
+    }
+    for (const field of ["name", "location", "description"]) {
+      if (exception[field]) {
+        occurrence[field] = exception[field];
+      }
+    }
+    return occurrence;
+  });
+};
+
+// The occurrence originally falling on the local date key (YYYY-MM-DD),
+// with exceptions applied, or undefined. Cancelled occurrences are
+// returned too, flagged as such.
+const occurrenceOn = (event, exceptions, key) => {
+  const [year, month, day] = key.split("-").map(Number);
+  return expandEvent(event, exceptions, {
+    from: new Date(year, month - 1, day),
+    to: new Date(year, month - 1, day, 23, 59, 59, 999),
+  }).find((occurrence) => occurrence.occurrence === key);
+};
+
+// The occurrence starting on the same local day as date once exceptions
+// are applied, or undefined. Cancelled occurrences are skipped; ones moved
+// by up to OCCURRENCE_LOOK_BACK_MS either way are found.
+const occurrenceStartingOn = (event, exceptions, date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  const key = occurrenceKey(day);
+  return expandEvent(event, exceptions, {
+    from: new Date(day.getTime() - OCCURRENCE_LOOK_BACK_MS),
+    to: new Date(day.getTime() + DAY_MS + OCCURRENCE_LOOK_BACK_MS),
+  }).find((occurrence) => !occurrence.cancelled && occurrenceKey(occurrence.start) === key);
+};
+
+const YEAR_MS = 365 * DAY_MS;
+const UPCOMING_HORIZON_YEARS = 5;
+
+// Occurrences that are not cancelled and start after `after` (and no later
+// than `until`), soonest first, at most `limit` of them. Series are
+// searched a year at a time up to five years ahead, starting
+// OCCURRENCE_LOOK_BACK_MS early.
+const upcomingOccurrences = (event, exceptions = [], { after = new Date(), until = null, limit = 1 } = {}) => {
+  const afterTime = new Date(after).getTime();
+  const untilTime = until ? new Date(until).getTime() : Infinity;
+  const upcoming = (occurrences) =>
+    occurrences
+      .filter((occurrence) => !occurrence.cancelled)
+      .filter((occurrence) => occurrence.start.getTime() > afterTime && occurrence.start.getTime() <= untilTime)
+      .sort((a, b) => a.start - b.start);
+
+  if (!event.recurrence) {
+    return upcoming(expandEvent(event, exceptions)).slice(0, limit);
+  }
+
+  const found = new Map();
+  for (let year = 0; year < UPCOMING_HORIZON_YEARS && found.size < limit; year += 1) {
+    const from = new Date(afterTime + year * YEAR_MS - (year === 0 ? OCCURRENCE_LOOK_BACK_MS : 0));
+    if (from.getTime() > untilTime) {
+      break;
+    }
+    const to = new Date(afterTime + (year + 1) * YEAR_MS);
+    for (const occurrence of upcoming(expandEvent(event, exceptions, { from, to }))) {
+      if (found.size < limit && !found.has(occurrence.occurrence)) {
+        found.set(occurrence.occurrence, occurrence);
+      }
+    }
+  }
+  return [...found.values()].sort((a, b) => a.start - b.start);
+};
+
+const nextOccurrence = (event, exceptions = [], after = new Date()) =>
+  upcomingOccurrences(event, exceptions, { after, limit: 1 })[0] || null;
+
+module.exports = {
+  MAX_OCCURRENCES,
+  OCCURRENCE_LOOK_BACK_MS,
+  occurrenceKey,
+  parseRRule,
+  expandRule,
+  expandEvent,
+  occurrenceOn,
+  occurrenceStartingOn,
+  upcomingOccurrences,
+  nextOccurrence,
+};
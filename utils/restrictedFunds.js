@@ -0,0 +1,124 @@
+const { Op } = require("sequelize");
+const DonationAllocation = require("../models/DonationAllocation");
+const Expense = require("../models/Expense");
+const Project = require("../models/Project");
+const { toCents, fromCents } = require("./money");
+
+// Restricted funds of a project in cents: gifts allocated to it, and the part
+// of its expenses not paid from unrestricted funds. Pass excludeExpenseId to
+// leave out an expense that is being corrected.
+const restrictedFundsInCents = async (projectId, { transaction, excludeExpenseId } = {}) => {
+  const expenseWhere = { project_id: projectId };
+  if (excludeExpenseId) {
+    expenseWhere.id = { [Op.ne]: excludeExpenseId };
+  }
+
+  const [allocated, expenses, unrestricted] = await Promise.all([
+    DonationAllocation.sum("amount", { where: { project_id: projectId }, transaction }),
+    Expense.sum("amount", { where: expenseWhere, transaction }),
+    Expense.sum("unrestrictedAmount", { where: expenseWhere, transaction }),
+  ]);
+
+  const received = toCents(allocated || 0);
+  const spent = toCents(expenses || 0) - toCents(unrestricted || 0);
+  return { received, spent, remaining: received - spent };
+};
+
+// Lock a project row so concurrent expenses and allocations against it are
+// checked one at a time. Must run inside a transaction.
+const lockProject = (projectId, transaction) =>
+  Project.findOne({ where: { id: projectId }, lock: transaction.LOCK.UPDATE, transaction });
+
+// Check that the restricted part of an expense is covered by the project's
+// restricted balance. Resolves to null when it is, or to the balance and
+// shortfall when it is not.
+const checkExpenseFunding = async (project, amount, unrestrictedAmount, transaction, excludeExpenseId) => {
+  const funds = await restrictedFundsInCents(project.id, { transaction, excludeExpenseId });
+  const restricted = toCents(amount) - toCents(unrestrictedAmount || 0);
+
+  if (restricted <= funds.remaining) {
+    return null;
+  }
+  return {
+    restrictedBalance: fromCents(funds.remaining),
+    shortfall: fromCents(restricted - Math.max(funds.remaining, 0)),
+  };
+};
+
+// Validate a donation's allocations before they replace the current ones.
+// Resolves to an error message, or null when they are valid.
+const validateAllocations = async (donation, allocations, transaction) => {
+  const projectIds = allocations.map((allocation) => Number(allocation.project_id));
+  if (new Set(projectIds).size !== projectIds.length) {
+    return "A project can only appear once in a donation's allocations.";
+  }
+
+  const projects = await Project.findAll({
+    where: { id: projectIds, ngo_id: donation.ngo_id },
+    transaction,
+  });
+  if (projects.length !== projectIds.length) {
+    return "Allocated project not found for this NGO.";
+  }
+
+  const mismatched = projects.find((project) => project.currency !== donation.currency);
+  if (mismatched) {
+    return `Project ${mismatched.id} is budgeted in ${mismatched.currency}; the donation is in ${donation.currency}.`;
+  }
+
+  const allocated = allocations.reduce((sum, allocation) => sum + toCents(allocation.amount), 0);
+  if (allocated > toCents(donation.amount)) {
+    return "Allocations exceed the donation amount.";
+  }
+
+  return null;
+};
+
+// Replace a donation's allocations. Projects losing restricted funds are
+// locked and checked so none is left with more restricted spend than it has
+// received. Resolves to the IDs of projects that would be overdrawn; nothing
+// is changed when that list is not empty. Must run inside a transaction.
+const replaceAllocations = async (donation, allocations, transaction) => {
+  const current = await DonationAllocation.findAll({ where: { donation_id: donation.id }, transaction });
+  const next = {};
+  allocations.forEach((allocation) => {
+    next[Number(allocation.project_id)] = toCents(allocation.amount);
+  });
+
+  const overdrawn = [];
+  for (const allocation of current) {
+    const reduction = toCents(allocation.amount) - (next[allocation.project_id] || 0);
+    if (reduction <= 0) {
+      continue;
+    }
+    await lockProject(allocation.project_id, transaction);
+    const funds = await restrictedFundsInCents(allocation.project_id, { transaction });
+    if (funds.remaining - reduction < 0) {
+      overdrawn.push(allocation.project_id);
+    }
+  }
+
+  if (overdrawn.length > 0) {
+    return overdrawn;
+  }
+
+  await DonationAllocation.destroy({ where: { donation_id: donation.id }, transaction });
+  await DonationAllocation.bulkCreate(
+    allocations.map((allocation) => ({
+      donation_id: donation.id,
+      project_id: allocation.project_id,
+      amount: allocation.amount,
+    })),
+    { transaction }
+  );
+
+  return [];
+};
+
+module.exports = {
+  restrictedFundsInCents,
+  lockProject,
+  checkExpenseFunding,
+  validateAllocations,
+  replaceAllocations,
+};
@@ -0,0 +1,19 @@
+// Loaders for records shared between controllers, scoped with ngoScope so a
+// user only ever gets records of their own NGO.
+const Donor = require("../models/Donor");
+const Project = require("../models/Project");
+const { scopeWhere } = require("./ngoScope");
+
+// Load a project visible to the current user, or null.
+const findProject = (currentUser, id) =>
+  Project.findOne({ where: scopeWhere(currentUser, { id }) });
+
+// Load a donor visible to the current user, or null.
+const findDonor = (currentUser, id) =>
+  Donor.findOne({ where: scopeWhere(currentUser, { id }) });
+
+// A designated project must belong to the same NGO as the donor.
+const findDesignatedProject = (donor, projectId) =>
+  Project.findOne({ where: { id: projectId, ngo_id: donor.ngo_id } });
+
+module.exports = { findProject, findDonor, findDesignatedProject };
@@ -0,0 +1,142 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { Op } = require("sequelize");
+const sequelize = require("../config/db");
+const Session = require("../models/Session");
+
+// Access tokens are short-lived; the refresh token is what keeps a user
+// logged in, and it can be revoked server-side.
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL, 10) || 900; // seconds
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Refresh tokens are "<sessionId>.<secret>" so a presented token can be
+// matched to its session even after it has been rotated out.
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString("hex")}`;
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken).split(".");
+  const id = parseInt(sessionId, 10);
+  return id && secret ? id : null;
+};
+
+const signAccessToken = (user, session) =>
+  jwt.sign(
+    { id: user.id, role: user.role, sid: session.id, gen: session.generation },
+    process.env.SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+const tokenResponse = (user, session, refreshToken) => ({
+  auth: true,
+  token: signAccessToken(user, session),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_TTL,
+});
+
+const requestDetails = (req) => ({
+  ipAddress: req.ip || null,
+  userAgent: (req.get("User-Agent") || "").slice(0, 255) || null,
+});
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// Open a session for a user who has just logged in.
+const createSession = async (user, req) => {
+  return sequelize.transaction(async (transaction) => {
+    const session = await Session.create({
+      user_id: user.id,
+      refreshTokenHash: hashToken(crypto.randomBytes(32).toString("hex")),
+      expiresAt: refreshExpiry(),
+      lastUsedAt: new Date(),
+      ...requestDetails(req),
+    }, { transaction });
+
+    const refreshToken = newRefreshToken(session.id);
+    session.refreshTokenHash = hashToken(refreshToken);
+    await session.save({ transaction });
+
+    return tokenResponse(user, session, refreshToken);
+  });
+};
+
+// Exchange a refresh token for a new access and refresh token. Presenting a
+// token that has already been rotated out means it was copied, so the whole
+// session is revoked. Resolves to { session, refreshToken } or { error }.
+const rotateSession = async (refreshToken, req) => {
+  const sessionId = parseRefreshToken(refreshToken);
+  if (!sessionId) {
+    return { error: "Invalid refresh token." };
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    const session = await Session.findOne({
+      where: { id: sessionId },
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+
+    if (!session || session.revokedAt || session.expiresAt < new Date()) {
+      return { error: "Invalid refresh token." };
+    }
+
+    if (session.refreshTokenHash !== hashToken(refreshToken)) {
+      session.revokedAt = new Date();
+      session.revokedReason = "token_reuse";
+      await session.save({ transaction });
+      return { error: "Invalid refresh token.", reused: true, session };
+    }
+
+    const rotated = newRefreshToken(session.id);
+    session.refreshTokenHash = hashToken(rotated);
+    session.generation += 1;
+    session.lastUsedAt = new Date();
+    Object.assign(session, requestDetails(req));
+    await session.save({ transaction });
+
+    return { session, refreshToken: rotated };
+  });
+};
+
+const revokeSession = async (sessionId, reason) => {
+  const [count] = await Session.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: { id: sessionId, revokedAt: null } }
+  );
+  return count;
+};
+
+// Revoke every open session of a user. Resolves to the number revoked.
+const revokeUserSessions = async (userId, reason) => {
+  const [count] = await Session.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: { user_id: userId, revokedAt: null, expiresAt: { [Op.gt]: new Date() } } }
+  );
+  return count;
+};
+
+// Check that a decoded access token still belongs to a live session and was
+// issued for its current generation.
+const isAccessTokenActive = async (decoded) => {
+  if (!decoded.sid) {
+    return false;
+  }
+  const session = await Session.findByPk(decoded.sid);
+  return Boolean(
+    session &&
+    !session.revokedAt &&
+    session.user_id === decoded.id &&
+    session.generation === decoded.gen
+  );
+};
+
+module.exports = {
+  hashToken,
+  tokenResponse,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  isAccessTokenActive,
+};
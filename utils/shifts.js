@@ -0,0 +1,22 @@
+// Time arithmetic for event shifts: spotting double bookings and turning
+// check-in/check-out times into hours served.
+
+const toTime = (value) => new Date(value).getTime();
+
+// Whether two time ranges overlap. Ranges are half-open, so a shift ending
+// at 12:00 does not clash with one starting at 12:00.
+const overlaps = (a, b) => toTime(a.startTime) < toTime(b.endTime) && toTime(b.startTime) < toTime(a.endTime);
+
+// The shifts that clash with the target, ignoring the target itself.
+const findConflicts = (target, shifts) =>
+  shifts.filter((shift) => shift.id !== target.id && overlaps(target, shift));
+
+// Hours between check-in and check-out, to two decimals.
+const workedHours = (checkInAt, checkOutAt) =>
+  Math.round(((toTime(checkOutAt) - toTime(checkInAt)) / 36e5) * 100) / 100;
+
+module.exports = {
+  overlaps,
+  findConflicts,
+  workedHours,
+};
@@ -0,0 +1,108 @@
+const { Op, fn, col } = require("sequelize");
+const Donation = require("../models/Donation");
+const Donor = require("../models/Donor");
+const Project = require("../models/Project");
+const Receipt = require("../models/Receipt");
+const { fiscalYearRange } = require("./fiscalYear");
+const { toCsv } = require("./csv");
+const { toCents, fromCents } = require("./money");
+
+// Sum decimal strings in minor units so totals do not drift.
+const addAmount = (totals, currency, amount) => {
+  totals[currency] = (totals[currency] || 0) + toCents(amount);
+};
+
+const formatTotals = (totals) =>
+  Object.fromEntries(Object.entries(totals).map(([currency, cents]) => [currency, fromCents(cents)]));
+
+// Collect a donor's gifts for the fiscal year starting in startYear.
+const buildStatement = async (donor, startYear) => {
+  const { label, from, to } = fiscalYearRange(startYear);
+
+  const donations = await Donation.findAll({
+    where: {
+      donor_id: donor.id,
+      donationDate: { [Op.between]: [from, to] },
+    },
+    include: [
+      { model: Project, attributes: ["id", "name"] },
+      { model: Receipt, as: "receipts", where: { status: "issued" }, required: false },
+    ],
+    order: [["donationDate", "asc"]],
+  });
+
+  const totals = {};
+  donations.forEach((donation) => addAmount(totals, donation.currency, donation.amount));
+
+  return {
+    donor,
+    fiscalYear: label,
+    from,
+    to,
+    donations,
+    totals: formatTotals(totals),
+  };
+};
+
+// Donors of the given NGO scope who gave at least once in the fiscal year.
+const findDonorsWhoGave = async (scope, startYear) => {
+  const { from, to } = fiscalYearRange(startYear);
+
+  const rows = await Donation.findAll({
+    attributes: [[fn("DISTINCT", col("donor_id")), "donor_id"]],
+    where: { ...scope, donationDate: { [Op.between]: [from, to] } },
+    raw: true,
+  });
+
+  return Donor.findAll({
+    where: { id: rows.map((row) => row.donor_id) },
+    order: [["name", "asc"]],
+  });
+};
+
+const receiptNumberOf = (donation) =>
+  donation.receipts && donation.receipts.length > 0 ? donation.receipts[0].receiptNumber : "";
+
+// One line per gift in the statement.
+const statementToCsv = (statement) =>
+  toCsv([
+    ["Donor ID", "Donor Name", "Fiscal Year", "Date", "Receipt No", "Amount", "Currency", "Payment Method", "Reference", "Designation"],
+    ...statement.donations.map((donation) => [
+      statement.donor.id,
+      statement.donor.name,
+      statement.fiscalYear,
+      donation.donationDate,
+      receiptNumberOf(donation),
+      donation.amount,
+      donation.currency,
+      donation.paymentMethod,
+      donation.referenceNumber,
+      donation.Project ? donation.Project.name : "",
+    ]),
+  ]);
+
+// One line per donor and currency, for finance to reconcile the year.
+const summaryToCsv = (statements) => {
+  const rows = [["Donor ID", "Donor Name", "Email", "Fiscal Year", "Currency", "Total", "Gifts", "First Gift", "Last Gift"]];
+
+  statements.forEach((statement) => {
+    Object.entries(statement.totals).forEach(([currency, total]) => {
+      const gifts = statement.donations.filter((donation) => donation.currency === currency);
+      rows.push([
+        statement.donor.id,
+        statement.donor.name,
+        statement.donor.email,
+        statement.fiscalYear,
+        currency,
+        total,
+        gifts.length,
+        gifts[0].donationDate,
+        gifts[gifts.length - 1].donationDate,
+      ]);
+    });
+  });
+
+  return toCsv(rows);
+};
+
+module.exports = { buildStatement, findDonorsWhoGave, receiptNumberOf, statementToCsv, summaryToCsv };
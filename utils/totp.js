@@ -0,0 +1,119 @@
+const crypto = require("crypto");
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 second steps),
+// the defaults every authenticator app supports.
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1; // Accept the previous and next code to allow for clock drift
+const ISSUER = process.env.TOTP_ISSUER || "NGO Management System";
+
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, "0");
+  }
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = "";
+  for (const char of text.replace(/=+$/, "").toUpperCase()) {
+    const value = BASE32.indexOf(char);
+    if (value === -1) {
+      throw new Error("Invalid base32 character");
+    }
+    bits += value.toString(2).padStart(5, "0");
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const hotp = (key, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac("sha1", key).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+// Check a code against a base32 secret. Resolves to the time step the code
+// belongs to, or null. Steps at or before lastUsedStep are refused so a code
+// cannot be replayed.
+const verifyCode = (secret, code, lastUsedStep = null) => {
+  const normalized = String(code).replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const step = currentStep();
+  for (let offset = -DRIFT_STEPS; offset <= DRIFT_STEPS; offset++) {
+    const candidate = step + offset;
+    if (lastUsedStep !== null && candidate <= lastUsedStep) {
+      continue;
+    }
+    const expected = hotp(key, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+// otpauth:// URI for authenticator apps; clients render it as a QR code.
+const provisioningUri = (accountName, secret) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = {
+    secret,
+    issuer: ISSUER,
+    algorithm: "SHA1",
+    digits: DIGITS,
+    period: STEP_SECONDS,
+  };
+  // encodeURIComponent rather than URLSearchParams: some apps show "+" literally
+  const query = Object.entries(params)
+    .map(([name, value]) => `${name}=${encodeURIComponent(value)}`)
+    .join("&");
+  return `otpauth://totp/${label}?${query}`;
+};
+
+// Secrets are stored encrypted (AES-256-GCM) so a database leak alone does
+// not reveal them.
+const encryptionKey = () =>
+  crypto.createHash("sha256").update(process.env.TOTP_ENCRYPTION_KEY || process.env.SECRET).digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString("base64")).join(".");
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(".").map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+};
+
+module.exports = {
+  generateSecret,
+  verifyCode,
+  provisioningUri,
+  encryptSecret,
+  decryptSecret,
+};
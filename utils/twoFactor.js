@@ -0,0 +1,107 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const TwoFactorCredential = require("../models/TwoFactorCredential");
+const RecoveryCode = require("../models/RecoveryCode");
+const { hashToken } = require("./sessions");
+const { verifyCode, decryptSecret } = require("./totp");
+
+// Accounts that can see donor financials and beneficiary records must use 2FA.
+const REQUIRED_FOR_ROLES = ["admin", "ngo_admin"];
+const CHALLENGE_TTL = 300; // seconds to complete the second login step
+const RECOVERY_CODE_COUNT = 10;
+
+const isTwoFactorRequired = (user) => REQUIRED_FOR_ROLES.includes(user.role);
+
+const findCredential = (userId, options = {}) =>
+  TwoFactorCredential.findOne({ where: { user_id: userId }, ...options });
+
+const isEnrolled = (credential) => Boolean(credential && credential.enabledAt);
+
+// Short-lived token proving the password step passed. purpose is "login"
+// for a code challenge or "enroll" when the user must set up 2FA first. It
+// has no session, so authMiddleware refuses it as an access token.
+const signChallenge = (user, purpose) =>
+  jwt.sign({ id: user.id, mfa: purpose }, process.env.SECRET, { expiresIn: CHALLENGE_TTL });
+
+// Resolves to the user ID in a valid challenge token, or null.
+const verifyChallenge = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(String(token), process.env.SECRET);
+    return decoded.mfa === purpose ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const normalizeRecoveryCode = (code) => String(code).replace(/[\s-]/g, "").toLowerCase();
+
+// Replace a user's recovery codes and return the new ones in plain text.
+// They are shown once; only hashes are kept.
+const generateRecoveryCodes = async (userId, transaction) => {
+  await RecoveryCode.destroy({ where: { user_id: userId }, transaction });
+
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString("hex");
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  await RecoveryCode.bulkCreate(
+    codes.map((code) => ({ user_id: userId, codeHash: hashToken(normalizeRecoveryCode(code)) })),
+    { transaction }
+  );
+  return codes;
+};
+
+// Check a second factor for an enrolled user: either a TOTP code or an
+// unused recovery code. Accepted codes are used up. Must run inside a
+// transaction. Resolves to true when the factor is valid.
+const verifySecondFactor = async (userId, { code, recoveryCode }, transaction) => {
+  const credential = await findCredential(userId, { lock: transaction.LOCK.UPDATE, transaction });
+  if (!isEnrolled(credential)) {
+    return false;
+  }
+
+  if (code) {
+    const step = verifyCode(decryptSecret(credential.secret), code, credential.lastUsedStep);
+    if (step === null) {
+      return false;
+    }
+    credential.lastUsedStep = step;
+    await credential.save({ transaction });
+    return true;
+  }
+
+  if (recoveryCode) {
+    const stored = await RecoveryCode.findOne({
+      where: { user_id: userId, codeHash: hashToken(normalizeRecoveryCode(recoveryCode)), usedAt: null },
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+    if (!stored) {
+      return false;
+    }
+    stored.usedAt = new Date();
+    await stored.save({ transaction });
+    return true;
+  }
+
+  return false;
+};
+
+// Remove a user's authenticator and recovery codes.
+const removeTwoFactor = async (userId, transaction) => {
+  await RecoveryCode.destroy({ where: { user_id: userId }, transaction });
+  return TwoFactorCredential.destroy({ where: { user_id: userId }, transaction });
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  findCredential,
+  isEnrolled,
+  signChallenge,
+  verifyChallenge,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  removeTwoFactor,
+};
@@ -0,0 +1,116 @@
+const { Op } = require("sequelize");
+const Event = require("../models/Event");
+const Project = require("../models/Project");
+const Volunteer = require("../models/Volunteer");
+const VolunteerAttendance = require("../models/Volunteerattendance");
+const VolunteerHourEntry = require("../models/VolunteerHourEntry");
+const ServiceCertificate = require("../models/ServiceCertificate");
+const { buildLedger, summarize, rollup } = require("./hoursLedger");
+const { generateVerificationCode, signCertificate } = require("./certificates");
+
+// Ledger entries for an NGO, optionally narrowed to a volunteer, a project
+// and an inclusive "YYYY-MM-DD" date range. Rejected manual entries are
+// left out.
+const loadLedger = async ({ ngoId, volunteerId, projectId, from, to }) => {
+  const attendanceWhere = { ngo_id: ngoId, status: true, hours: { [Op.ne]: null } };
+  const manualWhere = { ngo_id: ngoId, status: { [Op.ne]: "rejected" } };
+
+  if (volunteerId) {
+    attendanceWhere.volunteer_id = volunteerId;
+    manualWhere.volunteer_id = volunteerId;
+  }
+  if (projectId) {
+    manualWhere.project_id = projectId;
+  }
+  if (from || to) {
+    attendanceWhere.date = {};
+    manualWhere.date = {};
+    if (from) {
+      attendanceWhere.date[Op.gte] = new Date(`${from}T00:00:00`);
+      manualWhere.date[Op.gte] = from;
+    }
+    if (to) {
+      attendanceWhere.date[Op.lte] = new Date(`${to}T23:59:59.999`);
+      manualWhere.date[Op.lte] = to;
+    }
+  }
+
+  const [attendance, manualEntries] = await Promise.all([
+    VolunteerAttendance.findAll({
+      where: attendanceWhere,
+      include: [
+        { model: Volunteer, as: "volunteer", attributes: ["id", "name"] },
+        {
+          model: Event,
+          as: "event",
+          attributes: ["id", "name", "project_id"],
+          required: Boolean(projectId),
+          where: projectId ? { project_id: projectId } : undefined,
+          include: [{ model: Project, as: "project", attributes: ["id", "name"] }],
+        },
+      ],
+    }),
+    VolunteerHourEntry.findAll({
+      where: manualWhere,
+      include: [
+        { model: Volunteer, as: "volunteer", attributes: ["id", "name"] },
+        { model: Project, as: "project", attributes: ["id", "name"] },
+        { model: Event, as: "event", attributes: ["id", "name"] },
+      ],
+    }),
+  ]);
+
+  return buildLedger(attendance, manualEntries);
+};
+
+// The project and event on a manual entry must belong to the volunteer's
+// NGO. Resolves to an error message, or null if both are fine.
+const checkEntryLinks = async (ngoId, { project_id, event_id }) => {
+  if (project_id && !(await Project.findOne({ where: { id: project_id, ngo_id: ngoId } }))) {
+    return "Project not found.";
+  }
+  if (event_id && !(await Event.findOne({ where: { id: event_id, ngo_id: ngoId } }))) {
+    return "Event not found.";
+  }
+  return null;
+};
+
+// Issue a certificate for a volunteer's approved hours between two dates,
+// optionally for one project. Resolves to the certificate, or { error } if
+// there are no approved hours to certify.
+const issueCertificate = async ({ volunteer, from, to, projectId, issuedBy }) => {
+  const ledger = await loadLedger({ ngoId: volunteer.ngo_id, volunteerId: volunteer.id, projectId, from, to });
+  const approved = ledger.filter((entry) => entry.status === "approved");
+  const { totalHours } = summarize(approved);
+  if (totalHours <= 0) {
+    return { error: "There are no approved hours to certify in this period." };
+  }
+
+  const fields = {
+    ngo_id: volunteer.ngo_id,
+    volunteer_id: volunteer.id,
+    project_id: projectId || null,
+    verificationCode: generateVerificationCode(),
+    periodStart: from,
+    periodEnd: to,
+    totalHours,
+    breakdown: rollup(approved, "project").map((row) => ({
+      project_id: row.key,
+      project: row.label,
+      hours: row.totalHours,
+    })),
+    // Whole seconds: MySQL rounds fractional seconds on insert, which would
+    // break the signature
+    issuedAt: new Date(Math.floor(Date.now() / 1000) * 1000),
+    issuedBy,
+  };
+
+  const certificate = await ServiceCertificate.create({ ...fields, signature: signCertificate(fields) });
+  return { certificate };
+};
+
+module.exports = {
+  loadLedger,
+  checkEntryLinks,
+  issueCertificate,
+};
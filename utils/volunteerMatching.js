@@ -0,0 +1,153 @@
+// Ranking volunteers for an event from their skills, certifications,
+// languages and weekly availability, and working out where an event is
+// short-staffed.
+
+const LEVELS = ["beginner", "intermediate", "expert"];
+
+const levelRank = (level) => LEVELS.indexOf(level);
+
+// "HH:MM" -> minutes since midnight, or null if malformed.
+const parseTime = (value) => {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(value));
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+const minutesOfDay = (date) => date.getHours() * 60 + date.getMinutes();
+
+const toDateOnly = (date) => {
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+// Whether one of the weekly windows covers the whole event. Events without
+// an end are checked at their start time. Events running past midnight
+// never fit a single window.
+const isAvailable = (windows, start, end) => {
+  const from = new Date(start);
+  const to = end ? new Date(end) : from;
+  if (toDateOnly(from) !== toDateOnly(to)) {
+    return false;
+  }
+
+  const startMinutes = minutesOfDay(from);
+  const endMinutes = minutesOfDay(to);
+  return windows.some(
+    (window) =>
+      window.dayOfWeek === from.getDay() &&
+      parseTime(window.startTime) <= startMinutes &&
+      parseTime(window.endTime) >= endMinutes
+  );
+};
+
+// Map of skill_id -> level for the skills a volunteer can use on a date.
+// Skills that need a certificate are dropped unless a certification for
+// that skill is still valid then.
+const usableSkills = (volunteer, onDate) => {
+  const day = toDateOnly(onDate);
+  const certified = new Set(
+    (volunteer.certifications || [])
+      .filter((cert) => cert.skill_id && (!cert.expiresOn || cert.expiresOn >= day))
+      .map((cert) => cert.skill_id)
+  );
+
+  const skills = new Map();
+  for (const entry of volunteer.skills || []) {
+    if (entry.skill && entry.skill.requiresCertification && !certified.has(entry.skill_id)) {
+      continue;
+    }
+    skills.set(entry.skill_id, entry.level);
+  }
+  return skills;
+};
+
+const meetsRequirement = (skills, requirement) =>
+  skills.has(requirement.skill_id) && levelRank(skills.get(requirement.skill_id)) >= levelRank(requirement.minLevel);
+
+const speaks = (volunteer, language) =>
+  (volunteer.languages || []).some((spoken) => spoken.toLowerCase() === language.toLowerCase());
+
+// Score every volunteer for an event. A volunteer is eligible when they are
+// available for the whole event, speak the requested language (if any) and,
+// if the event needs skills, meet at least one requirement. Each met
+// requirement scores 1, plus 0.5 per level above the minimum. Eligible
+// volunteers come first, best score first.
+const rankVolunteers = (event, requirements, volunteers, { signedUpIds = new Set(), language } = {}) => {
+  const ranked = volunteers.map((volunteer) => {
+    const skills = usableSkills(volunteer, event.date);
+    const matched = requirements.filter((requirement) => meetsRequirement(skills, requirement));
+    const available = isAvailable(volunteer.availability || [], event.date, event.endDate);
+    const speaksLanguage = !language || speaks(volunteer, language);
+
+    const score = matched.reduce(
+      (total, requirement) =>
+        total + 1 + 0.5 * (levelRank(skills.get(requirement.skill_id)) - levelRank(requirement.minLevel)),
+      0
+    );
+
+    return {
+      volunteer_id: volunteer.id,
+      name: volunteer.name,
+      email: volunteer.email,
+      languages: volunteer.languages || [],
+      available,
+      signedUp: signedUpIds.has(volunteer.id),
+      matchedSkills: matched.map((requirement) => ({
+        skill_id: requirement.skill_id,
+        level: skills.get(requirement.skill_id),
+      })),
+      score,
+      eligible: available && speaksLanguage && (requirements.length === 0 || matched.length > 0),
+    };
+  });
+
+  return ranked.sort(
+    (a, b) => Number(b.eligible) - Number(a.eligible) || b.score - a.score || a.name.localeCompare(b.name)
+  );
+};
+
+// Staffing per requirement: how many signed-up volunteers meet it, how
+// many more eligible volunteers could, and how far short the event would
+// still be after asking all of them. A volunteer with several required
+// skills counts toward each.
+const staffingGaps = (event, requirements, ranked) => {
+  const bySkill = requirements.map((requirement) => {
+    const qualified = ranked.filter((candidate) =>
+      candidate.matchedSkills.some((skill) => skill.skill_id === requirement.skill_id)
+    );
+    const filled = qualified.filter((candidate) => candidate.signedUp).length;
+    const available = qualified.filter((candidate) => !candidate.signedUp && candidate.eligible).length;
+
+    return {
+      skill_id: requirement.skill_id,
+      skill: requirement.skill ? requirement.skill.name : null,
+      minLevel: requirement.minLevel,
+      headcount: requirement.headcount,
+      filled,
+      gap: Math.max(0, requirement.headcount - filled),
+      availableCandidates: available,
+      shortfall: Math.max(0, requirement.headcount - filled - available),
+    };
+  });
+
+  const signedUp = ranked.filter((candidate) => candidate.signedUp).length;
+  const needed = event.volunteersNeeded || null;
+
+  return {
+    volunteersNeeded: needed,
+    signedUp,
+    gap: needed ? Math.max(0, needed - signedUp) : 0,
+    requirements: bySkill,
+    understaffed: bySkill.some((requirement) => requirement.shortfall > 0) ||
+      (needed !== null && signedUp + ranked.filter((c) => c.eligible && !c.signedUp).length < needed),
+  };
+};
+
+module.exports = {
+  LEVELS,
+  parseTime,
+  isAvailable,
+  usableSkills,
+  rankVolunteers,
+  staffingGaps,
+};